@@ -1,7 +1,7 @@
 "use client";
 
 import { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Moon, PanelLeft, PanelLeftClose, Plus, RefreshCcw, Sun, Trash2 } from "lucide-react";
+import { Moon, PanelLeft, PanelLeftClose, Plus, RefreshCcw, Search, Sun, Trash2, UserPlus, X } from "lucide-react";
 
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -21,9 +21,18 @@ const STORAGE_KEYS = {
   theme: "openllmchat:min:theme",
   sidebarOpen: "openllmchat:min:sidebarOpen",
   agentAPersona: "openllmchat:min:agentAPersona",
-  agentBPersona: "openllmchat:min:agentBPersona"
+  agentBPersona: "openllmchat:min:agentBPersona",
+  roster: "openllmchat:min:roster"
 };
 
+const MIN_ROOM_AGENTS = 2;
+const MAX_ROOM_AGENTS = 8;
+const ROOM_SEAT_LETTERS = "abcdefgh";
+const DEFAULT_ROSTER = [
+  { id: "agent-a", presetId: "atlas" },
+  { id: "agent-b", presetId: "nova" }
+];
+
 const PERSONA_PRESETS = [
   {
     id: "atlas",
@@ -99,6 +108,146 @@ function formatUpdatedAt(value) {
   });
 }
 
+function formatUsage(totals) {
+  if (!totals || !Number(totals.calls)) {
+    return "";
+  }
+
+  const tokens = `${Number(totals.totalTokens || 0).toLocaleString()} tokens`;
+  const cost = Number(totals.costUsd || 0);
+  if (cost === 0 && Number(totals.unpricedCalls) > 0) {
+    return `${tokens} · cost unknown`;
+  }
+  return `${tokens} · $${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}${Number(totals.unpricedCalls) > 0 ? "+" : ""}`;
+}
+
+// Pre-order rows so the branch tree renders as an indented list.
+function flattenBranchTree(node, rows = []) {
+  if (!node) {
+    return rows;
+  }
+  rows.push(node);
+  for (const child of node.children || []) {
+    flattenBranchTree(child, rows);
+  }
+  return rows;
+}
+
+function formatSigned(value) {
+  const number = Math.round(Number(value || 0));
+  return number > 0 ? `+${number}` : String(number);
+}
+
+const COMPARE_INSIGHT_SECTIONS = [
+  ["decisions", "Decisions"],
+  ["hypotheses", "Hypotheses"],
+  ["openQuestions", "Open questions"],
+  ["constraints", "Constraints"]
+];
+
+function CompareTurnText({ side, diff, hide }) {
+  if (!side) {
+    return <p className="text-xs italic text-muted-foreground">Not reached on this branch.</p>;
+  }
+  if (!diff) {
+    return <p className="text-sm leading-6">{side.text}</p>;
+  }
+  return (
+    <p className="text-sm leading-6">
+      {diff
+        .filter((segment) => segment.type !== hide)
+        .map((segment, index) => (
+          <span
+            key={index}
+            className={cn(
+              segment.type === "removed" && "rounded-sm bg-red-500/15 text-red-700 dark:text-red-300",
+              segment.type === "added" && "rounded-sm bg-emerald-500/15 text-emerald-700 dark:text-emerald-300"
+            )}
+          >
+            {segment.text}{" "}
+          </span>
+        ))}
+    </p>
+  );
+}
+
+function BranchComparison({ comparison, onClose }) {
+  const branchLabel = (branch) => branch.title || branch.topic || "Branch";
+  const divergent = COMPARE_INSIGHT_SECTIONS.filter(
+    ([key]) => comparison.insights[key].leftOnly.length || comparison.insights[key].rightOnly.length
+  );
+
+  return (
+    <section
+      aria-label="Branch comparison"
+      className="mb-6 space-y-4 rounded-2xl border border-border/70 bg-background/80 p-4 backdrop-blur-xs"
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-sm font-medium">
+            Comparing from turn {comparison.forkFromTurn}
+            {comparison.related ? "" : " (unrelated conversations)"}
+          </p>
+          <p className="text-xs text-muted-foreground">
+            Score {formatSigned(comparison.scoreDelta.overall * 100)} · decisions{" "}
+            {formatSigned(comparison.scoreDelta.decisions)} · open questions{" "}
+            {formatSigned(comparison.scoreDelta.openQuestions)} for the right branch
+          </p>
+        </div>
+        <Button variant="ghost" size="icon" aria-label="Close comparison" onClick={onClose}>
+          <X className="size-4" />
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-xs font-medium text-muted-foreground">
+        <p className="truncate">
+          {branchLabel(comparison.left)} · {comparison.left.totalTurns} turns
+        </p>
+        <p className="truncate">
+          {branchLabel(comparison.right)} · {comparison.right.totalTurns} turns
+        </p>
+      </div>
+
+      {divergent.map(([key, label]) => (
+        <div key={key} className="grid grid-cols-2 gap-3">
+          {["leftOnly", "rightOnly"].map((side) => (
+            <div key={side}>
+              <p className="text-[11px] font-medium text-muted-foreground">{label} only here</p>
+              <ul className="mt-1 list-disc space-y-1 pl-4 text-sm">
+                {comparison.insights[key][side].map((line) => (
+                  <li key={line}>{line}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <ul className="space-y-3">
+        {comparison.turns.map((row) => (
+          <li key={row.turn} className="grid grid-cols-2 gap-3 border-t border-border/60 pt-3">
+            {[
+              [row.left, "added"],
+              [row.right, "removed"]
+            ].map(([side, hide], index) => (
+              <div key={index} className={cn("space-y-1", row.identical && "opacity-60")}>
+                <p className="text-[11px] text-muted-foreground">
+                  Turn {row.turn}
+                  {side ? ` · ${formatSpeakerLabel(side.speaker)}` : ""}
+                </p>
+                <CompareTurnText side={side} diff={row.diff} hide={hide} />
+              </div>
+            ))}
+          </li>
+        ))}
+      </ul>
+      {comparison.truncated ? (
+        <p className="text-xs text-muted-foreground">Later turns are not shown.</p>
+      ) : null}
+    </section>
+  );
+}
+
 function formatSpeakerLabel(value) {
   return String(value || "Agent")
     .replace(/^agent\s+/i, "")
@@ -136,7 +285,34 @@ function matchPersonaPreset(agent) {
   return match?.id || "";
 }
 
-function belongsToAgent(entry, agentId, agentName) {
+function seatLabel(agentId) {
+  const suffix = String(agentId || "").replace(/^agent-/, "");
+  return suffix.length === 1 ? suffix.toUpperCase() : suffix;
+}
+
+function nextSeatId(roster) {
+  const taken = new Set(roster.map((seat) => seat.id));
+  const letter = [...ROOM_SEAT_LETTERS].find((item) => !taken.has(`agent-${item}`));
+  return letter ? `agent-${letter}` : "";
+}
+
+function sanitizeRoster(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+
+  const seen = new Set();
+  const roster = value
+    .filter((seat) => seat && /^agent-[a-z0-9-]{1,24}$/.test(String(seat.id || "")) && !seen.has(seat.id))
+    .map((seat) => {
+      seen.add(seat.id);
+      return { id: seat.id, presetId: getPersonaPreset(seat.presetId, "atlas").id };
+    })
+    .slice(0, MAX_ROOM_AGENTS);
+  return roster.length >= MIN_ROOM_AGENTS ? roster : null;
+}
+
+function belongsToAgent(entry, agentId, agentName, seatIndex = 0, seatCount = 2) {
   const speakerId = String(entry?.speakerId || "").trim().toLowerCase();
   if (speakerId) {
     return speakerId === String(agentId || "").toLowerCase();
@@ -151,7 +327,19 @@ function belongsToAgent(entry, agentId, agentName) {
   if (!Number.isFinite(turn) || turn <= 0) {
     return false;
   }
-  return agentId === "agent-a" ? turn % 2 === 1 : turn % 2 === 0;
+  return (turn - 1) % Math.max(1, seatCount) === seatIndex;
+}
+
+// Human messages and merge notes from folded-in forks sit outside the agent rotation.
+function isRoomNoteEntry(entry) {
+  return ["human", "merge"].includes(String(entry?.speakerId || "").trim().toLowerCase());
+}
+
+function seatIndexForEntry(entry, seats) {
+  if (isRoomNoteEntry(entry)) {
+    return -1;
+  }
+  return seats.findIndex((seat, index) => belongsToAgent(entry, seat.id, seat.preset.name, index, seats.length));
 }
 
 function upsertMessageByTurn(messages, entry) {
@@ -174,28 +362,105 @@ function upsertMessageByTurn(messages, entry) {
   return next;
 }
 
+const SEARCH_SOURCE_LABELS = {
+  conversation: "Title or topic",
+  brief: "Brief",
+  semantic: "Memory"
+};
+
+function describeSearchHit(hit) {
+  if (hit.source === "turn") {
+    return `Turn ${hit.turn}${hit.speaker ? ` · ${formatSpeakerLabel(hit.speaker)}` : ""}`;
+  }
+  const label = SEARCH_SOURCE_LABELS[hit.source] || "Match";
+  if (hit.source === "semantic") {
+    return `${label} · ${String(hit.itemType || "").replace(/_/g, " ")} · turn ${hit.turn}`;
+  }
+  return label;
+}
+
+// Renders a search snippet with its [start, end) highlight ranges wrapped in <mark>.
+function HighlightedSnippet({ text, highlights }) {
+  const parts = [];
+  let cursor = 0;
+  for (const [start, end] of highlights || []) {
+    if (start > cursor) {
+      parts.push(<span key={`text-${cursor}`}>{text.slice(cursor, start)}</span>);
+    }
+    parts.push(
+      <mark key={`mark-${start}`} className="rounded-sm bg-primary/20 px-0.5 text-foreground">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  }
+  if (cursor < text.length) {
+    parts.push(<span key={`text-${cursor}`}>{text.slice(cursor)}</span>);
+  }
+  return parts;
+}
+
+// Parses an NDJSON response body line by line and hands each chunk to onChunk.
+async function readNdjsonStream(response, onChunk) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+    let newlineIndex = buffer.indexOf("\n");
+    while (newlineIndex !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+      if (line) {
+        onChunk(JSON.parse(line));
+      }
+      newlineIndex = buffer.indexOf("\n");
+    }
+  }
+
+  const tail = buffer.trim();
+  if (tail) {
+    onChunk(JSON.parse(tail));
+  }
+}
+
 export default function HomePage() {
   const [theme, setTheme] = useState("light");
   const [historyOpen, setHistoryOpen] = useState(true);
-  const [agentAPersona, setAgentAPersona] = useState("atlas");
-  const [agentBPersona, setAgentBPersona] = useState("nova");
+  const [roster, setRoster] = useState(DEFAULT_ROSTER);
 
   const [topic, setTopic] = useState("");
   const [turnsInput, setTurnsInput] = useState("10");
   const [status, setStatus] = useState("Enter a topic and start.");
   const [engine, setEngine] = useState("waiting");
   const [totalTurns, setTotalTurns] = useState(0);
+  const [usageTotals, setUsageTotals] = useState(null);
+  const [branchTree, setBranchTree] = useState(null);
+  const [comparison, setComparison] = useState(null);
 
   const [isRunning, setIsRunning] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [runRequestedTurns, setRunRequestedTurns] = useState(0);
   const [runGeneratedTurns, setRunGeneratedTurns] = useState(0);
   const [historyLoading, setHistoryLoading] = useState(false);
   const [historyClearing, setHistoryClearing] = useState(false);
 
   const [messages, setMessages] = useState([]);
+  const [humanDraft, setHumanDraft] = useState("");
+  const [humanSending, setHumanSending] = useState(false);
   const [conversations, setConversations] = useState([]);
   const [activeConversationId, setActiveConversationId] = useState("");
   const [activeTopic, setActiveTopic] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchHits, setSearchHits] = useState([]);
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [focusTarget, setFocusTarget] = useState(null);
 
   const scrollRef = useRef(null);
   const abortRef = useRef(null);
@@ -204,8 +469,10 @@ export default function HomePage() {
   const [autoScrollEnabled, setAutoScrollEnabled] = useState(true);
   const [showJumpToBottom, setShowJumpToBottom] = useState(false);
 
-  const agentAPreset = useMemo(() => getPersonaPreset(agentAPersona, "atlas"), [agentAPersona]);
-  const agentBPreset = useMemo(() => getPersonaPreset(agentBPersona, "nova"), [agentBPersona]);
+  const seats = useMemo(
+    () => roster.map((seat) => ({ ...seat, preset: getPersonaPreset(seat.presetId, "atlas") })),
+    [roster]
+  );
 
   const scheduleScrollToBottom = useCallback(() => {
     if (!autoScrollEnabled) {
@@ -258,40 +525,160 @@ export default function HomePage() {
     }
   }, [fetchJson]);
 
+  const loadBranchTree = useCallback(
+    async (conversationId) => {
+      try {
+        const result = await fetchJson(`/api/conversation/${encodeURIComponent(conversationId)}/tree`);
+        setBranchTree(result?.tree || null);
+      } catch {
+        setBranchTree(null);
+      }
+    },
+    [fetchJson]
+  );
+
+  // Follows a run that is still generating on the server (for example after a reload) and fills in
+  // the turns it produced since the transcript was loaded.
+  const attachToRun = useCallback(
+    async (conversationId) => {
+      if (abortRef.current) {
+        return;
+      }
+      const controller = new AbortController();
+      abortRef.current = controller;
+      let running = false;
+      try {
+        const response = await fetch(`/api/conversation/${encodeURIComponent(conversationId)}/stream`, {
+          signal: controller.signal
+        });
+        if (!response.ok || !response.body) {
+          return;
+        }
+
+        let stopReason = "max_turns";
+        await readNdjsonStream(response, (chunk) => {
+          if (chunk?.type === "attach") {
+            running = Boolean(chunk.running);
+            if (running) {
+              setIsRunning(true);
+              setIsPaused(Boolean(chunk.paused));
+              setStatus(chunk.paused ? "Reattached to a paused conversation." : "Reattached to the running conversation...");
+            }
+            return;
+          }
+          if (!running || !chunk) {
+            return;
+          }
+          if (chunk.type === "paused" || chunk.type === "resumed") {
+            setIsPaused(chunk.type === "paused");
+          } else if (chunk.type === "turn_start" || chunk.type === "turn_delta") {
+            setMessages((previous) =>
+              upsertMessageByTurn(previous, {
+                turn: Number(chunk.turn),
+                speaker: String(chunk.speaker || "Agent"),
+                speakerId: String(chunk.speakerId || ""),
+                text: String(chunk.text || "")
+              })
+            );
+            scheduleScrollToBottom();
+          } else if (chunk.type === "turn_reset") {
+            setMessages((previous) => previous.filter((item) => Number(item?.turn) !== Number(chunk.turn)));
+          } else if (chunk.type === "turn" && chunk.entry) {
+            setMessages((previous) => upsertMessageByTurn(previous, chunk.entry));
+            setTotalTurns((current) => Math.max(current, Number(chunk.totalTurns || 0)));
+            scheduleScrollToBottom();
+          } else if (chunk.type === "done") {
+            setTotalTurns(Number(chunk.totalTurns || 0));
+            setUsageTotals(chunk.usage?.totals || null);
+            stopReason = String(chunk.stopReason || stopReason);
+          }
+        });
+
+        if (running) {
+          setStatus(stopReason !== "max_turns" ? `Run finished. Stop reason: ${stopReason}.` : "Run finished.");
+          await loadHistory();
+          await loadBranchTree(conversationId);
+        }
+      } catch (error) {
+        if (running) {
+          setStatus(error?.name === "AbortError" ? "Detached from the running conversation." : "Lost the live view.");
+        }
+      } finally {
+        if (abortRef.current === controller) {
+          abortRef.current = null;
+        }
+        if (running) {
+          setIsRunning(false);
+          setIsPaused(false);
+        }
+      }
+    },
+    [loadBranchTree, loadHistory, scheduleScrollToBottom]
+  );
+
   const loadConversation = useCallback(
     async (conversationId) => {
+      abortRef.current?.abort();
+      abortRef.current = null;
       const result = await fetchJson(`/api/conversation/${encodeURIComponent(conversationId)}`);
       const transcript = Array.isArray(result.transcript) ? result.transcript : [];
       const loadedAgents = Array.isArray(result.agents) ? result.agents : [];
-      const agentA = loadedAgents.find((item) => item?.agentId === "agent-a" || item?.id === "agent-a");
-      const agentB = loadedAgents.find((item) => item?.agentId === "agent-b" || item?.id === "agent-b");
-      const matchedA = matchPersonaPreset(agentA);
-      const matchedB = matchPersonaPreset(agentB);
-      if (matchedA) {
-        setAgentAPersona(matchedA);
-      }
-      if (matchedB) {
-        setAgentBPersona(matchedB);
+      const loadedRoster = sanitizeRoster(
+        loadedAgents.map((agent, index) => ({
+          id: agent?.agentId || agent?.id,
+          presetId: matchPersonaPreset(agent) || DEFAULT_ROSTER[index]?.presetId || "atlas"
+        }))
+      );
+      if (loadedRoster) {
+        setRoster(loadedRoster);
       }
       setActiveConversationId(result.conversationId || conversationId);
       setActiveTopic(result.topic || "");
+      setComparison(null);
       setMessages(transcript);
       setTotalTurns(Number(result.totalTurns || transcript.length || 0));
       setEngine("restored");
       setStatus(`Restored ${Number(result.totalTurns || transcript.length || 0)} turns.`);
+      try {
+        const usageResult = await fetchJson(`/api/conversation/${encodeURIComponent(conversationId)}/usage`);
+        setUsageTotals(usageResult?.usage?.totals || null);
+      } catch {
+        setUsageTotals(null);
+      }
+      await loadBranchTree(conversationId);
+      attachToRun(result.conversationId || conversationId);
     },
-    [fetchJson]
+    [attachToRun, fetchJson, loadBranchTree]
   );
 
   const clearThreadState = useCallback(() => {
+    abortRef.current?.abort();
+    abortRef.current = null;
     setActiveConversationId("");
     setActiveTopic("");
     setMessages([]);
     setTotalTurns(0);
+    setUsageTotals(null);
+    setBranchTree(null);
+    setComparison(null);
+    setFocusTarget(null);
     setEngine("waiting");
     localStorage.removeItem(STORAGE_KEYS.conversationId);
   }, []);
 
+  // Loads the hit's conversation and scrolls to the matching turn; title and brief hits open the thread.
+  const openSearchHit = useCallback(
+    async (hit) => {
+      const turn = Number(hit?.turn || 0);
+      if (turn > 0) {
+        setAutoScrollEnabled(false);
+      }
+      await loadConversation(hit.conversationId);
+      setFocusTarget(turn > 0 ? { conversationId: hit.conversationId, turn, requestedAt: Date.now() } : null);
+    },
+    [loadConversation]
+  );
+
   useEffect(() => {
     const savedTheme = localStorage.getItem(STORAGE_KEYS.theme) || "light";
     applyTheme(savedTheme);
@@ -299,13 +686,24 @@ export default function HomePage() {
     if (savedSidebarOpen !== null) {
       setHistoryOpen(savedSidebarOpen === "1");
     }
-    const savedAgentA = localStorage.getItem(STORAGE_KEYS.agentAPersona);
-    const savedAgentB = localStorage.getItem(STORAGE_KEYS.agentBPersona);
-    if (savedAgentA) {
-      setAgentAPersona(savedAgentA);
+    let savedRoster = null;
+    try {
+      savedRoster = sanitizeRoster(JSON.parse(localStorage.getItem(STORAGE_KEYS.roster) || "null"));
+    } catch {
+      savedRoster = null;
+    }
+    if (!savedRoster) {
+      const savedAgentA = localStorage.getItem(STORAGE_KEYS.agentAPersona);
+      const savedAgentB = localStorage.getItem(STORAGE_KEYS.agentBPersona);
+      if (savedAgentA || savedAgentB) {
+        savedRoster = sanitizeRoster([
+          { id: "agent-a", presetId: savedAgentA || "atlas" },
+          { id: "agent-b", presetId: savedAgentB || "nova" }
+        ]);
+      }
     }
-    if (savedAgentB) {
-      setAgentBPersona(savedAgentB);
+    if (savedRoster) {
+      setRoster(savedRoster);
     }
 
     const savedTopic = localStorage.getItem(STORAGE_KEYS.topic) || "";
@@ -341,6 +739,50 @@ export default function HomePage() {
     localStorage.setItem(STORAGE_KEYS.sidebarOpen, historyOpen ? "1" : "0");
   }, [historyOpen]);
 
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 2) {
+      setSearchHits([]);
+      setSearchLoading(false);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setSearchLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const result = await fetchJson(`/api/search?q=${encodeURIComponent(query)}&limit=20`);
+        if (!cancelled) {
+          setSearchHits(Array.isArray(result?.hits) ? result.hits : []);
+        }
+      } catch {
+        if (!cancelled) {
+          setSearchHits([]);
+        }
+      } finally {
+        if (!cancelled) {
+          setSearchLoading(false);
+        }
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fetchJson, searchQuery]);
+
+  useEffect(() => {
+    if (!focusTarget) {
+      return undefined;
+    }
+    const frame = requestAnimationFrame(() => {
+      scrollRef.current
+        ?.querySelector(`[data-turn="${focusTarget.turn}"]`)
+        ?.scrollIntoView({ block: "center", behavior: "smooth" });
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [focusTarget]);
+
   useEffect(() => {
     const el = scrollRef.current;
     if (!el) {
@@ -360,19 +802,78 @@ export default function HomePage() {
   }, [messages.length]);
 
   useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.agentAPersona, agentAPersona);
-  }, [agentAPersona]);
+    localStorage.setItem(STORAGE_KEYS.roster, JSON.stringify(roster));
+  }, [roster]);
 
-  useEffect(() => {
-    localStorage.setItem(STORAGE_KEYS.agentBPersona, agentBPersona);
-  }, [agentBPersona]);
+  const setSeatPreset = useCallback((seatId, presetId) => {
+    setRoster((current) => current.map((seat) => (seat.id === seatId ? { ...seat, presetId } : seat)));
+  }, []);
 
-  const stopConversation = useCallback(() => {
-    if (abortRef.current) {
-      abortRef.current.abort();
-    }
+  const addSeat = useCallback(() => {
+    setRoster((current) => {
+      const id = nextSeatId(current);
+      if (!id || current.length >= MAX_ROOM_AGENTS) {
+        return current;
+      }
+      const preset = PERSONA_PRESETS[current.length % PERSONA_PRESETS.length];
+      return [...current, { id, presetId: preset.id }];
+    });
   }, []);
 
+  const removeSeat = useCallback(
+    async (seatId) => {
+      if (roster.length <= MIN_ROOM_AGENTS) {
+        return;
+      }
+      setRoster((current) => current.filter((seat) => seat.id !== seatId));
+      if (!activeConversationId) {
+        return;
+      }
+      try {
+        await fetchJson(
+          `/api/conversation/${encodeURIComponent(activeConversationId)}/agents/${encodeURIComponent(seatId)}`,
+          { method: "DELETE" }
+        );
+      } catch (error) {
+        // The seat may only exist locally until the next run; anything else is worth surfacing.
+        if (!/not found/i.test(String(error?.message || ""))) {
+          setStatus(error?.message || "Could not remove agent.");
+        }
+      }
+    },
+    [activeConversationId, fetchJson, roster.length]
+  );
+
+  // Runs keep going server-side when the page lets go of the stream, so stopping goes through the API.
+  const stopConversation = useCallback(async () => {
+    if (!activeConversationId) {
+      abortRef.current?.abort();
+      return;
+    }
+    try {
+      await fetchJson(`/api/conversation/${encodeURIComponent(activeConversationId)}/cancel`, { method: "POST" });
+      setStatus("Stopping after the current turn...");
+    } catch (error) {
+      setStatus(error?.message || "Could not stop the run.");
+    }
+  }, [activeConversationId, fetchJson]);
+
+  const togglePause = useCallback(async () => {
+    if (!activeConversationId) {
+      return;
+    }
+    const action = isPaused ? "resume" : "pause";
+    try {
+      const result = await fetchJson(`/api/conversation/${encodeURIComponent(activeConversationId)}/${action}`, {
+        method: "POST"
+      });
+      setIsPaused(Boolean(result?.paused));
+      setStatus(result?.paused ? "Pausing after the current turn..." : "Resumed.");
+    } catch (error) {
+      setStatus(error?.message || `Could not ${action} the run.`);
+    }
+  }, [activeConversationId, fetchJson, isPaused]);
+
   const runConversation = useCallback(async () => {
     const cleanTopic = topic.trim();
     if (!cleanTopic) {
@@ -401,34 +902,26 @@ export default function HomePage() {
     setIsRunning(true);
     setStatus(conversationId ? `Continuing for ${turns} turns...` : `Running ${turns} turns...`);
 
+    const controller = new AbortController();
+    abortRef.current?.abort();
+    abortRef.current = controller;
     try {
-      abortRef.current = new AbortController();
       const response = await fetch("/api/conversation/stream", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        signal: abortRef.current.signal,
+        signal: controller.signal,
         body: JSON.stringify({
           topic: cleanTopic,
           turns,
           conversationId: conversationId || undefined,
-          agents: [
-            {
-              id: "agent-a",
-              name: agentAPreset.name,
-              persona: agentAPreset.persona,
-              style: agentAPreset.style,
-              temperature: agentAPreset.temperature,
-              tools: agentAPreset.tools
-            },
-            {
-              id: "agent-b",
-              name: agentBPreset.name,
-              persona: agentBPreset.persona,
-              style: agentBPreset.style,
-              temperature: agentBPreset.temperature,
-              tools: agentBPreset.tools
-            }
-          ]
+          agents: seats.map((seat) => ({
+            id: seat.id,
+            name: seat.preset.name,
+            persona: seat.preset.persona,
+            style: seat.preset.style,
+            temperature: seat.preset.temperature,
+            tools: seat.preset.tools
+          }))
         })
       });
 
@@ -441,12 +934,10 @@ export default function HomePage() {
         throw new Error("Streaming is not supported in this browser.");
       }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = "";
       let generatedTurns = 0;
       let finalTotalTurns = totalTurns;
       let stopReason = "max_turns";
+      let runConversationId = conversationId;
       const completedTurns = new Set();
 
       const handleChunk = (chunk) => {
@@ -457,6 +948,7 @@ export default function HomePage() {
         if (chunk.type === "meta") {
           const nextId = String(chunk.conversationId || "");
           if (nextId) {
+            runConversationId = nextId;
             setActiveConversationId(nextId);
           }
           const nextTopic = String(chunk.topic || cleanTopic);
@@ -465,6 +957,19 @@ export default function HomePage() {
           return;
         }
 
+        if (chunk.type === "paused" || chunk.type === "resumed") {
+          setIsPaused(chunk.type === "paused");
+          setStatus(chunk.type === "paused" ? "Paused between turns." : "Resumed.");
+          return;
+        }
+
+        if (chunk.type === "budget_warning") {
+          const spent = chunk.metric === "costUsd" ? `$${Number(chunk.spent || 0).toFixed(4)}` : `${chunk.spent} tokens`;
+          const limit = chunk.metric === "costUsd" ? `$${Number(chunk.limit || 0).toFixed(4)}` : `${chunk.limit} tokens`;
+          setStatus(`Budget warning: ${chunk.scope === "run" ? "this run" : "conversation"} used ${spent} of ${limit}.`);
+          return;
+        }
+
         if (chunk.type === "turn_start") {
           const provisional = {
             turn: Number(chunk.turn),
@@ -495,9 +1000,17 @@ export default function HomePage() {
           return;
         }
 
+        if (chunk.type === "turn_reset") {
+          const resetTurn = Number(chunk.turn);
+          if (!completedTurns.has(resetTurn)) {
+            setMessages((previous) => previous.filter((item) => Number(item?.turn) !== resetTurn));
+          }
+          return;
+        }
+
         if (chunk.type === "turn" && chunk.entry) {
           const completedTurn = Number(chunk.entry.turn);
-          if (!completedTurns.has(completedTurn)) {
+          if (!completedTurns.has(completedTurn) && !chunk.human) {
             completedTurns.add(completedTurn);
             generatedTurns += 1;
             setRunGeneratedTurns(generatedTurns);
@@ -513,56 +1026,42 @@ export default function HomePage() {
         if (chunk.type === "done") {
           finalTotalTurns = Number(chunk.totalTurns || finalTotalTurns);
           setTotalTurns(finalTotalTurns);
+          setUsageTotals(chunk.usage?.totals || null);
           stopReason = String(chunk.stopReason || stopReason);
         }
       };
 
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) {
-          break;
-        }
-
-        buffer += decoder.decode(value, { stream: true });
-        let newlineIndex = buffer.indexOf("\n");
-        while (newlineIndex !== -1) {
-          const line = buffer.slice(0, newlineIndex).trim();
-          buffer = buffer.slice(newlineIndex + 1);
-          if (line) {
-            handleChunk(JSON.parse(line));
-          }
-          newlineIndex = buffer.indexOf("\n");
-        }
-      }
-
-      const tail = buffer.trim();
-      if (tail) {
-        handleChunk(JSON.parse(tail));
-      }
+      await readNdjsonStream(response, handleChunk);
 
       const stopMessage = stopReason !== "max_turns" ? ` Stop reason: ${stopReason}.` : "";
       setStatus(`Added ${generatedTurns} turns. Total: ${finalTotalTurns}.${stopMessage}`);
       await loadHistory();
+      if (runConversationId) {
+        await loadBranchTree(runConversationId);
+      }
     } catch (error) {
       if (error?.name === "AbortError") {
-        setStatus("Stopped.");
+        setStatus("Stopped following the run.");
       } else {
         setStatus(error?.message || "Could not generate conversation.");
       }
     } finally {
       setIsRunning(false);
+      setIsPaused(false);
       setRunRequestedTurns(0);
       setRunGeneratedTurns(0);
-      abortRef.current = null;
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
     }
   }, [
     activeConversationId,
     activeTopic,
-    agentAPreset,
-    agentBPreset,
     clearThreadState,
+    loadBranchTree,
     loadHistory,
     scheduleScrollToBottom,
+    seats,
     topic,
     totalTurns,
     turnsInput
@@ -598,6 +1097,58 @@ export default function HomePage() {
     }
   }, [clearThreadState, conversations.length, fetchJson]);
 
+  const sendHumanMessage = useCallback(async () => {
+    const text = humanDraft.trim();
+    if (!text || !activeConversationId || humanSending) {
+      return;
+    }
+
+    setHumanSending(true);
+    try {
+      const result = await fetchJson(`/api/conversation/${encodeURIComponent(activeConversationId)}/message`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text })
+      });
+      setHumanDraft("");
+      if (result?.queued) {
+        setStatus("Message queued. Agents will respond after the current turn.");
+        return;
+      }
+      if (result?.entry) {
+        setMessages((previous) => upsertMessageByTurn(previous, result.entry));
+        setTotalTurns(Number(result.totalTurns || 0));
+        scheduleScrollToBottom();
+        setStatus("Message added. Start to let the agents respond.");
+      }
+    } catch (error) {
+      setStatus(error?.message || "Could not send message.");
+    } finally {
+      setHumanSending(false);
+    }
+  }, [activeConversationId, fetchJson, humanDraft, humanSending, scheduleScrollToBottom]);
+
+  const onCompareBranch = useCallback(
+    async (conversationId) => {
+      if (!activeConversationId) {
+        return;
+      }
+      try {
+        const params = new URLSearchParams({ left: activeConversationId, right: conversationId });
+        setComparison(await fetchJson(`/api/compare?${params}`));
+        setAutoScrollEnabled(false);
+        scrollRef.current?.scrollTo({ top: 0 });
+      } catch (error) {
+        setStatus(error?.message || "Could not compare branches.");
+      }
+    },
+    [activeConversationId, fetchJson]
+  );
+
+  const branchRows = useMemo(() => flattenBranchTree(branchTree), [branchTree]);
+  const focusedTurn = focusTarget?.conversationId === activeConversationId ? focusTarget.turn : 0;
+  const isSearching = searchQuery.trim().length >= 2;
+
   const historyStatus = useMemo(() => {
     if (historyLoading) {
       return "Loading conversations...";
@@ -655,6 +1206,18 @@ export default function HomePage() {
                     <Trash2 className={cn("size-4", historyClearing && "animate-pulse")} />
                   </Button>
                 </div>
+                <div className="relative">
+                  <Search className="pointer-events-none absolute top-1/2 left-2.5 size-4 -translate-y-1/2 text-muted-foreground" />
+                  <Input
+                    type="search"
+                    value={searchQuery}
+                    onChange={(event) => setSearchQuery(event.target.value)}
+                    placeholder="Search all conversations"
+                    maxLength={200}
+                    aria-label="Search all conversations"
+                    className="h-8 bg-background/80 pl-8 text-sm shadow-xs"
+                  />
+                </div>
               </>
             ) : (
               <div className="flex flex-col items-center gap-2">
@@ -676,7 +1239,31 @@ export default function HomePage() {
 
           {historyOpen ? (
             <div className="thread-scroll flex-1 overflow-y-auto p-2">
-              {conversations.length === 0 ? (
+              {isSearching ? (
+                searchHits.length === 0 ? (
+                  <p className="rounded-lg px-3 py-2 text-sm text-muted-foreground">
+                    {searchLoading ? "Searching..." : "No matches."}
+                  </p>
+                ) : (
+                  <ul className="space-y-1" aria-label="Search results">
+                    {searchHits.map((hit, index) => (
+                      <li key={`${hit.conversationId}-${hit.source}-${hit.turn ?? "thread"}-${index}`}>
+                        <button
+                          type="button"
+                          onClick={() => openSearchHit(hit).catch((error) => setStatus(error.message))}
+                          className="w-full rounded-xl px-3 py-2.5 text-left transition-all duration-200 hover:bg-muted/55"
+                        >
+                          <p className="truncate text-sm font-medium">{hit.title || hit.topic}</p>
+                          <p className="mt-0.5 text-[11px] text-muted-foreground">{describeSearchHit(hit)}</p>
+                          <p className="mt-1 line-clamp-3 text-xs leading-5 text-foreground/85">
+                            <HighlightedSnippet text={hit.snippet} highlights={hit.highlights} />
+                          </p>
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )
+              ) : conversations.length === 0 ? (
                 <p className="rounded-lg px-3 py-2 text-sm text-muted-foreground">No conversations yet.</p>
               ) : (
                 <ul className="space-y-1">
@@ -704,6 +1291,47 @@ export default function HomePage() {
                   })}
                 </ul>
               )}
+              {branchRows.length > 1 ? (
+                <div className="mt-3 border-t border-border/60 pt-3">
+                  <p className="px-3 pb-1 text-xs font-medium text-muted-foreground">Branches</p>
+                  <ul className="space-y-0.5">
+                    {branchRows.map((node) => (
+                      <li key={node.conversationId} className="flex items-center gap-1">
+                        <button
+                          type="button"
+                          onClick={() => loadConversation(node.conversationId).catch((error) => setStatus(error.message))}
+                          style={{ paddingLeft: `${12 + node.depth * 14}px` }}
+                          className={cn(
+                            "min-w-0 flex-1 rounded-lg py-1.5 pr-3 text-left transition-colors duration-200",
+                            node.conversationId === activeConversationId
+                              ? "bg-primary/14 text-foreground ring-1 ring-primary/30"
+                              : "hover:bg-muted/55"
+                          )}
+                        >
+                          <p className="truncate text-xs font-medium">{node.title || node.topic}</p>
+                          <p className="text-[11px] text-muted-foreground">
+                            {node.forkFromTurn !== null ? `from turn ${node.forkFromTurn} · ` : ""}
+                            {node.totalTurns} turns
+                            {node.score ? ` · score ${Math.round(Number(node.score.overall || 0) * 100)}` : ""}
+                            {node.mergedAtTurn !== null ? ` · merged at ${node.mergedAtTurn}` : ""}
+                          </p>
+                        </button>
+                        {node.conversationId !== activeConversationId ? (
+                          <Button
+                            variant="ghost"
+                            size="xs"
+                            aria-label={`Compare with ${node.title || node.topic}`}
+                            onClick={() => onCompareBranch(node.conversationId)}
+                            disabled={isRunning}
+                          >
+                            Compare
+                          </Button>
+                        ) : null}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
             </div>
           ) : (
             <div className="flex-1" />
@@ -717,12 +1345,13 @@ export default function HomePage() {
                 {activeTopic.trim() || topic.trim() || "Two-agent conversation"}
               </p>
               <p className="text-xs text-muted-foreground">
-                {agentAPreset.label} ↔ {agentBPreset.label}
+                {seats.map((seat) => seat.preset.label).join(seats.length > 2 ? " · " : " ↔ ")}
                 {isRunning
                   ? ` · Generating ${Math.min(runGeneratedTurns, runRequestedTurns)}/${Math.max(1, runRequestedTurns || parseTurns(turnsInput))} turns`
                   : totalTurns > 0
                     ? ` · Thread has ${totalTurns} turns`
                     : ""}
+                {!isRunning && formatUsage(usageTotals) ? ` · ${formatUsage(usageTotals)}` : ""}
               </p>
             </div>
             <div className="flex items-center gap-2">
@@ -760,23 +1389,107 @@ export default function HomePage() {
 
           <div ref={scrollRef} className="thread-scroll relative min-h-0 flex-1 overflow-y-auto">
             <div className="mx-auto w-full max-w-5xl px-4 py-6 md:px-8">
+              {comparison ? <BranchComparison comparison={comparison} onClose={() => setComparison(null)} /> : null}
               {messages.length === 0 ? (
                 <div className="mx-auto mt-16 max-w-2xl text-center">
                   <h1 className="bg-linear-to-r from-foreground to-foreground/70 bg-clip-text text-3xl font-semibold tracking-tight text-transparent">
                     openllmchat
                   </h1>
                   <p className="mt-3 text-sm text-muted-foreground">
-                    Start a topic and let two personas discuss it.
+                    Start a topic and let {seats.length > 2 ? `${seats.length} personas` : "two personas"} discuss it.
                   </p>
                 </div>
+              ) : seats.length > 2 ? (
+                <div className="grid gap-4 sm:grid-cols-2 xl:grid-cols-3">
+                  {messages.some(isRoomNoteEntry) ? (
+                    <section
+                      aria-label="Room notes"
+                      className="col-span-full rounded-2xl border border-dashed border-border/80 bg-muted/40 p-3"
+                    >
+                      <ul className="space-y-2">
+                        {messages.filter(isRoomNoteEntry).map((entry, index) => (
+                          <li
+                            key={`note-${entry.turn}-${index}`}
+                            data-turn={entry.turn}
+                            className={cn("rounded-md text-sm leading-6", Number(entry.turn) === focusedTurn && "ring-2 ring-primary/50")}
+                          >
+                            <span className="text-xs font-medium text-muted-foreground">
+                              {formatSpeakerLabel(entry.speaker)} · Turn {Number(entry.turn || 0)}
+                            </span>{" "}
+                            {entry.text || ""}
+                          </li>
+                        ))}
+                      </ul>
+                    </section>
+                  ) : null}
+                  {seats.map((seat, seatIndex) => {
+                    const seatMessages = messages.filter(
+                      (entry) => seatIndexForEntry(entry, seats) === seatIndex
+                    );
+                    return (
+                      <section
+                        key={seat.id}
+                        aria-label={`${seat.preset.label} pane`}
+                        className="flex min-h-40 flex-col rounded-2xl border border-border/70 bg-background/70 p-3 backdrop-blur-xs"
+                      >
+                        <p className="mb-3 text-xs font-medium text-muted-foreground">
+                          {seatLabel(seat.id)} · {seat.preset.label}
+                        </p>
+                        <ul className="space-y-3">
+                          {seatMessages.map((entry, index) => (
+                            <li
+                              key={`${seat.id}-${entry.turn}-${index}`}
+                              data-turn={entry.turn}
+                              className={cn(
+                                "message-enter space-y-1 rounded-xl",
+                                Number(entry.turn) === focusedTurn && "ring-2 ring-primary/50 ring-offset-2 ring-offset-background"
+                              )}
+                            >
+                              <p className="text-[11px] text-muted-foreground">Turn {Number(entry.turn || index + 1)}</p>
+                              <div className="rounded-xl bg-background/88 px-3 py-2 text-sm leading-6 ring-1 ring-border/70">
+                                {entry.text || ""}
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      </section>
+                    );
+                  })}
+                </div>
               ) : (
                 <ul className="space-y-6">
                   {messages.map((entry, index) => {
-                    const isLeft = belongsToAgent(entry, "agent-a", agentAPreset.name);
+                    if (isRoomNoteEntry(entry)) {
+                      return (
+                        <li
+                          key={`${entry.turn}-${index}`}
+                          data-turn={entry.turn}
+                          className={cn(
+                            "message-enter flex w-full justify-center rounded-2xl",
+                            Number(entry.turn) === focusedTurn && "ring-2 ring-primary/50 ring-offset-2 ring-offset-background"
+                          )}
+                        >
+                          <div className="max-w-[70%] space-y-1 text-center">
+                            <p className="text-xs font-medium text-muted-foreground">
+                              {formatSpeakerLabel(entry.speaker)} · Turn {Number(entry.turn || index + 1)}
+                            </p>
+                            <div className="rounded-2xl border border-dashed border-border/80 bg-muted/40 px-4 py-2 text-[15px] leading-7">
+                              {entry.text || ""}
+                            </div>
+                          </div>
+                        </li>
+                      );
+                    }
+                    const isLeft = belongsToAgent(entry, seats[0].id, seats[0].preset.name, 0, seats.length);
                     return (
                       <li
                         key={`${entry.turn}-${index}`}
-                        className={cn("message-enter flex w-full", isLeft ? "justify-start" : "justify-end")}
+                        data-turn={entry.turn}
+                        className={cn(
+                          "message-enter flex w-full rounded-2xl",
+                          isLeft ? "justify-start" : "justify-end",
+                          Number(entry.turn) === focusedTurn && "ring-2 ring-primary/50 ring-offset-4 ring-offset-background"
+                        )}
                       >
                         <div className={cn("max-w-[82%] space-y-1", isLeft ? "items-start" : "items-end")}>
                           <p className={cn("text-xs font-medium", isLeft ? "text-muted-foreground" : "text-primary/90")}>
@@ -819,6 +1532,28 @@ export default function HomePage() {
             ) : null}
           </div>
 
+          {activeConversationId ? (
+            <form
+              className="mx-auto flex w-full max-w-5xl items-center gap-2 px-3 pb-2 md:px-6"
+              onSubmit={(event) => {
+                event.preventDefault();
+                sendHumanMessage();
+              }}
+            >
+              <Input
+                value={humanDraft}
+                onChange={(event) => setHumanDraft(event.target.value)}
+                placeholder={isRunning ? "Steer the discussion (joins after the current turn)" : "Add your own turn"}
+                maxLength={1200}
+                aria-label="Your message to the room"
+                className="h-9 bg-background/80 shadow-xs"
+              />
+              <Button type="submit" variant="secondary" disabled={humanSending || !humanDraft.trim()}>
+                Send
+              </Button>
+            </form>
+          ) : null}
+
           <footer className="border-t border-border/60 bg-background/70 px-3 py-3 backdrop-blur-xl md:px-6">
             <form
               className="mx-auto w-full max-w-5xl rounded-2xl border border-border/70 bg-background/88 p-3 shadow-[0_18px_52px_-30px_rgb(15_23_42/0.4)] backdrop-blur-sm dark:shadow-[0_20px_56px_-30px_rgb(0_0_0/0.58)]"
@@ -848,36 +1583,57 @@ export default function HomePage() {
                   aria-label="Turns"
                   className="h-9 w-20 bg-background/80 shadow-xs"
                 />
-                <Select value={agentAPersona} onValueChange={setAgentAPersona}>
-                  <SelectTrigger aria-label="Agent A persona" className="h-9 min-w-[156px] bg-background/80 shadow-xs">
-                    <SelectValue placeholder="A persona" />
-                  </SelectTrigger>
-                  <SelectContent align="start">
-                    {PERSONA_PRESETS.map((preset) => (
-                      <SelectItem key={`agent-a-${preset.id}`} value={preset.id}>
-                        A: {preset.label}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-                <Select value={agentBPersona} onValueChange={setAgentBPersona}>
-                  <SelectTrigger aria-label="Agent B persona" className="h-9 min-w-[156px] bg-background/80 shadow-xs">
-                    <SelectValue placeholder="B persona" />
-                  </SelectTrigger>
-                  <SelectContent align="start">
-                    {PERSONA_PRESETS.map((preset) => (
-                      <SelectItem key={`agent-b-${preset.id}`} value={preset.id}>
-                        B: {preset.label}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
+                {seats.map((seat) => (
+                  <div key={seat.id} className="flex items-center gap-1">
+                    <Select
+                      value={seat.presetId}
+                      onValueChange={(value) => setSeatPreset(seat.id, value)}
+                      disabled={isRunning}
+                    >
+                      <SelectTrigger
+                        aria-label={`Agent ${seatLabel(seat.id)} persona`}
+                        className="h-9 min-w-[156px] bg-background/80 shadow-xs"
+                      >
+                        <SelectValue placeholder={`${seatLabel(seat.id)} persona`} />
+                      </SelectTrigger>
+                      <SelectContent align="start">
+                        {PERSONA_PRESETS.map((preset) => (
+                          <SelectItem key={`${seat.id}-${preset.id}`} value={preset.id}>
+                            {seatLabel(seat.id)}: {preset.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {seats.length > MIN_ROOM_AGENTS ? (
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        aria-label={`Remove agent ${seatLabel(seat.id)}`}
+                        disabled={isRunning}
+                        onClick={() => removeSeat(seat.id)}
+                      >
+                        <X className="size-4" />
+                      </Button>
+                    ) : null}
+                  </div>
+                ))}
+                {seats.length < MAX_ROOM_AGENTS ? (
+                  <Button type="button" variant="ghost" size="icon" aria-label="Add agent" disabled={isRunning} onClick={addSeat}>
+                    <UserPlus className="size-4" />
+                  </Button>
+                ) : null}
                 <div className="ml-auto flex items-center gap-2">
                   <p className="hidden max-w-[420px] truncate text-xs text-muted-foreground md:block">{status}</p>
                   {isRunning ? (
-                    <Button type="button" variant="secondary" onClick={stopConversation}>
-                      Stop
-                    </Button>
+                    <>
+                      <Button type="button" variant="ghost" disabled={!activeConversationId} onClick={togglePause}>
+                        {isPaused ? "Resume" : "Pause"}
+                      </Button>
+                      <Button type="button" variant="secondary" onClick={stopConversation}>
+                        Stop
+                      </Button>
+                    </>
                   ) : (
                     <Button type="submit">Start</Button>
                   )}
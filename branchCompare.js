@@ -0,0 +1,148 @@
+// Pure helpers for comparing two conversation branches: where they split, how their turns differ
+// word by word, and which insights and score components diverge.
+
+const DIFF_MAX_WORDS = 400;
+const INSIGHT_KEYS = ["decisions", "hypotheses", "openQuestions", "constraints"];
+
+// Paths run root-first as [{ id, forkFromTurn }]. Each fork copies its parent only up to its fork
+// turn, so the shared prefix is the smallest fork turn below the common ancestor on either side.
+function findCommonForkPoint(leftPath, rightPath) {
+  let commonIndex = -1;
+  while (
+    commonIndex + 1 < Math.min(leftPath.length, rightPath.length) &&
+    leftPath[commonIndex + 1].id === rightPath[commonIndex + 1].id
+  ) {
+    commonIndex += 1;
+  }
+  if (commonIndex === -1) {
+    return { commonAncestorId: null, forkFromTurn: 0 };
+  }
+
+  const sharedTurns = (path) =>
+    path
+      .slice(commonIndex + 1)
+      .reduce((shared, node) => Math.min(shared, Number(node.forkFromTurn) || 0), Number.POSITIVE_INFINITY);
+  return {
+    commonAncestorId: leftPath[commonIndex].id,
+    forkFromTurn: Math.min(sharedTurns(leftPath), sharedTurns(rightPath))
+  };
+}
+
+function splitWords(text) {
+  return String(text || "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function pushSegment(segments, type, word) {
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += ` ${word}`;
+  } else {
+    segments.push({ type, text: word });
+  }
+}
+
+// Word-level LCS diff. Segments are "same", "removed" (left only) or "added" (right only).
+function diffWords(leftText, rightText) {
+  const left = splitWords(leftText).slice(0, DIFF_MAX_WORDS);
+  const right = splitWords(rightText).slice(0, DIFF_MAX_WORDS);
+  const lengths = Array.from({ length: left.length + 1 }, () => new Uint16Array(right.length + 1));
+  for (let i = left.length - 1; i >= 0; i -= 1) {
+    for (let j = right.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        left[i] === right[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      pushSegment(segments, "same", left[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushSegment(segments, "removed", left[i]);
+      i += 1;
+    } else {
+      pushSegment(segments, "added", right[j]);
+      j += 1;
+    }
+  }
+  for (; i < left.length; i += 1) {
+    pushSegment(segments, "removed", left[i]);
+  }
+  for (; j < right.length; j += 1) {
+    pushSegment(segments, "added", right[j]);
+  }
+  return segments;
+}
+
+function turnSide(entry) {
+  return entry ? { speaker: entry.speaker, speakerId: entry.speakerId, text: entry.text } : null;
+}
+
+// Pairs turns by number after the fork point; a turn only one branch reached has a null side.
+function alignTranscripts(leftTranscript, rightTranscript, { fromTurn = 0, limit = 200 } = {}) {
+  const leftByTurn = new Map((leftTranscript || []).map((entry) => [entry.turn, entry]));
+  const rightByTurn = new Map((rightTranscript || []).map((entry) => [entry.turn, entry]));
+  const lastTurn = Math.max(leftTranscript?.length || 0, rightTranscript?.length || 0);
+  const rows = [];
+
+  for (let turn = fromTurn + 1; turn <= lastTurn && rows.length < limit; turn += 1) {
+    const left = leftByTurn.get(turn);
+    const right = rightByTurn.get(turn);
+    const identical = Boolean(left && right && left.text === right.text && left.speakerId === right.speakerId);
+    rows.push({
+      turn,
+      left: turnSide(left),
+      right: turnSide(right),
+      identical,
+      diff: left && right && !identical ? diffWords(left.text, right.text) : null
+    });
+  }
+
+  return { turns: rows, truncated: fromTurn + rows.length < lastTurn };
+}
+
+function insightKey(line) {
+  return String(line || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function compareInsightLists(leftLines, rightLines) {
+  const leftKeys = new Set((leftLines || []).map(insightKey));
+  const rightKeys = new Set((rightLines || []).map(insightKey));
+  return {
+    shared: (leftLines || []).filter((line) => rightKeys.has(insightKey(line))),
+    leftOnly: (leftLines || []).filter((line) => !rightKeys.has(insightKey(line))),
+    rightOnly: (rightLines || []).filter((line) => !leftKeys.has(insightKey(line)))
+  };
+}
+
+function compareInsights(leftInsights, rightInsights) {
+  return Object.fromEntries(
+    INSIGHT_KEYS.map((key) => [key, compareInsightLists(leftInsights?.[key], rightInsights?.[key])])
+  );
+}
+
+// Positive deltas mean the right branch scores higher.
+function scoreDelta(leftScore, rightScore) {
+  const delta = (a, b) => Number((Number(b || 0) - Number(a || 0)).toFixed(4));
+  const componentKeys = Object.keys({ ...leftScore?.components, ...rightScore?.components });
+  return {
+    overall: delta(leftScore?.overall, rightScore?.overall),
+    components: Object.fromEntries(
+      componentKeys.map((key) => [key, delta(leftScore?.components?.[key], rightScore?.components?.[key])])
+    ),
+    decisions: delta(leftScore?.decisions, rightScore?.decisions),
+    openQuestions: delta(leftScore?.openQuestions, rightScore?.openQuestions)
+  };
+}
+
+export { alignTranscripts, compareInsights, diffWords, findCommonForkPoint, scoreDelta };
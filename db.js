@@ -25,6 +25,10 @@ db.exec(`
     objective TEXT NOT NULL DEFAULT '',
     constraints_text TEXT NOT NULL DEFAULT '',
     done_criteria TEXT NOT NULL DEFAULT '',
+    budget_run_tokens INTEGER,
+    budget_run_cost_usd REAL,
+    budget_total_tokens INTEGER,
+    budget_total_cost_usd REAL,
     updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
   );
@@ -33,8 +37,12 @@ db.exec(`
     conversation_id TEXT NOT NULL,
     agent_id TEXT NOT NULL,
     name TEXT NOT NULL,
+    persona TEXT NOT NULL DEFAULT '',
     style TEXT NOT NULL,
     temperature REAL NOT NULL,
+    tools_json TEXT NOT NULL DEFAULT '{}',
+    model_json TEXT NOT NULL DEFAULT '{}',
+    position INTEGER NOT NULL DEFAULT 0,
     updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (conversation_id, agent_id),
     FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
@@ -159,6 +167,99 @@ db.exec(`
     FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS model_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL,
+    turn INTEGER,
+    component TEXT NOT NULL,
+    agent_id TEXT NOT NULL DEFAULT '',
+    provider TEXT NOT NULL DEFAULT '',
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    reasoning_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS conversation_merges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    parent_conversation_id TEXT NOT NULL,
+    child_conversation_id TEXT NOT NULL,
+    merge_turn INTEGER NOT NULL,
+    child_turns INTEGER NOT NULL DEFAULT 0,
+    imported_count INTEGER NOT NULL DEFAULT 0,
+    conflict_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS discovery_modes (
+    id TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    hint TEXT NOT NULL,
+    default_directive TEXT NOT NULL,
+    moderator_directive TEXT NOT NULL DEFAULT '',
+    next_step TEXT NOT NULL DEFAULT '',
+    moderator_rules_json TEXT NOT NULL DEFAULT '[]',
+    evaluator_json TEXT NOT NULL DEFAULT '{}',
+    retrieval_policy TEXT NOT NULL DEFAULT 'agent_tools',
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS generation_jobs (
+    id TEXT PRIMARY KEY,
+    conversation_id TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    requested_turns INTEGER NOT NULL,
+    start_turns INTEGER NOT NULL DEFAULT 0,
+    completed_turns INTEGER NOT NULL DEFAULT 0,
+    persisted_turn INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    stop_reason TEXT,
+    error TEXT,
+    request_id TEXT,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    started_at TEXT,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TEXT,
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS memory_embeddings (
+    conversation_id TEXT NOT NULL,
+    embedder TEXT NOT NULL,
+    source_type TEXT NOT NULL,
+    source_key TEXT NOT NULL,
+    turn INTEGER NOT NULL DEFAULT 0,
+    content TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector BLOB NOT NULL,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (conversation_id, embedder, source_type, source_key),
+    FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS knowledge_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    item_type TEXT NOT NULL,
+    text TEXT NOT NULL,
+    canonical_text TEXT NOT NULL,
+    source_conversation_id TEXT,
+    source_topic TEXT NOT NULL DEFAULT '',
+    source_turn INTEGER,
+    source_speaker TEXT NOT NULL DEFAULT '',
+    source_excerpt TEXT NOT NULL DEFAULT '',
+    embedder TEXT NOT NULL DEFAULT '',
+    vector BLOB,
+    created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_conversation_id) REFERENCES conversations(id) ON DELETE SET NULL,
+    UNIQUE (item_type, canonical_text)
+  );
+
   CREATE INDEX IF NOT EXISTS idx_memory_tokens_conversation_weight
     ON memory_tokens(conversation_id, weight DESC, last_turn DESC);
 
@@ -182,6 +283,21 @@ db.exec(`
 
   CREATE INDEX IF NOT EXISTS idx_conflict_ledger_recent
     ON conflict_ledger(conversation_id, confidence DESC, last_turn DESC);
+
+  CREATE INDEX IF NOT EXISTS idx_model_usage_conversation
+    ON model_usage(conversation_id, turn);
+
+  CREATE INDEX IF NOT EXISTS idx_conversation_merges_child
+    ON conversation_merges(child_conversation_id, merge_turn DESC);
+
+  CREATE INDEX IF NOT EXISTS idx_generation_jobs_status
+    ON generation_jobs(status, created_at);
+
+  CREATE INDEX IF NOT EXISTS idx_generation_jobs_conversation
+    ON generation_jobs(conversation_id, created_at DESC);
+
+  CREATE INDEX IF NOT EXISTS idx_knowledge_items_source
+    ON knowledge_items(source_conversation_id, source_turn);
 `);
 
 function ensureColumnExists(tableName, columnName, typeSql) {
@@ -197,6 +313,24 @@ ensureColumnExists("conversations", "fork_from_turn", "INTEGER");
 ensureColumnExists("conversations", "title", "TEXT NOT NULL DEFAULT ''");
 ensureColumnExists("conversations", "starred", "INTEGER NOT NULL DEFAULT 0");
 ensureColumnExists("conversations", "mode", "TEXT NOT NULL DEFAULT 'exploration'");
+ensureColumnExists("conversations", "extraction_pending_from", "INTEGER");
+ensureColumnExists("conversation_agents", "persona", "TEXT NOT NULL DEFAULT ''");
+ensureColumnExists("conversation_agents", "tools_json", "TEXT NOT NULL DEFAULT '{}'");
+ensureColumnExists("conversation_agents", "position", "INTEGER NOT NULL DEFAULT 0");
+ensureColumnExists("conversation_agents", "model_json", "TEXT NOT NULL DEFAULT '{}'");
+ensureColumnExists("conversation_briefs", "budget_run_tokens", "INTEGER");
+ensureColumnExists("conversation_briefs", "budget_run_cost_usd", "REAL");
+ensureColumnExists("conversation_briefs", "budget_total_tokens", "INTEGER");
+ensureColumnExists("conversation_briefs", "budget_total_cost_usd", "REAL");
+ensureColumnExists("memory_tokens", "pinned", "INTEGER NOT NULL DEFAULT 0");
+ensureColumnExists("semantic_memory", "pinned", "INTEGER NOT NULL DEFAULT 0");
+ensureColumnExists("semantic_memory", "curated", "INTEGER NOT NULL DEFAULT 0");
+ensureColumnExists("semantic_memory", "speaker", "TEXT NOT NULL DEFAULT ''");
+ensureColumnExists("semantic_memory", "speaker_id", "TEXT NOT NULL DEFAULT ''");
+ensureColumnExists("semantic_memory", "source_turns", "TEXT NOT NULL DEFAULT '[]'");
+ensureColumnExists("semantic_memory", "extractor", "TEXT NOT NULL DEFAULT 'regex'");
+ensureColumnExists("conflict_ledger", "resolution_note", "TEXT NOT NULL DEFAULT ''");
+ensureColumnExists("conflict_ledger", "resolved_at", "TEXT");
 db.exec(`
   CREATE INDEX IF NOT EXISTS idx_conversations_parent
     ON conversations(parent_conversation_id, fork_from_turn);
@@ -204,6 +338,56 @@ db.exec(`
     ON conversations(starred DESC, updated_at DESC);
 `);
 
+// Full-text search indexes. Each FTS5 table reads its text from the source table (external
+// content), and the triggers keep it in step with inserts, edits and cascade deletes. An index
+// created against an existing database is filled once with 'rebuild'.
+const SEARCH_INDEXES = [
+  { name: "messages_fts", source: "messages", rowid: "id", columns: ["text"] },
+  { name: "conversations_fts", source: "conversations", rowid: "rowid", columns: ["topic", "title"] },
+  {
+    name: "conversation_briefs_fts",
+    source: "conversation_briefs",
+    rowid: "rowid",
+    columns: ["objective", "constraints_text", "done_criteria"]
+  },
+  { name: "semantic_memory_fts", source: "semantic_memory", rowid: "rowid", columns: ["canonical_text", "evidence_text"] }
+];
+
+function ensureSearchIndex({ name, source, rowid, columns }) {
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+  const columnList = columns.join(", ");
+  const newValues = columns.map((column) => `new.${column}`).join(", ");
+  const oldValues = columns.map((column) => `old.${column}`).join(", ");
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS ${name} USING fts5(
+      ${columnList},
+      content = '${source}',
+      content_rowid = '${rowid}',
+      tokenize = 'porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS ${name}_insert AFTER INSERT ON ${source} BEGIN
+      INSERT INTO ${name} (rowid, ${columnList}) VALUES (new.${rowid}, ${newValues});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${name}_delete AFTER DELETE ON ${source} BEGIN
+      INSERT INTO ${name} (${name}, rowid, ${columnList}) VALUES ('delete', old.${rowid}, ${oldValues});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${name}_update AFTER UPDATE OF ${columnList} ON ${source} BEGIN
+      INSERT INTO ${name} (${name}, rowid, ${columnList}) VALUES ('delete', old.${rowid}, ${oldValues});
+      INSERT INTO ${name} (rowid, ${columnList}) VALUES (new.${rowid}, ${newValues});
+    END;
+  `);
+  if (!exists) {
+    db.exec(`INSERT INTO ${name} (${name}) VALUES ('rebuild')`);
+  }
+}
+
+for (const index of SEARCH_INDEXES) {
+  ensureSearchIndex(index);
+}
+
 const getConversationStmt = db.prepare(`
   SELECT
     id,
@@ -258,6 +442,114 @@ const insertMessageStmt = db.prepare(`
   VALUES (@conversationId, @turn, @speaker, @speakerId, @text)
 `);
 
+const updateMessageTextStmt = db.prepare(`
+  UPDATE messages
+  SET text = @text
+  WHERE conversation_id = @conversationId
+    AND turn = @turn
+`);
+
+const deleteMessagesAfterTurnStmt = db.prepare(`
+  DELETE FROM messages
+  WHERE conversation_id = @conversationId
+    AND turn > @turn
+`);
+
+const deleteClaimCitationsForTurnStmt = db.prepare(`
+  DELETE FROM claim_citations
+  WHERE conversation_id = @conversationId
+    AND turn = @turn
+`);
+
+const deleteClaimCitationsAfterTurnStmt = db.prepare(`
+  DELETE FROM claim_citations
+  WHERE conversation_id = @conversationId
+    AND turn > @turn
+`);
+
+const deleteRetrievalSourcesAfterTurnStmt = db.prepare(`
+  DELETE FROM retrieval_sources
+  WHERE conversation_id = @conversationId
+    AND turn > @turn
+`);
+
+const deleteMergesAfterTurnStmt = db.prepare(`
+  DELETE FROM conversation_merges
+  WHERE parent_conversation_id = @conversationId
+    AND merge_turn > @turn
+`);
+
+// Memory rebuilds keep what a person curated: pinned tokens, curated semantic items and resolved
+// conflicts, unless every turn they came from was removed.
+const deleteMemoryTokensStmt = db.prepare(`
+  DELETE FROM memory_tokens
+  WHERE conversation_id = ?
+    AND pinned = 0
+`);
+
+const deleteAgentMemoryTokensStmt = db.prepare(`
+  DELETE FROM agent_memory_tokens
+  WHERE conversation_id = ?
+`);
+
+const deleteSemanticMemoryStmt = db.prepare(`
+  DELETE FROM semantic_memory
+  WHERE conversation_id = @conversationId
+    AND (curated = 0 OR first_turn > @lastTurn)
+`);
+
+// Kept curated items forget the removed turns they were also seen in.
+const trimSemanticSourceTurnsStmt = db.prepare(`
+  UPDATE semantic_memory
+  SET source_turns = (
+        SELECT CASE WHEN COUNT(*) = 0 THEN json_array(semantic_memory.first_turn) ELSE json_group_array(value) END
+        FROM json_each(semantic_memory.source_turns)
+        WHERE value <= @lastTurn
+      ),
+      last_turn = MIN(last_turn, @lastTurn)
+  WHERE conversation_id = @conversationId
+    AND last_turn > @lastTurn
+`);
+
+const deleteConflictLedgerStmt = db.prepare(`
+  DELETE FROM conflict_ledger
+  WHERE conversation_id = @conversationId
+    AND (status <> 'resolved' OR first_turn > @lastTurn)
+`);
+
+const deleteTurnEmbeddingStmt = db.prepare(`
+  DELETE FROM memory_embeddings
+  WHERE conversation_id = @conversationId
+    AND source_type = 'turn'
+    AND turn = @turn
+`);
+
+const deleteTurnEmbeddingsAfterTurnStmt = db.prepare(`
+  DELETE FROM memory_embeddings
+  WHERE conversation_id = @conversationId
+    AND source_type = 'turn'
+    AND turn > @turn
+`);
+
+const deleteSummaryEmbeddingsFromTurnStmt = db.prepare(`
+  DELETE FROM memory_embeddings
+  WHERE conversation_id = @conversationId
+    AND source_type = 'summary'
+    AND turn >= @fromTurn
+`);
+
+const deleteSummariesFromTurnStmt = db.prepare(`
+  DELETE FROM conversation_summaries
+  WHERE conversation_id = @conversationId
+    AND end_turn >= @fromTurn
+`);
+
+const deleteTierSummariesFromTurnStmt = db.prepare(`
+  DELETE FROM tier_summaries
+  WHERE conversation_id = @conversationId
+    AND end_turn >= @fromTurn
+`);
+
 const listConversationsStmt = db.prepare(`
   SELECT
     c.id,
@@ -287,6 +579,322 @@ const listConversationsStmt = db.prepare(`
   LIMIT ?
 `);
 
+const listConversationLineageStmt = db.prepare(`
+  WITH RECURSIVE lineage(id, parent_id, depth) AS (
+    SELECT id, parent_conversation_id, 0
+    FROM conversations
+    WHERE id = @conversationId
+    UNION ALL
+    SELECT c.id, c.parent_conversation_id, l.depth + 1
+    FROM conversations c
+    JOIN lineage l ON c.id = l.parent_id
+    WHERE l.depth < @maxDepth
+  )
+  SELECT id
+  FROM lineage
+  ORDER BY depth DESC
+`);
+
+const listConversationFamilyStmt = db.prepare(`
+  WITH RECURSIVE family(id, depth) AS (
+    SELECT id, 0
+    FROM conversations
+    WHERE id = @rootId
+    UNION ALL
+    SELECT c.id, f.depth + 1
+    FROM conversations c
+    JOIN family f ON c.parent_conversation_id = f.id
+    WHERE f.depth < @maxDepth
+  )
+  SELECT
+    c.id,
+    c.topic,
+    c.title,
+    c.starred,
+    c.mode,
+    c.parent_conversation_id AS parentConversationId,
+    c.fork_from_turn AS forkFromTurn,
+    c.created_at AS createdAt,
+    c.updated_at AS updatedAt,
+    f.depth,
+    COALESCE((SELECT MAX(m.turn) FROM messages m WHERE m.conversation_id = c.id), 0) AS totalTurns,
+    (
+      SELECT MAX(cm.merge_turn)
+      FROM conversation_merges cm
+      WHERE cm.child_conversation_id = c.id
+        AND cm.parent_conversation_id = c.parent_conversation_id
+    ) AS mergedAtTurn
+  FROM family f
+  JOIN conversations c ON c.id = f.id
+  ORDER BY f.depth ASC, c.created_at ASC, c.rowid ASC
+  LIMIT @limit
+`);
+
+// Snippet markers are control characters so they cannot collide with stored text; searchConversations
+// turns them into highlight offsets. bm25 is negative (lower is better), and each source is weighted
+// so a title hit outranks the same words buried in one turn.
+const SEARCH_HIGHLIGHT_OPEN = "\u0002";
+const SEARCH_HIGHLIGHT_CLOSE = "\u0003";
+
+const searchConversationsStmt = db.prepare(`
+  SELECT
+    hits.source,
+    hits.conversationId,
+    hits.turn,
+    hits.speaker,
+    hits.itemType,
+    hits.snippet,
+    hits.score,
+    c.topic,
+    c.title,
+    c.updated_at AS updatedAt
+  FROM (
+    SELECT
+      'turn' AS source,
+      m.conversation_id AS conversationId,
+      m.turn AS turn,
+      m.speaker AS speaker,
+      NULL AS itemType,
+      snippet(messages_fts, -1, @open, @close, '…', 16) AS snippet,
+      bm25(messages_fts) AS score
+    FROM messages_fts
+    JOIN messages m ON m.id = messages_fts.rowid
+    WHERE messages_fts MATCH @query
+    UNION ALL
+    SELECT
+      'conversation',
+      c.id,
+      NULL,
+      NULL,
+      NULL,
+      snippet(conversations_fts, -1, @open, @close, '…', 16),
+      bm25(conversations_fts) * 2.0
+    FROM conversations_fts
+    JOIN conversations c ON c.rowid = conversations_fts.rowid
+    WHERE conversations_fts MATCH @query
+    UNION ALL
+    SELECT
+      'brief',
+      b.conversation_id,
+      NULL,
+      NULL,
+      NULL,
+      snippet(conversation_briefs_fts, -1, @open, @close, '…', 16),
+      bm25(conversation_briefs_fts) * 1.5
+    FROM conversation_briefs_fts
+    JOIN conversation_briefs b ON b.rowid = conversation_briefs_fts.rowid
+    WHERE conversation_briefs_fts MATCH @query
+    UNION ALL
+    SELECT
+      'semantic',
+      s.conversation_id,
+      s.last_turn,
+      NULL,
+      s.item_type,
+      snippet(semantic_memory_fts, 1, @open, @close, '…', 16),
+      bm25(semantic_memory_fts) * 1.2
+    FROM semantic_memory_fts
+    JOIN semantic_memory s ON s.rowid = semantic_memory_fts.rowid
+    WHERE semantic_memory_fts MATCH @query
+  ) hits
+  JOIN conversations c ON c.id = hits.conversationId
+  ORDER BY hits.score ASC, c.updated_at DESC
+  LIMIT @limit
+`);
+
+const insertConversationMergeStmt = db.prepare(`
+  INSERT INTO conversation_merges (
+    parent_conversation_id,
+    child_conversation_id,
+    merge_turn,
+    child_turns,
+    imported_count,
+    conflict_count
+  )
+  VALUES (
+    @parentConversationId,
+    @childConversationId,
+    @mergeTurn,
+    @childTurns,
+    @importedCount,
+    @conflictCount
+  )
+`);
+
+const listConversationMergesStmt = db.prepare(`
+  SELECT
+    id,
+    parent_conversation_id AS parentConversationId,
+    child_conversation_id AS childConversationId,
+    merge_turn AS mergeTurn,
+    child_turns AS childTurns,
+    imported_count AS importedCount,
+    conflict_count AS conflictCount,
+    created_at AS createdAt
+  FROM conversation_merges
+  WHERE parent_conversation_id = @conversationId
+     OR child_conversation_id = @conversationId
+  ORDER BY id DESC
+`);
+
+const discoveryModeColumns = `
+  id,
+  label,
+  hint,
+  default_directive AS defaultDirective,
+  moderator_directive AS moderatorDirective,
+  next_step AS nextStep,
+  moderator_rules_json AS moderatorRulesJson,
+  evaluator_json AS evaluatorJson,
+  retrieval_policy AS retrievalPolicy,
+  created_at AS createdAt,
+  updated_at AS updatedAt
+`;
+
+const listDiscoveryModesStmt = db.prepare(`
+  SELECT ${discoveryModeColumns}
+  FROM discovery_modes
+  ORDER BY created_at ASC, id ASC
+`);
+
+const getDiscoveryModeStmt = db.prepare(`
+  SELECT ${discoveryModeColumns}
+  FROM discovery_modes
+  WHERE id = ?
+`);
+
+const upsertDiscoveryModeStmt = db.prepare(`
+  INSERT INTO discovery_modes (
+    id,
+    label,
+    hint,
+    default_directive,
+    moderator_directive,
+    next_step,
+    moderator_rules_json,
+    evaluator_json,
+    retrieval_policy
+  )
+  VALUES (
+    @id,
+    @label,
+    @hint,
+    @defaultDirective,
+    @moderatorDirective,
+    @nextStep,
+    @moderatorRulesJson,
+    @evaluatorJson,
+    @retrievalPolicy
+  )
+  ON CONFLICT(id) DO UPDATE SET
+    label = excluded.label,
+    hint = excluded.hint,
+    default_directive = excluded.default_directive,
+    moderator_directive = excluded.moderator_directive,
+    next_step = excluded.next_step,
+    moderator_rules_json = excluded.moderator_rules_json,
+    evaluator_json = excluded.evaluator_json,
+    retrieval_policy = excluded.retrieval_policy,
+    updated_at = CURRENT_TIMESTAMP
+`);
+
+const deleteDiscoveryModeStmt = db.prepare(`
+  DELETE FROM discovery_modes
+  WHERE id = ?
+`);
+
+const generationJobColumns = `
+  id,
+  conversation_id AS conversationId,
+  status,
+  requested_turns AS requestedTurns,
+  start_turns AS startTurns,
+  completed_turns AS completedTurns,
+  persisted_turn AS persistedTurn,
+  attempts,
+  stop_reason AS stopReason,
+  error,
+  request_id AS requestId,
+  created_at AS createdAt,
+  started_at AS startedAt,
+  updated_at AS updatedAt,
+  finished_at AS finishedAt
+`;
+
+const insertGenerationJobStmt = db.prepare(`
+  INSERT INTO generation_jobs (id, conversation_id, requested_turns, start_turns, persisted_turn, request_id)
+  VALUES (@id, @conversationId, @requestedTurns, @startTurns, @startTurns, @requestId)
+`);
+
+const getGenerationJobStmt = db.prepare(`
+  SELECT ${generationJobColumns}
+  FROM generation_jobs
+  WHERE id = ?
+`);
+
+const listConversationJobsStmt = db.prepare(`
+  SELECT ${generationJobColumns}
+  FROM generation_jobs
+  WHERE conversation_id = ?
+  ORDER BY created_at DESC, rowid DESC
+  LIMIT ?
+`);
+
+const getUnfinishedConversationJobStmt = db.prepare(`
+  SELECT ${generationJobColumns}
+  FROM generation_jobs
+  WHERE conversation_id = ?
+    AND status IN ('queued', 'running')
+  ORDER BY created_at ASC, rowid ASC
+  LIMIT 1
+`);
+
+const nextQueuedJobStmt = db.prepare(`
+  SELECT id
+  FROM generation_jobs
+  WHERE status = 'queued'
+  ORDER BY created_at ASC, rowid ASC
+  LIMIT 1
+`);
+
+const startGenerationJobStmt = db.prepare(`
+  UPDATE generation_jobs
+  SET
+    status = 'running',
+    attempts = attempts + 1,
+    started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = ?
+    AND status = 'queued'
+`);
+
+const updateGenerationJobProgressStmt = db.prepare(`
+  UPDATE generation_jobs
+  SET
+    completed_turns = @completedTurns,
+    persisted_turn = @persistedTurn,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE id = @id
+`);
+
+const finishGenerationJobStmt = db.prepare(`
+  UPDATE generation_jobs
+  SET
+    status = @status,
+    completed_turns = COALESCE(@completedTurns, completed_turns),
+    stop_reason = @stopReason,
+    error = @error,
+    updated_at = CURRENT_TIMESTAMP,
+    finished_at = CURRENT_TIMESTAMP
+  WHERE id = @id
+`);
+
+const requeueRunningJobsStmt = db.prepare(`
+  UPDATE generation_jobs
+  SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+  WHERE status = 'running'
+`);
+
 const deleteConversationStmt = db.prepare(`
   DELETE FROM conversations
   WHERE id = ?
@@ -311,6 +919,10 @@ const getConversationBriefStmt = db.prepare(`
     objective,
     constraints_text AS constraintsText,
     done_criteria AS doneCriteria,
+    budget_run_tokens AS budgetRunTokens,
+    budget_run_cost_usd AS budgetRunCostUsd,
+    budget_total_tokens AS budgetTotalTokens,
+    budget_total_cost_usd AS budgetTotalCostUsd,
     updated_at AS updatedAt
   FROM conversation_briefs
   WHERE conversation_id = ?
@@ -321,18 +933,30 @@ const upsertConversationBriefStmt = db.prepare(`
     conversation_id,
     objective,
     constraints_text,
-    done_criteria
+    done_criteria,
+    budget_run_tokens,
+    budget_run_cost_usd,
+    budget_total_tokens,
+    budget_total_cost_usd
   )
   VALUES (
     @conversationId,
     @objective,
     @constraintsText,
-    @doneCriteria
+    @doneCriteria,
+    @budgetRunTokens,
+    @budgetRunCostUsd,
+    @budgetTotalTokens,
+    @budgetTotalCostUsd
   )
   ON CONFLICT(conversation_id) DO UPDATE SET
     objective = excluded.objective,
     constraints_text = excluded.constraints_text,
     done_criteria = excluded.done_criteria,
+    budget_run_tokens = excluded.budget_run_tokens,
+    budget_run_cost_usd = excluded.budget_run_cost_usd,
+    budget_total_tokens = excluded.budget_total_tokens,
+    budget_total_cost_usd = excluded.budget_total_cost_usd,
     updated_at = CURRENT_TIMESTAMP
 `);
 
@@ -340,12 +964,16 @@ const listConversationAgentsStmt = db.prepare(`
   SELECT
     agent_id AS agentId,
     name,
+    persona,
     style,
     temperature,
+    tools_json AS toolsJson,
+    model_json AS modelJson,
+    position,
     updated_at AS updatedAt
   FROM conversation_agents
   WHERE conversation_id = ?
-  ORDER BY agent_id ASC
+  ORDER BY position ASC, agent_id ASC
 `);
 
 const upsertConversationAgentStmt = db.prepare(`
@@ -353,23 +981,41 @@ const upsertConversationAgentStmt = db.prepare(`
     conversation_id,
     agent_id,
     name,
+    persona,
     style,
-    temperature
+    temperature,
+    tools_json,
+    model_json,
+    position
   )
   VALUES (
     @conversationId,
     @agentId,
     @name,
+    @persona,
     @style,
-    @temperature
+    @temperature,
+    @toolsJson,
+    @modelJson,
+    @position
   )
   ON CONFLICT(conversation_id, agent_id) DO UPDATE SET
     name = excluded.name,
+    persona = excluded.persona,
     style = excluded.style,
     temperature = excluded.temperature,
+    tools_json = excluded.tools_json,
+    model_json = excluded.model_json,
+    position = excluded.position,
     updated_at = CURRENT_TIMESTAMP
 `);
 
+const deleteConversationAgentStmt = db.prepare(`
+  DELETE FROM conversation_agents
+  WHERE conversation_id = ?
+    AND agent_id = ?
+`);
+
 const upsertMemoryTokenStmt = db.prepare(`
   INSERT INTO memory_tokens (
     conversation_id,
@@ -410,6 +1056,7 @@ const pruneMemoryTokensStmt = db.prepare(`
       SELECT token
       FROM memory_tokens
       WHERE conversation_id = @conversationId
+        AND pinned = 0
       ORDER BY weight DESC, last_turn DESC, token ASC
       LIMIT -1 OFFSET @keepLimit
     )
@@ -430,13 +1077,35 @@ const pruneAgentMemoryTokensStmt = db.prepare(`
 `);
 
 const listMemoryTokensStmt = db.prepare(`
-  SELECT token, weight, occurrences, last_turn AS lastTurn
+  SELECT token, weight, occurrences, last_turn AS lastTurn, pinned
   FROM memory_tokens
   WHERE conversation_id = ?
-  ORDER BY weight DESC, last_turn DESC, token ASC
+  ORDER BY pinned DESC, weight DESC, last_turn DESC, token ASC
   LIMIT ?
 `);
 
+const getMemoryTokenStmt = db.prepare(`
+  SELECT token, weight, occurrences, last_turn AS lastTurn, pinned
+  FROM memory_tokens
+  WHERE conversation_id = ?
+    AND token = ?
+`);
+
+const updateMemoryTokenStmt = db.prepare(`
+  UPDATE memory_tokens
+  SET pinned = @pinned,
+      weight = @weight,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE conversation_id = @conversationId
+    AND token = @token
+`);
+
+const deleteMemoryTokenStmt = db.prepare(`
+  DELETE FROM memory_tokens
+  WHERE conversation_id = ?
+    AND token = ?
+`);
+
 const listAgentMemoryTokensStmt = db.prepare(`
   SELECT token, weight, occurrences, last_turn AS lastTurn
   FROM agent_memory_tokens
@@ -457,7 +1126,12 @@ const upsertSemanticMemoryStmt = db.prepare(`
     occurrences,
     first_turn,
     last_turn,
-    status
+    status,
+    speaker,
+    speaker_id,
+    source_turns,
+    extractor,
+    curated
   )
   VALUES (
     @conversationId,
@@ -469,16 +1143,37 @@ const upsertSemanticMemoryStmt = db.prepare(`
     @occurrences,
     @firstTurn,
     @lastTurn,
-    @status
+    @status,
+    @speaker,
+    @speakerId,
+    @sourceTurns,
+    @extractor,
+    @curated
   )
   ON CONFLICT(conversation_id, item_type, canonical_text) DO UPDATE SET
-    evidence_text = excluded.evidence_text,
+    evidence_text = CASE WHEN semantic_memory.curated = 1 THEN semantic_memory.evidence_text ELSE excluded.evidence_text END,
+    speaker = CASE WHEN semantic_memory.curated = 1 OR excluded.speaker = '' THEN semantic_memory.speaker ELSE excluded.speaker END,
+    speaker_id = CASE WHEN semantic_memory.curated = 1 OR excluded.speaker = '' THEN semantic_memory.speaker_id ELSE excluded.speaker_id END,
+    source_turns = (
+      SELECT json_group_array(turn)
+      FROM (
+        SELECT DISTINCT CAST(value AS INTEGER) AS turn
+        FROM (
+          SELECT value FROM json_each(semantic_memory.source_turns)
+          UNION
+          SELECT value FROM json_each(excluded.source_turns)
+        )
+        ORDER BY turn DESC
+        LIMIT 12
+      )
+    ),
     weight = semantic_memory.weight + excluded.weight,
     confidence = MAX(semantic_memory.confidence, excluded.confidence),
     occurrences = semantic_memory.occurrences + excluded.occurrences,
     first_turn = MIN(semantic_memory.first_turn, excluded.first_turn),
     last_turn = MAX(semantic_memory.last_turn, excluded.last_turn),
-    status = excluded.status,
+    status = CASE WHEN semantic_memory.curated = 1 THEN semantic_memory.status ELSE excluded.status END,
+    curated = MAX(semantic_memory.curated, excluded.curated),
     updated_at = CURRENT_TIMESTAMP
 `);
 
@@ -489,29 +1184,225 @@ const pruneSemanticMemoryStmt = db.prepare(`
       SELECT item_type || ':' || canonical_text
       FROM semantic_memory
       WHERE conversation_id = @conversationId
+        AND pinned = 0
       ORDER BY weight DESC, last_turn DESC, canonical_text ASC
       LIMIT -1 OFFSET @keepLimit
     )
 `);
 
+// Embeddings of semantic items that were pruned (or rewritten under a new canonical text) go too.
+const pruneSemanticEmbeddingsStmt = db.prepare(`
+  DELETE FROM memory_embeddings
+  WHERE conversation_id = @conversationId
+    AND source_type = 'semantic'
+    AND source_key NOT IN (
+      SELECT item_type || ':' || canonical_text
+      FROM semantic_memory
+      WHERE conversation_id = @conversationId
+    )
+`);
+
+const SEMANTIC_MEMORY_COLUMNS = `
+  item_type AS itemType,
+  canonical_text AS canonicalText,
+  evidence_text AS evidenceText,
+  weight,
+  confidence,
+  occurrences,
+  first_turn AS firstTurn,
+  last_turn AS lastTurn,
+  status,
+  pinned,
+  curated,
+  speaker,
+  speaker_id AS speakerId,
+  source_turns AS sourceTurns,
+  extractor,
+  updated_at AS updatedAt
+`;
+
+// Pinned items come first so prompt-sized reads always include them. Dismissed items are only
+// listed on request.
 const listSemanticMemoryStmt = db.prepare(`
-  SELECT
-    item_type AS itemType,
-    canonical_text AS canonicalText,
-    evidence_text AS evidenceText,
-    weight,
-    confidence,
-    occurrences,
-    first_turn AS firstTurn,
-    last_turn AS lastTurn,
-    status,
-    updated_at AS updatedAt
+  SELECT ${SEMANTIC_MEMORY_COLUMNS}
+  FROM semantic_memory
+  WHERE conversation_id = ?
+    AND status <> 'dismissed'
+    AND first_turn < ?
+  ORDER BY pinned DESC, weight DESC, last_turn DESC, canonical_text ASC
+  LIMIT ?
+`);
+
+const listDismissedSemanticMemoryStmt = db.prepare(`
+  SELECT ${SEMANTIC_MEMORY_COLUMNS}
   FROM semantic_memory
   WHERE conversation_id = ?
-  ORDER BY weight DESC, last_turn DESC, canonical_text ASC
+    AND status = 'dismissed'
+  ORDER BY updated_at DESC, canonical_text ASC
+  LIMIT ?
+`);
+
+const getSemanticItemStmt = db.prepare(`
+  SELECT ${SEMANTIC_MEMORY_COLUMNS}
+  FROM semantic_memory
+  WHERE conversation_id = ?
+    AND item_type = ?
+    AND canonical_text = ?
+`);
+
+// Any curation marks the item curated, which keeps its text and status when the sentence is
+// extracted again and keeps the item through memory rebuilds.
+const updateSemanticItemStmt = db.prepare(`
+  UPDATE semantic_memory
+  SET item_type = @nextItemType,
+      canonical_text = @nextCanonicalText,
+      evidence_text = @evidenceText,
+      status = @status,
+      pinned = @pinned,
+      curated = 1,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE conversation_id = @conversationId
+    AND item_type = @itemType
+    AND canonical_text = @canonicalText
+`);
+
+const deleteSemanticItemStmt = db.prepare(`
+  DELETE FROM semantic_memory
+  WHERE conversation_id = @conversationId
+    AND item_type = @itemType
+    AND canonical_text = @canonicalText
+`);
+
+const upsertMemoryEmbeddingStmt = db.prepare(`
+  INSERT INTO memory_embeddings (
+    conversation_id,
+    embedder,
+    source_type,
+    source_key,
+    turn,
+    content,
+    dimensions,
+    vector
+  )
+  VALUES (
+    @conversationId,
+    @embedder,
+    @sourceType,
+    @sourceKey,
+    @turn,
+    @content,
+    @dimensions,
+    @vector
+  )
+  ON CONFLICT(conversation_id, embedder, source_type, source_key) DO UPDATE SET
+    turn = excluded.turn,
+    content = excluded.content,
+    dimensions = excluded.dimensions,
+    vector = excluded.vector,
+    created_at = CURRENT_TIMESTAMP
+`);
+
+const listMemoryEmbeddingKeysStmt = db.prepare(`
+  SELECT source_type AS sourceType, source_key AS sourceKey
+  FROM memory_embeddings
+  WHERE conversation_id = ?
+    AND embedder = ?
+`);
+
+const listMemoryEmbeddingsStmt = db.prepare(`
+  SELECT
+    source_type AS sourceType,
+    source_key AS sourceKey,
+    turn,
+    content,
+    vector
+  FROM memory_embeddings
+  WHERE conversation_id = ?
+    AND embedder = ?
+`);
+
+const KNOWLEDGE_ITEM_COLUMNS = `
+  id,
+  item_type AS itemType,
+  text,
+  canonical_text AS canonicalText,
+  source_conversation_id AS sourceConversationId,
+  source_topic AS sourceTopic,
+  source_turn AS sourceTurn,
+  source_speaker AS sourceSpeaker,
+  source_excerpt AS sourceExcerpt,
+  embedder,
+  created_at AS createdAt,
+  updated_at AS updatedAt
+`;
+
+const insertKnowledgeItemStmt = db.prepare(`
+  INSERT INTO knowledge_items (
+    item_type,
+    text,
+    canonical_text,
+    source_conversation_id,
+    source_topic,
+    source_turn,
+    source_speaker,
+    source_excerpt
+  )
+  VALUES (
+    @itemType,
+    @text,
+    @canonicalText,
+    @sourceConversationId,
+    @sourceTopic,
+    @sourceTurn,
+    @sourceSpeaker,
+    @sourceExcerpt
+  )
+`);
+
+const getKnowledgeItemStmt = db.prepare(`
+  SELECT ${KNOWLEDGE_ITEM_COLUMNS}
+  FROM knowledge_items
+  WHERE id = ?
+`);
+
+const findKnowledgeItemStmt = db.prepare(`
+  SELECT ${KNOWLEDGE_ITEM_COLUMNS}
+  FROM knowledge_items
+  WHERE item_type = ?
+    AND canonical_text = ?
+`);
+
+const listKnowledgeItemsStmt = db.prepare(`
+  SELECT ${KNOWLEDGE_ITEM_COLUMNS}
+  FROM knowledge_items
+  WHERE (@itemType IS NULL OR item_type = @itemType)
+    AND (@conversationId IS NULL OR source_conversation_id = @conversationId)
+  ORDER BY created_at DESC, id DESC
+  LIMIT @limit
+`);
+
+// Items promoted from other conversations; a thread's own decisions are already in its memory.
+const listKnowledgeCandidatesStmt = db.prepare(`
+  SELECT ${KNOWLEDGE_ITEM_COLUMNS}, vector
+  FROM knowledge_items
+  WHERE source_conversation_id IS NULL
+    OR source_conversation_id <> ?
+  ORDER BY created_at DESC, id DESC
   LIMIT ?
 `);
 
+const updateKnowledgeEmbeddingStmt = db.prepare(`
+  UPDATE knowledge_items
+  SET embedder = @embedder,
+      vector = @vector
+  WHERE id = @id
+`);
+
+const deleteKnowledgeItemStmt = db.prepare(`
+  DELETE FROM knowledge_items
+  WHERE id = ?
+`);
+
 const getMemoryStatsStmt = db.prepare(`
   SELECT
     COALESCE((SELECT COUNT(*) FROM memory_tokens WHERE conversation_id = @conversationId), 0) AS tokenCount,
@@ -525,7 +1416,20 @@ const getMemoryStatsStmt = db.prepare(`
     COALESCE((SELECT COUNT(*) FROM semantic_memory WHERE conversation_id = @conversationId AND item_type = 'open_question'), 0) AS openQuestionCount,
     COALESCE((SELECT COUNT(*) FROM semantic_memory WHERE conversation_id = @conversationId AND item_type = 'constraint'), 0) AS constraintCount,
     COALESCE((SELECT COUNT(*) FROM semantic_memory WHERE conversation_id = @conversationId AND item_type = 'definition'), 0) AS definitionCount,
-    COALESCE((SELECT COUNT(*) FROM conflict_ledger WHERE conversation_id = @conversationId), 0) AS conflictCount
+    COALESCE((SELECT COUNT(*) FROM conflict_ledger WHERE conversation_id = @conversationId), 0) AS conflictCount,
+    COALESCE((SELECT COUNT(*) FROM memory_embeddings WHERE conversation_id = @conversationId), 0) AS embeddingCount
+`);
+
+const getExtractionPendingFromStmt = db.prepare(`
+  SELECT extraction_pending_from AS pendingFrom
+  FROM conversations
+  WHERE id = ?
+`);
+
+const setExtractionPendingFromStmt = db.prepare(`
+  UPDATE conversations
+  SET extraction_pending_from = @pendingFrom
+  WHERE id = @conversationId
 `);
 
 const getLastSummaryTurnStmt = db.prepare(`
@@ -548,6 +1452,7 @@ const listRecentSummariesStmt = db.prepare(`
   SELECT start_turn AS startTurn, end_turn AS endTurn, summary, created_at AS createdAt
   FROM conversation_summaries
   WHERE conversation_id = ?
+    AND end_turn < ?
   ORDER BY end_turn DESC
   LIMIT ?
 `);
@@ -636,6 +1541,51 @@ const listRecentClaimCitationsStmt = db.prepare(`
   LIMIT ?
 `);
 
+const insertModelUsageStmt = db.prepare(`
+  INSERT INTO model_usage (
+    conversation_id,
+    turn,
+    component,
+    agent_id,
+    provider,
+    model,
+    prompt_tokens,
+    completion_tokens,
+    reasoning_tokens,
+    total_tokens
+  )
+  VALUES (
+    @conversationId,
+    @turn,
+    @component,
+    @agentId,
+    @provider,
+    @model,
+    @promptTokens,
+    @completionTokens,
+    @reasoningTokens,
+    @totalTokens
+  )
+`);
+
+const listModelUsageStmt = db.prepare(`
+  SELECT
+    turn,
+    component,
+    agent_id AS agentId,
+    provider,
+    model,
+    COUNT(*) AS calls,
+    SUM(prompt_tokens) AS promptTokens,
+    SUM(completion_tokens) AS completionTokens,
+    SUM(reasoning_tokens) AS reasoningTokens,
+    SUM(total_tokens) AS totalTokens
+  FROM model_usage
+  WHERE conversation_id = ?
+  GROUP BY turn, component, agent_id, provider, model
+  ORDER BY COALESCE(turn, 0) ASC, component ASC
+`);
+
 const insertTierSummaryStmt = db.prepare(`
   INSERT OR IGNORE INTO tier_summaries (
     conversation_id,
@@ -657,6 +1607,7 @@ const listRecentTierSummariesStmt = db.prepare(`
   FROM tier_summaries
   WHERE conversation_id = ?
     AND tier = ?
+    AND end_turn < ?
   ORDER BY end_turn DESC
   LIMIT ?
 `);
@@ -688,7 +1639,7 @@ const upsertConflictLedgerStmt = db.prepare(`
     item_a = excluded.item_a,
     item_b = excluded.item_b,
     confidence = MAX(conflict_ledger.confidence, excluded.confidence),
-    status = excluded.status,
+    status = CASE WHEN conflict_ledger.status = 'resolved' THEN conflict_ledger.status ELSE excluded.status END,
     first_turn = MIN(conflict_ledger.first_turn, excluded.first_turn),
     last_turn = MAX(conflict_ledger.last_turn, excluded.last_turn),
     occurrences = conflict_ledger.occurrences + excluded.occurrences,
@@ -702,29 +1653,53 @@ const pruneConflictLedgerStmt = db.prepare(`
       SELECT issue_key
       FROM conflict_ledger
       WHERE conversation_id = @conversationId
+        AND status <> 'resolved'
       ORDER BY confidence DESC, last_turn DESC, issue_key ASC
       LIMIT -1 OFFSET @keepLimit
     )
 `);
 
+const CONFLICT_LEDGER_COLUMNS = `
+  issue_key AS issueKey,
+  item_a AS itemA,
+  item_b AS itemB,
+  confidence,
+  status,
+  resolution_note AS resolutionNote,
+  resolved_at AS resolvedAt,
+  first_turn AS firstTurn,
+  last_turn AS lastTurn,
+  occurrences,
+  created_at AS createdAt,
+  updated_at AS updatedAt
+`;
+
 const listConflictLedgerStmt = db.prepare(`
-  SELECT
-    issue_key AS issueKey,
-    item_a AS itemA,
-    item_b AS itemB,
-    confidence,
-    status,
-    first_turn AS firstTurn,
-    last_turn AS lastTurn,
-    occurrences,
-    created_at AS createdAt,
-    updated_at AS updatedAt
+  SELECT ${CONFLICT_LEDGER_COLUMNS}
   FROM conflict_ledger
   WHERE conversation_id = ?
+    AND first_turn < ?
   ORDER BY confidence DESC, last_turn DESC
   LIMIT ?
 `);
 
+const getConflictStmt = db.prepare(`
+  SELECT ${CONFLICT_LEDGER_COLUMNS}
+  FROM conflict_ledger
+  WHERE conversation_id = ?
+    AND issue_key = ?
+`);
+
+const updateConflictStatusStmt = db.prepare(`
+  UPDATE conflict_ledger
+  SET status = @status,
+      resolution_note = @resolutionNote,
+      resolved_at = CASE WHEN @status = 'resolved' THEN CURRENT_TIMESTAMP ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE conversation_id = @conversationId
+    AND issue_key = @issueKey
+`);
+
 const insertMessagesTx = db.transaction((conversationId, entries) => {
   for (const entry of entries) {
     insertMessageStmt.run({
@@ -739,6 +1714,40 @@ const insertMessagesTx = db.transaction((conversationId, entries) => {
   touchConversationStmt.run(conversationId);
 });
 
+// The turn's old citations were extracted from the old text, so they go with it.
+const updateMessageTextTx = db.transaction((conversationId, turn, text) => {
+  const changes = updateMessageTextStmt.run({ conversationId, turn, text }).changes;
+  if (changes > 0) {
+    deleteClaimCitationsForTurnStmt.run({ conversationId, turn });
+    deleteTurnEmbeddingStmt.run({ conversationId, turn });
+    touchConversationStmt.run(conversationId);
+  }
+  return changes;
+});
+
+const truncateMessagesTx = db.transaction((conversationId, turn) => {
+  const removed = deleteMessagesAfterTurnStmt.run({ conversationId, turn }).changes;
+  deleteClaimCitationsAfterTurnStmt.run({ conversationId, turn });
+  deleteRetrievalSourcesAfterTurnStmt.run({ conversationId, turn });
+  deleteMergesAfterTurnStmt.run({ conversationId, turn });
+  deleteTurnEmbeddingsAfterTurnStmt.run({ conversationId, turn });
+  touchConversationStmt.run(conversationId);
+  return removed;
+});
+
+const resetDerivedMemoryTx = db.transaction((conversationId, fromTurn, lastTurn) => {
+  deleteMemoryTokensStmt.run(conversationId);
+  deleteAgentMemoryTokensStmt.run(conversationId);
+  deleteSemanticMemoryStmt.run({ conversationId, lastTurn });
+  trimSemanticSourceTurnsStmt.run({ conversationId, lastTurn });
+  pruneSemanticEmbeddingsStmt.run({ conversationId });
+  deleteConflictLedgerStmt.run({ conversationId, lastTurn });
+  deleteSummariesFromTurnStmt.run({ conversationId, fromTurn });
+  deleteTierSummariesFromTurnStmt.run({ conversationId, fromTurn });
+  deleteSummaryEmbeddingsFromTurnStmt.run({ conversationId, fromTurn });
+  setExtractionPendingFromStmt.run({ conversationId, pendingFrom: null });
+});
+
 const upsertMemoryTokensTx = db.transaction((conversationId, entries) => {
   for (const entry of entries) {
     upsertMemoryTokenStmt.run({
@@ -776,19 +1785,69 @@ const upsertSemanticMemoryTx = db.transaction((conversationId, entries) => {
       occurrences: entry.occurrences,
       firstTurn: entry.firstTurn,
       lastTurn: entry.lastTurn,
-      status: entry.status
+      status: entry.status,
+      speaker: entry.speaker || "",
+      speakerId: entry.speakerId || "",
+      sourceTurns: JSON.stringify(entry.sourceTurns || [entry.lastTurn]),
+      extractor: entry.extractor || "regex",
+      curated: entry.curated ? 1 : 0
+    });
+  }
+});
+
+const pruneSemanticMemoryTx = db.transaction((conversationId, keepLimit) => {
+  pruneSemanticMemoryStmt.run({ conversationId, keepLimit });
+  pruneSemanticEmbeddingsStmt.run({ conversationId });
+});
+
+const upsertMemoryEmbeddingsTx = db.transaction((conversationId, embedder, entries) => {
+  for (const entry of entries) {
+    upsertMemoryEmbeddingStmt.run({
+      conversationId,
+      embedder,
+      sourceType: entry.sourceType,
+      sourceKey: entry.sourceKey,
+      turn: entry.turn,
+      content: entry.content,
+      dimensions: entry.vector.length,
+      vector: Buffer.from(entry.vector.buffer, entry.vector.byteOffset, entry.vector.byteLength)
+    });
+  }
+});
+
+const updateSemanticItemTx = db.transaction((conversationId, params) => {
+  updateSemanticItemStmt.run({ conversationId, ...params });
+  pruneSemanticEmbeddingsStmt.run({ conversationId });
+});
+
+const deleteSemanticItemTx = db.transaction((conversationId, itemType, canonicalText) => {
+  const changes = deleteSemanticItemStmt.run({ conversationId, itemType, canonicalText }).changes;
+  pruneSemanticEmbeddingsStmt.run({ conversationId });
+  return changes;
+});
+
+const updateKnowledgeEmbeddingsTx = db.transaction((embedder, entries) => {
+  for (const entry of entries) {
+    updateKnowledgeEmbeddingStmt.run({
+      id: entry.id,
+      embedder,
+      vector: Buffer.from(entry.vector.buffer, entry.vector.byteOffset, entry.vector.byteLength)
     });
   }
 });
 
 const upsertConversationAgentsTx = db.transaction((conversationId, agents) => {
-  for (const agent of agents) {
+  for (const [index, agent] of agents.entries()) {
     upsertConversationAgentStmt.run({
       conversationId,
       agentId: agent.agentId,
       name: agent.name,
+      persona: agent.persona || "",
       style: agent.style,
-      temperature: agent.temperature
+      temperature: agent.temperature,
+      toolsJson: serializeAgentTools(agent.tools),
+      modelJson: serializeAgentModelConfig(agent),
+      position: Number.isFinite(agent.position) ? agent.position : index
     });
   }
 });
@@ -882,6 +1941,75 @@ function insertMessages(conversationId, entries) {
   insertMessagesTx(conversationId, entries);
 }
 
+function updateMessageText(conversationId, turn, text) {
+  return updateMessageTextTx(conversationId, turn, text) > 0;
+}
+
+function truncateMessagesAfterTurn(conversationId, turn) {
+  return truncateMessagesTx(conversationId, Math.max(0, Math.trunc(Number(turn) || 0)));
+}
+
+// Token banks, semantic items and conflicts are accumulated without per-turn provenance, so they
+// are cleared entirely and re-seeded from the transcript. Summaries ending before `fromTurn`
+// still describe an unchanged transcript and are kept; curated items and resolved conflicts are
+// kept unless they were first seen after `lastTurn`, the last turn left in the transcript.
+function resetDerivedMemory(conversationId, fromTurn, lastTurn) {
+  resetDerivedMemoryTx(
+    conversationId,
+    Math.max(1, Math.trunc(Number(fromTurn) || 1)),
+    Math.max(0, Math.trunc(Number(lastTurn) || 0))
+  );
+}
+
+// Plain words become quoted FTS5 terms (implicitly ANDed) so user input never reaches the query
+// syntax; the last word matches as a prefix for search-as-you-type.
+function buildSearchMatchQuery(text) {
+  const words = (String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, 12);
+  return words.map((word, index) => `"${word}"${index === words.length - 1 ? "*" : ""}`).join(" ");
+}
+
+function parseSearchSnippet(raw) {
+  const highlights = [];
+  let text = "";
+  let start = -1;
+  for (const char of String(raw || "")) {
+    if (char === SEARCH_HIGHLIGHT_OPEN) {
+      start = text.length;
+    } else if (char === SEARCH_HIGHLIGHT_CLOSE) {
+      if (start !== -1) {
+        highlights.push([start, text.length]);
+      }
+      start = -1;
+    } else {
+      text += char;
+    }
+  }
+  return { snippet: text, highlights };
+}
+
+function searchConversations(text, limit = 20) {
+  const query = buildSearchMatchQuery(text);
+  if (!query) {
+    return [];
+  }
+
+  const safeLimit = Math.min(50, Math.max(1, Number(limit) || 20));
+  return searchConversationsStmt
+    .all({ query, open: SEARCH_HIGHLIGHT_OPEN, close: SEARCH_HIGHLIGHT_CLOSE, limit: safeLimit })
+    .map((row) => ({
+      source: row.source,
+      conversationId: row.conversationId,
+      title: row.title || "",
+      topic: row.topic,
+      updatedAt: row.updatedAt,
+      turn: row.turn ?? null,
+      speaker: row.speaker ?? null,
+      itemType: row.itemType ?? null,
+      ...parseSearchSnippet(row.snippet),
+      score: Number((-row.score).toFixed(4))
+    }));
+}
+
 function listConversations(limit = 20) {
   const safeLimit = Math.min(100, Math.max(1, Number(limit) || 20));
   return listConversationsStmt.all(safeLimit).map((row) => ({
@@ -893,6 +2021,144 @@ function listConversations(limit = 20) {
   }));
 }
 
+function insertConversationMerge(merge) {
+  const id = insertConversationMergeStmt.run({
+    parentConversationId: merge.parentConversationId,
+    childConversationId: merge.childConversationId,
+    mergeTurn: merge.mergeTurn,
+    childTurns: Math.max(0, Math.trunc(Number(merge.childTurns) || 0)),
+    importedCount: Math.max(0, Math.trunc(Number(merge.importedCount) || 0)),
+    conflictCount: Math.max(0, Math.trunc(Number(merge.conflictCount) || 0))
+  }).lastInsertRowid;
+  return Number(id);
+}
+
+// Merges where the conversation was either the parent or the merged fork, newest first.
+function listConversationMerges(conversationId) {
+  return listConversationMergesStmt.all({ conversationId });
+}
+
+// Upper bound for memory reads limited to what existed before `beforeTurn`; null reads everything.
+function turnBound(beforeTurn) {
+  const turn = Math.trunc(Number(beforeTurn));
+  return beforeTurn !== null && Number.isFinite(turn) ? turn : Number.MAX_SAFE_INTEGER;
+}
+
+function parseJsonColumn(json, fallback) {
+  try {
+    const parsed = JSON.parse(String(json || ""));
+    return parsed && typeof parsed === "object" ? parsed : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function mapDiscoveryModeRow(row) {
+  if (!row) {
+    return null;
+  }
+  const { moderatorRulesJson, evaluatorJson, ...mode } = row;
+  const moderatorRules = parseJsonColumn(moderatorRulesJson, []);
+  const evaluator = parseJsonColumn(evaluatorJson, {});
+  return {
+    ...mode,
+    moderatorRules: Array.isArray(moderatorRules) ? moderatorRules : [],
+    evaluator: Array.isArray(evaluator) ? {} : evaluator
+  };
+}
+
+function insertGenerationJob(job) {
+  insertGenerationJobStmt.run({
+    id: job.id,
+    conversationId: job.conversationId,
+    requestedTurns: job.requestedTurns,
+    startTurns: job.startTurns,
+    requestId: job.requestId || null
+  });
+  return getGenerationJob(job.id);
+}
+
+function getGenerationJob(jobId) {
+  return getGenerationJobStmt.get(jobId) || null;
+}
+
+function listConversationJobs(conversationId, limit = 20) {
+  const safeLimit = Math.max(1, Math.min(100, Number(limit) || 20));
+  return listConversationJobsStmt.all(conversationId, safeLimit);
+}
+
+function getUnfinishedConversationJob(conversationId) {
+  return getUnfinishedConversationJobStmt.get(conversationId) || null;
+}
+
+// Marks the oldest queued job as running and returns it, or null when the queue is empty.
+const claimNextGenerationJobTx = db.transaction(() => {
+  const next = nextQueuedJobStmt.get();
+  if (!next || startGenerationJobStmt.run(next.id).changes === 0) {
+    return null;
+  }
+  return getGenerationJob(next.id);
+});
+
+function claimNextGenerationJob() {
+  return claimNextGenerationJobTx();
+}
+
+function updateGenerationJobProgress(jobId, { completedTurns, persistedTurn }) {
+  updateGenerationJobProgressStmt.run({ id: jobId, completedTurns, persistedTurn });
+}
+
+function finishGenerationJob(jobId, { status, completedTurns = null, stopReason = null, error = null }) {
+  finishGenerationJobStmt.run({ id: jobId, status, completedTurns, stopReason, error });
+  return getGenerationJob(jobId);
+}
+
+// Jobs a previous process left running go back to the queue.
+function requeueRunningGenerationJobs() {
+  return requeueRunningJobsStmt.run().changes;
+}
+
+function listDiscoveryModes() {
+  return listDiscoveryModesStmt.all().map(mapDiscoveryModeRow);
+}
+
+function getDiscoveryMode(modeId) {
+  return mapDiscoveryModeRow(getDiscoveryModeStmt.get(modeId));
+}
+
+function upsertDiscoveryMode(mode) {
+  upsertDiscoveryModeStmt.run({
+    id: mode.id,
+    label: mode.label,
+    hint: mode.hint,
+    defaultDirective: mode.defaultDirective,
+    moderatorDirective: mode.moderatorDirective || "",
+    nextStep: mode.nextStep || "",
+    moderatorRulesJson: JSON.stringify(mode.moderatorRules || []),
+    evaluatorJson: JSON.stringify(mode.evaluator || {}),
+    retrievalPolicy: mode.retrievalPolicy
+  });
+  return getDiscoveryMode(mode.id);
+}
+
+function deleteDiscoveryMode(modeId) {
+  return deleteDiscoveryModeStmt.run(modeId).changes > 0;
+}
+
+// Deepest ancestor first, ending with the conversation itself. A parent that was deleted ends the
+// walk, so its surviving fork becomes the root.
+function getConversationLineage(conversationId, maxDepth = 64) {
+  return listConversationLineageStmt.all({ conversationId, maxDepth }).map((row) => row.id);
+}
+
+function listConversationFamily(rootId, { maxDepth = 64, limit = 200 } = {}) {
+  return listConversationFamilyStmt.all({ rootId, maxDepth, limit }).map((row) => ({
+    ...row,
+    starred: Boolean(row.starred),
+    mode: row.mode || "exploration"
+  }));
+}
+
 function deleteConversation(conversationId) {
   return deleteConversationStmt.run(conversationId).changes > 0;
 }
@@ -901,23 +2167,53 @@ function clearConversations() {
   return clearConversationsStmt.run().changes;
 }
 
+const EMPTY_BRIEF_BUDGET = {
+  runTokens: null,
+  runCostUsd: null,
+  totalTokens: null,
+  totalCostUsd: null
+};
+
+function budgetLimitOrNull(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && Number.isFinite(number) && number > 0 ? number : null;
+}
+
 function getConversationBrief(conversationId) {
-  return (
-    getConversationBriefStmt.get(conversationId) || {
+  const row = getConversationBriefStmt.get(conversationId);
+  if (!row) {
+    return {
       objective: "",
       constraintsText: "",
       doneCriteria: "",
+      budget: { ...EMPTY_BRIEF_BUDGET },
       updatedAt: null
+    };
+  }
+
+  const { budgetRunTokens, budgetRunCostUsd, budgetTotalTokens, budgetTotalCostUsd, ...brief } = row;
+  return {
+    ...brief,
+    budget: {
+      runTokens: budgetLimitOrNull(budgetRunTokens),
+      runCostUsd: budgetLimitOrNull(budgetRunCostUsd),
+      totalTokens: budgetLimitOrNull(budgetTotalTokens),
+      totalCostUsd: budgetLimitOrNull(budgetTotalCostUsd)
     }
-  );
+  };
 }
 
 function upsertConversationBrief(conversationId, brief) {
+  const budget = brief.budget || EMPTY_BRIEF_BUDGET;
   upsertConversationBriefStmt.run({
     conversationId,
     objective: brief.objective || "",
     constraintsText: brief.constraintsText || "",
-    doneCriteria: brief.doneCriteria || ""
+    doneCriteria: brief.doneCriteria || "",
+    budgetRunTokens: budgetLimitOrNull(budget.runTokens),
+    budgetRunCostUsd: budgetLimitOrNull(budget.runCostUsd),
+    budgetTotalTokens: budgetLimitOrNull(budget.totalTokens),
+    budgetTotalCostUsd: budgetLimitOrNull(budget.totalCostUsd)
   });
 }
 
@@ -930,8 +2226,66 @@ function updateConversationMeta(conversationId, meta) {
   });
 }
 
+function serializeAgentTools(tools) {
+  if (!tools || typeof tools !== "object" || Array.isArray(tools)) {
+    return "{}";
+  }
+
+  try {
+    return JSON.stringify(tools);
+  } catch {
+    return "{}";
+  }
+}
+
+function parseAgentTools(toolsJson) {
+  try {
+    const parsed = JSON.parse(String(toolsJson || "{}"));
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+const AGENT_MODEL_CONFIG_FIELDS = ["provider", "model", "fallbackModel", "reasoningEffort", "baseUrl", "apiKeyEnv"];
+
+// Per-agent model overrides; empty fields fall back to the deployment defaults.
+function serializeAgentModelConfig(agent) {
+  const config = {};
+  for (const field of AGENT_MODEL_CONFIG_FIELDS) {
+    const value = String(agent?.[field] || "").trim();
+    if (value) {
+      config[field] = value;
+    }
+  }
+  return JSON.stringify(config);
+}
+
+function parseAgentModelConfig(modelJson) {
+  let parsed = {};
+  try {
+    parsed = JSON.parse(String(modelJson || "{}"));
+  } catch {
+    parsed = {};
+  }
+
+  const config = {};
+  for (const field of AGENT_MODEL_CONFIG_FIELDS) {
+    config[field] = typeof parsed?.[field] === "string" ? parsed[field] : "";
+  }
+  return config;
+}
+
 function getConversationAgents(conversationId) {
-  return listConversationAgentsStmt.all(conversationId);
+  return listConversationAgentsStmt.all(conversationId).map(({ toolsJson, modelJson, ...row }) => {
+    const tools = parseAgentTools(toolsJson);
+    return {
+      ...row,
+      ...parseAgentModelConfig(modelJson),
+      persona: row.persona || "",
+      tools: Object.keys(tools).length > 0 ? tools : undefined
+    };
+  });
 }
 
 function upsertConversationAgents(conversationId, agents) {
@@ -942,6 +2296,10 @@ function upsertConversationAgents(conversationId, agents) {
   upsertConversationAgentsTx(conversationId, agents);
 }
 
+function deleteConversationAgent(conversationId, agentId) {
+  return deleteConversationAgentStmt.run(conversationId, agentId).changes > 0;
+}
+
 function upsertMemoryTokens(conversationId, entries) {
   if (!entries.length) {
     return;
@@ -978,9 +2336,27 @@ function pruneAgentMemoryTokens(conversationId, speakerId, keepLimit = 120) {
   });
 }
 
+function mapMemoryTokenRow(row) {
+  return row ? { ...row, pinned: Boolean(row.pinned) } : null;
+}
+
 function getTopMemoryTokens(conversationId, limit = 50) {
   const safeLimit = Math.max(1, Math.min(200, Number(limit) || 50));
-  return listMemoryTokensStmt.all(conversationId, safeLimit);
+  return listMemoryTokensStmt.all(conversationId, safeLimit).map(mapMemoryTokenRow);
+}
+
+function getMemoryToken(conversationId, token) {
+  return mapMemoryTokenRow(getMemoryTokenStmt.get(conversationId, token));
+}
+
+// Pinned tokens always lead the prompt's token line and are never pruned.
+function updateMemoryToken(conversationId, token, { pinned, weight }) {
+  updateMemoryTokenStmt.run({ conversationId, token, pinned: pinned ? 1 : 0, weight: Number(weight) || 0 });
+  return getMemoryToken(conversationId, token);
+}
+
+function deleteMemoryToken(conversationId, token) {
+  return deleteMemoryTokenStmt.run(conversationId, token).changes > 0;
 }
 
 function getTopAgentMemoryTokens(conversationId, speakerId, limit = 20) {
@@ -1003,12 +2379,148 @@ function upsertSemanticItems(conversationId, entries) {
 
 function pruneSemanticItems(conversationId, keepLimit = 240) {
   const safeKeepLimit = Math.max(40, Math.min(800, Number(keepLimit) || 240));
-  pruneSemanticMemoryStmt.run({ conversationId, keepLimit: safeKeepLimit });
+  pruneSemanticMemoryTx(conversationId, safeKeepLimit);
+}
+
+function mapSemanticItemRow(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    pinned: Boolean(row.pinned),
+    curated: Boolean(row.curated),
+    sourceTurns: parseJsonColumn(row.sourceTurns, []).sort((a, b) => a - b)
+  };
 }
 
-function getTopSemanticItems(conversationId, limit = 24) {
+function getTopSemanticItems(conversationId, limit = 24, beforeTurn = null) {
   const safeLimit = Math.max(1, Math.min(120, Number(limit) || 24));
-  return listSemanticMemoryStmt.all(conversationId, safeLimit);
+  return listSemanticMemoryStmt.all(conversationId, turnBound(beforeTurn), safeLimit).map(mapSemanticItemRow);
+}
+
+function getDismissedSemanticItems(conversationId, limit = 50) {
+  const safeLimit = Math.max(1, Math.min(200, Number(limit) || 50));
+  return listDismissedSemanticMemoryStmt.all(conversationId, safeLimit).map(mapSemanticItemRow);
+}
+
+// Rewrites one semantic item in place. A new type or text moves it to a new key, and the vector
+// stored under the old key is dropped so the next memory pass embeds the new text.
+function updateSemanticItem(conversationId, item, next) {
+  updateSemanticItemTx(conversationId, {
+    itemType: item.itemType,
+    canonicalText: item.canonicalText,
+    nextItemType: next.itemType,
+    nextCanonicalText: String(next.canonicalText).slice(0, 400),
+    evidenceText: String(next.evidenceText || "").slice(0, 400),
+    status: String(next.status || "active").slice(0, 20),
+    pinned: next.pinned ? 1 : 0
+  });
+  return getSemanticItem(conversationId, next.itemType, next.canonicalText);
+}
+
+function deleteSemanticItem(conversationId, itemType, canonicalText) {
+  return deleteSemanticItemTx(conversationId, itemType, canonicalText) > 0;
+}
+
+const MEMORY_EMBEDDING_SOURCE_TYPES = ["turn", "semantic", "summary"];
+
+// Vectors are stored as raw float32 blobs and keyed by embedder id, so vectors from different
+// embedders are never mixed in one similarity search.
+function upsertMemoryEmbeddings(conversationId, embedder, entries) {
+  const safeEmbedder = String(embedder || "").trim().slice(0, 120);
+  const prepared = (entries || []).filter(
+    (entry) =>
+      MEMORY_EMBEDDING_SOURCE_TYPES.includes(entry?.sourceType) &&
+      entry.sourceKey &&
+      entry.vector instanceof Float32Array &&
+      entry.vector.length > 0
+  );
+  if (!safeEmbedder || !prepared.length) {
+    return;
+  }
+
+  upsertMemoryEmbeddingsTx(
+    conversationId,
+    safeEmbedder,
+    prepared.map((entry) => ({
+      sourceType: entry.sourceType,
+      sourceKey: String(entry.sourceKey).slice(0, 400),
+      turn: Math.max(0, Math.trunc(Number(entry.turn) || 0)),
+      content: String(entry.content || "").slice(0, 2000),
+      vector: entry.vector
+    }))
+  );
+}
+
+// `sourceType:sourceKey` for every vector already stored for this embedder.
+function listMemoryEmbeddingKeys(conversationId, embedder) {
+  return new Set(
+    listMemoryEmbeddingKeysStmt.all(conversationId, embedder).map((row) => `${row.sourceType}:${row.sourceKey}`)
+  );
+}
+
+function getMemoryEmbeddings(conversationId, embedder) {
+  return listMemoryEmbeddingsStmt.all(conversationId, embedder).map((row) => ({
+    ...row,
+    // Copy out of the row buffer, whose offset is not guaranteed to be float-aligned.
+    vector: new Float32Array(new Uint8Array(row.vector).buffer)
+  }));
+}
+
+function getSemanticItem(conversationId, itemType, canonicalText) {
+  return mapSemanticItemRow(getSemanticItemStmt.get(conversationId, itemType, canonicalText));
+}
+
+function insertKnowledgeItem(item) {
+  const result = insertKnowledgeItemStmt.run({
+    itemType: item.itemType,
+    text: String(item.text || "").slice(0, 400),
+    canonicalText: String(item.canonicalText || "").slice(0, 400),
+    sourceConversationId: item.sourceConversationId || null,
+    sourceTopic: String(item.sourceTopic || "").slice(0, 220),
+    sourceTurn: Number.isFinite(item.sourceTurn) ? item.sourceTurn : null,
+    sourceSpeaker: String(item.sourceSpeaker || "").slice(0, 80),
+    sourceExcerpt: String(item.sourceExcerpt || "").slice(0, 400)
+  });
+  return getKnowledgeItem(Number(result.lastInsertRowid));
+}
+
+function getKnowledgeItem(itemId) {
+  return getKnowledgeItemStmt.get(itemId) || null;
+}
+
+function findKnowledgeItem(itemType, canonicalText) {
+  return findKnowledgeItemStmt.get(itemType, canonicalText) || null;
+}
+
+function listKnowledgeItems({ itemType = null, conversationId = null, limit = 50 } = {}) {
+  const safeLimit = Math.max(1, Math.min(200, Number(limit) || 50));
+  return listKnowledgeItemsStmt.all({ itemType: itemType || null, conversationId: conversationId || null, limit: safeLimit });
+}
+
+// Knowledge items not promoted from `conversationId`, with their stored vector (null when the item
+// has not been embedded yet).
+function listKnowledgeCandidates(conversationId, limit = 500) {
+  const safeLimit = Math.max(1, Math.min(2000, Number(limit) || 500));
+  return listKnowledgeCandidatesStmt.all(conversationId || "", safeLimit).map((row) => ({
+    ...row,
+    vector: row.vector ? new Float32Array(new Uint8Array(row.vector).buffer) : null
+  }));
+}
+
+function updateKnowledgeEmbeddings(embedder, entries) {
+  const safeEmbedder = String(embedder || "").trim().slice(0, 120);
+  const prepared = (entries || []).filter((entry) => entry?.vector instanceof Float32Array && entry.vector.length > 0);
+  if (!safeEmbedder || !prepared.length) {
+    return;
+  }
+
+  updateKnowledgeEmbeddingsTx(safeEmbedder, prepared);
+}
+
+function deleteKnowledgeItem(itemId) {
+  return deleteKnowledgeItemStmt.run(itemId).changes > 0;
 }
 
 function upsertRetrievalSources(conversationId, turn, sources) {
@@ -1068,6 +2580,28 @@ function getRecentClaimCitations(conversationId, limit = 60) {
   return listRecentClaimCitationsStmt.all(conversationId, safeLimit);
 }
 
+function insertModelUsage(conversationId, entry) {
+  const promptTokens = Math.max(0, Math.trunc(Number(entry?.promptTokens) || 0));
+  const completionTokens = Math.max(0, Math.trunc(Number(entry?.completionTokens) || 0));
+  insertModelUsageStmt.run({
+    conversationId,
+    turn: Number.isFinite(entry?.turn) ? entry.turn : null,
+    component: String(entry?.component || "turn"),
+    agentId: String(entry?.agentId || ""),
+    provider: String(entry?.provider || ""),
+    model: String(entry?.model || ""),
+    promptTokens,
+    completionTokens,
+    reasoningTokens: Math.max(0, Math.trunc(Number(entry?.reasoningTokens) || 0)),
+    totalTokens: Math.max(0, Math.trunc(Number(entry?.totalTokens) || 0)) || promptTokens + completionTokens
+  });
+}
+
+// One row per (turn, component, agent, provider, model) with summed token counts.
+function getModelUsage(conversationId) {
+  return listModelUsageStmt.all(conversationId);
+}
+
 function insertTierSummary(conversationId, tier, startTurn, endTurn, summary) {
   const safeTier = String(tier || "")
     .trim()
@@ -1093,7 +2627,7 @@ function insertTierSummary(conversationId, tier, startTurn, endTurn, summary) {
   });
 }
 
-function getRecentTierSummaries(conversationId, tier, limit = 6) {
+function getRecentTierSummaries(conversationId, tier, limit = 6, beforeTurn = null) {
   const safeTier = String(tier || "")
     .trim()
     .toLowerCase();
@@ -1102,7 +2636,7 @@ function getRecentTierSummaries(conversationId, tier, limit = 6) {
   }
 
   const safeLimit = Math.max(1, Math.min(80, Number(limit) || 6));
-  const rows = listRecentTierSummariesStmt.all(conversationId, safeTier, safeLimit);
+  const rows = listRecentTierSummariesStmt.all(conversationId, safeTier, turnBound(beforeTurn), safeLimit);
   return rows.reverse();
 }
 
@@ -1136,15 +2670,41 @@ function pruneConflictLedger(conversationId, keepLimit = 120) {
   pruneConflictLedgerStmt.run({ conversationId, keepLimit: safeKeepLimit });
 }
 
-function getConflictLedger(conversationId, limit = 24) {
+function getConflictLedger(conversationId, limit = 24, beforeTurn = null) {
   const safeLimit = Math.max(1, Math.min(240, Number(limit) || 24));
-  return listConflictLedgerStmt.all(conversationId, safeLimit);
+  return listConflictLedgerStmt.all(conversationId, turnBound(beforeTurn), safeLimit);
+}
+
+function getConflict(conversationId, issueKey) {
+  return getConflictStmt.get(conversationId, issueKey) || null;
+}
+
+// Resolved conflicts keep their status when the same contradiction is detected again, are never
+// pruned and survive memory rebuilds. Reopening one clears the resolution timestamp.
+function updateConflictStatus(conversationId, issueKey, { status, resolutionNote = "" }) {
+  updateConflictStatusStmt.run({
+    conversationId,
+    issueKey,
+    status,
+    resolutionNote: String(resolutionNote || "").slice(0, 600)
+  });
+  return getConflict(conversationId, issueKey);
 }
 
 function getMemoryStats(conversationId) {
   return getMemoryStatsStmt.get({ conversationId });
 }
 
+// First turn whose semantic extraction was deferred to a later batch, or null when none is pending.
+function getExtractionPendingFrom(conversationId) {
+  const pendingFrom = getExtractionPendingFromStmt.get(conversationId)?.pendingFrom;
+  return Number.isFinite(pendingFrom) ? pendingFrom : null;
+}
+
+function setExtractionPendingFrom(conversationId, turn) {
+  setExtractionPendingFromStmt.run({ conversationId, pendingFrom: turn === null ? null : Math.trunc(Number(turn)) });
+}
+
 function getLastSummaryTurn(conversationId) {
   const row = getLastSummaryTurnStmt.get(conversationId);
   return Number(row?.lastSummaryTurn || 0);
@@ -1163,47 +2723,91 @@ function insertSummary(conversationId, startTurn, endTurn, summary) {
   });
 }
 
-function getRecentSummaries(conversationId, limit = 6) {
+function getRecentSummaries(conversationId, limit = 6, beforeTurn = null) {
   const safeLimit = Math.max(1, Math.min(30, Number(limit) || 6));
-  const rows = listRecentSummariesStmt.all(conversationId, safeLimit);
+  const rows = listRecentSummariesStmt.all(conversationId, turnBound(beforeTurn), safeLimit);
   return rows.reverse();
 }
 
 export {
+  claimNextGenerationJob,
   clearConversations,
   createConversation,
   dbPath,
   deleteConversation,
+  finishGenerationJob,
+  findKnowledgeItem,
+  deleteConversationAgent,
+  deleteDiscoveryMode,
+  deleteKnowledgeItem,
+  deleteMemoryToken,
+  deleteSemanticItem,
   getConversation,
   getConversationBrief,
   getConversationAgents,
+  getConversationLineage,
+  getConflict,
   getConflictLedger,
+  getGenerationJob,
+  getKnowledgeItem,
+  getMemoryEmbeddings,
+  getDiscoveryMode,
+  getDismissedSemanticItems,
   getTopAgentMemoryTokens,
   getRecentClaimCitations,
   getRecentRetrievalSources,
   getRecentTierSummaries,
+  getSemanticItem,
+  getExtractionPendingFrom,
   getLastSummaryTurn,
   getMemoryStats,
+  getMemoryToken,
   getMessages,
   getMessagesUpToTurn,
   getMessagesInRange,
+  getModelUsage,
   getRecentSummaries,
   getTopMemoryTokens,
   getTopSemanticItems,
+  getUnfinishedConversationJob,
+  insertGenerationJob,
+  insertKnowledgeItem,
   insertMessages,
   insertClaimCitations,
+  insertConversationMerge,
+  insertModelUsage,
   insertTierSummary,
   insertSummary,
+  listConversationFamily,
+  listConversationJobs,
+  listKnowledgeCandidates,
+  listKnowledgeItems,
+  listMemoryEmbeddingKeys,
+  listConversationMerges,
   listConversations,
+  listDiscoveryModes,
   pruneConflictLedger,
   pruneAgentMemoryTokens,
   pruneMemoryTokens,
   pruneSemanticItems,
+  requeueRunningGenerationJobs,
+  resetDerivedMemory,
+  searchConversations,
+  setExtractionPendingFrom,
+  truncateMessagesAfterTurn,
   updateConversationMeta,
+  updateConflictStatus,
+  updateGenerationJobProgress,
+  updateKnowledgeEmbeddings,
+  updateMemoryToken,
+  updateMessageText,
+  updateSemanticItem,
   upsertConversationBrief,
   upsertConversationAgents,
   upsertConflictLedger,
+  upsertDiscoveryMode,
   upsertAgentMemoryTokens,
+  upsertMemoryEmbeddings,
   upsertMemoryTokens,
   upsertRetrievalSources,
   upsertSemanticItems
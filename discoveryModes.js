@@ -0,0 +1,191 @@
+import { deleteDiscoveryMode, getDiscoveryMode, listDiscoveryModes, upsertDiscoveryMode } from "./db.js";
+
+// A discovery mode steers a whole run: the hint every agent sees, the moderator's opening and
+// fallback directives plus its extra rules, evaluator thresholds, and how references are retrieved.
+// The three built-in modes are fixed; user-defined modes are stored in discovery_modes.
+
+const DEFAULT_DISCOVERY_MODE = "exploration";
+const DISCOVERY_MODE_ID_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+// citations: refresh references for every speaker and hold claims to [R#] citations.
+// agent_tools: only agents with the web tool fetch notes. none: no retrieval at all.
+const RETRIEVAL_POLICIES = ["citations", "agent_tools", "none"];
+
+// Same bounds as the EVALUATOR_MIN_* env settings; omitted thresholds fall back to those.
+const EVALUATOR_THRESHOLD_RANGES = {
+  minOverall: [0.2, 0.9],
+  minNovelty: [0.05, 0.9],
+  minCoherence: [0.05, 0.95],
+  minEvidence: [0.05, 0.95]
+};
+const MODERATOR_RULE_LIMIT = 6;
+
+const BUILT_IN_DISCOVERY_MODES = [
+  {
+    id: "exploration",
+    label: "Exploration",
+    hint: "In exploration mode, introduce fresh angles, concrete examples, and practical experiments.",
+    defaultDirective: "Maintain topic depth and introduce one testable idea each turn.",
+    moderatorDirective: "Increase specificity with one concrete actionable point.",
+    nextStep: "Run one small experiment and capture what evidence would change direction.",
+    moderatorRules: ["Emphasize novel testable ideas."],
+    evaluator: {},
+    retrievalPolicy: "agent_tools"
+  },
+  {
+    id: "debate",
+    label: "Debate",
+    hint: "In debate mode, surface strongest pro/con arguments and identify the core crux.",
+    defaultDirective: "Debate the strongest opposing positions and expose the crux.",
+    moderatorDirective: "Strengthen the crux with one argument and one counterargument.",
+    nextStep: "Surface the strongest counterargument and resolve the crux explicitly.",
+    moderatorRules: ["Emphasize strongest opposing arguments and crux."],
+    evaluator: {},
+    retrievalPolicy: "citations"
+  },
+  {
+    id: "synthesis",
+    label: "Synthesis",
+    hint: "In synthesis mode, converge on decisions, tradeoffs, and an executable action plan.",
+    defaultDirective: "Synthesize toward one decision with clear tradeoffs.",
+    moderatorDirective: "Converge on one decision with tradeoffs and the next step.",
+    nextStep: "Lock one decision with tradeoffs and define the immediate execution step.",
+    moderatorRules: ["Emphasize convergence and concrete next actions."],
+    evaluator: {},
+    retrievalPolicy: "agent_tools"
+  }
+].map((mode) => ({ ...mode, builtIn: true }));
+
+const BUILT_IN_MODE_IDS = new Set(BUILT_IN_DISCOVERY_MODES.map((mode) => mode.id));
+
+function sanitizeDiscoveryModeId(value) {
+  const id = String(value || "")
+    .trim()
+    .toLowerCase();
+  return DISCOVERY_MODE_ID_PATTERN.test(id) ? id : "";
+}
+
+function isBuiltInDiscoveryMode(modeId) {
+  return BUILT_IN_MODE_IDS.has(modeId);
+}
+
+function toProfile(stored) {
+  return {
+    id: stored.id,
+    label: stored.label,
+    hint: stored.hint,
+    defaultDirective: stored.defaultDirective,
+    moderatorDirective: stored.moderatorDirective || stored.defaultDirective,
+    nextStep: stored.nextStep || stored.defaultDirective,
+    moderatorRules: stored.moderatorRules,
+    evaluator: stored.evaluator,
+    retrievalPolicy: RETRIEVAL_POLICIES.includes(stored.retrievalPolicy) ? stored.retrievalPolicy : "agent_tools",
+    builtIn: false,
+    createdAt: stored.createdAt,
+    updatedAt: stored.updatedAt
+  };
+}
+
+function getDiscoveryModeProfile(modeId) {
+  const id = sanitizeDiscoveryModeId(modeId);
+  if (!id) {
+    return null;
+  }
+  const builtIn = BUILT_IN_DISCOVERY_MODES.find((mode) => mode.id === id);
+  if (builtIn) {
+    return builtIn;
+  }
+  const stored = getDiscoveryMode(id);
+  return stored ? toProfile(stored) : null;
+}
+
+function listDiscoveryModeProfiles() {
+  return [...BUILT_IN_DISCOVERY_MODES, ...listDiscoveryModes().map(toProfile)];
+}
+
+function cleanText(value, maxLength) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
+
+function parseModeratorRules(value) {
+  const lines = Array.isArray(value) ? value : String(value || "").split("\n");
+  return lines
+    .map((line) => cleanText(line, 200).replace(/^-\s*/, ""))
+    .filter(Boolean)
+    .slice(0, MODERATOR_RULE_LIMIT);
+}
+
+function parseEvaluatorThresholds(value) {
+  const thresholds = {};
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return thresholds;
+  }
+  for (const [key, [min, max]] of Object.entries(EVALUATOR_THRESHOLD_RANGES)) {
+    const raw = Number(value[key]);
+    if (value[key] !== undefined && value[key] !== null && Number.isFinite(raw)) {
+      thresholds[key] = Math.max(min, Math.min(max, raw));
+    }
+  }
+  return thresholds;
+}
+
+// Returns { mode } ready to store, or { error } describing the first invalid field.
+function parseDiscoveryModeInput(body) {
+  const source = body && typeof body === "object" ? body : {};
+  const id = sanitizeDiscoveryModeId(source.id);
+  if (!id) {
+    return { error: "Mode id must be 2-32 lowercase letters, digits or dashes, starting with a letter." };
+  }
+  if (isBuiltInDiscoveryMode(id)) {
+    return { error: "Built-in modes cannot be changed." };
+  }
+
+  const hint = cleanText(source.hint, 320);
+  const defaultDirective = cleanText(source.defaultDirective, 280);
+  if (!hint || !defaultDirective) {
+    return { error: "Modes need a hint and a defaultDirective." };
+  }
+
+  const retrievalPolicy = cleanText(source.retrievalPolicy, 24) || "agent_tools";
+  if (!RETRIEVAL_POLICIES.includes(retrievalPolicy)) {
+    return { error: `retrievalPolicy must be one of ${RETRIEVAL_POLICIES.join(", ")}.` };
+  }
+
+  return {
+    mode: {
+      id,
+      label: cleanText(source.label, 48) || id.charAt(0).toUpperCase() + id.slice(1),
+      hint,
+      defaultDirective,
+      moderatorDirective: cleanText(source.moderatorDirective, 280),
+      nextStep: cleanText(source.nextStep, 280),
+      moderatorRules: parseModeratorRules(source.moderatorRules),
+      evaluator: parseEvaluatorThresholds(source.evaluator),
+      retrievalPolicy
+    }
+  };
+}
+
+function saveDiscoveryMode(mode) {
+  return toProfile(upsertDiscoveryMode(mode));
+}
+
+function removeDiscoveryMode(modeId) {
+  return deleteDiscoveryMode(modeId);
+}
+
+export {
+  BUILT_IN_DISCOVERY_MODES,
+  DEFAULT_DISCOVERY_MODE,
+  RETRIEVAL_POLICIES,
+  getDiscoveryModeProfile,
+  isBuiltInDiscoveryMode,
+  listDiscoveryModeProfiles,
+  parseDiscoveryModeInput,
+  removeDiscoveryMode,
+  sanitizeDiscoveryModeId,
+  saveDiscoveryMode
+};
@@ -0,0 +1,176 @@
+import { getProviderDefaults, providerError } from "./llmProviders.js";
+
+// Every embedder exposes `embed(texts)` resolving to one L2-normalised Float32Array per text, plus
+// an `id` (provider and model) that keys the stored vectors, so switching embedders never
+// compares vectors from different spaces.
+
+const EMBEDDING_PROVIDER_NAMES = ["local", "openai", "ollama", "off"];
+
+const EMBEDDING_MODEL_DEFAULTS = {
+  openai: "text-embedding-3-small",
+  ollama: "nomic-embed-text"
+};
+
+const EMBED_TOKEN_PATTERN = /[a-z0-9][a-z0-9'-]*/g;
+
+function normalizeEmbeddingProvider(value, fallback = "local") {
+  const name = String(value || "")
+    .trim()
+    .toLowerCase();
+  return EMBEDDING_PROVIDER_NAMES.includes(name) ? name : fallback;
+}
+
+function normalizeVector(values) {
+  const vector = Float32Array.from(values || [], (value) => Number(value) || 0);
+  let norm = 0;
+  for (const value of vector) {
+    norm += value * value;
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let index = 0; index < vector.length; index += 1) {
+      vector[index] /= norm;
+    }
+  }
+  return vector;
+}
+
+// Both vectors are unit length, so the dot product is the cosine similarity.
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    dot += a[index] * b[index];
+  }
+  return dot;
+}
+
+// 32-bit FNV-1a.
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < feature.length; index += 1) {
+    hash ^= feature.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Feature hashing over words, word pairs and character trigrams. The trigrams let inflections
+// ("queue", "queues", "queued") land near each other without a stemmer.
+function hashEmbedding(text, dimensions) {
+  const counts = new Map();
+  const addFeature = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+  const words = (String(text || "").toLowerCase().match(EMBED_TOKEN_PATTERN) || []).filter((word) => word.length >= 3);
+
+  words.forEach((word, index) => {
+    addFeature(`w:${word}`, 1);
+    if (index > 0) {
+      addFeature(`b:${words[index - 1]} ${word}`, 0.5);
+    }
+    const padded = `^${word}$`;
+    for (let offset = 0; offset + 3 <= padded.length; offset += 1) {
+      addFeature(`c:${padded.slice(offset, offset + 3)}`, 0.25);
+    }
+  });
+
+  const vector = new Float32Array(dimensions);
+  for (const [feature, count] of counts) {
+    const hash = hashFeature(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * (1 + Math.log(count));
+  }
+  return normalizeVector(vector);
+}
+
+function createLocalEmbedder({ dimensions }) {
+  return {
+    provider: "local",
+    model: `hash-${dimensions}`,
+    id: `local:hash-${dimensions}`,
+    embed: async (texts) => texts.map((text) => hashEmbedding(text, dimensions))
+  };
+}
+
+async function postEmbeddingRequest(provider, endpoint, headers, body) {
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body)
+  });
+  let data = null;
+  try {
+    data = await response.json();
+  } catch {
+    data = null;
+  }
+  if (!response.ok) {
+    const detail = data?.error;
+    const message = typeof detail === "string" ? detail : detail?.message;
+    throw providerError(provider, response.status, message || `${provider} embedding request failed (${response.status}).`);
+  }
+  return data;
+}
+
+function createOpenAIEmbedder({ apiKey, baseUrl, model }) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const endpoint = `${String(baseUrl || "https://api.openai.com/v1").replace(/\/+$/, "")}/embeddings`;
+  return {
+    provider: "openai",
+    model,
+    id: `openai:${model}`,
+    embed: async (texts) => {
+      const data = await postEmbeddingRequest("openai", endpoint, { authorization: `Bearer ${apiKey}` }, {
+        model,
+        input: texts
+      });
+      return [...(data?.data || [])]
+        .sort((a, b) => Number(a.index) - Number(b.index))
+        .map((item) => normalizeVector(item.embedding));
+    }
+  };
+}
+
+function createOllamaEmbedder({ baseUrl, model }) {
+  const endpoint = `${String(baseUrl || "http://127.0.0.1:11434").replace(/\/+$/, "")}/api/embed`;
+  return {
+    provider: "ollama",
+    model,
+    id: `ollama:${model}`,
+    embed: async (texts) => {
+      const data = await postEmbeddingRequest("ollama", endpoint, {}, { model, input: texts });
+      return (data?.embeddings || []).map((embedding) => normalizeVector(embedding));
+    }
+  };
+}
+
+// Returns null when embeddings are turned off or the provider needs a key that is not configured.
+// Remote providers reuse the chat provider's key and base URL settings.
+function createEmbedder(providerName, { model = "", dimensions = 256 } = {}) {
+  const provider = normalizeEmbeddingProvider(providerName);
+  if (provider === "off") {
+    return null;
+  }
+  if (provider === "local") {
+    return createLocalEmbedder({ dimensions });
+  }
+
+  const defaults = getProviderDefaults(provider);
+  const embeddingModel = String(model || "").trim() || EMBEDDING_MODEL_DEFAULTS[provider];
+  if (provider === "ollama") {
+    return createOllamaEmbedder({ baseUrl: defaults.baseUrl, model: embeddingModel });
+  }
+  return createOpenAIEmbedder({ apiKey: defaults.apiKey, baseUrl: defaults.baseUrl, model: embeddingModel });
+}
+
+export {
+  EMBEDDING_PROVIDER_NAMES,
+  cosineSimilarity,
+  createEmbedder,
+  hashEmbedding,
+  normalizeEmbeddingProvider
+};
@@ -0,0 +1,43 @@
+import { claimNextGenerationJob, requeueRunningGenerationJobs } from "./db.js";
+
+// In-process worker for the generation_jobs queue. Jobs are claimed oldest first and handed to
+// `runJob`, which records progress and the final status itself; the worker only keeps at most
+// `concurrency` jobs in flight and pulls the next one as soon as a slot frees up.
+function createGenerationJobWorker({ concurrency = 1, runJob, onError = null }) {
+  let running = 0;
+
+  function wake() {
+    while (running < concurrency) {
+      const job = claimNextGenerationJob();
+      if (!job) {
+        return;
+      }
+      running += 1;
+      Promise.resolve()
+        .then(() => runJob(job))
+        .catch((error) => onError?.(error, job))
+        .finally(() => {
+          running -= 1;
+          wake();
+        });
+    }
+  }
+
+  // Jobs left running by a previous process go back to the queue; runJob picks them up from
+  // their last persisted turn.
+  function resume() {
+    const requeued = requeueRunningGenerationJobs();
+    wake();
+    return requeued;
+  }
+
+  return {
+    wake,
+    resume,
+    get running() {
+      return running;
+    }
+  };
+}
+
+export { createGenerationJobWorker };
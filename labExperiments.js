@@ -0,0 +1,68 @@
+// Helpers for lab experiments: expanding a variant matrix, running variants with bounded
+// concurrency, and ranking the finished runs.
+
+// Weights for the single lab score used to rank variants.
+const LAB_SCORE_WEIGHTS = { objective: 0.4, quality: 0.3, evaluator: 0.3 };
+
+// Cartesian product of the axes in insertion order, so the first axis varies slowest.
+// Each variant maps axis name -> { index, value }.
+function expandLabMatrix(axes) {
+  let variants = [{}];
+  for (const [name, values] of Object.entries(axes)) {
+    const next = [];
+    for (const variant of variants) {
+      values.forEach((value, index) => {
+        next.push({ ...variant, [name]: { index, value } });
+      });
+    }
+    variants = next;
+  }
+  return variants;
+}
+
+// Runs worker(item, index) with at most `limit` calls in flight; results keep the input order.
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+function labScore({ objective, quality, evaluator }) {
+  const score =
+    Number(objective || 0) * LAB_SCORE_WEIGHTS.objective +
+    Number(quality || 0) * LAB_SCORE_WEIGHTS.quality +
+    Number(evaluator || 0) * LAB_SCORE_WEIGHTS.evaluator;
+  return Number(score.toFixed(4));
+}
+
+// Best first; ties keep variant order. Runs that failed are left out.
+function rankLabRuns(runs) {
+  return runs
+    .filter((run) => !run.error)
+    .map((run) => {
+      const scores = {
+        objective: Number(run.score?.overall || 0),
+        quality: Number(run.quality?.avgScore || 0),
+        evaluator: Number(run.quality?.evaluatorAvgScore || 0)
+      };
+      return {
+        conversationId: run.conversationId,
+        variantIndex: run.variant.index,
+        label: run.variant.label,
+        labScore: labScore(scores),
+        ...scores
+      };
+    })
+    .sort((a, b) => b.labScore - a.labScore || a.variantIndex - b.variantIndex)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+export { LAB_SCORE_WEIGHTS, expandLabMatrix, labScore, rankLabRuns, runWithConcurrency };
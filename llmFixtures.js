@@ -0,0 +1,208 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import {
+  completionChunk,
+  completionObject,
+  getProviderErrorClassifier,
+  normalizeProviderName,
+  providerError
+} from "./llmProviders.js";
+
+// Record/replay wrapper around a provider from llmProviders.js. In `record` mode every model
+// request is forwarded and its response (or error) is written to `<dir>/<hash>.json`; in
+// `replay` mode the same hash is answered from disk without any network access.
+
+const LLM_FIXTURE_MODES = ["off", "record", "replay"];
+
+function normalizeFixtureMode(value) {
+  const mode = String(value || "")
+    .trim()
+    .toLowerCase();
+  return LLM_FIXTURE_MODES.includes(mode) ? mode : "off";
+}
+
+// Streaming is not part of the key: a fixture replays as a stream or a single completion.
+function fixtureKeyFor(payload) {
+  const material = JSON.stringify({
+    model: String(payload?.model || ""),
+    messages: (payload?.messages || []).map((message) => ({
+      role: String(message?.role || ""),
+      content: String(message?.content ?? "")
+    })),
+    temperature: Number.isFinite(payload?.temperature) ? payload.temperature : null,
+    reasoningEffort: payload?.reasoning_effort || null
+  });
+  return createHash("sha256").update(material).digest("hex").slice(0, 24);
+}
+
+function fixturePath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+function readFixture(dir, key) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath(dir, key), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function writeFixture(dir, key, fixture) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(fixturePath(dir, key), `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+function summarizeRequest(payload) {
+  const lastMessage = (payload?.messages || [])[payload.messages.length - 1];
+  return {
+    model: String(payload?.model || ""),
+    temperature: Number.isFinite(payload?.temperature) ? payload.temperature : null,
+    reasoningEffort: payload?.reasoning_effort || null,
+    lastMessagePreview: String(lastMessage?.content || "").slice(0, 240)
+  };
+}
+
+function serializeProviderError(error) {
+  return {
+    status: Number(error?.status || 0) || null,
+    message: String(error?.message || error?.error?.message || "Model request failed."),
+    type: error?.type || error?.error?.type || null,
+    param: error?.param || error?.error?.param || null,
+    code: error?.code || error?.error?.code || null
+  };
+}
+
+// Rebuilt errors carry both flat and OpenAI SDK-style nested fields so every classifier matches.
+function restoreProviderError(provider, recorded) {
+  return providerError(provider, recorded?.status || 500, recorded?.message, {
+    type: recorded?.type || "",
+    param: recorded?.param || null,
+    code: recorded?.code || null,
+    error: {
+      message: recorded?.message || "",
+      type: recorded?.type || null,
+      param: recorded?.param || null,
+      code: recorded?.code || null
+    }
+  });
+}
+
+async function* replayStream(provider, response, modelName) {
+  const deltas = Array.isArray(response.deltas) ? response.deltas : [String(response.content || "")];
+  for (const delta of deltas) {
+    yield completionChunk("", response.model || modelName, delta);
+  }
+  if (response.error) {
+    throw restoreProviderError(provider, response.error);
+  }
+  yield completionChunk("", response.model || modelName, "", response.finishReason || "stop", response.usage || null);
+}
+
+async function* recordStream(stream, modelName, save) {
+  const deltas = [];
+  let finishReason = null;
+  let usage = null;
+  let responseModel = modelName;
+  try {
+    for await (const chunk of stream) {
+      responseModel = chunk?.model || responseModel;
+      usage = chunk?.usage || usage;
+      const choice = chunk?.choices?.[0];
+      finishReason = choice?.finish_reason || finishReason;
+      if (typeof choice?.delta?.content === "string" && choice.delta.content) {
+        deltas.push(choice.delta.content);
+      }
+      yield chunk;
+    }
+  } catch (error) {
+    save({ model: responseModel, content: deltas.join(""), deltas, error: serializeProviderError(error) });
+    throw error;
+  }
+  save({ model: responseModel, content: deltas.join(""), deltas, finishReason, usage });
+}
+
+function withLlmFixtures(inner, { provider, mode, dir }) {
+  const fixtureMode = normalizeFixtureMode(mode);
+  if (fixtureMode === "off" || (fixtureMode === "record" && !inner)) {
+    return inner;
+  }
+
+  const providerName = normalizeProviderName(inner?.provider || provider);
+  const fixtureDir = path.resolve(dir || "./fixtures/llm");
+  // Repeated identical requests (quality retries, reruns) replay recorded responses in order.
+  const callCounts = new Map();
+  const nextCallIndex = (key) => {
+    const index = callCounts.get(key) || 0;
+    callCounts.set(key, index + 1);
+    return index;
+  };
+
+  const replay = async (payload, key, index) => {
+    const responses = readFixture(fixtureDir, key)?.responses || [];
+    if (responses.length === 0) {
+      throw providerError(providerName, 500, `No recorded fixture for request ${key} (${payload.model}).`, {
+        code: "fixture_missing"
+      });
+    }
+    const response = responses[Math.min(index, responses.length - 1)];
+    if (response.error && !response.deltas) {
+      throw restoreProviderError(providerName, response.error);
+    }
+    if (payload.stream) {
+      return replayStream(providerName, response, payload.model);
+    }
+    return completionObject(
+      "",
+      response.model || payload.model,
+      response.content || "",
+      response.finishReason || "stop",
+      response.usage || null
+    );
+  };
+
+  const record = async (payload, options, key, index) => {
+    const save = (response) => {
+      // The first call for a key in this process starts a fresh recording.
+      const existing = index > 0 ? readFixture(fixtureDir, key) : null;
+      const fixture = existing || { key, provider: providerName, request: summarizeRequest(payload), responses: [] };
+      fixture.responses[index] = response;
+      writeFixture(fixtureDir, key, fixture);
+    };
+
+    let result = null;
+    try {
+      result = await inner.chat.completions.create(payload, options);
+    } catch (error) {
+      save({ error: serializeProviderError(error) });
+      throw error;
+    }
+
+    if (payload.stream) {
+      return recordStream(result, payload.model, save);
+    }
+    const choice = result?.choices?.[0];
+    save({
+      model: result?.model || payload.model,
+      content: choice?.message?.content || "",
+      finishReason: choice?.finish_reason || null,
+      usage: result?.usage || null
+    });
+    return result;
+  };
+
+  const create = async (payload, options = {}) => {
+    const key = fixtureKeyFor(payload);
+    const index = nextCallIndex(key);
+    return fixtureMode === "replay" ? replay(payload, key, index) : record(payload, options, key, index);
+  };
+
+  return {
+    provider: providerName,
+    fixtureMode,
+    chat: { completions: { create } },
+    classifyError: inner?.classifyError || getProviderErrorClassifier(providerName)
+  };
+}
+
+export { LLM_FIXTURE_MODES, fixtureKeyFor, normalizeFixtureMode, withLlmFixtures };
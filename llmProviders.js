@@ -0,0 +1,399 @@
+import OpenAI from "openai";
+import { classifyOpenAIError } from "./openaiCompat.js";
+
+// Every adapter exposes the OpenAI-shaped `chat.completions.create(payload, { signal })`
+// used by createChatCompletionWithFallback, plus its own `classifyError`.
+
+function readIntEnv(name, fallback, min, max) {
+  const raw = Number(process.env[name]);
+  const value = Number.isFinite(raw) ? raw : fallback;
+  return Math.max(min, Math.min(max, Math.trunc(value)));
+}
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+const PROVIDER_DEFAULTS = {
+  openai: {
+    modelEnv: "OPENAI_MODEL",
+    model: "gpt-5.2",
+    fallbackModelEnv: "OPENAI_FALLBACK_MODEL",
+    fallbackModel: "gpt-4o-mini",
+    apiKeyEnv: "OPENAI_API_KEY",
+    baseUrlEnv: "OPENAI_BASE_URL",
+    baseUrl: ""
+  },
+  anthropic: {
+    modelEnv: "ANTHROPIC_MODEL",
+    model: "claude-sonnet-4-5",
+    fallbackModelEnv: "ANTHROPIC_FALLBACK_MODEL",
+    fallbackModel: "claude-haiku-4-5",
+    apiKeyEnv: "ANTHROPIC_API_KEY",
+    baseUrlEnv: "ANTHROPIC_BASE_URL",
+    baseUrl: "https://api.anthropic.com"
+  },
+  ollama: {
+    modelEnv: "OLLAMA_MODEL",
+    model: "llama3.1",
+    fallbackModelEnv: "OLLAMA_FALLBACK_MODEL",
+    fallbackModel: "",
+    apiKeyEnv: "",
+    baseUrlEnv: "OLLAMA_BASE_URL",
+    baseUrl: "http://127.0.0.1:11434"
+  }
+};
+
+const LLM_PROVIDER_NAMES = Object.keys(PROVIDER_DEFAULTS);
+
+function normalizeProviderName(value, fallback = "openai") {
+  const name = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (PROVIDER_DEFAULTS[name]) {
+    return name;
+  }
+  return PROVIDER_DEFAULTS[fallback] ? fallback : "openai";
+}
+
+function getProviderDefaults(providerName) {
+  const provider = normalizeProviderName(providerName);
+  const defaults = PROVIDER_DEFAULTS[provider];
+  return {
+    provider,
+    model: process.env[defaults.modelEnv] || defaults.model,
+    fallbackModel: process.env[defaults.fallbackModelEnv] || defaults.fallbackModel,
+    apiKeyEnv: defaults.apiKeyEnv,
+    apiKey: defaults.apiKeyEnv ? process.env[defaults.apiKeyEnv] || "" : "",
+    baseUrlEnv: defaults.baseUrlEnv,
+    baseUrl: process.env[defaults.baseUrlEnv] || defaults.baseUrl
+  };
+}
+
+function providerError(provider, status, message, fields = {}) {
+  const error = new Error(message || `${provider} request failed (${status}).`);
+  error.provider = provider;
+  error.status = status;
+  Object.assign(error, fields);
+  return error;
+}
+
+async function readErrorResponse(provider, response) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    body = null;
+  }
+  const detail = body?.error;
+  const message = typeof detail === "string" ? detail : detail?.message;
+  return providerError(provider, response.status, message || `${provider} request failed (${response.status}).`, {
+    type: typeof detail === "object" ? detail?.type || "" : ""
+  });
+}
+
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline = buffer.indexOf("\n");
+    while (newline !== -1) {
+      yield buffer.slice(0, newline).replace(/\r$/, "");
+      buffer = buffer.slice(newline + 1);
+      newline = buffer.indexOf("\n");
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+function completionChunk(id, modelName, content, finishReason = null, usage = null) {
+  return {
+    id,
+    object: "chat.completion.chunk",
+    model: modelName,
+    choices: [{ index: 0, delta: content ? { content } : {}, finish_reason: finishReason }],
+    ...(usage ? { usage } : {})
+  };
+}
+
+function completionObject(id, modelName, content, finishReason, usage) {
+  return {
+    id,
+    object: "chat.completion",
+    model: modelName,
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: finishReason }],
+    usage
+  };
+}
+
+function usageFromCounts(promptTokens, completionTokens) {
+  const prompt = Number(promptTokens || 0);
+  const completion = Number(completionTokens || 0);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+function errorText(error) {
+  return String(error?.message || "").toLowerCase();
+}
+
+function createOpenAIProvider({ apiKey, baseUrl }) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const sdk = new OpenAI({ apiKey, baseURL: baseUrl || undefined });
+  return {
+    provider: "openai",
+    chat: sdk.chat,
+    classifyError: classifyOpenAIError
+  };
+}
+
+function toAnthropicMessages(messages) {
+  const merged = [];
+  for (const message of messages || []) {
+    if (message?.role === "system") {
+      continue;
+    }
+    const role = message?.role === "assistant" ? "assistant" : "user";
+    const content = String(message?.content || "");
+    const last = merged[merged.length - 1];
+    // The Messages API expects alternating roles, starting with the user.
+    if (last && last.role === role) {
+      last.content = `${last.content}\n\n${content}`;
+    } else {
+      merged.push({ role, content });
+    }
+  }
+  if (merged[0]?.role !== "user") {
+    merged.unshift({ role: "user", content: "Continue." });
+  }
+  return merged;
+}
+
+function anthropicStopReason(reason) {
+  if (reason === "max_tokens") {
+    return "length";
+  }
+  return reason ? "stop" : null;
+}
+
+async function* streamAnthropicCompletion(response, fallbackModel) {
+  let id = "";
+  let modelName = fallbackModel;
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let stopReason = null;
+
+  for await (const line of readLines(response.body)) {
+    if (!line.startsWith("data:")) {
+      continue;
+    }
+    let event = null;
+    try {
+      event = JSON.parse(line.slice(5).trim());
+    } catch {
+      continue;
+    }
+
+    if (event?.type === "message_start") {
+      id = event.message?.id || id;
+      modelName = event.message?.model || modelName;
+      inputTokens = Number(event.message?.usage?.input_tokens || 0);
+    } else if (event?.type === "content_block_delta" && event.delta?.type === "text_delta") {
+      yield completionChunk(id, modelName, event.delta.text || "");
+    } else if (event?.type === "message_delta") {
+      stopReason = event.delta?.stop_reason || stopReason;
+      outputTokens = Number(event.usage?.output_tokens || outputTokens);
+    } else if (event?.type === "error") {
+      throw providerError("anthropic", 500, event.error?.message, { type: event.error?.type || "" });
+    }
+  }
+
+  yield completionChunk(id, modelName, "", anthropicStopReason(stopReason), usageFromCounts(inputTokens, outputTokens));
+}
+
+function classifyAnthropicError(error) {
+  const message = errorText(error);
+  const type = String(error?.type || "");
+  return {
+    modelAccess:
+      type === "not_found_error" || (Number(error?.status) === 404 && (!message || message.includes("model"))),
+    temperatureUnsupported: Number(error?.status) === 400 && message.includes("temperature"),
+    reasoningEffortUnsupported: false,
+    streamOptionsUnsupported: false
+  };
+}
+
+function createAnthropicProvider({ apiKey, baseUrl }) {
+  if (!apiKey) {
+    return null;
+  }
+
+  const endpoint = `${String(baseUrl || PROVIDER_DEFAULTS.anthropic.baseUrl).replace(/\/+$/, "")}/v1/messages`;
+  const create = async (payload, options = {}) => {
+    const system = (payload.messages || [])
+      .filter((message) => message?.role === "system")
+      .map((message) => String(message.content || ""))
+      .join("\n\n");
+    const body = {
+      model: payload.model,
+      max_tokens: readIntEnv("ANTHROPIC_MAX_TOKENS", 1024, 64, 8192),
+      messages: toAnthropicMessages(payload.messages),
+      ...(system ? { system } : {}),
+      ...(Number.isFinite(payload.temperature) ? { temperature: Math.max(0, Math.min(1, payload.temperature)) } : {}),
+      ...(payload.stream ? { stream: true } : {})
+    };
+
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(body),
+      signal: options.signal
+    });
+    if (!response.ok) {
+      throw await readErrorResponse("anthropic", response);
+    }
+    if (payload.stream) {
+      return streamAnthropicCompletion(response, payload.model);
+    }
+
+    const data = await response.json();
+    const content = (data?.content || [])
+      .filter((block) => block?.type === "text")
+      .map((block) => block.text || "")
+      .join("");
+    return completionObject(
+      data?.id || "",
+      data?.model || payload.model,
+      content,
+      anthropicStopReason(data?.stop_reason),
+      usageFromCounts(data?.usage?.input_tokens, data?.usage?.output_tokens)
+    );
+  };
+
+  return {
+    provider: "anthropic",
+    chat: { completions: { create } },
+    classifyError: classifyAnthropicError
+  };
+}
+
+async function* streamOllamaCompletion(response, modelName) {
+  for await (const line of readLines(response.body)) {
+    if (!line.trim()) {
+      continue;
+    }
+    let event = null;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (event?.error) {
+      throw providerError("ollama", 500, String(event.error));
+    }
+    if (event?.done) {
+      yield completionChunk(
+        "",
+        event.model || modelName,
+        event.message?.content || "",
+        event.done_reason === "length" ? "length" : "stop",
+        usageFromCounts(event.prompt_eval_count, event.eval_count)
+      );
+      return;
+    }
+    yield completionChunk("", event?.model || modelName, event?.message?.content || "");
+  }
+}
+
+function classifyOllamaError(error) {
+  const message = errorText(error);
+  return {
+    modelAccess: Number(error?.status) === 404 || (message.includes("model") && message.includes("not found")),
+    temperatureUnsupported: false,
+    reasoningEffortUnsupported: false,
+    streamOptionsUnsupported: false
+  };
+}
+
+// Targets Ollama's native /api/chat; llama.cpp's server is OpenAI-compatible and uses the openai adapter.
+function createOllamaProvider({ baseUrl }) {
+  const endpoint = `${String(baseUrl || PROVIDER_DEFAULTS.ollama.baseUrl).replace(/\/+$/, "")}/api/chat`;
+  const create = async (payload, options = {}) => {
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        model: payload.model,
+        messages: (payload.messages || []).map((message) => ({
+          role: message.role,
+          content: String(message.content || "")
+        })),
+        stream: Boolean(payload.stream),
+        ...(Number.isFinite(payload.temperature) ? { options: { temperature: payload.temperature } } : {})
+      }),
+      signal: options.signal
+    });
+    if (!response.ok) {
+      throw await readErrorResponse("ollama", response);
+    }
+    if (payload.stream) {
+      return streamOllamaCompletion(response, payload.model);
+    }
+
+    const data = await response.json();
+    return completionObject(
+      "",
+      data?.model || payload.model,
+      data?.message?.content || "",
+      data?.done_reason === "length" ? "length" : "stop",
+      usageFromCounts(data?.prompt_eval_count, data?.eval_count)
+    );
+  };
+
+  return {
+    provider: "ollama",
+    chat: { completions: { create } },
+    classifyError: classifyOllamaError
+  };
+}
+
+const PROVIDER_ERROR_CLASSIFIERS = {
+  openai: classifyOpenAIError,
+  anthropic: classifyAnthropicError,
+  ollama: classifyOllamaError
+};
+
+function getProviderErrorClassifier(providerName) {
+  return PROVIDER_ERROR_CLASSIFIERS[normalizeProviderName(providerName)];
+}
+
+// Returns null when the provider needs a key that is not configured.
+function createLlmProvider(providerName, { apiKey, baseUrl } = {}) {
+  const provider = normalizeProviderName(providerName);
+  if (provider === "anthropic") {
+    return createAnthropicProvider({ apiKey, baseUrl });
+  }
+  if (provider === "ollama") {
+    return createOllamaProvider({ baseUrl });
+  }
+  return createOpenAIProvider({ apiKey, baseUrl });
+}
+
+export {
+  LLM_PROVIDER_NAMES,
+  completionChunk,
+  completionObject,
+  createLlmProvider,
+  getProviderDefaults,
+  getProviderErrorClassifier,
+  normalizeProviderName,
+  providerError
+};
@@ -1,29 +1,46 @@
 import {
+  findKnowledgeItem,
+  getConflict,
   getConflictLedger,
+  getExtractionPendingFrom,
+  getKnowledgeItem,
   getLastSummaryTurn,
+  getMemoryEmbeddings,
   getMemoryStats,
+  getMessages,
   getMessagesInRange,
   getRecentSummaries,
+  getSemanticItem,
   getRecentTierSummaries,
   getTopAgentMemoryTokens,
   getTopMemoryTokens,
   getTopSemanticItems,
   insertTierSummary,
+  insertKnowledgeItem,
   insertSummary,
+  listKnowledgeCandidates,
+  listMemoryEmbeddingKeys,
   pruneAgentMemoryTokens,
   pruneConflictLedger,
   pruneMemoryTokens,
   pruneSemanticItems,
+  setExtractionPendingFrom,
+  updateKnowledgeEmbeddings,
+  updateSemanticItem,
   upsertConflictLedger,
   upsertAgentMemoryTokens,
+  upsertMemoryEmbeddings,
   upsertMemoryTokens,
   upsertSemanticItems
 } from "./db.js";
+import { cosineSimilarity, createEmbedder } from "./embeddings.js";
 import {
   createChatCompletionWithFallback,
   extractAssistantText,
-  normalizeReasoningEffort
+  normalizeReasoningEffort,
+  parseJsonObject
 } from "./openaiCompat.js";
+import { getProviderDefaults } from "./llmProviders.js";
 
 const STOP_WORDS = new Set([
   "a",
@@ -149,6 +166,12 @@ function readIntEnv(name, fallback, min, max) {
   return Math.max(min, Math.min(max, Math.trunc(value)));
 }
 
+function readFloatEnv(name, fallback, min, max) {
+  const raw = Number(process.env[name]);
+  const value = Number.isFinite(raw) ? raw : fallback;
+  return Math.max(min, Math.min(max, value));
+}
+
 const MEMORY_TOKEN_KEEP_LIMIT = readIntEnv("MEMORY_TOKEN_KEEP_LIMIT", 180, 50, 500);
 const MEMORY_PROMPT_TOKEN_LIMIT = readIntEnv("MEMORY_PROMPT_TOKEN_LIMIT", 50, 10, 200);
 const MEMORY_AGENT_TOKEN_KEEP_LIMIT = readIntEnv("MEMORY_AGENT_TOKEN_KEEP_LIMIT", 120, 40, 400);
@@ -164,8 +187,39 @@ const MEMORY_PROMPT_MESO_LIMIT = readIntEnv("MEMORY_PROMPT_MESO_LIMIT", 4, 1, 12
 const MEMORY_PROMPT_MACRO_LIMIT = readIntEnv("MEMORY_PROMPT_MACRO_LIMIT", 3, 1, 8);
 const MEMORY_CONFLICT_KEEP_LIMIT = readIntEnv("MEMORY_CONFLICT_KEEP_LIMIT", 160, 30, 600);
 const MEMORY_PROMPT_CONFLICT_LIMIT = readIntEnv("MEMORY_PROMPT_CONFLICT_LIMIT", 14, 3, 80);
+const EMBEDDING_DIMENSIONS = readIntEnv("EMBEDDING_DIMENSIONS", 256, 64, 2048);
+const EMBEDDING_BATCH_SIZE = readIntEnv("EMBEDDING_BATCH_SIZE", 64, 1, 512);
+const MEMORY_RETRIEVAL_SEMANTIC_LIMIT = readIntEnv("MEMORY_RETRIEVAL_SEMANTIC_LIMIT", 8, 0, 24);
+const MEMORY_RETRIEVAL_TURN_LIMIT = readIntEnv("MEMORY_RETRIEVAL_TURN_LIMIT", 3, 0, 12);
+const MEMORY_RETRIEVAL_SUMMARY_LIMIT = readIntEnv("MEMORY_RETRIEVAL_SUMMARY_LIMIT", 2, 0, 8);
+const MEMORY_RETRIEVAL_MIN_SCORE = readFloatEnv("MEMORY_RETRIEVAL_MIN_SCORE", 0.2, 0, 0.95);
+const KNOWLEDGE_RETRIEVAL_LIMIT = readIntEnv("KNOWLEDGE_RETRIEVAL_LIMIT", 4, 0, 16);
+const KNOWLEDGE_RETRIEVAL_MIN_SCORE = readFloatEnv("KNOWLEDGE_RETRIEVAL_MIN_SCORE", 0.25, 0, 0.95);
+// Model extraction is opt-in: it costs a call per batch of turns.
+const MEMORY_EXTRACTION_MODE = String(process.env.MEMORY_EXTRACTION_MODE || "regex").trim().toLowerCase() === "llm" ? "llm" : "regex";
+const MEMORY_EXTRACTION_BATCH_TURNS = readIntEnv("MEMORY_EXTRACTION_BATCH_TURNS", 12, 2, 40);
+const MEMORY_EXTRACTION_MIN_CONFIDENCE = readFloatEnv("MEMORY_EXTRACTION_MIN_CONFIDENCE", 0.5, 0, 0.95);
+// Null when EMBEDDING_PROVIDER is off or a remote provider has no key; retrieval is skipped then.
+const memoryEmbedder = createEmbedder(process.env.EMBEDDING_PROVIDER || "local", {
+  model: process.env.EMBEDDING_MODEL,
+  dimensions: EMBEDDING_DIMENSIONS
+});
+// Turns at the tail of the transcript go into the prompt verbatim.
+const RECENT_TURN_WINDOW = 10;
 const OPENAI_REASONING_EFFORT = normalizeReasoningEffort(process.env.OPENAI_REASONING_EFFORT || "medium", "medium");
-const OPENAI_FALLBACK_MODEL = process.env.OPENAI_FALLBACK_MODEL || "gpt-4o-mini";
+// Speaker id stored on turns written by a person in the room rather than an agent.
+const HUMAN_SPEAKER_ID = "human";
+// Speaker id stored on the note written into a parent when a fork is merged back.
+const MERGE_SPEAKER_ID = "merge";
+const NON_AGENT_SPEAKER_IDS = new Set([HUMAN_SPEAKER_ID, MERGE_SPEAKER_ID]);
+// Semantic item types a merged fork carries back into its parent.
+const MERGE_ITEM_TYPES = ["decision", "constraint"];
+// Semantic item types that can be promoted into the workspace knowledge base.
+const KNOWLEDGE_ITEM_TYPES = ["decision", "definition", "constraint"];
+const SEMANTIC_ITEM_TYPES = ["hypothesis", "decision", "constraint", "definition", "open_question"];
+// Statuses a person can set on a semantic item. Dismissed items stay stored (so the extractor does
+// not bring them back) but are left out of prompts.
+const SEMANTIC_ITEM_STATUSES = ["open", "active", "resolved", "dismissed"];
 
 const TOKEN_PATTERN = /[a-z0-9][a-z0-9'-]*/gi;
 
@@ -319,11 +373,21 @@ function extractSemanticEntries(messages) {
         occurrences: 1,
         firstTurn: message.turn,
         lastTurn: message.turn,
-        status: classification.status
+        status: classification.status,
+        speaker: message.speaker || "",
+        speakerId: message.speakerId || "",
+        sourceTurns: [message.turn],
+        extractor: "regex"
       });
     }
   }
 
+  return collapseSemanticEntries(items);
+}
+
+// Merges items that share a type and canonical text; the latest mention supplies the evidence and
+// the speaker.
+function collapseSemanticEntries(items) {
   const grouped = new Map();
 
   for (const item of items) {
@@ -340,6 +404,9 @@ function extractSemanticEntries(messages) {
     existing.lastTurn = Math.max(existing.lastTurn, item.lastTurn);
     existing.confidence = Math.max(existing.confidence, item.confidence);
     existing.evidenceText = item.evidenceText;
+    existing.speaker = item.speaker;
+    existing.speakerId = item.speakerId;
+    existing.sourceTurns = [...new Set([...existing.sourceTurns, ...item.sourceTurns])].sort((a, b) => a - b);
   }
 
   return [...grouped.values()]
@@ -347,6 +414,123 @@ function extractSemanticEntries(messages) {
     .slice(0, 30);
 }
 
+// Validates the model's items against the batch: unknown types, short texts, low confidence and
+// items without a turn from this batch are dropped. The speaker is the one the model named when it
+// spoke one of the cited turns, otherwise whoever spoke the first cited turn.
+function normalizeExtractedItems(rawItems, messages) {
+  const messagesByTurn = new Map(messages.map((message) => [Number(message.turn), message]));
+  const items = [];
+
+  for (const raw of Array.isArray(rawItems) ? rawItems : []) {
+    const itemType = String(raw?.type || "").trim();
+    const evidenceText = compactLine(raw?.text, 240);
+    const canonicalText = normalizeCanonicalText(evidenceText);
+    const sourceTurns = [...new Set((Array.isArray(raw?.turns) ? raw.turns : []).map(Number))]
+      .filter((turn) => messagesByTurn.has(turn))
+      .sort((a, b) => a - b);
+    const confidence = Math.min(0.99, Math.max(0, Number(raw?.confidence) || 0));
+    if (
+      !SEMANTIC_ITEM_TYPES.includes(itemType) ||
+      canonicalText.length < 12 ||
+      sourceTurns.length === 0 ||
+      confidence < MEMORY_EXTRACTION_MIN_CONFIDENCE
+    ) {
+      continue;
+    }
+
+    const speakerName = String(raw?.speaker || "").trim().toLowerCase();
+    const attributed =
+      sourceTurns.map((turn) => messagesByTurn.get(turn)).find((message) => message.speaker.toLowerCase() === speakerName) ||
+      messagesByTurn.get(sourceTurns[0]);
+    items.push({
+      itemType,
+      canonicalText,
+      evidenceText,
+      weight: scoreSemantic(evidenceText, confidence).weight,
+      confidence: Number(confidence.toFixed(4)),
+      occurrences: 1,
+      firstTurn: sourceTurns[0],
+      lastTurn: sourceTurns[sourceTurns.length - 1],
+      status: itemType === "open_question" ? "open" : "active",
+      speaker: attributed.speaker || "",
+      speakerId: attributed.speakerId || "",
+      sourceTurns,
+      extractor: "llm"
+    });
+  }
+
+  return collapseSemanticEntries(items);
+}
+
+// One structured-output call per batch of turns. Returns null when the call fails or the reply is
+// not the expected JSON, so the caller can fall back to the regex classifier.
+async function extractSemanticEntriesWithModel({ topic, messages, client, model, onUsage }) {
+  try {
+    const result = await createChatCompletionWithFallback({
+      client,
+      model,
+      fallbackModel: getProviderDefaults(process.env.LLM_PROVIDER).fallbackModel,
+      reasoningEffort: OPENAI_REASONING_EFFORT,
+      temperature: 0,
+      messages: [
+        {
+          role: "system",
+          content: [
+            "You are Agent Archivist. Extract durable semantic memory from a conversation segment.",
+            'Return JSON only: {"items":[{"type":"decision","text":"...","turns":[3],"speaker":"...","confidence":0.8}]}.',
+            `type is one of: ${SEMANTIC_ITEM_TYPES.join(", ")}.`,
+            "text is one self-contained sentence of at most 30 words.",
+            "turns lists the turn numbers the item comes from; speaker is who stated or proposed it.",
+            "confidence is 0-1 for how clearly the segment supports the item and its type.",
+            'Only include open questions that are actually left open. Return {"items":[]} when nothing is durable.'
+          ].join(" ")
+        },
+        {
+          role: "user",
+          content: [`Topic: ${topic}`, "Conversation segment:", formatSummaryInput(messages)].join("\n")
+        }
+      ]
+    });
+
+    onUsage?.({
+      component: "extraction",
+      turn: Number(messages[messages.length - 1]?.turn || 0),
+      model: result.modelUsed,
+      usage: result.usage
+    });
+    const parsed = parseJsonObject(extractAssistantText(result.completion));
+    if (!Array.isArray(parsed?.items)) {
+      return null;
+    }
+    return normalizeExtractedItems(parsed.items, messages);
+  } catch {
+    return null;
+  }
+}
+
+// Every memory model call asks `allowModelCall` first (the caller's budget check) and takes the
+// local path when it says no.
+const allowAnyModelCall = () => true;
+
+// With `MEMORY_EXTRACTION_MODE=llm`, structured extraction by the model in batches of turns; the
+// regex classifier covers the default mode, offline runs, and batches whose model call fails or is
+// not allowed.
+async function extractSemanticItems({ topic, messages, client, model, onUsage, allowModelCall = allowAnyModelCall }) {
+  if (!client || MEMORY_EXTRACTION_MODE === "regex") {
+    return extractSemanticEntries(messages);
+  }
+
+  const items = [];
+  for (let start = 0; start < messages.length; start += MEMORY_EXTRACTION_BATCH_TURNS) {
+    const batch = messages.slice(start, start + MEMORY_EXTRACTION_BATCH_TURNS);
+    const extracted = allowModelCall()
+      ? await extractSemanticEntriesWithModel({ topic, messages: batch, client, model, onUsage })
+      : null;
+    items.push(...(extracted || extractSemanticEntries(batch)));
+  }
+  return items;
+}
+
 function localSummary(topic, messages) {
   const entries = collapseTokenEntries(
     messages.flatMap((message) => extractTokenEntries(message.text, message.turn))
@@ -385,12 +569,12 @@ function formatSummaryInput(messages) {
     .join("\n");
 }
 
-async function summarizeChunk({ topic, messages, client, model }) {
+async function summarizeChunk({ topic, messages, client, model, onUsage, allowModelCall = allowAnyModelCall }) {
   if (!messages.length) {
     return "";
   }
 
-  if (!client) {
+  if (!client || !allowModelCall()) {
     return localSummary(topic, messages);
   }
 
@@ -398,7 +582,7 @@ async function summarizeChunk({ topic, messages, client, model }) {
     const result = await createChatCompletionWithFallback({
       client,
       model,
-      fallbackModel: OPENAI_FALLBACK_MODEL,
+      fallbackModel: getProviderDefaults(process.env.LLM_PROVIDER).fallbackModel,
       reasoningEffort: OPENAI_REASONING_EFFORT,
       temperature: 0.2,
       messages: [
@@ -422,6 +606,12 @@ async function summarizeChunk({ topic, messages, client, model }) {
       ]
     });
 
+    onUsage?.({
+      component: "summary",
+      turn: Number(messages[messages.length - 1]?.turn || 0),
+      model: result.modelUsed,
+      usage: result.usage
+    });
     return extractAssistantText(result.completion) || localSummary(topic, messages);
   } catch {
     return localSummary(topic, messages);
@@ -455,12 +645,20 @@ function summarizeTierInput(summaries) {
     .join("\n");
 }
 
-async function summarizeTierChunk({ topic, tier, summaries, client, model }) {
+async function summarizeTierChunk({
+  topic,
+  tier,
+  summaries,
+  client,
+  model,
+  onUsage,
+  allowModelCall = allowAnyModelCall
+}) {
   if (!summaries.length) {
     return "";
   }
 
-  if (!client) {
+  if (!client || !allowModelCall()) {
     return localTierSummary(topic, tier, summaries);
   }
 
@@ -468,7 +666,7 @@ async function summarizeTierChunk({ topic, tier, summaries, client, model }) {
     const result = await createChatCompletionWithFallback({
       client,
       model,
-      fallbackModel: OPENAI_FALLBACK_MODEL,
+      fallbackModel: getProviderDefaults(process.env.LLM_PROVIDER).fallbackModel,
       reasoningEffort: OPENAI_REASONING_EFFORT,
       temperature: 0.12,
       messages: [
@@ -493,6 +691,12 @@ async function summarizeTierChunk({ topic, tier, summaries, client, model }) {
       ]
     });
 
+    onUsage?.({
+      component: "tier_summary",
+      turn: Number(summaries[summaries.length - 1]?.endTurn || 0),
+      model: result.modelUsed,
+      usage: result.usage
+    });
     return extractAssistantText(result.completion) || localTierSummary(topic, tier, summaries);
   } catch {
     return localTierSummary(topic, tier, summaries);
@@ -506,7 +710,7 @@ function newestEndTurn(items) {
   return Number(items[items.length - 1]?.endTurn || 0);
 }
 
-async function maybeCreateTierCompactions({ conversationId, topic, client, model }) {
+async function maybeCreateTierCompactions({ conversationId, topic, client, model, onUsage, allowModelCall }) {
   const microSummaries = getRecentSummaries(conversationId, 30);
   if (microSummaries.length < MEMORY_MESO_GROUP_SIZE) {
     return;
@@ -523,7 +727,9 @@ async function maybeCreateTierCompactions({ conversationId, topic, client, model
       tier: "meso",
       summaries: group,
       client,
-      model
+      model,
+      onUsage,
+      allowModelCall
     });
     insertTierSummary(
       conversationId,
@@ -552,7 +758,9 @@ async function maybeCreateTierCompactions({ conversationId, topic, client, model
       tier: "macro",
       summaries: group,
       client,
-      model
+      model,
+      onUsage,
+      allowModelCall
     });
     insertTierSummary(
       conversationId,
@@ -579,49 +787,57 @@ function containsNegation(text) {
   );
 }
 
+const CONFLICT_ITEM_TYPES = ["decision", "constraint", "definition"];
+
+// Two items conflict when they share at least three content tokens but only one is negated.
+function detectConflictBetween(a, b) {
+  const tokensA = tokenizeForConflict(a.canonicalText || a.evidenceText);
+  const tokensB = tokenizeForConflict(b.canonicalText || b.evidenceText);
+  if (tokensA.length === 0 || tokensB.length === 0) {
+    return null;
+  }
+
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter((token) => setB.has(token));
+  if (shared.length < 3) {
+    return null;
+  }
+
+  const negationMismatch =
+    containsNegation(a.evidenceText || a.canonicalText) !== containsNegation(b.evidenceText || b.canonicalText);
+  if (!negationMismatch) {
+    return null;
+  }
+
+  const issueKey = `${a.itemType}|${b.itemType}|${shared.slice(0, 6).join("-")}`.slice(0, 220);
+  const confidence = Math.min(
+    0.96,
+    0.46 + shared.length * 0.07 + Math.max(Number(a.confidence || 0), Number(b.confidence || 0)) * 0.2
+  );
+  return {
+    issueKey,
+    itemA: compactLine(a.evidenceText || a.canonicalText, 220),
+    itemB: compactLine(b.evidenceText || b.canonicalText, 220),
+    confidence: Number(confidence.toFixed(4)),
+    status: "open",
+    firstTurn: Math.min(Number(a.firstTurn || 0), Number(b.firstTurn || 0)),
+    lastTurn: Math.max(Number(a.lastTurn || 0), Number(b.lastTurn || 0)),
+    occurrences: 1
+  };
+}
+
 function detectConflictEntries(semanticItems) {
   const candidates = (semanticItems || [])
-    .filter((item) => ["decision", "constraint", "definition"].includes(item.itemType))
+    .filter((item) => CONFLICT_ITEM_TYPES.includes(item.itemType))
     .slice(0, 70);
   const conflicts = [];
 
   for (let i = 0; i < candidates.length; i += 1) {
     for (let j = i + 1; j < candidates.length; j += 1) {
-      const a = candidates[i];
-      const b = candidates[j];
-      const tokensA = tokenizeForConflict(a.canonicalText || a.evidenceText);
-      const tokensB = tokenizeForConflict(b.canonicalText || b.evidenceText);
-      if (tokensA.length === 0 || tokensB.length === 0) {
-        continue;
+      const conflict = detectConflictBetween(candidates[i], candidates[j]);
+      if (conflict) {
+        conflicts.push(conflict);
       }
-
-      const setB = new Set(tokensB);
-      const shared = tokensA.filter((token) => setB.has(token));
-      if (shared.length < 3) {
-        continue;
-      }
-
-      const negationMismatch =
-        containsNegation(a.evidenceText || a.canonicalText) !== containsNegation(b.evidenceText || b.canonicalText);
-      if (!negationMismatch) {
-        continue;
-      }
-
-      const issueKey = `${a.itemType}|${b.itemType}|${shared.slice(0, 6).join("-")}`.slice(0, 220);
-      const confidence = Math.min(
-        0.96,
-        0.46 + shared.length * 0.07 + Math.max(Number(a.confidence || 0), Number(b.confidence || 0)) * 0.2
-      );
-      conflicts.push({
-        issueKey,
-        itemA: compactLine(a.evidenceText || a.canonicalText, 220),
-        itemB: compactLine(b.evidenceText || b.canonicalText, 220),
-        confidence: Number(confidence.toFixed(4)),
-        status: "open",
-        firstTurn: Math.min(Number(a.firstTurn || 0), Number(b.firstTurn || 0)),
-        lastTurn: Math.max(Number(a.lastTurn || 0), Number(b.lastTurn || 0)),
-        occurrences: 1
-      });
     }
   }
 
@@ -665,12 +881,22 @@ function updateHighValueTokens(conversationId, entries) {
   pruneMemoryTokens(conversationId, MEMORY_TOKEN_KEEP_LIMIT);
 }
 
+function isHumanEntry(entry) {
+  return String(entry?.speakerId || "").trim() === HUMAN_SPEAKER_ID;
+}
+
+function isAgentSpeakerId(speakerId) {
+  const id = String(speakerId || "").trim();
+  return Boolean(id) && !NON_AGENT_SPEAKER_IDS.has(id);
+}
+
 function updateAgentHighValueTokens(conversationId, entries) {
   const grouped = new Map();
 
   for (const entry of entries || []) {
     const speakerId = String(entry?.speakerId || "").trim();
-    if (!speakerId) {
+    // Human and merge turns feed shared and semantic memory, not a per-agent token bank.
+    if (!isAgentSpeakerId(speakerId)) {
       continue;
     }
 
@@ -694,8 +920,19 @@ function updateAgentHighValueTokens(conversationId, entries) {
   }
 }
 
-function updateSemanticMemory(conversationId, entries) {
-  const semanticEntries = extractSemanticEntries(entries);
+async function updateSemanticMemory(
+  conversationId,
+  entries,
+  { topic = "", client = null, model, onUsage, allowModelCall } = {}
+) {
+  const semanticEntries = await extractSemanticItems({
+    topic,
+    messages: entries,
+    client,
+    model,
+    onUsage,
+    allowModelCall
+  });
   if (semanticEntries.length) {
     upsertSemanticItems(conversationId, semanticEntries);
     pruneSemanticItems(conversationId, MEMORY_SEMANTIC_KEEP_LIMIT);
@@ -704,7 +941,30 @@ function updateSemanticMemory(conversationId, entries) {
   updateConflictLedger(conversationId);
 }
 
-async function maybeCreateSummaries({ conversationId, topic, totalTurns, client, model }) {
+// With `deferExtraction` (job runs, which pass every turn on its own) model extraction waits until
+// a full batch of turns is pending. The next pass that does not defer extracts whatever is left, and
+// nothing waits once model calls are no longer allowed.
+async function catchUpSemanticMemory(conversationId, newEntries, totalTurns, { deferExtraction, ...options }) {
+  const pendingFrom = getExtractionPendingFrom(conversationId);
+  const pending = pendingFrom === null ? newEntries : getMessagesInRange(conversationId, pendingFrom, totalTurns);
+  if (!pending.length) {
+    return;
+  }
+
+  const modelExtraction =
+    Boolean(options.client) && MEMORY_EXTRACTION_MODE === "llm" && (options.allowModelCall || allowAnyModelCall)();
+  if (deferExtraction && modelExtraction && pending.length < MEMORY_EXTRACTION_BATCH_TURNS) {
+    setExtractionPendingFrom(conversationId, pending[0].turn);
+    return;
+  }
+
+  await updateSemanticMemory(conversationId, pending, options);
+  if (pendingFrom !== null) {
+    setExtractionPendingFrom(conversationId, null);
+  }
+}
+
+async function maybeCreateSummaries({ conversationId, topic, totalTurns, client, model, onUsage, allowModelCall }) {
   if (totalTurns < MEMORY_MIN_TURNS_FOR_SUMMARY) {
     return;
   }
@@ -724,7 +984,9 @@ async function maybeCreateSummaries({ conversationId, topic, totalTurns, client,
       topic,
       messages: segmentMessages,
       client,
-      model
+      model,
+      onUsage,
+      allowModelCall
     });
 
     insertSummary(conversationId, startTurn, endTurn, summary);
@@ -732,12 +994,33 @@ async function maybeCreateSummaries({ conversationId, topic, totalTurns, client,
   }
 }
 
-async function bootstrapMemoryIfNeeded({ conversationId, topic, transcript, client, model }) {
+function listTranscriptSpeakerIds(transcript) {
+  return [
+    ...new Set(
+      (transcript || [])
+        .map((entry) => String(entry?.speakerId || "").trim())
+        .filter(isAgentSpeakerId)
+    )
+  ];
+}
+
+// `rebuild` re-extracts from the whole transcript even when some memory is left, which is the case
+// after `resetDerivedMemory` kept the curated items.
+async function bootstrapMemoryIfNeeded({
+  conversationId,
+  topic,
+  transcript,
+  client,
+  model,
+  onUsage,
+  allowModelCall,
+  rebuild = false
+}) {
   const stats = getMemoryStats(conversationId);
-  const hasAgentTokenSeed =
-    getTopAgentMemoryTokens(conversationId, "agent-a", 1).length > 0 ||
-    getTopAgentMemoryTokens(conversationId, "agent-b", 1).length > 0;
-  if (stats.tokenCount === 0 && transcript.length > 0) {
+  const hasAgentTokenSeed = listTranscriptSpeakerIds(transcript).some(
+    (speakerId) => getTopAgentMemoryTokens(conversationId, speakerId, 1).length > 0
+  );
+  if ((rebuild || stats.tokenCount === 0) && transcript.length > 0) {
     updateHighValueTokens(conversationId, transcript);
   }
 
@@ -745,11 +1028,11 @@ async function bootstrapMemoryIfNeeded({ conversationId, topic, transcript, clie
     updateAgentHighValueTokens(conversationId, transcript);
   }
 
-  if (stats.semanticCount === 0 && transcript.length > 0) {
-    updateSemanticMemory(conversationId, transcript);
+  if ((rebuild || stats.semanticCount === 0) && transcript.length > 0) {
+    await updateSemanticMemory(conversationId, transcript, { topic, client, model, onUsage, allowModelCall });
   }
 
-  if (stats.conflictCount === 0 && transcript.length > 0) {
+  if ((rebuild || stats.conflictCount === 0) && transcript.length > 0) {
     updateConflictLedger(conversationId);
   }
 
@@ -758,63 +1041,417 @@ async function bootstrapMemoryIfNeeded({ conversationId, topic, transcript, clie
     topic,
     totalTurns: transcript.length,
     client,
-    model
+    model,
+    onUsage,
+    allowModelCall
   });
   await maybeCreateTierCompactions({
     conversationId,
     topic,
     client,
-    model
+    model,
+    onUsage,
+    allowModelCall
   });
+  await indexMemoryEmbeddings(conversationId);
 
   return getMemoryStats(conversationId);
 }
 
-async function runMemoryAgent({ conversationId, topic, newEntries, totalTurns, client, model }) {
+function semanticEmbeddingKey(item) {
+  return `${item.itemType}:${item.canonicalText}`;
+}
+
+function summaryEmbeddingKey(tier, summary) {
+  return `${tier}:${summary.startTurn}-${summary.endTurn}`;
+}
+
+function listEmbeddingSources(conversationId) {
+  const summarySources = (tier, summaries) =>
+    summaries.map((summary) => ({
+      sourceType: "summary",
+      sourceKey: summaryEmbeddingKey(tier, summary),
+      turn: summary.endTurn,
+      content: summary.summary
+    }));
+
+  return [
+    ...getMessages(conversationId).map((message) => ({
+      sourceType: "turn",
+      sourceKey: String(message.turn),
+      turn: message.turn,
+      content: message.text
+    })),
+    ...getTopSemanticItems(conversationId, MEMORY_SEMANTIC_KEEP_LIMIT).map((item) => ({
+      sourceType: "semantic",
+      sourceKey: semanticEmbeddingKey(item),
+      turn: item.lastTurn,
+      content: item.canonicalText
+    })),
+    ...summarySources("micro", getRecentSummaries(conversationId, 30)),
+    ...summarySources("meso", getRecentTierSummaries(conversationId, "meso", 80)),
+    ...summarySources("macro", getRecentTierSummaries(conversationId, "macro", 80))
+  ].filter((source) => String(source.content || "").trim());
+}
+
+// Embeds the turns, semantic items and summaries that have no vector yet for the active embedder.
+// Edits, truncation and memory rebuilds drop the affected vectors in db.js, so they are re-embedded
+// here on the next pass.
+async function indexMemoryEmbeddings(conversationId, embedder = memoryEmbedder) {
+  if (!embedder) {
+    return 0;
+  }
+
+  const existing = listMemoryEmbeddingKeys(conversationId, embedder.id);
+  const pending = listEmbeddingSources(conversationId).filter(
+    (source) => !existing.has(`${source.sourceType}:${source.sourceKey}`)
+  );
+
+  for (let start = 0; start < pending.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = pending.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const vectors = await embedder.embed(batch.map((source) => source.content));
+    upsertMemoryEmbeddings(
+      conversationId,
+      embedder.id,
+      batch.map((source, index) => ({ ...source, vector: vectors[index] }))
+    );
+  }
+
+  return pending.length;
+}
+
+function parseSummaryEmbeddingKey(key) {
+  const match = /^(micro|meso|macro):(\d+)-(\d+)$/.exec(String(key || ""));
+  return match ? { tier: match[1], startTurn: Number(match[2]), endTurn: Number(match[3]) } : null;
+}
+
+// Embeds knowledge items that have no vector for `embedder` yet (new items whose first embed
+// failed, or every item after the embedder changed) and stores the vectors.
+async function embedKnowledgeItems(items, embedder) {
+  const pending = items.filter((item) => item.embedder !== embedder.id || !item.vector);
+  for (let start = 0; start < pending.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = pending.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const vectors = await embedder.embed(batch.map((item) => item.text));
+    batch.forEach((item, index) => {
+      item.embedder = embedder.id;
+      item.vector = vectors[index];
+    });
+    updateKnowledgeEmbeddings(
+      embedder.id,
+      batch.map((item) => ({ id: item.id, vector: item.vector }))
+    );
+  }
+}
+
+// Knowledge items promoted from other conversations, scored by their best similarity to any of
+// `queryVectors` (the topic and the previous reply).
+async function retrieveKnowledge(conversationId, queryVectors, embedder) {
+  if (KNOWLEDGE_RETRIEVAL_LIMIT === 0 || !queryVectors.length) {
+    return [];
+  }
+
+  const candidates = listKnowledgeCandidates(conversationId);
+  await embedKnowledgeItems(candidates, embedder);
+  return candidates
+    .map((item) => ({
+      item,
+      score: Number(Math.max(...queryVectors.map((vector) => cosineSimilarity(vector, item.vector))).toFixed(4))
+    }))
+    .filter((entry) => entry.score >= KNOWLEDGE_RETRIEVAL_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.item.id - a.item.id)
+    .slice(0, KNOWLEDGE_RETRIEVAL_LIMIT)
+    .map(({ item, score }) => ({
+      id: item.id,
+      itemType: item.itemType,
+      text: item.text,
+      sourceConversationId: item.sourceConversationId,
+      sourceTopic: item.sourceTopic,
+      sourceTurn: item.sourceTurn,
+      sourceSpeaker: item.sourceSpeaker,
+      score
+    }));
+}
+
+// Ranks stored vectors by similarity to the previous reply. Turns still inside the recent window
+// and summaries already in `memory` are skipped because the prompt carries them anyway; turns
+// missing from `transcript` (a regenerate rolled back past them) are skipped too. Workspace
+// knowledge is matched against the topic as well, so a thread with no turns yet still picks up
+// related items. Returns null when there is nothing to rank or the embedder fails.
+async function retrieveRelevantMemory(
+  conversationId,
+  { topic = "", transcript = [], memory = null, embedder = memoryEmbedder } = {}
+) {
+  const latest = transcript[transcript.length - 1];
+  const query = String(latest?.text || "").trim();
+  const topicQuery = String(topic || "").trim();
+  if (!embedder || (!query && !topicQuery)) {
+    return null;
+  }
+
+  const stored = query ? getMemoryEmbeddings(conversationId, embedder.id) : [];
+  let queryVector = null;
+  let knowledge;
+  try {
+    const queries = [query, topicQuery].filter(Boolean);
+    const queryVectors = await embedder.embed(queries);
+    queryVector = query ? queryVectors[0] : null;
+    knowledge = await retrieveKnowledge(conversationId, queryVectors, embedder);
+  } catch {
+    return null;
+  }
+  if (!stored.length && !knowledge.length) {
+    return null;
+  }
+
+  const ranked = stored
+    .map((entry) => ({ ...entry, score: Number(cosineSimilarity(queryVector, entry.vector).toFixed(4)) }))
+    .filter((entry) => entry.score >= MEMORY_RETRIEVAL_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.turn - a.turn);
+
+  const semanticByKey = new Map(
+    getTopSemanticItems(conversationId, MEMORY_SEMANTIC_KEEP_LIMIT).map((item) => [semanticEmbeddingKey(item), item])
+  );
+  const entriesByTurn = new Map(transcript.map((entry) => [Number(entry.turn), entry]));
+  const recentTurns = new Set(transcript.slice(-RECENT_TURN_WINDOW).map((entry) => Number(entry.turn)));
+  const tiers = memory?.tierSummaries || {};
+  const promptSummaryKeys = new Set(
+    ["micro", "meso", "macro"].flatMap((tier) => (tiers[tier] || []).map((summary) => summaryEmbeddingKey(tier, summary)))
+  );
+
+  const semantic = ranked
+    .filter((entry) => entry.sourceType === "semantic" && semanticByKey.has(entry.sourceKey))
+    .slice(0, MEMORY_RETRIEVAL_SEMANTIC_LIMIT)
+    .map((entry) => ({ ...semanticByKey.get(entry.sourceKey), score: entry.score }));
+  const turns = ranked
+    .filter((entry) => entry.sourceType === "turn" && entriesByTurn.has(entry.turn) && !recentTurns.has(entry.turn))
+    .slice(0, MEMORY_RETRIEVAL_TURN_LIMIT)
+    .map((entry) => {
+      const source = entriesByTurn.get(entry.turn);
+      return { turn: entry.turn, speaker: source.speaker, speakerId: source.speakerId, text: source.text, score: entry.score };
+    });
+  const summaries = ranked
+    .filter((entry) => entry.sourceType === "summary" && !promptSummaryKeys.has(entry.sourceKey))
+    .map((entry) => ({ ...parseSummaryEmbeddingKey(entry.sourceKey), summary: entry.content, score: entry.score }))
+    .filter((entry) => entry.tier)
+    .slice(0, MEMORY_RETRIEVAL_SUMMARY_LIMIT);
+
+  return {
+    embedder: embedder.id,
+    queryTurn: latest ? Number(latest.turn || transcript.length) : 0,
+    semantic,
+    turns,
+    summaries,
+    knowledge
+  };
+}
+
+// Copies a statement into the workspace knowledge base with provenance (source conversation,
+// topic, turn, speaker and an excerpt of that turn). Items are keyed by type and canonical text,
+// so promoting the same decision from a second thread returns the stored item with
+// `created: false`. Returns null when the text has no words left after normalisation.
+async function promoteKnowledgeItem({ conversationId, topic, itemType, text, turn = null, embedder = memoryEmbedder }) {
+  const canonicalText = normalizeCanonicalText(String(text || ""));
+  if (!canonicalText) {
+    return null;
+  }
+
+  const existing = findKnowledgeItem(itemType, canonicalText);
+  if (existing) {
+    return { item: existing, created: false };
+  }
+
+  const [source] = Number.isFinite(turn) ? getMessagesInRange(conversationId, turn, turn) : [];
+  const item = insertKnowledgeItem({
+    itemType,
+    text: compactLine(text, 400),
+    canonicalText,
+    sourceConversationId: conversationId,
+    sourceTopic: topic,
+    sourceTurn: source ? source.turn : null,
+    sourceSpeaker: source?.speaker || "",
+    sourceExcerpt: source ? compactLine(source.text, 400) : ""
+  });
+  if (embedder) {
+    try {
+      await embedKnowledgeItems([item], embedder);
+    } catch {
+      // Retrieval embeds it on the next pass.
+    }
+  }
+
+  return { item: getKnowledgeItem(item.id), created: true };
+}
+
+// Applies a curation patch (`pinned`, `status`, `text`, `itemType`) to a semantic item. New text
+// becomes the evidence and its normalised form the new canonical key. Returns `{ item }`, or
+// `{ existing }` when another item already holds the new key, or null when the text has no words.
+async function curateSemanticItem(conversationId, item, patch) {
+  const text = patch.text === undefined ? item.evidenceText : String(patch.text);
+  const next = {
+    itemType: patch.itemType || item.itemType,
+    canonicalText: patch.text === undefined ? item.canonicalText : normalizeCanonicalText(text),
+    evidenceText: text,
+    status: patch.status || item.status,
+    pinned: patch.pinned === undefined ? item.pinned : patch.pinned
+  };
+  if (!next.canonicalText) {
+    return null;
+  }
+
+  const moved = next.itemType !== item.itemType || next.canonicalText !== item.canonicalText;
+  const existing = moved ? getSemanticItem(conversationId, next.itemType, next.canonicalText) : null;
+  if (existing) {
+    return { existing };
+  }
+
+  const updated = updateSemanticItem(conversationId, item, next);
+  if (moved) {
+    await indexMemoryEmbeddings(conversationId);
+  }
+  return { item: updated };
+}
+
+// What merging a fork into its parent at `mergeTurn` would carry over: the fork's decisions and
+// constraints the parent does not hold yet, and contradictions with the parent's items that are not
+// already in its conflict ledger. Nothing is written.
+function planBranchMerge({ parentConversationId, childConversationId, mergeTurn }) {
+  const parentItems = getTopSemanticItems(parentConversationId, MEMORY_SEMANTIC_KEEP_LIMIT);
+  const parentKeys = new Set(parentItems.map((item) => `${item.itemType}:${item.canonicalText}`));
+  const parentCandidates = parentItems.filter((item) => CONFLICT_ITEM_TYPES.includes(item.itemType)).slice(0, 70);
+  const childItems = getTopSemanticItems(childConversationId, MEMORY_SEMANTIC_KEEP_LIMIT).filter(
+    (item) => MERGE_ITEM_TYPES.includes(item.itemType) && !parentKeys.has(`${item.itemType}:${item.canonicalText}`)
+  );
+
+  const imported = [];
+  const conflicts = new Map();
+  for (const item of childItems) {
+    const contradictions = parentCandidates
+      .map((parentItem) => detectConflictBetween(parentItem, item))
+      .filter(Boolean);
+    if (contradictions.length === 0) {
+      // Curated, so rebuilding the parent's memory after an edit or rewind keeps what was merged.
+      imported.push({
+        itemType: item.itemType,
+        canonicalText: item.canonicalText,
+        evidenceText: item.evidenceText,
+        weight: Number(item.weight || 0),
+        confidence: Number(item.confidence || 0),
+        occurrences: 1,
+        firstTurn: mergeTurn,
+        lastTurn: mergeTurn,
+        status: item.status || "active",
+        speaker: item.speaker,
+        speakerId: item.speakerId,
+        sourceTurns: [mergeTurn],
+        extractor: item.extractor,
+        curated: true
+      });
+      continue;
+    }
+    for (const conflict of contradictions) {
+      if (!conflicts.has(conflict.issueKey) && !getConflict(parentConversationId, conflict.issueKey)) {
+        conflicts.set(conflict.issueKey, { ...conflict, firstTurn: mergeTurn, lastTurn: mergeTurn });
+      }
+    }
+  }
+
+  return { imported, conflicts: [...conflicts.values()] };
+}
+
+// Writes the plan from `planBranchMerge` into the parent's semantic memory and conflict ledger.
+function mergeBranchMemory({ parentConversationId, childConversationId, mergeTurn }) {
+  const { imported, conflicts } = planBranchMerge({ parentConversationId, childConversationId, mergeTurn });
+  if (imported.length > 0) {
+    upsertSemanticItems(parentConversationId, imported);
+    pruneSemanticItems(parentConversationId, MEMORY_SEMANTIC_KEEP_LIMIT);
+  }
+  if (conflicts.length > 0) {
+    upsertConflictLedger(parentConversationId, conflicts);
+    pruneConflictLedger(parentConversationId, MEMORY_CONFLICT_KEEP_LIMIT);
+  }
+
+  return { imported, conflicts };
+}
+
+async function runMemoryAgent({
+  conversationId,
+  topic,
+  newEntries,
+  totalTurns,
+  client,
+  model,
+  onUsage,
+  allowModelCall,
+  deferExtraction = false
+}) {
   if (newEntries.length > 0) {
     updateHighValueTokens(conversationId, newEntries);
     updateAgentHighValueTokens(conversationId, newEntries);
-    updateSemanticMemory(conversationId, newEntries);
   }
+  await catchUpSemanticMemory(conversationId, newEntries, totalTurns, {
+    topic,
+    client,
+    model,
+    onUsage,
+    allowModelCall,
+    deferExtraction
+  });
 
   await maybeCreateSummaries({
     conversationId,
     topic,
     totalTurns,
     client,
-    model
+    model,
+    onUsage,
+    allowModelCall
   });
   await maybeCreateTierCompactions({
     conversationId,
     topic,
     client,
-    model
+    model,
+    onUsage,
+    allowModelCall
   });
+  await indexMemoryEmbeddings(conversationId);
 
   return getMemoryStats(conversationId);
 }
 
+// Six items per group, plus any pinned ones beyond that.
 function groupSemanticItems(semantic) {
+  const group = (itemType) =>
+    semantic.filter((item) => item.itemType === itemType).filter((item, index) => item.pinned || index < 6);
   return {
-    hypotheses: semantic.filter((item) => item.itemType === "hypothesis").slice(0, 6),
-    decisions: semantic.filter((item) => item.itemType === "decision").slice(0, 6),
-    constraints: semantic.filter((item) => item.itemType === "constraint").slice(0, 6),
-    definitions: semantic.filter((item) => item.itemType === "definition").slice(0, 6),
-    openQuestions: semantic.filter((item) => item.itemType === "open_question").slice(0, 6)
+    hypotheses: group("hypothesis"),
+    decisions: group("decision"),
+    constraints: group("constraint"),
+    definitions: group("definition"),
+    openQuestions: group("open_question")
   };
 }
 
-function getCompressedMemory(conversationId) {
+const DEFAULT_MEMORY_AGENT_IDS = ["agent-a", "agent-b"];
+
+function getCompressedMemory(conversationId, options = {}) {
+  const agentIds =
+    Array.isArray(options.agentIds) && options.agentIds.length > 0 ? options.agentIds : DEFAULT_MEMORY_AGENT_IDS;
   const tokens = getTopMemoryTokens(conversationId, MEMORY_PROMPT_TOKEN_LIMIT);
-  const agentTokens = {
-    "agent-a": getTopAgentMemoryTokens(conversationId, "agent-a", MEMORY_PROMPT_AGENT_TOKEN_LIMIT),
-    "agent-b": getTopAgentMemoryTokens(conversationId, "agent-b", MEMORY_PROMPT_AGENT_TOKEN_LIMIT)
-  };
-  const summaries = getRecentSummaries(conversationId, MEMORY_SUMMARY_LIMIT);
-  const mesoSummaries = getRecentTierSummaries(conversationId, "meso", MEMORY_PROMPT_MESO_LIMIT);
-  const macroSummaries = getRecentTierSummaries(conversationId, "macro", MEMORY_PROMPT_MACRO_LIMIT);
-  const semantic = getTopSemanticItems(conversationId, MEMORY_PROMPT_SEMANTIC_LIMIT);
-  const conflicts = getConflictLedger(conversationId, MEMORY_PROMPT_CONFLICT_LIMIT);
+  const agentTokens = Object.fromEntries(
+    agentIds.map((agentId) => [
+      agentId,
+      getTopAgentMemoryTokens(conversationId, agentId, MEMORY_PROMPT_AGENT_TOKEN_LIMIT)
+    ])
+  );
+  // Summaries, semantic items and conflicts can be limited to what existed before a turn; token
+  // banks carry no per-turn provenance and are read as stored.
+  const beforeTurn = options.beforeTurn ?? null;
+  const summaries = getRecentSummaries(conversationId, MEMORY_SUMMARY_LIMIT, beforeTurn);
+  const mesoSummaries = getRecentTierSummaries(conversationId, "meso", MEMORY_PROMPT_MESO_LIMIT, beforeTurn);
+  const macroSummaries = getRecentTierSummaries(conversationId, "macro", MEMORY_PROMPT_MACRO_LIMIT, beforeTurn);
+  const semantic = getTopSemanticItems(conversationId, MEMORY_PROMPT_SEMANTIC_LIMIT, beforeTurn);
+  const conflicts = getConflictLedger(conversationId, MEMORY_PROMPT_CONFLICT_LIMIT, beforeTurn);
   const stats = getMemoryStats(conversationId);
 
   return {
@@ -851,26 +1488,80 @@ function formatAgentTokenLine(agentTokenEntries) {
   return lines.length > 0 ? lines.join(", ") : "(none yet)";
 }
 
-function buildContextBlock({ topic, transcript, memory, moderatorDirective, charter, brief, speakerId }) {
-  const recentTurns = transcript.slice(-10);
+// Items retrieved for the previous reply lead each group, topped up with the heaviest ones.
+function rankSemanticByRelevance(relevant, heaviest) {
+  const seen = new Set();
+  return [...relevant, ...heaviest].filter((item) => {
+    const key = semanticEmbeddingKey(item);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+function formatRetrievedLines(retrieved) {
+  const turnLines = (retrieved?.turns || []).map(
+    (entry) => `T${entry.turn} (${entry.speaker}, similarity ${entry.score.toFixed(2)}): ${compactLine(entry.text, 220)}`
+  );
+  const summaryLines = (retrieved?.summaries || []).map(
+    (summary) =>
+      `${summary.tier} turns ${summary.startTurn}-${summary.endTurn} (similarity ${summary.score.toFixed(2)}): ${compactLine(summary.summary, 320)}`
+  );
+  return [...turnLines, ...summaryLines];
+}
+
+function formatKnowledgeLines(knowledge) {
+  return (knowledge || []).map((item, idx) => {
+    const source = [item.sourceTopic ? `"${compactLine(item.sourceTopic, 80)}"` : "", item.sourceTurn ? `T${item.sourceTurn}` : ""]
+      .filter(Boolean)
+      .join(" ");
+    return `${idx + 1}. (${item.itemType}${source ? `, from ${source}` : ""}) ${compactLine(item.text, 240)}`;
+  });
+}
+
+function buildContextBlock({
+  topic,
+  transcript,
+  memory,
+  retrieved,
+  moderatorDirective,
+  charter,
+  brief,
+  speakerId,
+  partners
+}) {
+  const recentTurns = transcript.slice(-RECENT_TURN_WINDOW);
   const tokenLine = (memory.tokens || []).map((item) => item.token).join(", ");
   const agentTokens = memory.agentTokens || {};
   const speakerTokenLine = formatAgentTokenLine(agentTokens[speakerId] || []);
-  const otherSpeakerId = speakerId === "agent-a" ? "agent-b" : speakerId === "agent-b" ? "agent-a" : "";
-  const counterpartTokenLine = formatAgentTokenLine(otherSpeakerId ? agentTokens[otherSpeakerId] || [] : []);
+  const counterparts = Array.isArray(partners)
+    ? partners.filter((partner) => partner?.id && partner.id !== speakerId)
+    : Object.keys(agentTokens)
+        .filter((agentId) => agentId !== speakerId)
+        .map((agentId) => ({ id: agentId }));
+  const counterpartTokenLines = counterparts.map((partner) => {
+    const label = partner.name ? `${partner.name}, ${partner.id}` : partner.id;
+    return `Counterpart high-value tokens (${label}): ${formatAgentTokenLine(agentTokens[partner.id] || [])}`;
+  });
   const summaries = memory.summaries || [];
   const tiers = memory.tierSummaries || {
     micro: summaries,
     meso: [],
     macro: []
   };
-  const grouped = memory.groupedSemantic || {
-    hypotheses: [],
-    decisions: [],
-    constraints: [],
-    definitions: [],
-    openQuestions: []
-  };
+  const grouped = retrieved?.semantic?.length
+    ? groupSemanticItems(rankSemanticByRelevance(retrieved.semantic, memory.semantic || []))
+    : memory.groupedSemantic || {
+        hypotheses: [],
+        decisions: [],
+        constraints: [],
+        definitions: [],
+        openQuestions: []
+      };
+  const retrievedLines = formatRetrievedLines(retrieved);
+  const knowledgeLines = formatKnowledgeLines(retrieved?.knowledge);
   const conflicts = memory.conflicts || [];
 
   const summaryLines = summaries.map(
@@ -884,11 +1575,17 @@ function buildContextBlock({ topic, transcript, memory, moderatorDirective, char
   );
   const conflictLines = conflicts.map(
     (item, idx) =>
-      `${idx + 1}. (${item.status || "open"}, conf ${Number(item.confidence || 0).toFixed(2)}) ${item.itemA} <> ${item.itemB}`
+      `${idx + 1}. (${item.status || "open"}, conf ${Number(item.confidence || 0).toFixed(2)}) ${item.itemA} <> ${item.itemB}${
+        item.resolutionNote ? ` | resolution: ${item.resolutionNote}` : ""
+      }`
   );
   const recentTranscript = recentTurns
-    .map((entry) => `${entry.speaker}: ${entry.text}`)
+    .map((entry) => `${entry.speaker}${isHumanEntry(entry) ? " (human participant)" : ""}: ${entry.text}`)
     .join("\n");
+  const latestEntry = transcript[transcript.length - 1];
+  const humanSteer = isHumanEntry(latestEntry)
+    ? `Human steer (turn ${latestEntry.turn}, ${latestEntry.speaker}): ${latestEntry.text}`
+    : "";
 
   const charterBlock = charter
     .map((line, idx) => `${idx + 1}) ${line}`)
@@ -908,7 +1605,7 @@ function buildContextBlock({ topic, transcript, memory, moderatorDirective, char
     charterBlock,
     tokenLine ? `High-value memory tokens: ${tokenLine}` : "High-value memory tokens: (none yet)",
     speakerId ? `Your high-value tokens (${speakerId}): ${speakerTokenLine}` : "",
-    otherSpeakerId ? `Counterpart high-value tokens (${otherSpeakerId}): ${counterpartTokenLine}` : "",
+    speakerId ? counterpartTokenLines.join("\n") : "",
     summaryLines.length > 0
       ? ["Summary memory:", ...summaryLines].join("\n")
       : "Summary memory: (no summary snapshots yet)",
@@ -929,11 +1626,14 @@ function buildContextBlock({ topic, transcript, memory, moderatorDirective, char
     "Semantic memory: open questions",
     formatSemanticLines(grouped.openQuestions),
     conflictLines.length > 0 ? ["Conflict ledger:", ...conflictLines].join("\n") : "Conflict ledger: (none detected)",
+    retrievedLines.length > 0 ? ["Earlier context relevant to the previous reply:", ...retrievedLines].join("\n") : "",
+    knowledgeLines.length > 0 ? ["Workspace knowledge from other conversations:", ...knowledgeLines].join("\n") : "",
     moderatorDirective
       ? `Moderator directive: ${moderatorDirective}`
       : "Moderator directive: continue depth-first reasoning and avoid repetition.",
     "Recent turns:",
     recentTranscript || "(No recent turns)",
+    humanSteer,
     "Instructions:",
     "1) Continue only this topic.",
     "2) Reuse relevant high-value memory when answering.",
@@ -948,8 +1648,21 @@ function buildContextBlock({ topic, transcript, memory, moderatorDirective, char
 }
 
 export {
+  HUMAN_SPEAKER_ID,
+  KNOWLEDGE_ITEM_TYPES,
+  MERGE_ITEM_TYPES,
+  MERGE_SPEAKER_ID,
+  SEMANTIC_ITEM_STATUSES,
+  SEMANTIC_ITEM_TYPES,
   bootstrapMemoryIfNeeded,
   buildContextBlock,
+  curateSemanticItem,
   getCompressedMemory,
+  indexMemoryEmbeddings,
+  isAgentSpeakerId,
+  mergeBranchMemory,
+  planBranchMerge,
+  promoteKnowledgeItem,
+  retrieveRelevantMemory,
   runMemoryAgent
 };
@@ -41,6 +41,12 @@ function isTemperatureUnsupportedError(error) {
   );
 }
 
+// Older OpenAI-compatible servers reject the stream_options field outright.
+function isStreamOptionsUnsupportedError(error) {
+  const param = String(error?.param || error?.error?.param || "").toLowerCase();
+  return param.startsWith("stream_options") || errorText(error).includes("stream_options");
+}
+
 function isModelAccessError(error) {
   const message = errorText(error);
   return (
@@ -52,6 +58,64 @@ function isModelAccessError(error) {
   );
 }
 
+function classifyOpenAIError(error) {
+  return {
+    modelAccess: isModelAccessError(error),
+    temperatureUnsupported: isTemperatureUnsupportedError(error),
+    reasoningEffortUnsupported: isReasoningEffortUnsupportedError(error),
+    streamOptionsUnsupported: isStreamOptionsUnsupportedError(error)
+  };
+}
+
+// Providers from llmProviders.js carry their own classifier; bare OpenAI SDK clients use the default.
+function classifyProviderError(client, error) {
+  return typeof client?.classifyError === "function" ? client.classifyError(error) : classifyOpenAIError(error);
+}
+
+// Drains a streamed completion, forwarding content deltas as they arrive, and
+// returns a completion object shaped like the non-streaming response.
+async function collectStreamedCompletion(stream, onDelta) {
+  let content = "";
+  let finishReason = null;
+  let modelName = "";
+  let id = "";
+  let usage = null;
+
+  for await (const chunk of stream) {
+    id = id || chunk?.id || "";
+    modelName = modelName || chunk?.model || "";
+    if (chunk?.usage) {
+      usage = chunk.usage;
+    }
+    const choice = chunk?.choices?.[0];
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    const delta = typeof choice?.delta?.content === "string" ? choice.delta.content : "";
+    if (!delta) {
+      continue;
+    }
+    content += delta;
+    if (typeof onDelta === "function") {
+      onDelta(delta, content);
+    }
+  }
+
+  return {
+    id,
+    object: "chat.completion",
+    model: modelName,
+    choices: [
+      {
+        index: 0,
+        message: { role: "assistant", content },
+        finish_reason: finishReason
+      }
+    ],
+    usage
+  };
+}
+
 async function createChatCompletionWithFallback({
   client,
   model,
@@ -60,6 +124,8 @@ async function createChatCompletionWithFallback({
   temperature,
   reasoningEffort,
   abortSignal,
+  stream = false,
+  onDelta,
   onEvent
 }) {
   const primaryModel = String(model || "").trim();
@@ -78,6 +144,12 @@ async function createChatCompletionWithFallback({
       messages
     };
 
+    if (stream) {
+      payload.stream = true;
+      // Streams only report token usage in a final chunk when asked to.
+      payload.stream_options = { include_usage: true };
+    }
+
     // Some reasoning models reject non-default temperature values.
     const shouldSendTemperature = !isReasoningModel(candidate);
     if (shouldSendTemperature && Number.isFinite(Number(temperature))) {
@@ -95,20 +167,23 @@ async function createChatCompletionWithFallback({
           model: candidate,
           fallback: candidate !== primaryModel,
           hasTemperature: Object.prototype.hasOwnProperty.call(payload, "temperature"),
-          hasReasoningEffort: Object.prototype.hasOwnProperty.call(payload, "reasoning_effort")
+          hasReasoningEffort: Object.prototype.hasOwnProperty.call(payload, "reasoning_effort"),
+          stream: Boolean(payload.stream)
         });
       }
 
       let finalPayload = { ...payload };
       let droppedTemperature = false;
       let droppedReasoning = false;
+      let droppedStreamOptions = false;
 
       while (true) {
         try {
-          const completion = await client.chat.completions.create(
+          const response = await client.chat.completions.create(
             finalPayload,
             abortSignal ? { signal: abortSignal } : undefined
           );
+          const completion = finalPayload.stream ? await collectStreamedCompletion(response, onDelta) : response;
           if (typeof onEvent === "function") {
             onEvent("model.request.success", {
               model: candidate,
@@ -117,13 +192,15 @@ async function createChatCompletionWithFallback({
           }
           return {
             completion,
+            usage: extractCompletionUsage(completion),
             modelUsed: candidate,
             reasoningEffort: finalPayload.reasoning_effort || null,
             usedFallback: candidate !== primaryModel
           };
         } catch (retryableError) {
+          const classified = classifyProviderError(client, retryableError);
           if (!droppedTemperature && Object.prototype.hasOwnProperty.call(finalPayload, "temperature")) {
-            if (isTemperatureUnsupportedError(retryableError)) {
+            if (classified.temperatureUnsupported) {
               droppedTemperature = true;
               delete finalPayload.temperature;
               if (typeof onEvent === "function") {
@@ -133,7 +210,7 @@ async function createChatCompletionWithFallback({
             }
           }
 
-          if (!droppedReasoning && finalPayload.reasoning_effort && isReasoningEffortUnsupportedError(retryableError)) {
+          if (!droppedReasoning && finalPayload.reasoning_effort && classified.reasoningEffortUnsupported) {
             droppedReasoning = true;
             delete finalPayload.reasoning_effort;
             if (typeof onEvent === "function") {
@@ -142,6 +219,16 @@ async function createChatCompletionWithFallback({
             continue;
           }
 
+          // The stream may then carry no usage, which beats failing the call.
+          if (!droppedStreamOptions && finalPayload.stream_options && classified.streamOptionsUnsupported) {
+            droppedStreamOptions = true;
+            delete finalPayload.stream_options;
+            if (typeof onEvent === "function") {
+              onEvent("model.request.retry_without_stream_options", { model: candidate });
+            }
+            continue;
+          }
+
           throw retryableError;
         }
       }
@@ -155,7 +242,7 @@ async function createChatCompletionWithFallback({
         });
       }
 
-      if (!isModelAccessError(lastError)) {
+      if (!classifyProviderError(client, lastError).modelAccess) {
         throw lastError;
       }
     }
@@ -168,9 +255,51 @@ function extractAssistantText(completion) {
   return completion?.choices?.[0]?.message?.content?.trim() || "";
 }
 
+// Parses a reply that should be a JSON object, tolerating prose or code fences around it.
+function parseJsonObject(text) {
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    const match = String(text).match(/\{[\s\S]*\}/);
+    if (!match) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      return null;
+    }
+  }
+}
+
+// Normalizes OpenAI-style usage (also produced by the Anthropic/Ollama adapters); null when absent.
+function extractCompletionUsage(completion) {
+  const usage = completion?.usage;
+  if (!usage || typeof usage !== "object") {
+    return null;
+  }
+
+  const promptTokens = Math.max(0, Number(usage.prompt_tokens) || 0);
+  const completionTokens = Math.max(0, Number(usage.completion_tokens) || 0);
+  return {
+    promptTokens,
+    completionTokens,
+    reasoningTokens: Math.max(0, Number(usage.completion_tokens_details?.reasoning_tokens) || 0),
+    totalTokens: Math.max(0, Number(usage.total_tokens) || 0) || promptTokens + completionTokens
+  };
+}
+
 export {
+  classifyOpenAIError,
   createChatCompletionWithFallback,
   extractAssistantText,
+  extractCompletionUsage,
   isReasoningModel,
-  normalizeReasoningEffort
+  normalizeReasoningEffort,
+  parseJsonObject
 };
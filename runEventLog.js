@@ -0,0 +1,74 @@
+// Buffered event log for one generation run. Every stream chunk goes out to the live listeners;
+// the replayable ones also get a `seq` and stay in a bounded buffer so a client that reattaches
+// with `after=<seq>` can catch up on what it missed. Sequence numbers keep counting across runs
+// of the same conversation (`startSeq`), so a stale cursor never matches a newer run's events.
+// `meta` describes the run for clients that attach late; its `seq` is the cursor before the run.
+
+const REPLAYABLE_EVENT_TYPES = new Set(["turn", "moderator", "references", "done", "error"]);
+
+function createRunEventLog({ conversationId = null, requestId = null, meta = null, startSeq = 0, limit = 500 } = {}) {
+  const events = [];
+  const listeners = new Set();
+  let lastSeq = startSeq;
+  let finished = false;
+
+  function append(payload) {
+    if (finished) {
+      return null;
+    }
+    let event = payload;
+    if (REPLAYABLE_EVENT_TYPES.has(payload?.type)) {
+      lastSeq += 1;
+      event = { ...payload, seq: lastSeq };
+      events.push(event);
+      if (events.length > limit) {
+        events.splice(0, events.length - limit);
+      }
+    }
+    for (const listener of listeners) {
+      listener(event);
+    }
+    return event;
+  }
+
+  // Buffered events after `after`; `truncated` is set when some of them were already dropped.
+  function since(after) {
+    const cursor = Number.isFinite(after) ? after : startSeq;
+    const firstSeq = events.length > 0 ? events[0].seq : lastSeq + 1;
+    return {
+      events: events.filter((event) => event.seq > cursor),
+      truncated: cursor < firstSeq - 1
+    };
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function finish() {
+    finished = true;
+    for (const listener of listeners) {
+      listener(null);
+    }
+    listeners.clear();
+  }
+
+  return {
+    conversationId,
+    requestId,
+    meta: meta ? { ...meta, seq: startSeq } : null,
+    append,
+    since,
+    subscribe,
+    finish,
+    get lastSeq() {
+      return lastSeq;
+    },
+    get finished() {
+      return finished;
+    }
+  };
+}
+
+export { REPLAYABLE_EVENT_TYPES, createRunEventLog };
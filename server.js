@@ -4,36 +4,97 @@ import next from "next";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { randomUUID, timingSafeEqual } from "node:crypto";
-import OpenAI from "openai";
+import { STATUS_CODES } from "node:http";
+import { WebSocketServer } from "ws";
 import {
   createChatCompletionWithFallback,
   extractAssistantText,
-  normalizeReasoningEffort
+  normalizeReasoningEffort,
+  parseJsonObject
 } from "./openaiCompat.js";
+import { LLM_PROVIDER_NAMES, createLlmProvider, getProviderDefaults, normalizeProviderName } from "./llmProviders.js";
+import { normalizeFixtureMode, withLlmFixtures } from "./llmFixtures.js";
+import { alignTranscripts, compareInsights, findCommonForkPoint, scoreDelta } from "./branchCompare.js";
+import { expandLabMatrix, rankLabRuns, runWithConcurrency } from "./labExperiments.js";
+import { createGenerationJobWorker } from "./generationJobs.js";
+import { createRunEventLog } from "./runEventLog.js";
+import {
+  DEFAULT_DISCOVERY_MODE,
+  getDiscoveryModeProfile,
+  isBuiltInDiscoveryMode,
+  listDiscoveryModeProfiles,
+  parseDiscoveryModeInput,
+  removeDiscoveryMode,
+  sanitizeDiscoveryModeId,
+  saveDiscoveryMode
+} from "./discoveryModes.js";
+import {
+  combineUsageTotals,
+  createUsageRecorder,
+  evaluateBudget,
+  getConversationUsage
+} from "./usageAccounting.js";
 import {
   clearConversations,
   createConversation,
   dbPath,
   deleteConversation,
+  deleteConversationAgent,
+  deleteKnowledgeItem,
+  deleteMemoryToken,
+  deleteSemanticItem,
+  finishGenerationJob,
   getConversation,
   getConversationAgents,
   getConversationBrief,
+  getConversationLineage,
+  getConflict,
+  getDismissedSemanticItems,
+  getGenerationJob,
+  getKnowledgeItem,
+  getMemoryToken,
   getRecentClaimCitations,
   getRecentRetrievalSources,
   getMessages,
   getMessagesUpToTurn,
+  getSemanticItem,
+  getUnfinishedConversationJob,
   insertClaimCitations,
+  insertConversationMerge,
+  insertGenerationJob,
   insertMessages,
+  listConversationFamily,
+  listConversationJobs,
+  listConversationMerges,
   listConversations,
+  listKnowledgeItems,
+  resetDerivedMemory,
+  searchConversations,
+  truncateMessagesAfterTurn,
+  updateConflictStatus,
   updateConversationMeta,
+  updateGenerationJobProgress,
+  updateMemoryToken,
+  updateMessageText,
   upsertRetrievalSources,
   upsertConversationAgents,
   upsertConversationBrief
 } from "./db.js";
 import {
+  HUMAN_SPEAKER_ID,
+  KNOWLEDGE_ITEM_TYPES,
+  MERGE_SPEAKER_ID,
+  SEMANTIC_ITEM_STATUSES,
+  SEMANTIC_ITEM_TYPES,
   bootstrapMemoryIfNeeded,
   buildContextBlock,
+  curateSemanticItem,
   getCompressedMemory,
+  isAgentSpeakerId,
+  mergeBranchMemory,
+  planBranchMerge,
+  promoteKnowledgeItem,
+  retrieveRelevantMemory,
   runMemoryAgent
 } from "./memoryAgent.js";
 
@@ -108,7 +169,7 @@ const DEFAULT_AGENTS = [
     id: "agent-a",
     name: "Atlas",
     persona:
-      "A systems strategist focused on first principles, measurable outcomes, and explicit tradeoffs. You are one of two agents collaborating in a shared room to deepen the user's topic with context-aware reasoning.",
+      "A systems strategist focused on first principles, measurable outcomes, and explicit tradeoffs. You are one of the agents collaborating in a shared room to deepen the user's topic with context-aware reasoning.",
     style: "Analytical, grounded, and structured. Prefer clear reasoning over rhetoric.",
     temperature: 0.45,
     tools: {
@@ -119,7 +180,7 @@ const DEFAULT_AGENTS = [
     id: "agent-b",
     name: "Nova",
     persona:
-      "A creative applied thinker who pressure-tests assumptions with examples, user impact, and edge cases. You are one of two agents collaborating in a shared room to deepen the user's topic with context-aware reasoning.",
+      "A creative applied thinker who pressure-tests assumptions with examples, user impact, and edge cases. You are one of the agents collaborating in a shared room to deepen the user's topic with context-aware reasoning.",
     style: "Conversational, vivid, and practical. Challenge weak claims with concrete alternatives.",
     temperature: 0.72,
     tools: {
@@ -128,15 +189,86 @@ const DEFAULT_AGENTS = [
   }
 ];
 
+// Seats 3-8 of a room fall back to these templates when no explicit config is provided.
+const ROOM_AGENT_TEMPLATES = [
+  {
+    name: "Curiosity",
+    persona:
+      "A curiosity-driven thinker who asks critical, interesting questions to expose assumptions and unlock deeper insight.",
+    style: "Probe with high-leverage questions and keep the discussion intellectually adventurous but precise.",
+    temperature: 0.78,
+    tools: {
+      webSearch: true
+    }
+  },
+  {
+    name: "Knowledge",
+    persona:
+      "A knowledge persona that answers questions directly, clearly, and accurately with concise supporting reasoning.",
+    style: "Answer-first, concrete, and grounded; avoid unnecessary detours or open-ended questioning.",
+    temperature: 0.35,
+    tools: {
+      webSearch: true
+    }
+  },
+  {
+    name: "Interviewer",
+    persona:
+      "A rigorous interviewer persona that asks focused, sequenced questions and drives toward clarity through follow-ups.",
+    style: "Ask one sharp question at a time, escalate depth, and avoid answering on behalf of the other speakers.",
+    temperature: 0.5,
+    tools: {
+      webSearch: true
+    }
+  },
+  {
+    name: "Skeptic",
+    persona:
+      "A skeptical reviewer who hunts for failure modes, hidden costs, and claims that outrun their evidence.",
+    style: "Blunt but fair. Name the weakest link and what evidence would fix it.",
+    temperature: 0.4,
+    tools: {
+      webSearch: true
+    }
+  },
+  {
+    name: "Pragmatist",
+    persona:
+      "An operator who turns ideas into sequenced, resourced plans and flags what would block delivery.",
+    style: "Concrete and execution-minded. Prefer owners, steps, and timelines over abstractions.",
+    temperature: 0.5,
+    tools: {
+      webSearch: false
+    }
+  },
+  {
+    name: "Historian",
+    persona:
+      "A historian of ideas who grounds the discussion in precedents, analogies, and lessons from prior attempts.",
+    style: "Reflective and specific. Cite comparable cases and what they imply for this one.",
+    temperature: 0.6,
+    tools: {
+      webSearch: true
+    }
+  }
+];
+
+const MIN_ROOM_AGENTS = 2;
+const MAX_ROOM_AGENTS = 8;
+const CONVERSATION_TREE_NODE_LIMIT = 200;
+const CONVERSATION_TREE_SCORE_LIMIT = 24;
+const COMPARE_TURN_LIMIT = 200;
+const AGENT_ID_PATTERN = /^agent-[a-z0-9-]{1,24}$/;
+
 const AGENT_SHARED_MISSION =
-  "Shared mission: run a two-agent room conversation on the user's topic, preserve context, respond to each other directly, and produce useful, relevant insights or next steps.";
+  "Shared mission: run a multi-agent room conversation on the user's topic, preserve context, respond to each other directly, and produce useful, relevant insights or next steps.";
 
 const AGENT_ROUNDTABLE_TONE =
-  "Conversation quality bar: sound like two world-class thinkers at a table - precise, high-signal, intellectually honest, and non-generic.";
+  "Conversation quality bar: sound like world-class thinkers at a table - precise, high-signal, intellectually honest, and non-generic.";
 
 const ROOM_CONTEXT_CHARTER = [
-  "You are in the same room as the other agent discussing one topic.",
-  "Listen and respond directly to what the other agent just said.",
+  "You are in the same room as the other agents discussing one topic.",
+  "Listen and respond directly to what the previous speaker just said.",
   "Stay in your own persona while collaborating toward clarity.",
   "Use available tool notes when they improve factual grounding.",
   "Prioritize cruxes, assumptions, tradeoffs, and implications over surface-level commentary."
@@ -151,13 +283,7 @@ const DISCUSSION_CHARTER = [
   "Keep the tone natural and conversational, not repetitive or robotic."
 ];
 
-const DISCOVERY_MODE_SET = new Set(["exploration", "debate", "synthesis"]);
 const DISCOVERY_LAB_MODES = ["exploration", "debate", "synthesis"];
-const DISCOVERY_MODE_HINTS = {
-  exploration: "In exploration mode, introduce fresh angles, concrete examples, and practical experiments.",
-  debate: "In debate mode, surface strongest pro/con arguments and identify the core crux.",
-  synthesis: "In synthesis mode, converge on decisions, tradeoffs, and an executable action plan."
-};
 
 function readIntEnv(name, fallback, min, max) {
   const raw = Number(process.env[name]);
@@ -318,6 +444,9 @@ const MODERATOR_INTERVAL = readIntEnv("MODERATOR_INTERVAL", 6, 2, 20);
 // Total time budget for a multi-turn run. Default increased because modern models + retrieval can exceed 30s
 // for a 10-turn batch, which prematurely stops runs (e.g. at ~4 turns) and confuses users.
 const MAX_GENERATION_MS = readIntEnv("MAX_GENERATION_MS", 180000, 3000, 600000);
+const JOB_MAX_TURNS = readIntEnv("JOB_MAX_TURNS", 200, 2, 2000);
+const JOB_MAX_GENERATION_MS = readIntEnv("JOB_MAX_GENERATION_MS", 3600000, 60000, 86400000);
+const JOB_CONCURRENCY = readIntEnv("JOB_CONCURRENCY", 1, 1, 8);
 const MAX_REPETITION_STREAK = readIntEnv("MAX_REPETITION_STREAK", 2, 1, 5);
 const QUALITY_MIN_WORDS = readIntEnv("QUALITY_MIN_WORDS", 9, 4, 40);
 const QUALITY_RETRY_LIMIT = readIntEnv("QUALITY_RETRY_LIMIT", 1, 0, 3);
@@ -340,12 +469,26 @@ const AGENT_WEB_TOOL_REFRESH_INTERVAL = readIntEnv("AGENT_WEB_TOOL_REFRESH_INTER
 const TURN_STREAMING_ENABLED = readBoolEnv("TURN_STREAMING_ENABLED", true);
 const TURN_STREAM_CHUNK_SIZE = readIntEnv("TURN_STREAM_CHUNK_SIZE", 28, 8, 180);
 const TURN_STREAM_DELAY_MS = readIntEnv("TURN_STREAM_DELAY_MS", 16, 0, 250);
+const STREAM_EVENT_BUFFER_LIMIT = readIntEnv("STREAM_EVENT_BUFFER_LIMIT", 500, 50, 5000);
+const STREAM_EVENT_RETENTION_MS = readIntEnv("STREAM_EVENT_RETENTION_MS", 300000, 0, 3600000);
+const STREAM_KEEPALIVE_MS = readIntEnv("STREAM_KEEPALIVE_MS", 15000, 1000, 120000);
 const MAX_TURN_CHARS = readIntEnv("MAX_TURN_CHARS", 1400, 300, 8000);
+const HUMAN_MESSAGE_MAX_CHARS = readIntEnv("HUMAN_MESSAGE_MAX_CHARS", 1200, 40, 4000);
+const SEARCH_QUERY_MAX_CHARS = 200;
+const KNOWLEDGE_TEXT_MAX_CHARS = 400;
+const MEMORY_ITEM_TEXT_MAX_CHARS = 400;
+const CONFLICT_NOTE_MAX_CHARS = 600;
+const HUMAN_PENDING_LIMIT = readIntEnv("HUMAN_PENDING_LIMIT", 6, 1, 50);
+const RUN_PAUSE_MAX_MS = readIntEnv("RUN_PAUSE_MAX_MS", 1800000, 1000, 86400000);
+const BUDGET_WARNING_RATIO = readFloatEnv("BUDGET_WARNING_RATIO", 0.8, 0.1, 0.99);
 const RATE_LIMIT_WINDOW_MS = readIntEnv("RATE_LIMIT_WINDOW_MS", 60000, 1000, 3600000);
 const RATE_LIMIT_MAX_REQUESTS = readIntEnv("RATE_LIMIT_MAX_REQUESTS", 180, 20, 5000);
 const GENERATION_LIMIT_MAX_REQUESTS = readIntEnv("GENERATION_LIMIT_MAX_REQUESTS", 36, 2, 500);
 const RATE_LIMIT_MAX_KEYS = readIntEnv("RATE_LIMIT_MAX_KEYS", 12000, 2000, 200000);
 const LAB_DEFAULT_TURNS = readIntEnv("LAB_DEFAULT_TURNS", 6, 2, 10);
+const LAB_MAX_MODES = 6;
+const LAB_MAX_VARIANTS = readIntEnv("LAB_MAX_VARIANTS", 12, 1, 48);
+const LAB_MAX_CONCURRENCY = readIntEnv("LAB_MAX_CONCURRENCY", 2, 1, 8);
 const TRUST_PROXY = readBoolEnv("TRUST_PROXY", false);
 const CSRF_PROTECTION = readBoolEnv("CSRF_PROTECTION", true);
 const APP_ORIGIN = normalizeOrigin(process.env.APP_ORIGIN || "");
@@ -408,20 +551,121 @@ function logError(level, event, error, fields = {}) {
   });
 }
 
-const model = process.env.OPENAI_MODEL || "gpt-5.2";
-const fallbackModel = process.env.OPENAI_FALLBACK_MODEL || "gpt-4o-mini";
+const llmProvider = normalizeProviderName(process.env.LLM_PROVIDER, "openai");
+const providerDefaults = getProviderDefaults(llmProvider);
+const model = providerDefaults.model;
+const fallbackModel = providerDefaults.fallbackModel;
 const reasoningEffort = normalizeReasoningEffort(process.env.OPENAI_REASONING_EFFORT || "medium", "medium");
-const hasOpenAI = Boolean(process.env.OPENAI_API_KEY);
-const client = hasOpenAI
-  ? new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      baseURL: process.env.OPENAI_BASE_URL || undefined
-    })
-  : null;
+const LLM_FIXTURE_MODE = normalizeFixtureMode(process.env.LLM_FIXTURE_MODE);
+const LLM_FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || path.join(__dirname, "fixtures", "llm");
+const client = createModelClient(llmProvider, {
+  apiKey: providerDefaults.apiKey,
+  baseUrl: providerDefaults.baseUrl
+});
+const PROVIDER_LABELS = { openai: "OpenAI", anthropic: "Anthropic", ollama: "Ollama" };
+// Base URLs agents may select, each paired with the env var holding its key ("" for none), so a
+// key is only ever sent to the endpoint it belongs to: the configured provider's own endpoint plus
+// the operator's list. Other providers are reached through their default URL without `baseUrl`.
+const AGENT_ENDPOINTS = new Map(
+  [
+    [providerDefaults.baseUrl, providerDefaults.apiKeyEnv],
+    ...parseAgentEndpointList(process.env.AGENT_BASE_URL_ALLOWLIST)
+  ]
+    .map(([baseUrl, apiKeyEnv]) => [normalizeBaseUrl(baseUrl), apiKeyEnv])
+    .filter(([baseUrl]) => baseUrl)
+);
+const agentClients = new Map();
+
+function createModelClient(provider, options) {
+  return withLlmFixtures(createLlmProvider(provider, options), {
+    provider,
+    mode: LLM_FIXTURE_MODE,
+    dir: LLM_FIXTURE_DIR
+  });
+}
+
+function normalizeBaseUrl(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      return "";
+    }
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, "")}`;
+  } catch {
+    return "";
+  }
+}
+
+// `AGENT_BASE_URL_ALLOWLIST` entries are `url=KEY_ENV`, or a bare `url` for an endpoint without a key.
+function parseAgentEndpointList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => {
+      const [baseUrl, apiKeyEnv = ""] = item.split("=").map((part) => part.trim());
+      return [baseUrl, /^[A-Z][A-Z0-9_]{0,62}$/.test(apiKeyEnv) ? apiKeyEnv : ""];
+    });
+}
+
+// The key env for an agent's endpoint: the allowlist entry's for a custom base URL, otherwise the
+// provider's own.
+function agentKeyEnvFor(provider, baseUrl) {
+  if (baseUrl) {
+    return AGENT_ENDPOINTS.get(baseUrl) || "";
+  }
+  return getProviderDefaults(provider || llmProvider).apiKeyEnv;
+}
+
+// Agents may pick another provider or allowlisted endpoint; the key always comes from the env var
+// paired with that endpoint, and keys themselves are never stored or returned.
+function getAgentClient(provider, baseUrl) {
+  if (provider === llmProvider && !baseUrl) {
+    return client;
+  }
+
+  const cacheKey = `${provider}|${baseUrl}`;
+  if (agentClients.has(cacheKey)) {
+    return agentClients.get(cacheKey);
+  }
+
+  const apiKeyEnv = agentKeyEnvFor(provider, baseUrl);
+  const agentClient = createModelClient(provider, {
+    apiKey: apiKeyEnv ? process.env[apiKeyEnv] || "" : "",
+    baseUrl: baseUrl || getProviderDefaults(provider).baseUrl
+  });
+  if (!agentClient) {
+    logEvent("warn", "model.agent_client.missing_key", { provider, baseUrl, apiKeyEnv });
+  }
+  agentClients.set(cacheKey, agentClient);
+  return agentClient;
+}
+
+function resolveAgentModelRoute(agent) {
+  const provider = agent?.provider || llmProvider;
+  const defaults = provider === llmProvider ? { model, fallbackModel } : getProviderDefaults(provider);
+  return {
+    provider,
+    client: getAgentClient(provider, agent?.baseUrl || ""),
+    model: agent?.model || defaults.model,
+    fallbackModel: agent?.fallbackModel || defaults.fallbackModel,
+    reasoningEffort: agent?.reasoningEffort || reasoningEffort
+  };
+}
+
+function getEngineLabel(agents = []) {
+  const overridden = (agents || []).filter(
+    (agent) => agent?.provider || agent?.model || agent?.baseUrl || agent?.apiKeyEnv
+  );
+  if (overridden.length > 0) {
+    const routes = (agents || []).map((agent) => {
+      const route = resolveAgentModelRoute(agent);
+      return `${agent.name}: ${route.client ? `${route.provider}/${route.model}` : "local"}`;
+    });
+    return `Per-agent models (${routes.join(", ")})`;
+  }
 
-function getEngineLabel() {
-  return hasOpenAI
-    ? `OpenAI (${model}, reasoning:${reasoningEffort})`
+  const fixtureSuffix = LLM_FIXTURE_MODE === "off" ? "" : ` [fixtures:${LLM_FIXTURE_MODE}]`;
+  return client
+    ? `${PROVIDER_LABELS[llmProvider]} (${model}, reasoning:${reasoningEffort})${fixtureSuffix}`
     : "Local fallback generator";
 }
 
@@ -479,8 +723,8 @@ function sweepRateLimitState(stateMap, now, maxKeys) {
   }
 }
 
-function applyRateLimit(req, res, next, stateMap, maxRequests, windowMs) {
-  const key = getClientKey(req);
+// Counts one request for `key`; returns null while under the limit, otherwise the seconds to wait.
+function consumeRateLimit(key, stateMap, maxRequests, windowMs) {
   const now = Date.now();
   rateSweepTick = (rateSweepTick + 1) % 1024;
   if (rateSweepTick % 64 === 0 || stateMap.size > RATE_LIMIT_MAX_KEYS) {
@@ -493,17 +737,25 @@ function applyRateLimit(req, res, next, stateMap, maxRequests, windowMs) {
       count: 1,
       resetAt: now + windowMs
     });
-    return next();
+    return null;
   }
 
   existing.count += 1;
   stateMap.set(key, existing);
 
   if (existing.count <= maxRequests) {
+    return null;
+  }
+
+  return Math.max(1, Math.ceil((existing.resetAt - now) / 1000));
+}
+
+function applyRateLimit(req, res, next, stateMap, maxRequests, windowMs) {
+  const retryAfterSeconds = consumeRateLimit(getClientKey(req), stateMap, maxRequests, windowMs);
+  if (retryAfterSeconds === null) {
     return next();
   }
 
-  const retryAfterSeconds = Math.max(1, Math.ceil((existing.resetAt - now) / 1000));
   res.setHeader("Retry-After", String(retryAfterSeconds));
   return res.status(429).json({
     error: "Rate limit exceeded. Slow down and try again shortly.",
@@ -521,27 +773,44 @@ app.use("/api", (req, res, next) => {
   next();
 });
 
-app.use("/api", (req, res, next) => {
-  if (!CSRF_PROTECTION || !isWriteMethod(req.method)) {
-    return next();
-  }
-
-  const origin = String(req.headers.origin || "").trim();
+// Returns why a write from `originHeader` is refused, or null when it may proceed. Requests without
+// an Origin header (curl, server-to-server) are not cross-site and pass.
+function checkWriteOrigin(originHeader, ownOrigin) {
+  const origin = String(originHeader || "").trim();
   if (!origin) {
-    return next();
+    return null;
   }
 
   const normalizedOrigin = normalizeOrigin(origin);
   if (!normalizedOrigin) {
-    return res.status(403).json({ error: "Blocked request origin." });
+    return "Blocked request origin.";
   }
 
-  const requestOrigin = APP_ORIGIN || normalizeOrigin(`${req.protocol}://${req.get("host") || ""}`);
+  const requestOrigin = APP_ORIGIN || ownOrigin;
   if (requestOrigin && (normalizedOrigin === requestOrigin || CSRF_ALLOWED_ORIGINS.has(normalizedOrigin))) {
+    return null;
+  }
+
+  return "Cross-origin write request denied.";
+}
+
+function hasWriteToken(headers) {
+  const bearerToken = extractBearerToken(headers.authorization);
+  const headerToken = String(headers["x-api-key"] || "").trim();
+  return constantTimeMatch(bearerToken || headerToken, API_WRITE_TOKEN);
+}
+
+app.use("/api", (req, res, next) => {
+  if (!CSRF_PROTECTION || !isWriteMethod(req.method)) {
     return next();
   }
 
-  return res.status(403).json({ error: "Cross-origin write request denied." });
+  const refusal = checkWriteOrigin(req.headers.origin, normalizeOrigin(`${req.protocol}://${req.get("host") || ""}`));
+  if (!refusal) {
+    return next();
+  }
+
+  return res.status(403).json({ error: refusal });
 });
 
 app.use("/api", (req, res, next) => {
@@ -549,10 +818,7 @@ app.use("/api", (req, res, next) => {
     return next();
   }
 
-  const bearerToken = extractBearerToken(req.headers.authorization);
-  const headerToken = String(req.headers["x-api-key"] || "").trim();
-  const providedToken = bearerToken || headerToken;
-  if (constantTimeMatch(providedToken, API_WRITE_TOKEN)) {
+  if (hasWriteToken(req.headers)) {
     return next();
   }
 
@@ -565,7 +831,10 @@ app.use("/api", (req, res, next) => {
     return next();
   }
 
-  if (!["/conversation", "/conversation/stream", "/conversation/lab"].includes(req.path)) {
+  const isGenerationRoute =
+    ["/conversation", "/conversation/stream", "/conversation/lab"].includes(req.path) ||
+    /^\/conversation\/[^/]+\/(turns\/[^/]+\/regenerate|merge)$/.test(req.path);
+  if (!isGenerationRoute) {
     return next();
   }
 
@@ -718,7 +987,7 @@ function evaluateTurnQuality({ text, previousText, keywordSet }) {
 }
 
 function evaluateEvidenceQuality({ text, mode, referenceMap }) {
-  if (mode !== "debate") {
+  if (!modeRequiresCitations(mode)) {
     return {
       score: 1,
       citationCount: 0,
@@ -781,7 +1050,7 @@ function chooseCorrectionDirective({ novelty, coherence, nonRepetition, evidence
   }
 
   if (weakest === "evidence_quality") {
-    return mode === "debate"
+    return modeRequiresCitations(mode)
       ? "Back factual claims with [R#] citations and state uncertainty when evidence is weak."
       : "Support assertions with concrete rationale rather than generic statements.";
   }
@@ -808,11 +1077,12 @@ function evaluateTurnSignals({ text, previousText, recentTranscript, keywordSet,
     clamp(novelty * 0.28 + coherence * 0.32 + nonRepetition * 0.2 + evidenceQuality * 0.2, 0, 1).toFixed(4)
   );
 
+  const thresholds = modeEvaluatorThresholds(mode);
   const accepted =
-    overall >= EVALUATOR_MIN_OVERALL &&
-    novelty >= EVALUATOR_MIN_NOVELTY &&
-    coherence >= EVALUATOR_MIN_COHERENCE &&
-    (mode !== "debate" || evidenceQuality >= EVALUATOR_MIN_EVIDENCE);
+    overall >= thresholds.minOverall &&
+    novelty >= thresholds.minNovelty &&
+    coherence >= thresholds.minCoherence &&
+    (!modeRequiresCitations(mode) || evidenceQuality >= thresholds.minEvidence);
 
   return {
     novelty,
@@ -1112,10 +1382,9 @@ function buildReferenceBlock(references, mode = "exploration") {
     return "Reference notes: (none available)";
   }
 
-  const header =
-    mode === "debate"
-      ? "Reference notes (cite as [R#] for factual claims):"
-      : "Web/tool notes (optional grounding, cite [R#] only if helpful):";
+  const header = modeRequiresCitations(mode)
+    ? "Reference notes (cite as [R#] for factual claims):"
+    : "Web/tool notes (optional grounding, cite [R#] only if helpful):";
 
   return [
     header,
@@ -1236,6 +1505,60 @@ function splitTurnTextForStreaming(text, chunkSize = 28) {
   return chunks.length ? chunks : [content];
 }
 
+// Forwards live model deltas for one draft turn. A draft that is later discarded
+// (quality retry, evaluator correction, or local fallback) is retracted with turn_reset.
+function createTurnDraftStream({ writeChunk, turn, speaker, totalTurns, live }) {
+  const draft = {
+    started: false,
+    text: "",
+    onDelta: null,
+    reset(reason, attempt) {
+      if (!draft.started) {
+        return;
+      }
+      writeChunk({
+        type: "turn_reset",
+        turn,
+        speaker: speaker.name,
+        speakerId: speaker.id,
+        attempt,
+        reason
+      });
+      draft.started = false;
+      draft.text = "";
+    }
+  };
+
+  if (!writeChunk || !TURN_STREAMING_ENABLED || !live) {
+    return draft;
+  }
+
+  draft.onDelta = (delta, text) => {
+    if (!draft.started) {
+      draft.started = true;
+      writeChunk({
+        type: "turn_start",
+        turn,
+        speaker: speaker.name,
+        speakerId: speaker.id,
+        totalTurns
+      });
+    }
+    draft.text = text;
+    writeChunk({
+      type: "turn_delta",
+      turn,
+      speaker: speaker.name,
+      speakerId: speaker.id,
+      delta,
+      text,
+      totalTurns
+    });
+  };
+  return draft;
+}
+
+// Re-chunks finished text for turns that were not streamed live (local mode or model fallback).
 async function streamTurnProgress({ writeChunk, entry, totalTurns }) {
   if (!writeChunk || !entry) {
     return;
@@ -1268,13 +1591,17 @@ async function streamTurnProgress({ writeChunk, entry, totalTurns }) {
   }
 }
 
-function getPartnerAgent(agents, speaker) {
+function getPartnerAgents(agents, speaker) {
   const list = Array.isArray(agents) ? agents : [];
-  const partner = list.find((item) => item && item.id !== speaker?.id);
-  return partner || null;
+  return list.filter((item) => item && item.id !== speaker?.id);
 }
 
-function buildRoomContextBlock({ topic, mode, brief, speaker, partner }) {
+function buildRoomContextBlock({ topic, mode, brief, speaker, partners, previousSpeakerId }) {
+  const counterparts = Array.isArray(partners) ? partners : [];
+  const previousPartner = counterparts.find((partner) => partner.id === previousSpeakerId) || null;
+  const roster = [speaker?.name ? `${speaker.name} (you)` : "You", ...counterparts.map((partner) => partner.name)]
+    .filter(Boolean)
+    .join(", ");
   const lines = [
     "Room context:",
     AGENT_SHARED_MISSION,
@@ -1282,13 +1609,31 @@ function buildRoomContextBlock({ topic, mode, brief, speaker, partner }) {
     ROOM_CONTEXT_CHARTER.map((line) => `- ${line}`).join("\n"),
     `Topic in room: ${topic}`,
     `Conversation mode: ${mode}`,
+    `Room roster (${counterparts.length + 1} agents): ${roster}`,
     `Your persona: ${speaker?.persona || speaker?.style || "Focused collaborator."}`,
-    `Counterpart persona: ${partner?.name || "Other agent"} | ${partner?.persona || partner?.style || "N/A"}`,
+    counterparts.length > 0
+      ? [
+          "Counterpart personas:",
+          ...counterparts.map(
+            (partner) => `- ${partner.name || "Other agent"} | ${partner.persona || partner.style || "N/A"}`
+          )
+        ].join("\n")
+      : "Counterpart personas: (none)",
+    previousPartner ? `Last speaker to respond to: ${previousPartner.name}` : "",
+    previousSpeakerId === HUMAN_SPEAKER_ID
+      ? "Last speaker to respond to: a human participant who joined the room. Treat their message as steering."
+      : "",
+    previousSpeakerId === MERGE_SPEAKER_ID
+      ? "Last entry: a merge note that folded a forked branch back into this room. Build on what it carried back."
+      : "",
+    counterparts.length > 1
+      ? "Address the last speaker first; bring in other agents by name only when their earlier point matters."
+      : "",
     `Objective: ${brief?.objective || "(none)"}`,
     `Tools available to you: ${speaker?.tools?.webSearch ? "web_search" : "none"}`
   ];
 
-  return lines.join("\n");
+  return lines.filter(Boolean).join("\n");
 }
 
 function turnTakingContextBlock(topic, transcript) {
@@ -1303,6 +1648,26 @@ function turnTakingContextBlock(topic, transcript) {
     ].join("\n");
   }
 
+  if (previous.speakerId === MERGE_SPEAKER_ID) {
+    return [
+      "Turn-taking context:",
+      `Original topic/question: ${topic}`,
+      "Previous entry: merge note from a forked branch of this discussion",
+      `Merge note: ${previous.text}`,
+      "Weigh what the branch concluded against this thread, resolve any conflict it raised, then move forward."
+    ].join("\n");
+  }
+
+  if (previous.speakerId === HUMAN_SPEAKER_ID) {
+    return [
+      "Turn-taking context:",
+      `Original topic/question: ${topic}`,
+      `Previous speaker: ${previous.speaker} (human participant)`,
+      `Previous reply: ${previous.text}`,
+      "A person in the room just spoke. Answer or act on their message first, then continue the discussion in that direction."
+    ].join("\n");
+  }
+
   return [
     "Turn-taking context:",
     `Original topic/question: ${topic}`,
@@ -1312,6 +1677,13 @@ function turnTakingContextBlock(topic, transcript) {
   ].join("\n");
 }
 
+// Agents rotate on their own turns only, so human interjections and merge notes do not shift whose
+// turn is next.
+function nextSpeakerFor(agents, transcript) {
+  const agentTurns = (transcript || []).filter((entry) => isAgentSpeakerId(entry?.speakerId)).length;
+  return agents[agentTurns % agents.length];
+}
+
 function openingQuestionBlock(topic, transcript) {
   if ((transcript || []).length > 0) {
     return "";
@@ -1425,6 +1797,7 @@ function localTurn(topic, speaker, transcript, moderatorDirective, brief, mode =
 }
 
 async function generateTurn({
+  conversationId,
   topic,
   speaker,
   agents,
@@ -1435,32 +1808,39 @@ async function generateTurn({
   mode,
   references,
   requestId,
-  cancellation
+  cancellation,
+  onDelta,
+  onUsage
 }) {
   if (cancellation?.isCancelled?.()) {
     return null;
   }
 
-  if (!client) {
+  const route = resolveAgentModelRoute(speaker);
+  if (!route.client) {
     return localTurn(topic, speaker, transcript, moderatorDirective, brief, mode, references);
   }
 
-  const partner = getPartnerAgent(agents, speaker);
+  const partners = getPartnerAgents(agents, speaker);
+  const retrieved = conversationId ? await retrieveRelevantMemory(conversationId, { topic, transcript, memory }) : null;
   const basePrompt = buildContextBlock({
     topic,
     transcript,
     memory,
+    retrieved,
     moderatorDirective,
     charter: DISCUSSION_CHARTER,
     brief,
-    speakerId: speaker?.id
+    speakerId: speaker?.id,
+    partners
   });
   const roomContextPrompt = buildRoomContextBlock({
     topic,
     mode,
     brief,
     speaker,
-    partner
+    partners,
+    previousSpeakerId: transcript[transcript.length - 1]?.speakerId
   });
   const turnTakingPrompt = turnTakingContextBlock(topic, transcript);
   const openingPrompt = openingQuestionBlock(topic, transcript);
@@ -1476,17 +1856,20 @@ async function generateTurn({
 
   try {
     const result = await createChatCompletionWithFallback({
-      client,
-      model,
-      fallbackModel,
-      reasoningEffort,
+      client: route.client,
+      model: route.model,
+      fallbackModel: route.fallbackModel,
+      reasoningEffort: route.reasoningEffort,
       temperature: speaker.temperature,
       abortSignal: cancellation?.signal,
+      stream: typeof onDelta === "function",
+      onDelta,
       onEvent: LOG_MODEL_EVENTS
         ? (event, fields) =>
             logEvent("debug", event, {
               requestId,
               speaker: speaker?.name,
+              agentId: speaker?.id,
               ...fields
             })
         : null,
@@ -1499,10 +1882,12 @@ async function generateTurn({
             `Persona: ${speaker.persona || speaker.style}.`,
             AGENT_SHARED_MISSION,
             AGENT_ROUNDTABLE_TONE,
-            partner ? `You are speaking with ${partner.name} in a shared room discussion.` : "",
-            DISCOVERY_MODE_HINTS[mode] || DISCOVERY_MODE_HINTS.exploration,
+            partners.length > 0
+              ? `You are speaking with ${partners.map((partner) => partner.name).join(", ")} in a shared room discussion.`
+              : "",
+            resolveDiscoveryMode(mode).hint,
             "Maintain continuity and avoid topic drift.",
-            "Turn-taking rule: respond to the previous agent reply before introducing your new point.",
+            "Turn-taking rule: respond to the previous speaker's reply before introducing your new point.",
             "Opening-turn rule: when no previous reply exists, directly answer the user's exact prompt/question in sentence one.",
             "When a previous reply exists, directly address it in your first sentence.",
             "Write 3-5 dense conversational sentences in plain language, without bullets.",
@@ -1517,7 +1902,7 @@ async function generateTurn({
             speaker?.tools?.webSearch
               ? "When reference notes are present, use them naturally for factual grounding."
               : "Do not assume external tools are available.",
-            mode === "debate"
+            modeRequiresCitations(mode)
               ? "For factual claims, cite supporting references using [R#] from the provided reference notes."
               : "Use reference notes when useful, but keep the response concise."
           ].join(" ")
@@ -1529,6 +1914,7 @@ async function generateTurn({
       ]
     });
 
+    onUsage?.({ provider: route.provider, model: result.modelUsed, usage: result.usage });
     return (
       extractAssistantText(result.completion) ||
       localTurn(topic, speaker, transcript, moderatorDirective, brief, mode, references)
@@ -1546,9 +1932,9 @@ async function generateTurn({
   }
 }
 
-function parseTurns(rawTurns) {
+function parseTurns(rawTurns, maxTurns = 10) {
   const requestedTurns = Number(rawTurns ?? 10);
-  return Math.min(10, Math.max(2, Number.isFinite(requestedTurns) ? requestedTurns : 10));
+  return Math.min(maxTurns, Math.max(2, Number.isFinite(requestedTurns) ? Math.trunc(requestedTurns) : 10));
 }
 
 function parseLabTurns(rawTurns) {
@@ -1556,6 +1942,139 @@ function parseLabTurns(rawTurns) {
   return Math.min(10, Math.max(2, Number.isFinite(requestedTurns) ? requestedTurns : LAB_DEFAULT_TURNS));
 }
 
+// Lab runs default to the built-in trio; any stored mode can be requested by id.
+function parseLabModes(rawModes) {
+  if (rawModes === undefined || rawModes === null) {
+    return { modes: DISCOVERY_LAB_MODES };
+  }
+  if (!Array.isArray(rawModes) || rawModes.length === 0) {
+    return { error: "modes must be a non-empty array of mode ids." };
+  }
+
+  const modes = [];
+  for (const rawMode of rawModes) {
+    const mode = sanitizeConversationMode(rawMode, "");
+    if (!mode) {
+      return { error: `Unknown discovery mode: ${String(rawMode).slice(0, 40)}.` };
+    }
+    if (!modes.includes(mode)) {
+      modes.push(mode);
+    }
+  }
+  if (modes.length > LAB_MAX_MODES) {
+    return { error: `Lab runs support at most ${LAB_MAX_MODES} modes.` };
+  }
+  return { modes };
+}
+
+// A missing axis keeps the base setting; a present one must list at least one valid entry.
+function parseLabAxis(rawValues, name, parseValue) {
+  if (rawValues === undefined || rawValues === null) {
+    return { values: [null] };
+  }
+  if (!Array.isArray(rawValues) || rawValues.length === 0) {
+    return { error: `matrix.${name} must be a non-empty array.` };
+  }
+
+  const values = [];
+  for (const rawValue of rawValues) {
+    const value = parseValue(rawValue);
+    if (value === null) {
+      return { error: `matrix.${name} has an invalid entry.` };
+    }
+    values.push(value);
+  }
+  return { values };
+}
+
+function parseLabMatrix(body) {
+  const matrix = body?.matrix && typeof body.matrix === "object" ? body.matrix : {};
+  const modes = parseLabModes(matrix.modes ?? body?.modes);
+  if (modes.error) {
+    return { error: modes.error };
+  }
+
+  const axes = {
+    rosters: parseLabAxis(matrix.agents, "agents", (roster) => {
+      const agents = parseAgentConfigFromBody({ agents: roster });
+      return agents.length ? agents : null;
+    }),
+    models: parseLabAxis(matrix.models, "models", (model) => sanitizeAgentModelName(model) || null),
+    temperatures: parseLabAxis(matrix.temperatures, "temperatures", (temperature) =>
+      typeof temperature === "number" ? sanitizeAgentTemperature(temperature, null) : null
+    ),
+    briefs: parseLabAxis(matrix.briefs, "briefs", (brief) =>
+      brief && typeof brief === "object" && !Array.isArray(brief) ? brief : null
+    )
+  };
+  const invalidAxis = Object.values(axes).find((axis) => axis.error);
+  if (invalidAxis) {
+    return { error: invalidAxis.error };
+  }
+
+  const variantCount = Object.values(axes).reduce((count, axis) => count * axis.values.length, modes.modes.length);
+  if (variantCount > LAB_MAX_VARIANTS) {
+    return { error: `Lab matrices are capped at ${LAB_MAX_VARIANTS} variants (requested ${variantCount}).` };
+  }
+
+  return {
+    modes: modes.modes,
+    variants: expandLabMatrix({
+      mode: modes.modes,
+      roster: axes.rosters.values,
+      model: axes.models.values,
+      temperature: axes.temperatures.values,
+      brief: axes.briefs.values
+    }),
+    axisSizes: {
+      roster: axes.rosters.values.length,
+      brief: axes.briefs.values.length
+    }
+  };
+}
+
+function parseLabConcurrency(rawConcurrency) {
+  const requested = Number(rawConcurrency ?? LAB_MAX_CONCURRENCY);
+  return Math.min(LAB_MAX_CONCURRENCY, Math.max(1, Number.isFinite(requested) ? Math.trunc(requested) : 1));
+}
+
+// Applies one matrix cell on top of the lab's base agents and brief.
+function buildLabVariant(cell, index, { agents, brief, axisSizes }) {
+  let variantAgents = cell.roster.value ? mergeAgentConfig(agents, cell.roster.value) : agents;
+  if (cell.model.value || cell.temperature.value !== null) {
+    variantAgents = mergeAgentConfig(
+      variantAgents,
+      variantAgents.map((agent) => ({
+        agentId: agent.agentId,
+        model: cell.model.value || undefined,
+        temperature: cell.temperature.value ?? undefined
+      }))
+    );
+  }
+  const variantBrief = cell.brief.value
+    ? mergeBriefPatch(brief, cell.brief.value, parseBriefFromBody(cell.brief.value))
+    : brief;
+
+  const labelParts = [
+    resolveDiscoveryMode(cell.mode.value).label,
+    axisSizes.roster > 1 ? `roster ${cell.roster.index + 1}` : "",
+    cell.model.value || "",
+    cell.temperature.value !== null ? `temp ${cell.temperature.value}` : "",
+    axisSizes.brief > 1 ? `brief ${cell.brief.index + 1}` : ""
+  ];
+  return {
+    index,
+    label: labelParts.filter(Boolean).join(" · "),
+    mode: cell.mode.value,
+    rosterIndex: cell.roster.index,
+    model: cell.model.value,
+    temperature: cell.temperature.value,
+    briefIndex: cell.brief.index,
+    agents: variantAgents,
+    brief: variantBrief
+  };
+}
+
 function sanitizeBriefField(value, maxLen = 800) {
   return String(value || "")
     .replace(/\s+/g, " ")
@@ -1563,11 +2082,39 @@ function sanitizeBriefField(value, maxLen = 800) {
     .slice(0, maxLen);
 }
 
+const BRIEF_BUDGET_LIMITS = {
+  runTokens: { max: 100000000, integer: true },
+  runCostUsd: { max: 100000, integer: false },
+  totalTokens: { max: 1000000000, integer: true },
+  totalCostUsd: { max: 1000000, integer: false }
+};
+
+// Budget caps are positive numbers; anything else (0, "", null) means "no cap".
+function sanitizeBudgetLimit(value, { max, integer }) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    return null;
+  }
+  const bounded = Math.min(max, number);
+  return integer ? Math.max(1, Math.trunc(bounded)) : Number(bounded.toFixed(6));
+}
+
+function parseBriefBudget(rawBudget) {
+  const source = rawBudget && typeof rawBudget === "object" ? rawBudget : {};
+  return Object.fromEntries(
+    Object.entries(BRIEF_BUDGET_LIMITS).map(([key, limits]) => [key, sanitizeBudgetLimit(source[key], limits)])
+  );
+}
+
 function parseBriefFromBody(body) {
   return {
     objective: sanitizeBriefField(body?.objective, 280),
     constraintsText: sanitizeBriefField(body?.constraintsText ?? body?.constraints, 500),
-    doneCriteria: sanitizeBriefField(body?.doneCriteria, 320)
+    doneCriteria: sanitizeBriefField(body?.doneCriteria, 320),
+    budget: parseBriefBudget(body?.budget)
   };
 }
 
@@ -1576,7 +2123,7 @@ function hasBriefPayload(body) {
     return false;
   }
 
-  return ["objective", "constraintsText", "constraints", "doneCriteria"].some((key) =>
+  return ["objective", "constraintsText", "constraints", "doneCriteria", "budget"].some((key) =>
     Object.prototype.hasOwnProperty.call(body, key)
   );
 }
@@ -1593,10 +2140,28 @@ function mergeBriefPatch(currentBrief, body, parsedBrief) {
         : currentBrief.constraintsText,
     doneCriteria: Object.prototype.hasOwnProperty.call(body, "doneCriteria")
       ? parsedBrief.doneCriteria
-      : currentBrief.doneCriteria
+      : currentBrief.doneCriteria,
+    budget: mergeBriefBudget(currentBrief.budget, body.budget, parsedBrief.budget)
   };
 }
 
+// `budget: null` clears every cap; an object only replaces the caps it names.
+function mergeBriefBudget(currentBudget, rawBudget, parsedBudget) {
+  const current = parseBriefBudget(currentBudget);
+  if (rawBudget === undefined) {
+    return current;
+  }
+  if (!rawBudget || typeof rawBudget !== "object") {
+    return parseBriefBudget(null);
+  }
+  return Object.fromEntries(
+    Object.keys(BRIEF_BUDGET_LIMITS).map((key) => [
+      key,
+      Object.prototype.hasOwnProperty.call(rawBudget, key) ? parsedBudget[key] : current[key]
+    ])
+  );
+}
+
 function sanitizeConversationTitle(value, fallback = "") {
   const text = String(value || "")
     .replace(/\s+/g, " ")
@@ -1627,15 +2192,32 @@ function sanitizeConversationStarred(value, fallback = false) {
   return fallback;
 }
 
-function sanitizeConversationMode(value, fallback = "exploration") {
-  const mode = String(value || "")
-    .trim()
-    .toLowerCase();
+function sanitizeConversationMode(value, fallback = DEFAULT_DISCOVERY_MODE) {
+  const mode = sanitizeDiscoveryModeId(value);
   if (!mode) {
     return fallback;
   }
 
-  return DISCOVERY_MODE_SET.has(mode) ? mode : fallback;
+  return getDiscoveryModeProfile(mode) ? mode : fallback;
+}
+
+// Conversations keep the mode id they were given; a custom mode deleted later runs as exploration.
+function resolveDiscoveryMode(mode) {
+  return getDiscoveryModeProfile(mode) || getDiscoveryModeProfile(DEFAULT_DISCOVERY_MODE);
+}
+
+function modeRequiresCitations(mode) {
+  return resolveDiscoveryMode(mode).retrievalPolicy === "citations";
+}
+
+function modeEvaluatorThresholds(mode) {
+  return {
+    minOverall: EVALUATOR_MIN_OVERALL,
+    minNovelty: EVALUATOR_MIN_NOVELTY,
+    minCoherence: EVALUATOR_MIN_COHERENCE,
+    minEvidence: EVALUATOR_MIN_EVIDENCE,
+    ...resolveDiscoveryMode(mode).evaluator
+  };
 }
 
 function hasConversationMetaPayload(body) {
@@ -1722,6 +2304,39 @@ function sanitizeAgentTools(value, fallback = {}) {
   };
 }
 
+function sanitizeAgentProvider(value) {
+  const text = String(value || "").trim().toLowerCase();
+  return LLM_PROVIDER_NAMES.includes(text) ? text : "";
+}
+
+function sanitizeAgentModelName(value) {
+  const text = String(value || "").trim();
+  return /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,79}$/.test(text) ? text : "";
+}
+
+function sanitizeAgentReasoningEffort(value) {
+  const text = String(value || "").trim();
+  return text ? normalizeReasoningEffort(text, reasoningEffort) : "";
+}
+
+function sanitizeAgentBaseUrl(value) {
+  const baseUrl = normalizeBaseUrl(value);
+  return baseUrl && AGENT_ENDPOINTS.has(baseUrl) ? baseUrl : "";
+}
+
+// Only the key env paired with the agent's endpoint is kept; any other name is dropped.
+function sanitizeAgentApiKeyEnv(value, provider, baseUrl) {
+  const text = String(value || "").trim();
+  return text && text === agentKeyEnvFor(provider, baseUrl) ? text : "";
+}
+
+function sanitizeAgentId(value) {
+  const id = String(value || "")
+    .trim()
+    .toLowerCase();
+  return AGENT_ID_PATTERN.test(id) ? id : "";
+}
+
 function hasAgentPayload(body) {
   return Boolean(body && typeof body === "object" && Object.prototype.hasOwnProperty.call(body, "agents"));
 }
@@ -1731,10 +2346,11 @@ function parseAgentConfigFromBody(body) {
     return [];
   }
 
+  const seen = new Set();
   return body.agents
     .filter((agent) => agent && typeof agent === "object")
     .map((agent) => ({
-      agentId: String(agent.agentId || agent.id || "").trim(),
+      agentId: sanitizeAgentId(agent.agentId || agent.id),
       name: Object.prototype.hasOwnProperty.call(agent, "name")
         ? sanitizeAgentName(agent.name, "")
         : undefined,
@@ -1749,14 +2365,59 @@ function parseAgentConfigFromBody(body) {
         : undefined,
       tools: Object.prototype.hasOwnProperty.call(agent, "tools")
         ? sanitizeAgentTools(agent.tools, {})
+        : undefined,
+      provider: Object.prototype.hasOwnProperty.call(agent, "provider")
+        ? sanitizeAgentProvider(agent.provider)
+        : undefined,
+      model: Object.prototype.hasOwnProperty.call(agent, "model") ? sanitizeAgentModelName(agent.model) : undefined,
+      fallbackModel: Object.prototype.hasOwnProperty.call(agent, "fallbackModel")
+        ? sanitizeAgentModelName(agent.fallbackModel)
+        : undefined,
+      reasoningEffort: Object.prototype.hasOwnProperty.call(agent, "reasoningEffort")
+        ? sanitizeAgentReasoningEffort(agent.reasoningEffort)
+        : undefined,
+      baseUrl: Object.prototype.hasOwnProperty.call(agent, "baseUrl") ? sanitizeAgentBaseUrl(agent.baseUrl) : undefined,
+      // Checked against the endpoint once the agent's provider and base URL are merged.
+      apiKeyEnv: Object.prototype.hasOwnProperty.call(agent, "apiKeyEnv")
+        ? String(agent.apiKeyEnv || "").trim()
         : undefined
     }))
-    .filter((agent) => agent.agentId === "agent-a" || agent.agentId === "agent-b");
+    .filter((agent) => {
+      if (!agent.agentId || seen.has(agent.agentId)) {
+        return false;
+      }
+      seen.add(agent.agentId);
+      return true;
+    })
+    .slice(0, MAX_ROOM_AGENTS);
+}
+
+function defaultAgentFor(agentId, position = 0) {
+  const builtin = DEFAULT_AGENTS.find((item) => item.id === agentId);
+  if (builtin) {
+    return builtin;
+  }
+
+  const templateIndex = Math.max(0, position - DEFAULT_AGENTS.length) % ROOM_AGENT_TEMPLATES.length;
+  return { id: agentId, ...ROOM_AGENT_TEMPLATES[templateIndex] };
+}
+
+function nextAvailableAgentId(agents) {
+  const taken = new Set((agents || []).map((agent) => agent.agentId || agent.id));
+  for (const letter of "abcdefghijklmnopqrstuvwxyz") {
+    const candidate = `agent-${letter}`;
+    if (!taken.has(candidate)) {
+      return candidate;
+    }
+  }
+  return `agent-${randomUUID().slice(0, 8)}`;
 }
 
-function normalizeAgentRow(agentId, input) {
-  const fallback = DEFAULT_AGENTS.find((item) => item.id === agentId);
+function normalizeAgentRow(agentId, input, position = 0) {
+  const fallback = defaultAgentFor(agentId, position);
   const fallbackTools = sanitizeAgentTools(fallback?.tools || {}, { webSearch: true });
+  const provider = sanitizeAgentProvider(input?.provider);
+  const baseUrl = sanitizeAgentBaseUrl(input?.baseUrl);
   return {
     agentId,
     id: agentId,
@@ -1764,13 +2425,32 @@ function normalizeAgentRow(agentId, input) {
     persona: sanitizeAgentPersona(input?.persona, fallback?.persona || "Focused and rigorous collaborator."),
     style: sanitizeAgentStyle(input?.style, fallback?.style || "Stay focused and useful."),
     temperature: sanitizeAgentTemperature(input?.temperature, fallback?.temperature || 0.6),
-    tools: sanitizeAgentTools(input?.tools, fallbackTools)
+    tools: sanitizeAgentTools(input?.tools, fallbackTools),
+    provider,
+    model: sanitizeAgentModelName(input?.model),
+    fallbackModel: sanitizeAgentModelName(input?.fallbackModel),
+    reasoningEffort: sanitizeAgentReasoningEffort(input?.reasoningEffort),
+    baseUrl,
+    apiKeyEnv: sanitizeAgentApiKeyEnv(input?.apiKeyEnv, provider, baseUrl)
   };
 }
 
 function mapStoredAgents(stored) {
-  const byId = new Map((stored || []).map((agent) => [agent.agentId, agent]));
-  return DEFAULT_AGENTS.map((fallback) => normalizeAgentRow(fallback.id, byId.get(fallback.id)));
+  const rows = (stored || []).filter((agent) => sanitizeAgentId(agent?.agentId)).slice(0, MAX_ROOM_AGENTS);
+  if (rows.length === 0) {
+    return DEFAULT_AGENTS.map((fallback, index) => normalizeAgentRow(fallback.id, null, index));
+  }
+
+  const agents = rows.map((row, index) => normalizeAgentRow(row.agentId, row, index));
+  for (const fallback of DEFAULT_AGENTS) {
+    if (agents.length >= MIN_ROOM_AGENTS) {
+      break;
+    }
+    if (!agents.some((agent) => agent.agentId === fallback.id)) {
+      agents.push(normalizeAgentRow(fallback.id, null, agents.length));
+    }
+  }
+  return agents;
 }
 
 function mergeAgentConfig(existingAgents, incomingAgents) {
@@ -1779,20 +2459,47 @@ function mergeAgentConfig(existingAgents, incomingAgents) {
   }
 
   const incomingMap = new Map(incomingAgents.map((agent) => [agent.agentId, agent]));
-  return existingAgents.map((current) => {
+  const merged = existingAgents.map((current, index) => {
     const incoming = incomingMap.get(current.agentId);
     if (!incoming) {
-      return normalizeAgentRow(current.agentId, current);
+      return normalizeAgentRow(current.agentId, current, index);
     }
 
-    return normalizeAgentRow(current.agentId, {
-      name: incoming.name ?? current.name,
-      persona: incoming.persona ?? current.persona,
-      style: incoming.style ?? current.style,
-      temperature: incoming.temperature ?? current.temperature,
-      tools: incoming.tools ?? current.tools
-    });
+    return normalizeAgentRow(
+      current.agentId,
+      {
+        name: incoming.name ?? current.name,
+        persona: incoming.persona ?? current.persona,
+        style: incoming.style ?? current.style,
+        temperature: incoming.temperature ?? current.temperature,
+        tools: incoming.tools ?? current.tools,
+        provider: incoming.provider ?? current.provider,
+        model: incoming.model ?? current.model,
+        fallbackModel: incoming.fallbackModel ?? current.fallbackModel,
+        reasoningEffort: incoming.reasoningEffort ?? current.reasoningEffort,
+        baseUrl: incoming.baseUrl ?? current.baseUrl,
+        apiKeyEnv: incoming.apiKeyEnv ?? current.apiKeyEnv
+      },
+      index
+    );
   });
+
+  // Unknown ids join the room as new seats, up to the room size cap.
+  for (const incoming of incomingAgents) {
+    if (merged.length >= MAX_ROOM_AGENTS) {
+      break;
+    }
+    if (merged.some((agent) => agent.agentId === incoming.agentId)) {
+      continue;
+    }
+    merged.push(normalizeAgentRow(incoming.agentId, incoming, merged.length));
+  }
+
+  return merged;
+}
+
+function agentMemoryOptions(agents) {
+  return { agentIds: (agents || []).map((agent) => agent.id || agent.agentId).filter(Boolean) };
 }
 
 function semanticLines(items, limit = 4) {
@@ -1844,12 +2551,7 @@ function buildInsightSnapshot({ topic, brief, mode, memory }) {
   const definitions = semanticLines(grouped.definitions, 3);
   const openQuestions = semanticLines(grouped.openQuestions, 4);
 
-  const modeStep =
-    mode === "debate"
-      ? "Surface the strongest counterargument and resolve the crux explicitly."
-      : mode === "synthesis"
-        ? "Lock one decision with tradeoffs and define the immediate execution step."
-        : "Run one small experiment and capture what evidence would change direction.";
+  const modeStep = resolveDiscoveryMode(mode).nextStep;
 
   const nextSteps = uniqueLines([
     openQuestions[0] ? `Resolve open question: ${openQuestions[0]}` : "",
@@ -2110,27 +2812,6 @@ function buildObjectiveScore({ topic, brief, memory, transcript, insights }) {
   };
 }
 
-function parseJsonObject(text) {
-  if (!text) {
-    return null;
-  }
-
-  try {
-    return JSON.parse(text);
-  } catch {
-    const match = String(text).match(/\{[\s\S]*\}/);
-    if (!match) {
-      return null;
-    }
-
-    try {
-      return JSON.parse(match[0]);
-    } catch {
-      return null;
-    }
-  }
-}
-
 function localModeratorAssessment({ topic, transcript, brief, mode }) {
   const last = transcript[transcript.length - 1];
   const prev = transcript[transcript.length - 2];
@@ -2146,12 +2827,7 @@ function localModeratorAssessment({ topic, transcript, brief, mode }) {
     ? jaccardSimilarity(brief.doneCriteria, lastText) >= 0.42
     : false;
 
-  let directive =
-    mode === "debate"
-      ? "Strengthen the crux with one argument and one counterargument."
-      : mode === "synthesis"
-        ? "Converge on one decision with tradeoffs and the next step."
-        : "Increase specificity with one concrete actionable point.";
+  let directive = resolveDiscoveryMode(mode).moderatorDirective;
   if (!onTopic) {
     directive = `Steer back to topic: ${topic}.`;
   } else if (templatey) {
@@ -2171,7 +2847,17 @@ function localModeratorAssessment({ topic, transcript, brief, mode }) {
   };
 }
 
-async function runModerator({ topic, transcript, memory, currentDirective, brief, mode, requestId, cancellation }) {
+async function runModerator({
+  topic,
+  transcript,
+  memory,
+  currentDirective,
+  brief,
+  mode,
+  requestId,
+  cancellation,
+  onUsage
+}) {
   if (cancellation?.isCancelled?.()) {
     return null;
   }
@@ -2199,6 +2885,7 @@ async function runModerator({ topic, transcript, memory, currentDirective, brief
     .slice(0, 20)
     .map((item) => item.token)
     .join(", ");
+  const modeProfile = resolveDiscoveryMode(mode);
 
   try {
     const result = await createChatCompletionWithFallback({
@@ -2229,7 +2916,7 @@ async function runModerator({ topic, transcript, memory, currentDirective, brief
             `Objective: ${brief?.objective || "(none)"}`,
             `Constraints: ${brief?.constraintsText || "(none)"}`,
             `Done criteria: ${brief?.doneCriteria || "(none)"}`,
-            `Conversation mode: ${mode}`,
+            `Conversation mode: ${modeProfile.label} (${modeProfile.hint})`,
             `Current directive: ${currentDirective || "(none)"}`,
             `Memory tokens: ${memoryTokens || "(none)"}`,
             "Recent conversation:",
@@ -2240,14 +2927,13 @@ async function runModerator({ topic, transcript, memory, currentDirective, brief
             "- tooShort=true if content lacks depth.",
             "- done=true only if objective appears complete.",
             "- directive must be one concise imperative sentence.",
-            "- In debate mode emphasize strongest opposing arguments and crux.",
-            "- In synthesis mode emphasize convergence and concrete next actions.",
-            "- In exploration mode emphasize novel testable ideas."
+            ...modeProfile.moderatorRules.map((rule) => `- In ${modeProfile.label} mode: ${rule}`)
           ].join("\n")
         }
       ]
     });
 
+    onUsage?.({ model: result.modelUsed, usage: result.usage });
     const raw = extractAssistantText(result.completion);
     const parsed = parseJsonObject(raw);
 
@@ -2271,8 +2957,171 @@ async function runModerator({ topic, transcript, memory, currentDirective, brief
   }
 }
 
-async function resolveConversation(body) {
-  const turns = parseTurns(body?.turns);
+function localMergeNote({ branchTitle, forkFromTurn, branchEntries, imported, conflicts }) {
+  const carried = (itemType) =>
+    imported
+      .filter((item) => item.itemType === itemType)
+      .slice(0, 3)
+      .map((item) => compactLine(item.evidenceText || item.canonicalText, 160));
+  const decisions = carried("decision");
+  const constraints = carried("constraint");
+  const lastEntry = branchEntries[branchEntries.length - 1];
+
+  return normalizeTurnText(
+    [
+      `Merged branch "${branchTitle}" (forked after turn ${forkFromTurn}, ${branchEntries.length} turns explored).`,
+      decisions.length > 0
+        ? `Decisions carried back: ${decisions.join("; ")}.`
+        : "The branch reached no new decisions.",
+      constraints.length > 0 ? `Constraints carried back: ${constraints.join("; ")}.` : "",
+      conflicts.length > 0
+        ? `Conflicts with this thread: ${conflicts
+            .slice(0, 2)
+            .map((conflict) => `${conflict.itemA} vs ${conflict.itemB}`)
+            .join("; ")}.`
+        : "",
+      lastEntry ? `The branch ended on: ${compactLine(lastEntry.text, 200)}` : ""
+    ]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+async function synthesizeMergeNote({
+  topic,
+  parentTranscript,
+  branchTitle,
+  forkFromTurn,
+  branchEntries,
+  imported,
+  conflicts,
+  requestId,
+  onUsage
+}) {
+  const fallback = () => localMergeNote({ branchTitle, forkFromTurn, branchEntries, imported, conflicts });
+  if (!client) {
+    return fallback();
+  }
+
+  const formatTurns = (entries) =>
+    entries.map((entry) => `Turn ${entry.turn} | ${entry.speaker}: ${entry.text}`).join("\n");
+  try {
+    const result = await createChatCompletionWithFallback({
+      client,
+      model,
+      fallbackModel,
+      reasoningEffort,
+      temperature: 0.2,
+      onEvent: LOG_MODEL_EVENTS
+        ? (event, fields) => logEvent("debug", event, { requestId, component: "merge", ...fields })
+        : null,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You fold a forked branch of a discussion back into its parent thread. Write one merge note of 3-5 plain sentences, no bullets: what the branch explored, which decisions and constraints it carries back, and which conflicts with the parent remain open."
+        },
+        {
+          role: "user",
+          content: [
+            `Topic: ${topic}`,
+            `Branch: ${branchTitle} (forked after turn ${forkFromTurn})`,
+            "Parent thread (latest turns):",
+            formatTurns(parentTranscript.slice(-4)) || "(empty)",
+            "Branch turns:",
+            formatTurns(branchEntries.slice(-10)),
+            "Carried back:",
+            imported.map((item) => `- ${item.itemType}: ${item.evidenceText || item.canonicalText}`).join("\n") || "(none)",
+            "Conflicts with the parent:",
+            conflicts.map((conflict) => `- ${conflict.itemA} <> ${conflict.itemB}`).join("\n") || "(none)"
+          ].join("\n")
+        }
+      ]
+    });
+    onUsage?.({ model: result.modelUsed, usage: result.usage });
+    return normalizeTurnText(extractAssistantText(result.completion)) || fallback();
+  } catch (error) {
+    logError("warn", "merge.note.fallback", error, { requestId });
+    return fallback();
+  }
+}
+
+async function mergeConversationIntoParent({ conversationId, conversation, parentConversation, requestId, run }) {
+  const parentConversationId = parentConversation.id;
+  const forkFromTurn = Number.isFinite(conversation.forkFromTurn) ? conversation.forkFromTurn : 0;
+  const branchEntries = getMessages(conversationId).filter((entry) => entry.turn > forkFromTurn);
+  const parentTranscript = cloneTranscriptEntries(getMessages(parentConversationId));
+  const mergeTurn = parentTranscript.length + 1;
+  const branchTitle = sanitizeConversationTitle(conversation.title, conversation.topic);
+
+  const { imported, conflicts } = mergeBranchMemory({
+    parentConversationId,
+    childConversationId: conversationId,
+    mergeTurn
+  });
+  const usageRecorder = createUsageRecorder(parentConversationId, { provider: llmProvider });
+  const text = await synthesizeMergeNote({
+    topic: parentConversation.topic,
+    parentTranscript,
+    branchTitle,
+    forkFromTurn,
+    branchEntries,
+    imported,
+    conflicts,
+    requestId,
+    onUsage: (call) => usageRecorder.record({ ...call, component: "merge", turn: mergeTurn })
+  });
+
+  const entry = { turn: mergeTurn, speaker: "Merge", speakerId: MERGE_SPEAKER_ID, text };
+  insertMessages(parentConversationId, [entry]);
+  parentTranscript.push(entry);
+  appendPendingHumanMessages(parentConversationId, run, parentTranscript);
+  const memoryStats = await finalizeMemory(
+    parentConversationId,
+    parentConversation.topic,
+    parentTranscript.slice(mergeTurn - 1),
+    parentTranscript.length,
+    { usageRecorder }
+  );
+  const mergeId = insertConversationMerge({
+    parentConversationId,
+    childConversationId: conversationId,
+    mergeTurn,
+    childTurns: branchEntries.length,
+    importedCount: imported.length,
+    conflictCount: conflicts.length
+  });
+
+  logEvent("info", "conversation.merged", {
+    requestId,
+    conversationId,
+    parentConversationId,
+    mergeTurn,
+    imported: imported.length,
+    conflicts: conflicts.length
+  });
+
+  return {
+    mergeId,
+    mergedConversationId: conversationId,
+    forkFromTurn,
+    mergeTurn,
+    branchTurns: branchEntries.length,
+    entry,
+    imported: imported.map((item) => ({
+      itemType: item.itemType,
+      text: item.evidenceText || item.canonicalText,
+      confidence: item.confidence
+    })),
+    conflicts: conflicts.map(({ issueKey, itemA, itemB, confidence }) => ({ issueKey, itemA, itemB, confidence })),
+    totalTurns: parentTranscript.length,
+    memory: memoryStats,
+    usage: { ...getConversationUsage(parentConversationId), run: usageRecorder.totals() }
+  };
+}
+
+async function resolveConversation(body, { maxTurns = 10 } = {}) {
+  const turns = parseTurns(body?.turns, maxTurns);
   const requestedTopic = sanitizeTopic(body?.topic);
   const requestedConversationId = sanitizeConversationId(body?.conversationId);
   const requestedBrief = parseBriefFromBody(body);
@@ -2291,6 +3140,10 @@ async function resolveConversation(body) {
         status: 404
       };
     }
+    const conflict = conversationRunConflict(requestedConversationId);
+    if (conflict) {
+      return { error: conflict, status: 409 };
+    }
   }
 
   const topic = conversation?.topic || requestedTopic;
@@ -2302,56 +3155,94 @@ async function resolveConversation(body) {
   }
 
   const conversationId = conversation?.id || randomUUID();
-  if (!conversation) {
-    createConversation(conversationId, topic);
-  }
-  const currentConversation = getConversation(conversationId);
-  if (shouldUpdateMeta) {
-    updateConversationMeta(
-      conversationId,
-      mergeConversationMeta(currentConversation, body, requestedMeta)
-    );
-  }
-  const updatedConversation = getConversation(conversationId);
+  // Held until the caller has registered the run or job; see claimRunStart.
+  const releaseClaim = claimRunStart(conversationId);
+  try {
+    if (!conversation) {
+      createConversation(conversationId, topic);
+    }
+    const currentConversation = getConversation(conversationId);
+    if (shouldUpdateMeta) {
+      updateConversationMeta(
+        conversationId,
+        mergeConversationMeta(currentConversation, body, requestedMeta)
+      );
+    }
+    const updatedConversation = getConversation(conversationId);
 
-  const existingBrief = getConversationBrief(conversationId);
-  if (shouldUpdateBrief) {
-    upsertConversationBrief(conversationId, mergeBriefPatch(existingBrief, body, requestedBrief));
-  }
+    const existingBrief = getConversationBrief(conversationId);
+    if (shouldUpdateBrief) {
+      upsertConversationBrief(conversationId, mergeBriefPatch(existingBrief, body, requestedBrief));
+    }
 
-  const brief = getConversationBrief(conversationId);
-  const existingAgents = mapStoredAgents(getConversationAgents(conversationId));
-  if (shouldUpdateAgents) {
-    upsertConversationAgents(conversationId, mergeAgentConfig(existingAgents, requestedAgents));
-  }
-  const agents = mapStoredAgents(getConversationAgents(conversationId));
+    const brief = getConversationBrief(conversationId);
+    const existingAgents = mapStoredAgents(getConversationAgents(conversationId));
+    if (shouldUpdateAgents) {
+      upsertConversationAgents(conversationId, mergeAgentConfig(existingAgents, requestedAgents));
+    }
+    const agents = mapStoredAgents(getConversationAgents(conversationId));
 
-  const transcript = getMessages(conversationId);
-  await bootstrapMemoryIfNeeded({
-    conversationId,
-    topic,
-    transcript,
-    client,
-    model
-  });
+    const transcript = getMessages(conversationId);
+    await bootstrapMemoryIfNeeded({
+      conversationId,
+      topic,
+      transcript,
+      client,
+      model,
+      onUsage: createUsageRecorder(conversationId, { provider: llmProvider }).record
+    });
 
-  const memory = getCompressedMemory(conversationId);
+    const memory = getCompressedMemory(conversationId, agentMemoryOptions(agents));
 
-  return {
-    conversationId,
-    topic,
-    title: updatedConversation?.title || "",
-    starred: Boolean(updatedConversation?.starred),
-    mode: sanitizeConversationMode(updatedConversation?.mode, "exploration"),
-    brief,
-    agents,
-    transcript,
-    turns,
-    memory
+    return {
+      conversationId,
+      topic,
+      title: updatedConversation?.title || "",
+      starred: Boolean(updatedConversation?.starred),
+      mode: sanitizeConversationMode(updatedConversation?.mode, "exploration"),
+      brief,
+      agents,
+      transcript,
+      turns,
+      memory,
+      releaseClaim
+    };
+  } catch (error) {
+    releaseClaim();
+    throw error;
+  }
+}
+
+// On a budgeted conversation memory passes check the brief budget before each of their model calls,
+// so summaries and extraction fall back to the local path once it is exhausted.
+function memoryBudgetGate(conversationId, recorder) {
+  const budget = getConversationBrief(conversationId)?.budget || {};
+  if (!Object.values(budget).some((limit) => Number(limit) > 0)) {
+    return undefined;
+  }
+  let logged = false;
+  return () => {
+    const { exhausted } = evaluateBudget(budget, {
+      runTotals: recorder.totals(),
+      lifetimeTotals: getConversationUsage(conversationId).totals,
+      warningRatio: BUDGET_WARNING_RATIO
+    });
+    if (exhausted && !logged) {
+      logged = true;
+      logEvent("info", "memory.budget.exhausted", { conversationId, ...exhausted });
+    }
+    return !exhausted;
   };
 }
 
-async function finalizeMemory(conversationId, topic, newEntries, totalTurns) {
+async function finalizeMemory(
+  conversationId,
+  topic,
+  newEntries,
+  totalTurns,
+  { usageRecorder = null, deferExtraction = false } = {}
+) {
+  const recorder = usageRecorder || createUsageRecorder(conversationId, { provider: llmProvider });
   try {
     return await runMemoryAgent({
       conversationId,
@@ -2359,7 +3250,10 @@ async function finalizeMemory(conversationId, topic, newEntries, totalTurns) {
       newEntries,
       totalTurns,
       client,
-      model
+      model,
+      onUsage: recorder.record,
+      allowModelCall: memoryBudgetGate(conversationId, recorder),
+      deferExtraction
     });
   } catch (error) {
     logError("warn", "memory.agent.failed", error, {
@@ -2370,6 +3264,81 @@ async function finalizeMemory(conversationId, topic, newEntries, totalTurns) {
   }
 }
 
+function analyzeConversation(conversationId, conversation, brief = getConversationBrief(conversationId)) {
+  const memory = getCompressedMemory(conversationId);
+  const transcript = getMessages(conversationId);
+  const insights = buildInsightSnapshot({
+    topic: conversation.topic,
+    brief,
+    mode: sanitizeConversationMode(conversation.mode, "exploration"),
+    memory
+  });
+  const score = buildObjectiveScore({
+    topic: conversation.topic,
+    brief,
+    memory,
+    transcript,
+    insights
+  });
+  return { transcript, insights, score };
+}
+
+function conversationLineagePath(conversationId) {
+  return getConversationLineage(conversationId).map((id) => ({
+    id,
+    forkFromTurn: getConversation(id)?.forkFromTurn ?? 0
+  }));
+}
+
+// Scoring reads a conversation's whole transcript and memory, so a tree only scores the nodes next
+// to the current conversation: its path from the root, its siblings and its children.
+function selectScoredTreeNodes(rows, currentId, ancestorIds) {
+  const currentParentId = rows.find((row) => row.id === currentId)?.parentConversationId || null;
+  const nearby = rows.filter(
+    (row) =>
+      !ancestorIds.has(row.id) &&
+      (row.parentConversationId === currentId || (currentParentId && row.parentConversationId === currentParentId))
+  );
+  return new Set(
+    [...rows.filter((row) => ancestorIds.has(row.id)), ...nearby]
+      .slice(0, CONVERSATION_TREE_SCORE_LIMIT)
+      .map((row) => row.id)
+  );
+}
+
+// Nests the flat family rows (parents always precede children) under the root conversation.
+function buildConversationTree(rows, currentId, ancestorIds) {
+  const nodes = new Map();
+  const scoredIds = selectScoredTreeNodes(rows, currentId, ancestorIds);
+  let root = null;
+  for (const row of rows) {
+    const score = scoredIds.has(row.id) ? analyzeConversation(row.id, row).score : null;
+    const node = {
+      conversationId: row.id,
+      ...conversationMetaPayload(row),
+      parentConversationId: row.parentConversationId || null,
+      forkFromTurn: Number.isFinite(row.forkFromTurn) ? row.forkFromTurn : null,
+      totalTurns: row.totalTurns,
+      mergedAtTurn: Number.isFinite(row.mergedAtTurn) ? row.mergedAtTurn : null,
+      depth: row.depth,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      current: row.id === currentId,
+      onPath: ancestorIds.has(row.id),
+      score: score ? { overall: score.overall, stage: score.stage } : null,
+      children: []
+    };
+    nodes.set(row.id, node);
+    const parent = nodes.get(row.parentConversationId);
+    if (parent) {
+      parent.children.push(node);
+    } else if (!root) {
+      root = node;
+    }
+  }
+  return { root, nodeCount: nodes.size };
+}
+
 function resolveConversationFromParams(req, res) {
   const conversationId = sanitizeConversationId(req.params.id);
   if (!conversationId) {
@@ -2412,99 +3381,601 @@ function cloneTranscriptEntries(entries) {
   }));
 }
 
-function modeTitle(baseTitle, mode) {
+function variantTitle(baseTitle, label) {
   const prefix = sanitizeConversationTitle(baseTitle, "Conversation");
-  const label = mode.charAt(0).toUpperCase() + mode.slice(1);
   return sanitizeConversationTitle(`${prefix} (${label})`, prefix);
 }
 
-async function runConversationBatch({
-  conversationId,
-  topic,
-  mode,
-  brief,
-  agents,
-  transcript,
-  turns,
-  memory,
-  references = [],
-  writeChunk,
-  requestId,
-  cancellation
-}) {
-  const isCancelled = () => Boolean(cancellation?.isCancelled?.());
-  const cancelledReason = () => String(cancellation?.reason?.() || "client_abort");
-  const newEntries = [];
-  const startedAt = Date.now();
-  const qualityKeywordSet = getQualityKeywordSet(topic, brief);
-  const citationMode = mode === "debate" && CITATION_RETRIEVAL_ENABLED;
-  const agentToolMode = AGENT_WEB_TOOL_ENABLED;
-  let activeReferences = Array.isArray(references) ? references.filter((item) => item?.id) : [];
-  const citedClaims = [];
-  const modeDefaultDirective =
-    mode === "debate"
-      ? "Debate the strongest opposing positions and expose the crux."
-      : mode === "synthesis"
-        ? "Synthesize toward one decision with clear tradeoffs."
-        : "Maintain topic depth and introduce one testable idea each turn.";
-  let moderatorDirective = brief?.objective
-    ? `Prioritize this objective: ${brief.objective}`
-    : modeDefaultDirective;
-  let stopReason = "max_turns";
-  let repetitionStreak = 0;
-  let retriesUsed = 0;
-  let qualityScoreTotal = 0;
-  let qualityTurns = 0;
-  let evaluatorScoreTotal = 0;
-  let evaluatorTurns = 0;
-  let evaluatorRetries = 0;
-  let citationTurnCount = 0;
-  let citationClaimCount = 0;
-  let citationConfidenceTotal = 0;
+// conversationId -> { requestId, pendingHumanMessages, cancellation, pausable, paused } for runs in progress.
+const activeRuns = new Map();
 
-  if (LOG_CONVERSATION_EVENTS) {
-    logEvent("info", "conversation.batch.start", {
-      requestId,
-      conversationId,
-      mode,
-      requestedTurns: turns,
-      startingTurns: transcript.length,
-      agents: (agents || DEFAULT_AGENTS).map((item) => item?.name).filter(Boolean)
-    });
-  }
+function getActiveRun(conversationId) {
+  const run = activeRuns.get(conversationId);
+  return run && !run.closed ? run : null;
+}
 
-  for (let i = 0; i < turns; i += 1) {
-    if (isCancelled()) {
-      stopReason = cancelledReason();
-      logEvent("info", "conversation.batch.stop", {
-        requestId,
-        conversationId,
-        reason: stopReason,
-        elapsedMs: Date.now() - startedAt,
-        addedTurns: newEntries.length
-      });
-      break;
-    }
+function sanitizeHumanMessage(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, HUMAN_MESSAGE_MAX_CHARS);
+}
 
-    if (Date.now() - startedAt > MAX_GENERATION_MS) {
-      stopReason = "time_limit";
-      logEvent("warn", "conversation.batch.stop", {
-        requestId,
-        conversationId,
-        reason: stopReason,
-        elapsedMs: Date.now() - startedAt,
-        addedTurns: newEntries.length
-      });
-      break;
+function sanitizeModeratorDirective(value) {
+  return String(value || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 280);
+}
+
+function buildHumanEntry(turn, message) {
+  return {
+    turn,
+    speaker: message.speaker,
+    speakerId: HUMAN_SPEAKER_ID,
+    text: message.text
+  };
+}
+
+// conversationId -> claim held by a start request from its conflict check until its run or job is
+// registered, so a second start cannot rewrite the brief and agents in between.
+const startingRuns = new Map();
+
+// Returns the release function; releasing a claim that was already replaced does nothing.
+function claimRunStart(conversationId) {
+  const claim = {};
+  startingRuns.set(conversationId, claim);
+  return () => {
+    if (startingRuns.get(conversationId) === claim) {
+      startingRuns.delete(conversationId);
     }
+  };
+}
 
-    const nextTurn = transcript.length + 1;
-    const activeAgents = agents && agents.length ? agents : DEFAULT_AGENTS;
-    const speaker = activeAgents[(nextTurn - 1) % activeAgents.length];
-    const previous = transcript[transcript.length - 1];
-    const speakerCanSearch = Boolean(agentToolMode && speaker?.tools?.webSearch);
-    const referenceRefreshInterval = citationMode ? CITATION_REFRESH_INTERVAL : AGENT_WEB_TOOL_REFRESH_INTERVAL;
-    let referenceMap = new Map(
+// 409 message when another run or a queued job already owns the conversation, otherwise null.
+function conversationRunConflict(conversationId) {
+  if (!conversationId) {
+    return null;
+  }
+  if (getActiveRun(conversationId)) {
+    return "A run is in progress for this conversation.";
+  }
+  if (startingRuns.has(conversationId)) {
+    return "A run is starting for this conversation.";
+  }
+  if (getUnfinishedConversationJob(conversationId)) {
+    return "A generation job is already queued or running for this conversation.";
+  }
+  return null;
+}
+
+async function withActiveRun(conversationId, requestId, task, { cancellation = null, pausable = false } = {}) {
+  const run = {
+    requestId,
+    pendingHumanMessages: [],
+    cancellation: cancellation || createCancellationController("cancelled"),
+    pausable,
+    paused: false,
+    releasePause: null,
+    pendingDirective: null
+  };
+  activeRuns.set(conversationId, run);
+  try {
+    return await task(run);
+  } finally {
+    if (activeRuns.get(conversationId) === run) {
+      activeRuns.delete(conversationId);
+    }
+  }
+}
+
+// conversationId -> event log of the latest run. Logs outlive their run by STREAM_EVENT_RETENTION_MS
+// so a client that reloads right as a run finishes can still replay its tail.
+const runEventLogs = new Map();
+
+function openRunEventLog(conversationId, requestId, meta = null) {
+  const previous = runEventLogs.get(conversationId);
+  const log = createRunEventLog({
+    conversationId,
+    requestId,
+    meta,
+    startSeq: previous?.lastSeq || 0,
+    limit: STREAM_EVENT_BUFFER_LIMIT
+  });
+  runEventLogs.set(conversationId, log);
+  return log;
+}
+
+function closeRunEventLog(log) {
+  log.finish();
+  const expire = () => {
+    if (runEventLogs.get(log.conversationId) === log) {
+      runEventLogs.delete(log.conversationId);
+    }
+  };
+  if (STREAM_EVENT_RETENTION_MS === 0) {
+    expire();
+    return;
+  }
+  setTimeout(expire, STREAM_EVENT_RETENTION_MS).unref();
+}
+
+async function runConversationBatch(options) {
+  return withActiveRun(
+    options.conversationId,
+    options.requestId,
+    (run) => generateConversationBatch({ ...options, cancellation: run.cancellation, run }),
+    { cancellation: options.cancellation, pausable: true }
+  );
+}
+
+function pauseRun(run) {
+  run.paused = true;
+}
+
+function resumeRun(run) {
+  run.paused = false;
+  run.releasePause?.();
+}
+
+function cancelRun(run, reason = "cancelled") {
+  run.cancellation.cancel(reason);
+  run.releasePause?.();
+}
+
+// Holds a paused batch between turns until it is resumed, cancelled, or RUN_PAUSE_MAX_MS passes.
+async function waitWhilePaused(run) {
+  await new Promise((resolve) => {
+    const timer = setTimeout(resolve, RUN_PAUSE_MAX_MS);
+    run.releasePause = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+  run.releasePause = null;
+}
+
+function initialModeratorDirective(mode, brief) {
+  if (brief?.objective) {
+    return `Prioritize this objective: ${brief.objective}`;
+  }
+  return resolveDiscoveryMode(mode).defaultDirective;
+}
+
+function parseTurnNumber(value, min, max) {
+  const turn = Number(value);
+  if (!Number.isInteger(turn) || turn < min || turn > max) {
+    return null;
+  }
+  return turn;
+}
+
+function hasBodyField(body, field) {
+  return Object.prototype.hasOwnProperty.call(body || {}, field);
+}
+
+// Reads a semantic item curation patch: any of `pinned`, `status`, `text` and `itemType`.
+function parseSemanticCuration(body) {
+  const patch = {};
+  if (hasBodyField(body, "pinned")) {
+    if (typeof body.pinned !== "boolean") {
+      return { error: "pinned must be a boolean." };
+    }
+    patch.pinned = body.pinned;
+  }
+  if (hasBodyField(body, "status")) {
+    if (!SEMANTIC_ITEM_STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${SEMANTIC_ITEM_STATUSES.join(", ")}.` };
+    }
+    patch.status = body.status;
+  }
+  if (hasBodyField(body, "itemType")) {
+    if (!SEMANTIC_ITEM_TYPES.includes(body.itemType)) {
+      return { error: `itemType must be one of: ${SEMANTIC_ITEM_TYPES.join(", ")}.` };
+    }
+    patch.itemType = body.itemType;
+  }
+  if (hasBodyField(body, "text")) {
+    const text = String(body.text ?? "")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!text) {
+      return { error: "text cannot be empty." };
+    }
+    if (text.length > MEMORY_ITEM_TEXT_MAX_CHARS) {
+      return { error: `text must be at most ${MEMORY_ITEM_TEXT_MAX_CHARS} characters.` };
+    }
+    patch.text = text;
+  }
+  if (Object.keys(patch).length === 0) {
+    return { error: "Provide at least one of pinned, status, text or itemType." };
+  }
+  return { patch };
+}
+
+function parseTokenCuration(body) {
+  const patch = {};
+  if (hasBodyField(body, "pinned")) {
+    if (typeof body.pinned !== "boolean") {
+      return { error: "pinned must be a boolean." };
+    }
+    patch.pinned = body.pinned;
+  }
+  if (hasBodyField(body, "weight")) {
+    const weight = Number(body.weight);
+    if (typeof body.weight !== "number" || !Number.isFinite(weight) || weight < 0 || weight > 10000) {
+      return { error: "weight must be a number between 0 and 10000." };
+    }
+    patch.weight = weight;
+  }
+  if (Object.keys(patch).length === 0) {
+    return { error: "Provide pinned or weight." };
+  }
+  return { patch };
+}
+
+// Reads a knowledge promotion from the request body: either an existing semantic item of this
+// conversation (`itemType` + `canonicalText`, sourced from the turn that last mentioned it) or a
+// free-form statement (`itemType` + `text`, with an optional source `turn`).
+function parseKnowledgePromotion(conversationId, body, totalTurns) {
+  const itemType = String(body?.itemType || "").trim();
+  if (!KNOWLEDGE_ITEM_TYPES.includes(itemType)) {
+    return { status: 400, error: `itemType must be one of: ${KNOWLEDGE_ITEM_TYPES.join(", ")}.` };
+  }
+
+  const canonicalText = String(body?.canonicalText || "").trim();
+  if (canonicalText) {
+    const item = getSemanticItem(conversationId, itemType, canonicalText);
+    if (!item) {
+      return { status: 404, error: "Semantic memory item not found." };
+    }
+    return { promotion: { itemType, text: item.evidenceText || item.canonicalText, turn: item.lastTurn } };
+  }
+
+  const text = String(body?.text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!text) {
+    return { status: 400, error: "Either canonicalText or text is required." };
+  }
+  if (text.length > KNOWLEDGE_TEXT_MAX_CHARS) {
+    return { status: 400, error: `text must be at most ${KNOWLEDGE_TEXT_MAX_CHARS} characters.` };
+  }
+  let turn = null;
+  if (body?.turn !== undefined && body?.turn !== null) {
+    turn = parseTurnNumber(body.turn, 1, totalTurns);
+    if (turn === null) {
+      return { status: 400, error: `Turn must be between 1 and ${totalTurns}.` };
+    }
+  }
+  return { promotion: { itemType, text, turn } };
+}
+
+// Messages posted while an in-place edit held the run are appended once it is done.
+function appendPendingHumanMessages(conversationId, run, transcript) {
+  const appended = (run?.pendingHumanMessages?.splice(0) || []).map((message, index) =>
+    buildHumanEntry(transcript.length + index + 1, message)
+  );
+  if (run) {
+    run.closed = true;
+  }
+  insertMessages(conversationId, appended);
+  transcript.push(...appended);
+  return appended;
+}
+
+// Re-seeds derived memory after the transcript changed in place at `fromTurn`.
+async function rebuildMemoryFromTurn(conversationId, topic, fromTurn, transcript) {
+  const recorder = createUsageRecorder(conversationId, { provider: llmProvider });
+  try {
+    resetDerivedMemory(conversationId, fromTurn, transcript.length);
+    return await bootstrapMemoryIfNeeded({
+      conversationId,
+      topic,
+      transcript,
+      client,
+      model,
+      onUsage: recorder.record,
+      allowModelCall: memoryBudgetGate(conversationId, recorder),
+      rebuild: true
+    });
+  } catch (error) {
+    logError("warn", "memory.rebuild.failed", error, {
+      conversationId,
+      fromTurn
+    });
+    return getCompressedMemory(conversationId).stats;
+  }
+}
+
+// The references a turn was generated against are the latest set retrieved at or before it.
+function referencesForTurn(conversationId, turn) {
+  const sources = getRecentRetrievalSources(conversationId, 120).filter((source) => source.turn <= turn);
+  const latestTurn = sources[0]?.turn;
+  return sources
+    .filter((source) => source.turn === latestTurn)
+    .map((source) => ({
+      id: source.referenceId,
+      provider: source.provider,
+      title: source.title,
+      url: source.url,
+      snippet: source.snippet,
+      confidence: source.confidence
+    }));
+}
+
+async function regenerateConversationTurn({ conversationId, conversation, turn, requestId, run }) {
+  const topic = conversation.topic;
+  const mode = sanitizeConversationMode(conversation.mode, "exploration");
+  const brief = getConversationBrief(conversationId);
+  const agents = mapStoredAgents(getConversationAgents(conversationId));
+  const transcript = cloneTranscriptEntries(getMessages(conversationId));
+  const original = transcript[turn - 1];
+  const speaker = agents.find((agent) => agent.id === original.speakerId);
+  if (!speaker) {
+    return { error: "The agent that spoke this turn is no longer in the room.", status: 400 };
+  }
+
+  const speakerRoute = resolveAgentModelRoute(speaker);
+  if (speakerRoute.client && Object.values(brief.budget || {}).some((limit) => Number(limit) > 0)) {
+    const { exhausted } = evaluateBudget(brief.budget, {
+      runTotals: null,
+      lifetimeTotals: getConversationUsage(conversationId).totals,
+      warningRatio: BUDGET_WARNING_RATIO
+    });
+    if (exhausted) {
+      return { error: "The conversation budget is exhausted.", status: 409, budget: exhausted };
+    }
+  }
+
+  // The speaker sees memory as it stood before the turn; it is rebuilt once the new text is stored.
+  const context = transcript.slice(0, turn - 1);
+  const memory = getCompressedMemory(conversationId, { ...agentMemoryOptions(agents), beforeTurn: turn });
+  const references = referencesForTurn(conversationId, turn);
+  const usageRecorder = createUsageRecorder(conversationId, { provider: llmProvider });
+
+  const generated = await generateTurn({
+    conversationId,
+    topic,
+    mode,
+    speaker,
+    agents,
+    transcript: context,
+    memory,
+    moderatorDirective: initialModeratorDirective(mode, brief),
+    brief,
+    references,
+    requestId,
+    onUsage: (call) => usageRecorder.record({ ...call, component: "regenerate", turn, agentId: speaker.id })
+  });
+  const entry = {
+    ...original,
+    text: normalizeTurnText(stripDonePrefix(generated) || generated)
+  };
+  updateMessageText(conversationId, turn, entry.text);
+  const citations = extractCitedClaims({ text: entry.text, turn, speakerId: speaker.id, references });
+  if (citations.length > 0) {
+    insertClaimCitations(conversationId, citations);
+  }
+
+  transcript[turn - 1] = entry;
+  appendPendingHumanMessages(conversationId, run, transcript);
+  const memoryStats = await rebuildMemoryFromTurn(conversationId, topic, turn, transcript);
+
+  logEvent("info", "conversation.turn.regenerated", {
+    requestId,
+    conversationId,
+    turn,
+    speaker: speaker.name
+  });
+
+  return {
+    entry,
+    previousText: original.text,
+    totalTurns: transcript.length,
+    memory: memoryStats,
+    usage: { ...getConversationUsage(conversationId), run: usageRecorder.totals() }
+  };
+}
+
+async function generateConversationBatch({
+  conversationId,
+  topic,
+  mode,
+  brief,
+  agents,
+  transcript,
+  turns,
+  memory,
+  references = [],
+  writeChunk,
+  requestId,
+  cancellation,
+  run,
+  persistEachTurn = false,
+  onTurnPersisted = null,
+  maxGenerationMs = MAX_GENERATION_MS
+}) {
+  const isCancelled = () => Boolean(cancellation?.isCancelled?.());
+  const cancelledReason = () => String(cancellation?.reason?.() || "cancelled");
+  const newEntries = [];
+  // Human messages posted mid-run join the transcript before the next agent turn.
+  const drainHumanMessages = () => {
+    const pending = run?.pendingHumanMessages?.splice(0) || [];
+    for (const message of pending) {
+      const entry = buildHumanEntry(transcript.length + 1, message);
+      transcript.push(entry);
+      newEntries.push(entry);
+      if (writeChunk) {
+        writeChunk({ type: "turn", entry, totalTurns: transcript.length, human: true });
+      }
+      if (LOG_TURN_EVENTS) {
+        logEvent("debug", "conversation.turn.human", {
+          requestId,
+          conversationId,
+          turn: entry.turn
+        });
+      }
+    }
+  };
+  const startedAt = Date.now();
+  // Time spent paused does not count against the generation time budget.
+  let pausedMs = 0;
+  const usageRecorder = createUsageRecorder(conversationId, { provider: llmProvider });
+  const budget = brief?.budget || {};
+  const hasBudget = Object.values(budget).some((limit) => Number(limit) > 0);
+  const priorUsage = hasBudget ? getConversationUsage(conversationId).totals : null;
+  const warnedBudgets = new Set();
+  let budgetExhausted = null;
+  // Checked before every model call; returns the cap the next call would cross, if any.
+  const checkBudget = (turn) => {
+    if (!hasBudget) {
+      return null;
+    }
+    const runTotals = usageRecorder.totals();
+    const status = evaluateBudget(budget, {
+      runTotals,
+      lifetimeTotals: combineUsageTotals(priorUsage, runTotals),
+      warningRatio: BUDGET_WARNING_RATIO
+    });
+    for (const warning of status.warnings) {
+      const key = `${warning.scope}:${warning.metric}`;
+      if (warnedBudgets.has(key)) {
+        continue;
+      }
+      warnedBudgets.add(key);
+      if (writeChunk) {
+        writeChunk({ type: "budget_warning", turn, ...warning });
+      }
+      logEvent("warn", "conversation.budget.warning", { requestId, conversationId, turn, ...warning });
+    }
+    return status.exhausted;
+  };
+  const qualityKeywordSet = getQualityKeywordSet(topic, brief);
+  const retrievalPolicy = resolveDiscoveryMode(mode).retrievalPolicy;
+  const citationMode = retrievalPolicy === "citations" && CITATION_RETRIEVAL_ENABLED;
+  const agentToolMode = AGENT_WEB_TOOL_ENABLED && retrievalPolicy !== "none";
+  let activeReferences = Array.isArray(references) ? references.filter((item) => item?.id) : [];
+  const citedClaims = [];
+  let moderatorDirective = initialModeratorDirective(mode, brief);
+  let stopReason = "max_turns";
+  let repetitionStreak = 0;
+  let retriesUsed = 0;
+  let qualityScoreTotal = 0;
+  let qualityTurns = 0;
+  let evaluatorScoreTotal = 0;
+  let evaluatorTurns = 0;
+  let evaluatorRetries = 0;
+  let citationTurnCount = 0;
+  let citationClaimCount = 0;
+  let citationConfidenceTotal = 0;
+  // Per-agent tallies so runs that pit different models against each other can be compared.
+  const agentQuality = new Map();
+  let persistedEntries = 0;
+  let persistedClaims = 0;
+  let memoryStats = null;
+  // Job runs write every turn (and its memory) as it lands, so a restart resumes from there. Their
+  // per-turn passes defer model extraction to full batches; the pass after the loop flushes it.
+  const persistPendingEntries = async ({ deferExtraction = false } = {}) => {
+    const pending = newEntries.slice(persistedEntries);
+    insertMessages(conversationId, pending);
+    persistedEntries = newEntries.length;
+    if (citedClaims.length > persistedClaims) {
+      insertClaimCitations(conversationId, citedClaims.slice(persistedClaims));
+      persistedClaims = citedClaims.length;
+    }
+    memoryStats = await finalizeMemory(conversationId, topic, pending, transcript.length, {
+      usageRecorder,
+      deferExtraction
+    });
+    return pending;
+  };
+
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", "conversation.batch.start", {
+      requestId,
+      conversationId,
+      mode,
+      requestedTurns: turns,
+      startingTurns: transcript.length,
+      agents: (agents || DEFAULT_AGENTS).map((item) => item?.name).filter(Boolean)
+    });
+  }
+
+  for (let i = 0; i < turns; i += 1) {
+    // Pausing only ever happens here, between turns, so the directive and references carry over as-is.
+    if (run?.paused && !isCancelled()) {
+      const pausedAt = Date.now();
+      if (writeChunk) {
+        writeChunk({ type: "paused", totalTurns: transcript.length, moderatorDirective });
+      }
+      if (LOG_CONVERSATION_EVENTS) {
+        logEvent("info", "conversation.batch.paused", { requestId, conversationId, totalTurns: transcript.length });
+      }
+      await waitWhilePaused(run);
+      pausedMs += Date.now() - pausedAt;
+      if (run.paused && !isCancelled()) {
+        stopReason = "pause_timeout";
+        logEvent("warn", "conversation.batch.stop", {
+          requestId,
+          conversationId,
+          reason: stopReason,
+          pausedMs,
+          addedTurns: newEntries.length
+        });
+        break;
+      }
+      if (!isCancelled()) {
+        if (writeChunk) {
+          writeChunk({ type: "resumed", totalTurns: transcript.length, moderatorDirective });
+        }
+        if (LOG_CONVERSATION_EVENTS) {
+          logEvent("info", "conversation.batch.resumed", { requestId, conversationId, pausedMs });
+        }
+      }
+    }
+
+    if (isCancelled()) {
+      stopReason = cancelledReason();
+      logEvent("info", "conversation.batch.stop", {
+        requestId,
+        conversationId,
+        reason: stopReason,
+        elapsedMs: Date.now() - startedAt,
+        addedTurns: newEntries.length
+      });
+      break;
+    }
+
+    if (Date.now() - startedAt - pausedMs > maxGenerationMs) {
+      stopReason = "time_limit";
+      logEvent("warn", "conversation.batch.stop", {
+        requestId,
+        conversationId,
+        reason: stopReason,
+        elapsedMs: Date.now() - startedAt,
+        addedTurns: newEntries.length
+      });
+      break;
+    }
+
+    drainHumanMessages();
+
+    if (run?.pendingDirective) {
+      moderatorDirective = run.pendingDirective;
+      run.pendingDirective = null;
+      if (writeChunk) {
+        writeChunk({ type: "directive", moderatorDirective, totalTurns: transcript.length });
+      }
+    }
+
+    const nextTurn = transcript.length + 1;
+    const activeAgents = agents && agents.length ? agents : DEFAULT_AGENTS;
+    const speaker = nextSpeakerFor(activeAgents, transcript);
+    const previous = transcript[transcript.length - 1];
+    const speakerCanSearch = Boolean(agentToolMode && speaker?.tools?.webSearch);
+    const referenceRefreshInterval = citationMode ? CITATION_REFRESH_INTERVAL : AGENT_WEB_TOOL_REFRESH_INTERVAL;
+    let referenceMap = new Map(
       activeReferences
         .filter((item) => item?.id)
         .map((item) => [String(item.id).toUpperCase(), item])
@@ -2571,6 +4042,14 @@ async function runConversationBatch({
     let evaluator = null;
     let attempts = 0;
     let accepted = false;
+    const speakerRoute = resolveAgentModelRoute(speaker);
+    const draft = createTurnDraftStream({
+      writeChunk,
+      turn: nextTurn,
+      speaker,
+      totalTurns: transcript.length + 1,
+      live: Boolean(speakerRoute.client)
+    });
     const maxAttempts = QUALITY_RETRY_LIMIT + (EVALUATOR_LOOP_ENABLED ? EVALUATOR_RETRY_LIMIT : 0);
     let correctionHint = "";
 
@@ -2591,6 +4070,14 @@ async function runConversationBatch({
         break;
       }
 
+      if (speakerRoute.client) {
+        budgetExhausted = checkBudget(nextTurn);
+        if (budgetExhausted) {
+          // A retry that would cross the cap is skipped and the last draft is kept.
+          break;
+        }
+      }
+
       const attemptDirective =
         attempts === 0
           ? moderatorDirective
@@ -2601,7 +4088,9 @@ async function runConversationBatch({
               .filter(Boolean)
               .join(" ");
 
+      const usageComponent = attempts === 0 ? "turn" : "retry";
       const generated = await generateTurn({
+        conversationId,
         topic,
         mode,
         speaker,
@@ -2612,14 +4101,23 @@ async function runConversationBatch({
         brief,
         references: activeReferences,
         requestId,
-        cancellation
+        cancellation,
+        onDelta: draft.onDelta,
+        onUsage: (call) =>
+          usageRecorder.record({ ...call, component: usageComponent, turn: nextTurn, agentId: speaker.id })
       });
 
       if (generated === null) {
+        draft.reset("cancelled", attempts + 1);
         stopReason = cancelledReason();
         break;
       }
 
+      if (draft.started && draft.text.trim() !== generated.trim()) {
+        // The model stream failed partway and generateTurn fell back to local text.
+        draft.reset("fallback", attempts + 1);
+      }
+
       signaledDone = containsDoneToken(generated);
       const text = stripDonePrefix(generated);
       entry = {
@@ -2651,19 +4149,22 @@ async function runConversationBatch({
       }
 
       correctionHint = evaluator?.correctionDirective || correctionHint;
+      const retryReason = quality.tooShort
+        ? "too_short"
+        : quality.repetitive
+          ? "repetitive"
+          : quality.offTopic
+            ? "off_topic"
+            : "evaluator_correction";
+
+      draft.reset(retryReason, attempts);
 
       if (writeChunk) {
         writeChunk({
           type: "retry",
           turn: nextTurn,
           attempt: attempts,
-          reason: quality.tooShort
-            ? "too_short"
-            : quality.repetitive
-              ? "repetitive"
-              : quality.offTopic
-                ? "off_topic"
-                : "evaluator_correction",
+          reason: retryReason,
           quality,
           evaluator
         });
@@ -2675,19 +4176,31 @@ async function runConversationBatch({
           conversationId,
           turn: nextTurn,
           attempt: attempts,
-          reason: quality.tooShort
-            ? "too_short"
-            : quality.repetitive
-              ? "repetitive"
-              : quality.offTopic
-                ? "off_topic"
-                : "evaluator_correction"
+          reason: retryReason
         });
       }
     }
 
-    if (!entry && stopReason === cancelledReason()) {
-      break;
+    if (budgetExhausted) {
+      stopReason = "budget_exhausted";
+      if (!entry) {
+        logEvent("warn", "conversation.batch.stop", {
+          requestId,
+          conversationId,
+          reason: stopReason,
+          turn: nextTurn,
+          budget: budgetExhausted
+        });
+        break;
+      }
+    }
+
+    if (!entry && stopReason === cancelledReason()) {
+      break;
+    }
+
+    if (entry && isCancelled()) {
+      draft.reset("cancelled", attempts);
     }
 
     if (!entry) {
@@ -2703,6 +4216,20 @@ async function runConversationBatch({
 
     qualityScoreTotal += quality?.score ?? 0;
     qualityTurns += 1;
+    const speakerQuality = agentQuality.get(speaker.id) || {
+      agentId: speaker.id,
+      name: speaker.name,
+      model: speakerRoute.client ? speakerRoute.model : "local",
+      turns: 0,
+      scoreTotal: 0,
+      evaluatorTotal: 0,
+      retries: 0
+    };
+    speakerQuality.turns += 1;
+    speakerQuality.scoreTotal += quality?.score ?? 0;
+    speakerQuality.evaluatorTotal += evaluator?.overall ?? 0;
+    speakerQuality.retries += Math.max(0, attempts - 1);
+    agentQuality.set(speaker.id, speakerQuality);
     retriesUsed += Math.max(0, attempts - 1);
     evaluatorScoreTotal += evaluator?.overall ?? 0;
     evaluatorTurns += 1;
@@ -2755,7 +4282,7 @@ async function runConversationBatch({
     }
 
     if (writeChunk) {
-      if (TURN_STREAMING_ENABLED) {
+      if (TURN_STREAMING_ENABLED && !draft.started) {
         await streamTurnProgress({
           writeChunk,
           entry,
@@ -2777,6 +4304,23 @@ async function runConversationBatch({
       });
     }
 
+    if (persistEachTurn) {
+      const persisted = await persistPendingEntries({ deferExtraction: true });
+      memory = getCompressedMemory(conversationId, agentMemoryOptions(activeAgents));
+      await onTurnPersisted?.({ entries: persisted, totalTurns: transcript.length });
+    }
+
+    if (budgetExhausted) {
+      logEvent("warn", "conversation.batch.stop", {
+        requestId,
+        conversationId,
+        reason: stopReason,
+        turn: nextTurn,
+        budget: budgetExhausted
+      });
+      break;
+    }
+
     if (repetitionStreak >= MAX_REPETITION_STREAK) {
       stopReason = "repetition_guard";
       logEvent("warn", "conversation.batch.stop", {
@@ -2801,6 +4345,20 @@ async function runConversationBatch({
     }
 
     const shouldModerate = transcript.length % MODERATOR_INTERVAL === 0;
+    if (shouldModerate && client) {
+      budgetExhausted = checkBudget(transcript.length);
+      if (budgetExhausted) {
+        stopReason = "budget_exhausted";
+        logEvent("warn", "conversation.batch.stop", {
+          requestId,
+          conversationId,
+          reason: stopReason,
+          turn: nextTurn,
+          budget: budgetExhausted
+        });
+        break;
+      }
+    }
     if (shouldModerate) {
       const moderation = await runModerator({
         topic,
@@ -2810,7 +4368,8 @@ async function runConversationBatch({
         memory,
         currentDirective: moderatorDirective,
         requestId,
-        cancellation
+        cancellation,
+        onUsage: (call) => usageRecorder.record({ ...call, component: "moderator", turn: transcript.length })
       });
 
       if (moderation === null) {
@@ -2837,11 +4396,16 @@ async function runConversationBatch({
     }
   }
 
-  insertMessages(conversationId, newEntries);
-  if (citedClaims.length > 0) {
-    insertClaimCitations(conversationId, citedClaims);
+  drainHumanMessages();
+  if (run) {
+    // From here on, new human messages are written directly instead of queued.
+    run.closed = true;
+  }
+  const persisted = await persistPendingEntries();
+  if (persistEachTurn && persisted.length > 0) {
+    await onTurnPersisted?.({ entries: persisted, totalTurns: transcript.length });
   }
-  const memoryStats = await finalizeMemory(conversationId, topic, newEntries, transcript.length);
+  const runUsage = usageRecorder.totals();
 
   if (LOG_CONVERSATION_EVENTS) {
     logEvent(stopReason === "max_turns" ? "info" : "warn", "conversation.batch.complete", {
@@ -2855,7 +4419,10 @@ async function runConversationBatch({
       evaluatorRetries,
       elapsedMs: Date.now() - startedAt,
       avgQuality: Number((qualityTurns ? qualityScoreTotal / qualityTurns : 0).toFixed(4)),
-      avgEvaluator: Number((evaluatorTurns ? evaluatorScoreTotal / evaluatorTurns : 0).toFixed(4))
+      avgEvaluator: Number((evaluatorTurns ? evaluatorScoreTotal / evaluatorTurns : 0).toFixed(4)),
+      modelCalls: runUsage.calls,
+      totalTokens: runUsage.totalTokens,
+      costUsd: runUsage.costUsd
     });
   }
 
@@ -2865,6 +4432,11 @@ async function runConversationBatch({
     stopReason,
     moderatorDirective,
     memoryStats,
+    usage: {
+      ...getConversationUsage(conversationId),
+      run: runUsage
+    },
+    budget: hasBudget ? { ...budget, exhausted: budgetExhausted } : null,
     qualitySummary: {
       avgScore: Number((qualityTurns ? qualityScoreTotal / qualityTurns : 0).toFixed(4)),
       evaluatorAvgScore: Number((evaluatorTurns ? evaluatorScoreTotal / evaluatorTurns : 0).toFixed(4)),
@@ -2877,12 +4449,144 @@ async function runConversationBatch({
       citedClaims: citationClaimCount,
       citationConfidenceAvg: Number(
         (citationClaimCount > 0 ? citationConfidenceTotal / citationClaimCount : 0).toFixed(4)
-      )
+      ),
+      byAgent: [...agentQuality.values()].map(({ scoreTotal, evaluatorTotal, ...item }) => ({
+        ...item,
+        avgScore: Number((scoreTotal / item.turns).toFixed(4)),
+        evaluatorAvgScore: Number((evaluatorTotal / item.turns).toFixed(4))
+      }))
     },
     references: citationMode || agentToolMode ? activeReferences : []
   };
 }
 
+function countAgentTurns(entries) {
+  return entries.filter((entry) => isAgentSpeakerId(entry.speakerId)).length;
+}
+
+function generationJobPayload(job) {
+  return {
+    jobId: job.id,
+    conversationId: job.conversationId,
+    status: job.status,
+    requestedTurns: job.requestedTurns,
+    completedTurns: job.completedTurns,
+    startTurns: job.startTurns,
+    totalTurns: job.persistedTurn,
+    attempts: job.attempts,
+    stopReason: job.stopReason || null,
+    error: job.error || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+// Runs (or resumes) one queued job. Turns are persisted as they land, so a job interrupted by a
+// restart continues with whatever is left of its requested turns.
+async function runGenerationJob(job) {
+  const { conversationId } = job;
+  const requestId = job.requestId || job.id;
+  const conversation = getConversation(conversationId);
+  if (!conversation) {
+    finishGenerationJob(job.id, { status: "failed", error: "Conversation not found." });
+    return;
+  }
+
+  let eventLog = null;
+  try {
+    const topic = conversation.topic;
+    const agents = mapStoredAgents(getConversationAgents(conversationId));
+    const transcript = getMessages(conversationId);
+    // A restart can land between writing a turn and folding it into memory; catch memory up first.
+    if (transcript.length > job.persistedTurn) {
+      await finalizeMemory(conversationId, topic, transcript.slice(job.persistedTurn), transcript.length);
+    }
+    const jobProgress = () => ({
+      completedTurns: countAgentTurns(transcript.slice(job.startTurns)),
+      persistedTurn: transcript.length
+    });
+    updateGenerationJobProgress(job.id, jobProgress());
+
+    const remainingTurns = job.requestedTurns - jobProgress().completedTurns;
+    if (remainingTurns <= 0) {
+      finishGenerationJob(job.id, {
+        status: "completed",
+        completedTurns: jobProgress().completedTurns,
+        stopReason: "max_turns"
+      });
+      return;
+    }
+    if (LOG_CONVERSATION_EVENTS) {
+      logEvent("info", job.attempts > 1 ? "generation_job.resume" : "generation_job.start", {
+        requestId,
+        jobId: job.id,
+        conversationId,
+        remainingTurns
+      });
+    }
+
+    // Cancelled while memory was catching up, before the run registered.
+    if (getGenerationJob(job.id)?.status === "cancelled") {
+      return;
+    }
+    const setup = {
+      conversationId,
+      topic,
+      title: conversation.title || "",
+      starred: Boolean(conversation.starred),
+      mode: sanitizeConversationMode(conversation.mode, DEFAULT_DISCOVERY_MODE),
+      brief: getConversationBrief(conversationId),
+      agents,
+      memory: getCompressedMemory(conversationId, agentMemoryOptions(agents))
+    };
+    eventLog = openRunEventLog(conversationId, requestId, { ...buildStreamMeta(setup), jobId: job.id });
+    const batch = await runConversationBatch({
+      ...setup,
+      transcript,
+      turns: remainingTurns,
+      requestId,
+      writeChunk: eventLog.append,
+      persistEachTurn: true,
+      maxGenerationMs: JOB_MAX_GENERATION_MS,
+      onTurnPersisted: () => updateGenerationJobProgress(job.id, jobProgress())
+    });
+    eventLog.append({
+      type: "done",
+      conversationId,
+      jobId: job.id,
+      turns: batch.newEntries.length,
+      totalTurns: batch.totalTurns,
+      stopReason: batch.stopReason,
+      memory: batch.memoryStats,
+      quality: batch.qualitySummary,
+      usage: batch.usage,
+      budget: batch.budget
+    });
+
+    finishGenerationJob(job.id, {
+      status: batch.stopReason === "cancelled" ? "cancelled" : "completed",
+      completedTurns: jobProgress().completedTurns,
+      stopReason: batch.stopReason
+    });
+  } catch (error) {
+    logError("error", "generation_job.failed", error, { requestId, jobId: job.id, conversationId });
+    eventLog?.append({ type: "error", error: "Generation failed." });
+    finishGenerationJob(job.id, { status: "failed", error: "Generation failed." });
+  } finally {
+    if (eventLog) {
+      closeRunEventLog(eventLog);
+    }
+  }
+}
+
+const generationJobWorker = createGenerationJobWorker({
+  concurrency: JOB_CONCURRENCY,
+  runJob: runGenerationJob,
+  onError: (error, job) => logError("error", "generation_job.worker_error", error, { jobId: job.id })
+});
+
 app.get("/api/conversation/:id", (req, res) => {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
@@ -2963,9 +4667,10 @@ app.post("/api/conversation/:id/fork", async (req, res) => {
       topic: sourceConversation.topic,
       transcript: forkTranscript,
       client,
-      model
+      model,
+      onUsage: createUsageRecorder(forkConversationId, { provider: llmProvider }).record
     });
-    const memory = getCompressedMemory(forkConversationId);
+    const memory = getCompressedMemory(forkConversationId, agentMemoryOptions(sourceAgents));
 
     const resolvedForkConversation = forkConversation || {
       topic: sourceConversation.topic,
@@ -3032,156 +4737,791 @@ app.post("/api/conversation/:id/agents", (req, res) => {
   );
 });
 
-app.post("/api/conversation/:id/meta", (req, res) => {
+app.post("/api/conversation/:id/agents/add", (req, res) => {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
-  const parsedMeta = parseConversationMetaFromBody(req.body);
-  const mergedMeta = mergeConversationMeta(conversation, req.body || {}, parsedMeta);
-  updateConversationMeta(conversationId, mergedMeta);
-  const updatedConversation = getConversation(conversationId);
+  const currentAgents = mapStoredAgents(getConversationAgents(conversationId));
+  if (currentAgents.length >= MAX_ROOM_AGENTS) {
+    return res.status(400).json({ error: `Rooms support at most ${MAX_ROOM_AGENTS} agents.` });
+  }
 
-  return res.json(withConversationMeta(conversationId, updatedConversation));
+  const source = req.body?.agent && typeof req.body.agent === "object" ? req.body.agent : req.body || {};
+  const requestedId = source.agentId || source.id;
+  const agentId = requestedId ? sanitizeAgentId(requestedId) : nextAvailableAgentId(currentAgents);
+  if (!agentId) {
+    return res.status(400).json({ error: "Agent id must look like agent-<letters/digits>." });
+  }
+  if (currentAgents.some((agent) => agent.agentId === agentId)) {
+    return res.status(400).json({ error: "Agent already exists in this room." });
+  }
+
+  const [incomingAgent] = parseAgentConfigFromBody({ agents: [{ ...source, id: agentId }] });
+  upsertConversationAgents(conversationId, mergeAgentConfig(currentAgents, [incomingAgent]));
+
+  return res.json(
+    withConversationMeta(conversationId, conversation, {
+      agentId,
+      agents: mapStoredAgents(getConversationAgents(conversationId))
+    })
+  );
 });
 
-app.post("/api/conversation/:id/brief", (req, res) => {
+app.delete("/api/conversation/:id/agents/:agentId", (req, res) => {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
-  const currentBrief = getConversationBrief(conversationId);
-  const parsedBrief = parseBriefFromBody(req.body);
-  const mergedBrief = mergeBriefPatch(currentBrief, req.body || {}, parsedBrief);
-  upsertConversationBrief(conversationId, mergedBrief);
+  const agentId = sanitizeAgentId(req.params.agentId);
+  const currentAgents = mapStoredAgents(getConversationAgents(conversationId));
+  if (!agentId || !currentAgents.some((agent) => agent.agentId === agentId)) {
+    return res.status(404).json({ error: "Agent not found." });
+  }
+  if (currentAgents.length <= MIN_ROOM_AGENTS) {
+    return res.status(400).json({ error: `Rooms need at least ${MIN_ROOM_AGENTS} agents.` });
+  }
 
-  return res.json(withConversationMeta(conversationId, conversation, { brief: getConversationBrief(conversationId) }));
+  // Persist the full roster first so rooms still on implicit defaults keep their remaining seats.
+  upsertConversationAgents(conversationId, currentAgents);
+  deleteConversationAgent(conversationId, agentId);
+  upsertConversationAgents(conversationId, mapStoredAgents(getConversationAgents(conversationId)));
+
+  return res.json(
+    withConversationMeta(conversationId, conversation, {
+      agentId,
+      agents: mapStoredAgents(getConversationAgents(conversationId))
+    })
+  );
 });
 
-app.get("/api/conversation/:id/memory", (req, res) => {
+// Run controls shared by the HTTP routes and the conversation socket. Each returns
+// { status, payload } on success or { status, error } when the request is refused.
+
+// Adds a human turn: queued for the active run, refused while a job or another start owns the
+// conversation, otherwise appended right away.
+async function addHumanMessage(conversationId, conversation, body) {
+  const text = sanitizeHumanMessage(body?.text);
+  if (!text) {
+    return { status: 400, error: "Message text is required." };
+  }
+  const message = {
+    speaker: sanitizeAgentName(body?.name, "Human"),
+    text
+  };
+
+  const run = getActiveRun(conversationId);
+  if (run) {
+    if (run.pendingHumanMessages.length >= HUMAN_PENDING_LIMIT) {
+      return { status: 429, error: "Too many queued messages for this run. Wait for the next turn." };
+    }
+    run.pendingHumanMessages.push(message);
+    return { status: 202, payload: { queued: true, pendingCount: run.pendingHumanMessages.length } };
+  }
+  // A queued job or a start still preparing would write the turn this message is about to take.
+  const conflict = conversationRunConflict(conversationId);
+  if (conflict) {
+    return { status: 409, error: conflict };
+  }
+
+  const transcript = getMessages(conversationId);
+  const entry = buildHumanEntry(transcript.length + 1, message);
+  insertMessages(conversationId, [entry]);
+  const memoryStats = await finalizeMemory(conversationId, conversation.topic, [entry], entry.turn);
+
+  return {
+    status: 200,
+    payload: {
+      queued: false,
+      entry,
+      totalTurns: entry.turn,
+      memory: memoryStats
+    }
+  };
+}
+
+function cancelConversationRun(conversationId, requestId) {
+  const run = getActiveRun(conversationId);
+  const job = getUnfinishedConversationJob(conversationId);
+  if (!run && !job) {
+    return { status: 409, error: "No run in progress for this conversation." };
+  }
+  if (run) {
+    cancelRun(run);
+  } else {
+    // A queued job (or one still catching up memory) has no run to stop yet.
+    finishGenerationJob(job.id, { status: "cancelled", stopReason: "cancelled" });
+  }
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", "conversation.run.cancel", {
+      requestId,
+      conversationId,
+      runRequestId: run?.requestId || null,
+      jobId: job?.id || null
+    });
+  }
+
+  return {
+    status: 202,
+    payload: {
+      cancelled: true,
+      runRequestId: run?.requestId || null,
+      jobId: job?.id || null
+    }
+  };
+}
+
+// Looks up the active batch a pause, resume, or directive change applies to.
+function getSteerableRun(conversationId) {
+  const run = getActiveRun(conversationId);
+  if (!run) {
+    return { status: 409, error: "No run in progress for this conversation." };
+  }
+  if (!run.pausable) {
+    return { status: 409, error: "This run cannot be steered." };
+  }
+  if (run.cancellation.isCancelled()) {
+    return { status: 409, error: "This run is being cancelled." };
+  }
+  return { run };
+}
+
+function setConversationRunPaused(conversationId, paused, requestId) {
+  const { run, ...refused } = getSteerableRun(conversationId);
+  if (!run) {
+    return refused;
+  }
+  if (paused) {
+    pauseRun(run);
+  } else {
+    resumeRun(run);
+  }
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", paused ? "conversation.run.pause" : "conversation.run.resume", {
+      requestId,
+      conversationId,
+      runRequestId: run.requestId
+    });
+  }
+
+  return { status: 200, payload: { paused: run.paused, runRequestId: run.requestId } };
+}
+
+// The directive replaces the moderator's before the next turn; the moderator may still revise it later.
+function changeConversationRunDirective(conversationId, value, requestId) {
+  const directive = sanitizeModeratorDirective(value);
+  if (!directive) {
+    return { status: 400, error: "Directive text is required." };
+  }
+  const { run, ...refused } = getSteerableRun(conversationId);
+  if (!run) {
+    return refused;
+  }
+  run.pendingDirective = directive;
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", "conversation.run.directive", {
+      requestId,
+      conversationId,
+      runRequestId: run.requestId
+    });
+  }
+
+  return { status: 202, payload: { queued: true, directive, runRequestId: run.requestId } };
+}
+
+function sendRunControlResult(res, conversationId, conversation, result) {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  return res.status(result.status).json(withConversationMeta(conversationId, conversation, result.payload));
+}
+
+app.post("/api/conversation/:id/message", async (req, res) => {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
-  const memory = getCompressedMemory(conversationId);
-  const brief = getConversationBrief(conversationId);
-  const agents = mapStoredAgents(getConversationAgents(conversationId));
-  return res.json(withConversationMeta(conversationId, conversation, { brief, agents, memory }));
+  try {
+    return sendRunControlResult(res, conversationId, conversation, await addHumanMessage(conversationId, conversation, req.body));
+  } catch (error) {
+    logError("error", "conversation.message.failed", error, { requestId: getRequestId(req), conversationId });
+    return res.status(500).json({ error: "Failed to add message." });
+  }
 });
 
-app.get("/api/conversation/:id/insights", (req, res) => {
+app.post("/api/conversation/:id/cancel", (req, res) => {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
-  const brief = getConversationBrief(conversationId);
-  const mode = sanitizeConversationMode(conversation.mode, "exploration");
-  const memory = getCompressedMemory(conversationId);
-  const insights = buildInsightSnapshot({
-    topic: conversation.topic,
-    brief,
-    mode,
-    memory
-  });
-
-  return res.json(withConversationMeta(conversationId, conversation, { mode, insights }));
+  return sendRunControlResult(res, conversationId, conversation, cancelConversationRun(conversationId, getRequestId(req)));
 });
 
-app.get("/api/conversation/:id/discoveries", (req, res) => {
+function setRunPaused(req, res, paused) {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
-  const transcript = getMessages(conversationId);
-  const brief = getConversationBrief(conversationId);
-  const mode = sanitizeConversationMode(conversation.mode, "exploration");
-  const memory = getCompressedMemory(conversationId);
-  const discoveries = buildDiscoveryRadar({
-    topic: conversation.topic,
-    brief,
-    mode,
-    memory,
-    transcript
-  });
+  return sendRunControlResult(
+    res,
+    conversationId,
+    conversation,
+    setConversationRunPaused(conversationId, paused, getRequestId(req))
+  );
+}
 
-  return res.json(withConversationMeta(conversationId, conversation, { brief, discoveries }));
-});
+app.post("/api/conversation/:id/pause", (req, res) => setRunPaused(req, res, true));
 
-app.get("/api/conversation/:id/citations", (req, res) => {
+app.post("/api/conversation/:id/resume", (req, res) => setRunPaused(req, res, false));
+
+app.post("/api/conversation/:id/directive", (req, res) => {
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
-  const sources = getRecentRetrievalSources(conversationId, 60);
-  const claims = getRecentClaimCitations(conversationId, 120);
-  const sourceMap = new Map();
-  for (const source of sources) {
-    const key = `${source.referenceId}:${source.url}`;
-    if (!sourceMap.has(key)) {
-      sourceMap.set(key, source);
-    }
-  }
-  const uniqueSources = [...sourceMap.values()].slice(0, 24);
-  const confidenceAvg =
-    claims.length > 0
-      ? claims.reduce((sum, claim) => sum + Number(claim.confidence || 0), 0) / claims.length
-      : 0;
-
-  return res.json(
-    withConversationMeta(conversationId, conversation, {
-      citations: {
-        sources: uniqueSources,
-        claims: claims.slice(0, 80),
-        stats: {
-          sourceCount: uniqueSources.length,
-          claimCount: claims.length,
-          confidenceAvg: Number(clamp(confidenceAvg, 0, 1).toFixed(4))
-        }
-      }
-    })
+  return sendRunControlResult(
+    res,
+    conversationId,
+    conversation,
+    changeConversationRunDirective(conversationId, req.body?.directive, getRequestId(req))
   );
 });
 
-app.get("/api/conversation/:id/score", (req, res) => {
+app.post("/api/conversation/:id/turns/:turn/regenerate", async (req, res) => {
+  const requestId = getRequestId(req);
   const resolved = resolveConversationFromParams(req, res);
   if (!resolved) {
     return;
   }
   const { conversationId, conversation } = resolved;
 
+  const conflict = conversationRunConflict(conversationId);
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
   const transcript = getMessages(conversationId);
-  const brief = getConversationBrief(conversationId);
-  const mode = sanitizeConversationMode(conversation.mode, "exploration");
-  const memory = getCompressedMemory(conversationId);
-  const insights = buildInsightSnapshot({
-    topic: conversation.topic,
-    brief,
-    mode,
-    memory
-  });
-  const score = buildObjectiveScore({
+  const turn = parseTurnNumber(req.params.turn, 1, transcript.length);
+  if (turn === null) {
+    return res.status(400).json({ error: `Turn must be between 1 and ${transcript.length}.` });
+  }
+  if (!isAgentSpeakerId(transcript[turn - 1].speakerId)) {
+    const kind = transcript[turn - 1].speakerId === MERGE_SPEAKER_ID ? "Merge" : "Human";
+    return res.status(400).json({ error: `${kind} turns can be edited but not regenerated.` });
+  }
+
+  try {
+    const result = await withActiveRun(conversationId, requestId, (run) =>
+      regenerateConversationTurn({ conversationId, conversation, turn, requestId, run })
+    );
+    if (result.error) {
+      const { status, ...payload } = result;
+      return res.status(status).json(payload);
+    }
+    return res.json(withConversationMeta(conversationId, conversation, result));
+  } catch (error) {
+    logError("error", "conversation.turn.regenerate.failed", error, { requestId, conversationId, turn });
+    return res.status(500).json({ error: "Failed to regenerate turn." });
+  }
+});
+
+app.post("/api/conversation/:id/turns/:turn/edit", async (req, res) => {
+  const requestId = getRequestId(req);
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const conflict = conversationRunConflict(conversationId);
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+  const transcript = cloneTranscriptEntries(getMessages(conversationId));
+  const turn = parseTurnNumber(req.params.turn, 1, transcript.length);
+  if (turn === null) {
+    return res.status(400).json({ error: `Turn must be between 1 and ${transcript.length}.` });
+  }
+  const original = transcript[turn - 1];
+  const text =
+    original.speakerId === HUMAN_SPEAKER_ID ? sanitizeHumanMessage(req.body?.text) : normalizeTurnText(req.body?.text);
+  if (!text) {
+    return res.status(400).json({ error: "Turn text is required." });
+  }
+
+  try {
+    const entry = { ...original, text };
+    const memoryStats = await withActiveRun(conversationId, requestId, async (run) => {
+      updateMessageText(conversationId, turn, text);
+      transcript[turn - 1] = entry;
+      appendPendingHumanMessages(conversationId, run, transcript);
+      return rebuildMemoryFromTurn(conversationId, conversation.topic, turn, transcript);
+    });
+
+    logEvent("info", "conversation.turn.edited", { requestId, conversationId, turn });
+    return res.json(
+      withConversationMeta(conversationId, conversation, {
+        entry,
+        previousText: original.text,
+        totalTurns: transcript.length,
+        memory: memoryStats
+      })
+    );
+  } catch (error) {
+    logError("error", "conversation.turn.edit.failed", error, { requestId, conversationId, turn });
+    return res.status(500).json({ error: "Failed to edit turn." });
+  }
+});
+
+app.post("/api/conversation/:id/rewind", async (req, res) => {
+  const requestId = getRequestId(req);
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const conflict = conversationRunConflict(conversationId);
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+  const totalTurns = getMessages(conversationId).length;
+  const turn = parseTurnNumber(req.body?.turn, 0, totalTurns);
+  if (turn === null) {
+    return res.status(400).json({ error: `Turn must be between 0 and ${totalTurns}.` });
+  }
+
+  try {
+    const { removedTurns, transcript, memoryStats } = await withActiveRun(conversationId, requestId, async (run) => {
+      const removed = truncateMessagesAfterTurn(conversationId, turn);
+      const kept = cloneTranscriptEntries(getMessagesUpToTurn(conversationId, turn));
+      appendPendingHumanMessages(conversationId, run, kept);
+      return {
+        removedTurns: removed,
+        transcript: kept,
+        memoryStats: await rebuildMemoryFromTurn(conversationId, conversation.topic, turn + 1, kept)
+      };
+    });
+
+    logEvent("info", "conversation.rewound", { requestId, conversationId, turn, removedTurns });
+    return res.json(
+      withConversationMeta(conversationId, conversation, {
+        turn,
+        removedTurns,
+        totalTurns: transcript.length,
+        transcript,
+        memory: memoryStats
+      })
+    );
+  } catch (error) {
+    logError("error", "conversation.rewind.failed", error, { requestId, conversationId, turn });
+    return res.status(500).json({ error: "Failed to rewind conversation." });
+  }
+});
+
+app.post("/api/conversation/:id/merge", async (req, res) => {
+  const requestId = getRequestId(req);
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  if (!conversation.parentConversationId) {
+    return res.status(400).json({ error: "Only forked conversations can be merged into a parent." });
+  }
+  const parentConversation = getConversation(conversation.parentConversationId);
+  if (!parentConversation) {
+    return res.status(404).json({ error: "Parent conversation not found." });
+  }
+  const conflict = conversationRunConflict(conversationId) || conversationRunConflict(parentConversation.id);
+  if (conflict) {
+    return res.status(409).json({ error: conflict });
+  }
+  const forkFromTurn = Number.isFinite(conversation.forkFromTurn) ? conversation.forkFromTurn : 0;
+  if (getMessages(conversationId).length <= forkFromTurn) {
+    return res.status(400).json({ error: "The fork has no turns after its fork point." });
+  }
+  // A fork that was merged before only merges again when it has something new for the parent.
+  if (listConversationMerges(conversationId).some((merge) => merge.childConversationId === conversationId)) {
+    const { imported, conflicts } = planBranchMerge({
+      parentConversationId: parentConversation.id,
+      childConversationId: conversationId,
+      mergeTurn: getMessages(parentConversation.id).length + 1
+    });
+    if (imported.length === 0 && conflicts.length === 0) {
+      return res.status(409).json({ error: "Nothing new to merge since this fork was last merged." });
+    }
+  }
+
+  try {
+    const result = await withActiveRun(parentConversation.id, requestId, (run) =>
+      mergeConversationIntoParent({ conversationId, conversation, parentConversation, requestId, run })
+    );
+    return res.json(withConversationMeta(parentConversation.id, parentConversation, result));
+  } catch (error) {
+    logError("error", "conversation.merge.failed", error, { requestId, conversationId });
+    return res.status(500).json({ error: "Failed to merge conversation." });
+  }
+});
+
+app.get("/api/conversation/:id/merges", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  return res.json(
+    withConversationMeta(conversationId, conversation, { merges: listConversationMerges(conversationId) })
+  );
+});
+
+app.post("/api/conversation/:id/meta", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "mode") && !sanitizeConversationMode(req.body.mode, "")) {
+    return res.status(400).json({ error: "Unknown discovery mode." });
+  }
+  const parsedMeta = parseConversationMetaFromBody(req.body);
+  const mergedMeta = mergeConversationMeta(conversation, req.body || {}, parsedMeta);
+  updateConversationMeta(conversationId, mergedMeta);
+  const updatedConversation = getConversation(conversationId);
+
+  return res.json(withConversationMeta(conversationId, updatedConversation));
+});
+
+app.post("/api/conversation/:id/brief", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const currentBrief = getConversationBrief(conversationId);
+  const parsedBrief = parseBriefFromBody(req.body);
+  const mergedBrief = mergeBriefPatch(currentBrief, req.body || {}, parsedBrief);
+  upsertConversationBrief(conversationId, mergedBrief);
+
+  return res.json(withConversationMeta(conversationId, conversation, { brief: getConversationBrief(conversationId) }));
+});
+
+app.get("/api/conversation/:id/memory", async (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const brief = getConversationBrief(conversationId);
+  const agents = mapStoredAgents(getConversationAgents(conversationId));
+  const memory = getCompressedMemory(conversationId, agentMemoryOptions(agents));
+  // What the next speaker's prompt would pull in for the latest turn.
+  const retrieved = await retrieveRelevantMemory(conversationId, {
+    topic: conversation.topic,
+    transcript: getMessages(conversationId),
+    memory
+  });
+  const dismissed = getDismissedSemanticItems(conversationId);
+  return res.json(withConversationMeta(conversationId, conversation, { brief, agents, memory, retrieved, dismissed }));
+});
+
+// Resolves the semantic item named by `:itemType/:canonicalText`, or sends a 404 and returns null.
+function resolveSemanticItemFromParams(req, res, conversationId) {
+  const item = getSemanticItem(conversationId, String(req.params.itemType || ""), String(req.params.canonicalText || ""));
+  if (!item) {
+    res.status(404).json({ error: "Semantic memory item not found." });
+    return null;
+  }
+  return item;
+}
+
+app.post("/api/conversation/:id/memory/semantic/:itemType/:canonicalText", async (req, res) => {
+  const requestId = getRequestId(req);
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+  const item = resolveSemanticItemFromParams(req, res, conversationId);
+  if (!item) {
+    return;
+  }
+  const parsed = parseSemanticCuration(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const result = await curateSemanticItem(conversationId, item, parsed.patch);
+    if (!result) {
+      return res.status(400).json({ error: "text must contain at least one word." });
+    }
+    if (result.existing) {
+      return res.status(409).json({ error: "Another semantic item already has this text.", item: result.existing });
+    }
+
+    logEvent("info", "memory.semantic.curated", { requestId, conversationId, fields: Object.keys(parsed.patch) });
+    return res.json(withConversationMeta(conversationId, conversation, { item: result.item }));
+  } catch (error) {
+    logError("error", "memory.semantic.curate.failed", error, { requestId, conversationId });
+    return res.status(500).json({ error: "Failed to update semantic memory item." });
+  }
+});
+
+app.delete("/api/conversation/:id/memory/semantic/:itemType/:canonicalText", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+  const item = resolveSemanticItemFromParams(req, res, conversationId);
+  if (!item) {
+    return;
+  }
+
+  deleteSemanticItem(conversationId, item.itemType, item.canonicalText);
+  return res.json(
+    withConversationMeta(conversationId, conversation, {
+      ok: true,
+      itemType: item.itemType,
+      canonicalText: item.canonicalText
+    })
+  );
+});
+
+app.post("/api/conversation/:id/memory/tokens/:token", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+  const token = getMemoryToken(conversationId, String(req.params.token || ""));
+  if (!token) {
+    return res.status(404).json({ error: "Memory token not found." });
+  }
+  const parsed = parseTokenCuration(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const updated = updateMemoryToken(conversationId, token.token, { ...token, ...parsed.patch });
+  return res.json(withConversationMeta(conversationId, conversation, { token: updated }));
+});
+
+app.delete("/api/conversation/:id/memory/tokens/:token", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+  const token = String(req.params.token || "");
+  if (!deleteMemoryToken(conversationId, token)) {
+    return res.status(404).json({ error: "Memory token not found." });
+  }
+
+  return res.json(withConversationMeta(conversationId, conversation, { ok: true, token }));
+});
+
+app.post("/api/conversation/:id/memory/conflicts/:issueKey", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+  const conflict = getConflict(conversationId, String(req.params.issueKey || ""));
+  if (!conflict) {
+    return res.status(404).json({ error: "Conflict not found." });
+  }
+
+  const status = req.body?.status ?? "resolved";
+  if (!["open", "resolved"].includes(status)) {
+    return res.status(400).json({ error: "status must be open or resolved." });
+  }
+  const note = String(req.body?.note ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (note.length > CONFLICT_NOTE_MAX_CHARS) {
+    return res.status(400).json({ error: `note must be at most ${CONFLICT_NOTE_MAX_CHARS} characters.` });
+  }
+
+  const updated = updateConflictStatus(conversationId, conflict.issueKey, {
+    status,
+    resolutionNote: status === "resolved" ? note : ""
+  });
+  return res.json(withConversationMeta(conversationId, conversation, { conflict: updated }));
+});
+
+app.post("/api/conversation/:id/knowledge", async (req, res) => {
+  const requestId = getRequestId(req);
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const parsed = parseKnowledgePromotion(conversationId, req.body, getMessages(conversationId).length);
+  if (parsed.error) {
+    return res.status(parsed.status).json({ error: parsed.error });
+  }
+
+  try {
+    const promoted = await promoteKnowledgeItem({ conversationId, topic: conversation.topic, ...parsed.promotion });
+    if (!promoted) {
+      return res.status(400).json({ error: "Knowledge text must contain at least one word." });
+    }
+    if (!promoted.created) {
+      return res.status(409).json({ error: "This item is already in the knowledge base.", item: promoted.item });
+    }
+
+    logEvent("info", "knowledge.promoted", { requestId, conversationId, itemId: promoted.item.id });
+    return res.json(withConversationMeta(conversationId, conversation, { item: promoted.item }));
+  } catch (error) {
+    logError("error", "knowledge.promote.failed", error, { requestId, conversationId });
+    return res.status(500).json({ error: "Failed to promote knowledge item." });
+  }
+});
+
+app.get("/api/conversation/:id/insights", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const brief = getConversationBrief(conversationId);
+  const mode = sanitizeConversationMode(conversation.mode, "exploration");
+  const memory = getCompressedMemory(conversationId);
+  const insights = buildInsightSnapshot({
     topic: conversation.topic,
     brief,
+    mode,
+    memory
+  });
+
+  return res.json(withConversationMeta(conversationId, conversation, { mode, insights }));
+});
+
+app.get("/api/conversation/:id/discoveries", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const transcript = getMessages(conversationId);
+  const brief = getConversationBrief(conversationId);
+  const mode = sanitizeConversationMode(conversation.mode, "exploration");
+  const memory = getCompressedMemory(conversationId);
+  const discoveries = buildDiscoveryRadar({
+    topic: conversation.topic,
+    brief,
+    mode,
     memory,
-    transcript,
-    insights
+    transcript
   });
 
+  return res.json(withConversationMeta(conversationId, conversation, { brief, discoveries }));
+});
+
+app.get("/api/conversation/:id/citations", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const sources = getRecentRetrievalSources(conversationId, 60);
+  const claims = getRecentClaimCitations(conversationId, 120);
+  const sourceMap = new Map();
+  for (const source of sources) {
+    const key = `${source.referenceId}:${source.url}`;
+    if (!sourceMap.has(key)) {
+      sourceMap.set(key, source);
+    }
+  }
+  const uniqueSources = [...sourceMap.values()].slice(0, 24);
+  const confidenceAvg =
+    claims.length > 0
+      ? claims.reduce((sum, claim) => sum + Number(claim.confidence || 0), 0) / claims.length
+      : 0;
+
+  return res.json(
+    withConversationMeta(conversationId, conversation, {
+      citations: {
+        sources: uniqueSources,
+        claims: claims.slice(0, 80),
+        stats: {
+          sourceCount: uniqueSources.length,
+          claimCount: claims.length,
+          confidenceAvg: Number(clamp(confidenceAvg, 0, 1).toFixed(4))
+        }
+      }
+    })
+  );
+});
+
+app.get("/api/conversation/:id/score", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const brief = getConversationBrief(conversationId);
+  const { score } = analyzeConversation(conversationId, conversation, brief);
+
   return res.json(withConversationMeta(conversationId, conversation, { brief, score }));
 });
 
+app.get("/api/conversation/:id/tree", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  const lineage = getConversationLineage(conversationId);
+  const rootConversationId = lineage[0] || conversationId;
+  const rows = listConversationFamily(rootConversationId, { limit: CONVERSATION_TREE_NODE_LIMIT });
+  const { root, nodeCount } = buildConversationTree(rows, conversationId, new Set(lineage));
+
+  return res.json(
+    withConversationMeta(conversationId, conversation, {
+      rootConversationId,
+      ancestorIds: lineage.slice(0, -1),
+      nodeCount,
+      truncated: rows.length >= CONVERSATION_TREE_NODE_LIMIT,
+      tree: root
+    })
+  );
+});
+
+app.get("/api/conversation/:id/usage", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  return res.json(withConversationMeta(conversationId, conversation, { usage: getConversationUsage(conversationId) }));
+});
+
 app.get("/api/conversations", (req, res) => {
   const requestedLimit = Number(req.query.limit ?? 20);
   const limit = Math.min(100, Math.max(1, Number.isFinite(requestedLimit) ? requestedLimit : 20));
@@ -3189,6 +5529,144 @@ app.get("/api/conversations", (req, res) => {
   return res.json({ conversations });
 });
 
+app.get("/api/search", (req, res) => {
+  const query = String(req.query.q ?? "").trim();
+  if (!query) {
+    return res.status(400).json({ error: "q is required." });
+  }
+  if (query.length > SEARCH_QUERY_MAX_CHARS) {
+    return res.status(400).json({ error: `q must be at most ${SEARCH_QUERY_MAX_CHARS} characters.` });
+  }
+
+  const requestedLimit = Number(req.query.limit ?? 20);
+  const limit = Math.min(50, Math.max(1, Number.isFinite(requestedLimit) ? requestedLimit : 20));
+  const hits = searchConversations(query, limit);
+  return res.json({ query, hits });
+});
+
+app.get("/api/knowledge", (req, res) => {
+  const itemType = String(req.query.type ?? "").trim();
+  if (itemType && !KNOWLEDGE_ITEM_TYPES.includes(itemType)) {
+    return res.status(400).json({ error: `type must be one of: ${KNOWLEDGE_ITEM_TYPES.join(", ")}.` });
+  }
+  const conversationId = req.query.conversationId === undefined ? "" : sanitizeConversationId(req.query.conversationId);
+  if (req.query.conversationId !== undefined && !conversationId) {
+    return res.status(400).json({ error: "Invalid conversation id." });
+  }
+
+  const requestedLimit = Number(req.query.limit ?? 50);
+  const limit = Math.min(200, Math.max(1, Number.isFinite(requestedLimit) ? requestedLimit : 50));
+  const items = listKnowledgeItems({ itemType, conversationId, limit });
+  return res.json({ items });
+});
+
+app.delete("/api/knowledge/:itemId", (req, res) => {
+  const itemId = Number(req.params.itemId);
+  const item = Number.isSafeInteger(itemId) && itemId > 0 ? getKnowledgeItem(itemId) : null;
+  if (!item) {
+    return res.status(404).json({ error: "Knowledge item not found." });
+  }
+
+  deleteKnowledgeItem(itemId);
+  return res.json({ ok: true, itemId });
+});
+
+app.get("/api/compare", (req, res) => {
+  const leftId = sanitizeConversationId(req.query.left);
+  const rightId = sanitizeConversationId(req.query.right);
+  if (!leftId || !rightId) {
+    return res.status(400).json({ error: "Both left and right conversation ids are required." });
+  }
+  if (leftId === rightId) {
+    return res.status(400).json({ error: "Pick two different conversations to compare." });
+  }
+  const leftConversation = getConversation(leftId);
+  const rightConversation = getConversation(rightId);
+  if (!leftConversation || !rightConversation) {
+    return res.status(404).json({ error: "Conversation not found." });
+  }
+
+  const left = analyzeConversation(leftId, leftConversation);
+  const right = analyzeConversation(rightId, rightConversation);
+  const forkPoint = findCommonForkPoint(conversationLineagePath(leftId), conversationLineagePath(rightId));
+  const forkFromTurn = Math.min(forkPoint.forkFromTurn, left.transcript.length, right.transcript.length);
+  const { turns, truncated } = alignTranscripts(left.transcript, right.transcript, {
+    fromTurn: forkFromTurn,
+    limit: COMPARE_TURN_LIMIT
+  });
+  const side = (conversationId, conversation, analysis) => ({
+    conversationId,
+    ...conversationMetaPayload(conversation),
+    totalTurns: analysis.transcript.length,
+    score: analysis.score
+  });
+
+  return res.json({
+    left: side(leftId, leftConversation, left),
+    right: side(rightId, rightConversation, right),
+    related: Boolean(forkPoint.commonAncestorId),
+    commonAncestorId: forkPoint.commonAncestorId,
+    forkFromTurn,
+    turns,
+    truncated,
+    insights: compareInsights(left.insights, right.insights),
+    scoreDelta: scoreDelta(left.score, right.score)
+  });
+});
+
+app.get("/api/jobs/:jobId", (req, res) => {
+  const jobId = sanitizeConversationId(req.params.jobId);
+  const job = jobId ? getGenerationJob(jobId) : null;
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+
+  return res.json({ job: generationJobPayload(job) });
+});
+
+app.get("/api/conversation/:id/jobs", (req, res) => {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId, conversation } = resolved;
+
+  return res.json(
+    withConversationMeta(conversationId, conversation, {
+      jobs: listConversationJobs(conversationId).map(generationJobPayload)
+    })
+  );
+});
+
+app.get("/api/modes", (req, res) => {
+  return res.json({ modes: listDiscoveryModeProfiles() });
+});
+
+app.post("/api/modes", (req, res) => {
+  const parsed = parseDiscoveryModeInput(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const mode = saveDiscoveryMode(parsed.mode);
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", "discovery_mode.saved", { requestId: getRequestId(req), modeId: mode.id });
+  }
+  return res.json({ mode });
+});
+
+app.delete("/api/modes/:modeId", (req, res) => {
+  const modeId = sanitizeDiscoveryModeId(req.params.modeId);
+  if (modeId && isBuiltInDiscoveryMode(modeId)) {
+    return res.status(400).json({ error: "Built-in modes cannot be deleted." });
+  }
+  if (!modeId || !removeDiscoveryMode(modeId)) {
+    return res.status(404).json({ error: "Mode not found." });
+  }
+
+  return res.json({ ok: true, modeId });
+});
+
 app.delete("/api/conversations", (req, res) => {
   const deletedCount = clearConversations();
   return res.json({ ok: true, deletedCount });
@@ -3208,8 +5686,96 @@ app.delete("/api/conversation/:id", (req, res) => {
   return res.json({ ok: true, conversationId });
 });
 
+async function runLabVariant(
+  variant,
+  { topic, baseTitle, sourceTranscript, parentConversationId, forkFromTurn, turns, requestId, cancellation }
+) {
+  const { mode, agents, brief } = variant;
+  const conversationId = randomUUID();
+  createConversation(conversationId, topic, {
+    parentConversationId,
+    forkFromTurn: Number.isFinite(forkFromTurn) ? forkFromTurn : null
+  });
+  updateConversationMeta(conversationId, {
+    title: variantTitle(baseTitle || topic, variant.label),
+    starred: false,
+    mode
+  });
+  upsertConversationBrief(conversationId, brief);
+  upsertConversationAgents(conversationId, agents);
+
+  const seedTranscript = cloneTranscriptEntries(sourceTranscript);
+  if (seedTranscript.length) {
+    insertMessages(conversationId, seedTranscript);
+  }
+
+  await bootstrapMemoryIfNeeded({
+    conversationId,
+    topic,
+    transcript: seedTranscript,
+    client,
+    model,
+    onUsage: createUsageRecorder(conversationId, { provider: llmProvider }).record
+  });
+
+  const memoryBefore = getCompressedMemory(conversationId, agentMemoryOptions(agents));
+  const transcript = getMessages(conversationId);
+  const batch = await runConversationBatch({
+    conversationId,
+    topic,
+    mode,
+    brief,
+    agents,
+    transcript,
+    turns,
+    memory: memoryBefore,
+    requestId,
+    cancellation
+  });
+
+  const conversation = getConversation(conversationId);
+  const { insights, score } = analyzeConversation(conversationId, conversation, brief);
+
+  return {
+    conversationId,
+    topic,
+    title: conversation?.title || variantTitle(baseTitle || topic, variant.label),
+    starred: Boolean(conversation?.starred),
+    mode,
+    variant: {
+      index: variant.index,
+      label: variant.label,
+      mode,
+      rosterIndex: variant.rosterIndex,
+      model: variant.model,
+      temperature: variant.temperature,
+      briefIndex: variant.briefIndex
+    },
+    parentConversationId: conversation?.parentConversationId || null,
+    forkFromTurn: Number.isFinite(conversation?.forkFromTurn) ? conversation.forkFromTurn : null,
+    addedTurns: batch.newEntries.length,
+    totalTurns: batch.totalTurns,
+    stopReason: batch.stopReason,
+    quality: batch.qualitySummary,
+    usage: batch.usage,
+    references: batch.references,
+    memory: batch.memoryStats,
+    insights,
+    score
+  };
+}
+
 app.post("/api/conversation/lab", async (req, res) => {
   const requestId = getRequestId(req);
+  // Variants run inside this request, so a client that goes away stops the batches in flight and
+  // the variants not started yet. As on /stream, only a response closed before it finished counts.
+  const cancellation = createCancellationController("cancelled");
+  req.once("aborted", () => cancellation.cancel());
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      cancellation.cancel();
+    }
+  });
   try {
     const baseConversationId = sanitizeConversationId(req.body?.conversationId);
     const requestedTopic = sanitizeTopic(req.body?.topic);
@@ -3217,6 +5783,11 @@ app.post("/api/conversation/lab", async (req, res) => {
     const requestedAgents = parseAgentConfigFromBody(req.body);
     const requestedMeta = parseConversationMetaFromBody(req.body);
     const turns = parseLabTurns(req.body?.turns);
+    const matrix = parseLabMatrix(req.body);
+    if (matrix.error) {
+      return res.status(400).json({ error: matrix.error });
+    }
+    const concurrency = parseLabConcurrency(req.body?.concurrency);
     const shouldUpdateBrief = hasBriefPayload(req.body);
     const shouldUpdateAgents = hasAgentPayload(req.body);
 
@@ -3228,7 +5799,8 @@ app.post("/api/conversation/lab", async (req, res) => {
       : {
           objective: "",
           constraintsText: "",
-          doneCriteria: ""
+          doneCriteria: "",
+          budget: parseBriefBudget(null)
         };
     let agents = shouldUpdateAgents
       ? mergeAgentConfig(mapStoredAgents([]), requestedAgents)
@@ -3266,111 +5838,327 @@ app.post("/api/conversation/lab", async (req, res) => {
       return res.status(400).json({ error: "Topic is required." });
     }
 
+    const variants = matrix.variants.map((cell, index) =>
+      buildLabVariant(cell, index, { agents, brief, axisSizes: matrix.axisSizes })
+    );
+
     if (LOG_CONVERSATION_EVENTS) {
       logEvent("info", "conversation.lab.start", {
         requestId,
         baseConversationId: baseConversationId || null,
         topic,
+        modes: matrix.modes,
+        variants: variants.length,
+        concurrency,
         turnsPerMode: turns
       });
     }
 
-    const runs = [];
-    for (const mode of DISCOVERY_LAB_MODES) {
-      const conversationId = randomUUID();
-      createConversation(conversationId, topic, {
-        parentConversationId,
-        forkFromTurn: Number.isFinite(forkFromTurn) ? forkFromTurn : null
-      });
-      updateConversationMeta(conversationId, {
-        title: modeTitle(baseTitle || topic, mode),
-        starred: false,
-        mode
+    const runs = await runWithConcurrency(variants, concurrency, async (variant) => {
+      if (cancellation.isCancelled()) {
+        return null;
+      }
+      try {
+        return await runLabVariant(variant, {
+          topic,
+          baseTitle,
+          sourceTranscript,
+          parentConversationId,
+          forkFromTurn,
+          turns,
+          requestId,
+          cancellation
+        });
+      } catch (error) {
+        // One failed variant should not throw away the rest of the experiment.
+        logError("error", "conversation.lab.variant_failed", error, { requestId, variant: variant.label });
+        return {
+          mode: variant.mode,
+          variant: { index: variant.index, label: variant.label, mode: variant.mode },
+          error: "Variant run failed."
+        };
+      }
+    });
+    if (cancellation.isCancelled()) {
+      logEvent("info", "conversation.lab.client_closed", {
+        requestId,
+        completedVariants: runs.filter((run) => run && !run.error).length,
+        variants: variants.length
       });
-      upsertConversationBrief(conversationId, brief);
-      upsertConversationAgents(conversationId, agents);
+      return;
+    }
 
-      const seedTranscript = cloneTranscriptEntries(sourceTranscript);
-      if (seedTranscript.length) {
-        insertMessages(conversationId, seedTranscript);
+    return res.json({
+      topic,
+      modes: matrix.modes,
+      turnsPerMode: turns,
+      concurrency,
+      baseConversationId: sourceConversation?.id || null,
+      runs,
+      ranking: rankLabRuns(runs)
+    });
+  } catch (error) {
+    logError("error", "conversation.lab.failed", error, { requestId });
+    return res.status(500).json({ error: "Failed to run discovery lab." });
+  }
+});
+
+function buildStreamMeta({ conversationId, topic, title, starred, mode, brief, agents, memory }) {
+  return {
+    type: "meta",
+    conversationId,
+    topic,
+    title,
+    starred,
+    mode,
+    brief,
+    agents,
+    engine: getEngineLabel(agents),
+    memory: memory.stats,
+    charter: DISCUSSION_CHARTER,
+    guardrails: {
+      moderatorInterval: MODERATOR_INTERVAL,
+      maxGenerationMs: MAX_GENERATION_MS,
+      maxRepetitionStreak: MAX_REPETITION_STREAK,
+      quality: {
+        minWords: QUALITY_MIN_WORDS,
+        maxSimilarity: QUALITY_MAX_SIMILARITY,
+        minTopicCoverage: QUALITY_MIN_TOPIC_COVERAGE,
+        retryLimit: QUALITY_RETRY_LIMIT
+      },
+      evaluator: {
+        enabled: EVALUATOR_LOOP_ENABLED,
+        retryLimit: EVALUATOR_RETRY_LIMIT,
+        ...modeEvaluatorThresholds(mode)
+      },
+      citations: {
+        enabled: modeRequiresCitations(mode) && CITATION_RETRIEVAL_ENABLED,
+        provider: "wikipedia+duckduckgo",
+        maxReferences: CITATION_MAX_REFERENCES,
+        refreshInterval: CITATION_REFRESH_INTERVAL
+      },
+      tools: {
+        roomContext: true,
+        webSearch: AGENT_WEB_TOOL_ENABLED && resolveDiscoveryMode(mode).retrievalPolicy !== "none",
+        webSearchMaxReferences: AGENT_WEB_TOOL_MAX_REFERENCES,
+        webSearchRefreshInterval: AGENT_WEB_TOOL_REFRESH_INTERVAL
+      },
+      streaming: {
+        enabled: TURN_STREAMING_ENABLED,
+        source: agents.some((agent) => resolveAgentModelRoute(agent).client) ? "model" : "rechunked",
+        chunkSize: TURN_STREAM_CHUNK_SIZE,
+        delayMs: TURN_STREAM_DELAY_MS
       }
+    }
+  };
+}
 
-      await bootstrapMemoryIfNeeded({
-        conversationId,
-        topic,
-        transcript: seedTranscript,
-        client,
-        model
-      });
+// Starts a streamed batch in the background. Every chunk goes to the conversation's event log and the
+// transports (NDJSON, SSE, WebSocket) only subscribe to it, so the run outlives any one client.
+// `attach` subscribes the starting client before the batch begins, so it also sees transient chunks.
+function startStreamRun(setup, { requestId, transport, cancellation = null, attach = null }) {
+  const { conversationId, topic, title, starred, mode, brief, agents, transcript, turns, memory } = setup;
+  const eventLog = openRunEventLog(conversationId, requestId, buildStreamMeta(setup));
+  attach?.(eventLog);
 
-      const memoryBefore = getCompressedMemory(conversationId);
-      const transcript = getMessages(conversationId);
-      const batch = await runConversationBatch({
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", "conversation.stream.start", {
+      requestId,
+      conversationId,
+      transport,
+      mode,
+      requestedTurns: turns,
+      existingTurns: transcript.length
+    });
+  }
+
+  const completion = runConversationBatch({
+    conversationId,
+    topic,
+    mode,
+    brief,
+    agents,
+    transcript,
+    turns,
+    memory,
+    writeChunk: eventLog.append,
+    requestId,
+    cancellation
+  })
+    .then((batch) => {
+      eventLog.append({
+        type: "done",
         conversationId,
         topic,
+        title,
+        starred,
         mode,
         brief,
         agents,
-        transcript,
-        turns,
-        memory: memoryBefore,
-        requestId
-      });
-
-      const conversation = getConversation(conversationId);
-      const memory = getCompressedMemory(conversationId);
-      const insights = buildInsightSnapshot({
-        topic,
-        brief,
-        mode,
-        memory
-      });
-
-      runs.push({
-        conversationId,
-        topic,
-        title: conversation?.title || modeTitle(baseTitle || topic, mode),
-        starred: Boolean(conversation?.starred),
-        mode,
-        parentConversationId: conversation?.parentConversationId || null,
-        forkFromTurn: Number.isFinite(conversation?.forkFromTurn) ? conversation.forkFromTurn : null,
-        addedTurns: batch.newEntries.length,
+        turns: batch.newEntries.length,
         totalTurns: batch.totalTurns,
         stopReason: batch.stopReason,
-        quality: batch.qualitySummary,
-        references: batch.references,
         memory: batch.memoryStats,
-        insights
+        quality: batch.qualitySummary,
+        usage: batch.usage,
+        budget: batch.budget,
+        references: batch.references
       });
+      if (LOG_CONVERSATION_EVENTS) {
+        logEvent(batch.stopReason === "max_turns" ? "info" : "warn", "conversation.stream.complete", {
+          requestId,
+          conversationId,
+          addedTurns: batch.newEntries.length,
+          totalTurns: batch.totalTurns,
+          stopReason: batch.stopReason
+        });
+      }
+      return batch;
+    })
+    .catch((error) => {
+      if (!isAbortError(error)) {
+        logError("error", "conversation.stream.failed", error, { requestId, conversationId });
+      }
+      eventLog.append({ type: "error", error: "Failed to generate conversation." });
+      return null;
+    })
+    .finally(() => closeRunEventLog(eventLog));
+
+  return { eventLog, completion };
+}
+
+function logStreamChunk(payload, { requestId, conversationId, transport }) {
+  if (!LOG_STREAM_CHUNKS) {
+    return;
+  }
+  logEvent("debug", "conversation.stream.chunk", {
+    requestId,
+    conversationId,
+    transport,
+    type: payload?.type,
+    seq: payload?.seq ?? null,
+    turn: payload?.turn || payload?.entry?.turn || null,
+    textChars: typeof payload?.text === "string" ? payload.text.length : payload?.entry?.text?.length || 0
+  });
+}
+
+// Clients opt into Server-Sent Events with `Accept: text/event-stream`; NDJSON stays the default.
+function wantsEventStream(req) {
+  return req.accepts(["application/x-ndjson", "text/event-stream"]) === "text/event-stream";
+}
+
+// Sets the response up as NDJSON or SSE and returns the chunk writer plus a cleanup for the SSE
+// keepalive. SSE events carry the chunk type as `event` and, for replayable chunks, `seq` as `id`,
+// so EventSource reconnects resume from Last-Event-ID on their own.
+function openStreamResponse(res, { requestId, conversationId, sse }) {
+  res.setHeader("Content-Type", sse ? "text/event-stream; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  if (sse) {
+    res.setHeader("X-Accel-Buffering", "no");
+  }
+  if (typeof res.flushHeaders === "function") {
+    res.flushHeaders();
+  }
+
+  const context = { requestId, conversationId, transport: sse ? "sse" : "ndjson" };
+  const writeChunk = (payload) => {
+    if (res.writableEnded || res.destroyed) {
+      return;
+    }
+    if (sse) {
+      const id = Number.isInteger(payload?.seq) ? `id: ${payload.seq}\n` : "";
+      res.write(`${id}event: ${payload?.type || "message"}\ndata: ${JSON.stringify(payload)}\n\n`);
+    } else {
+      res.write(`${JSON.stringify(payload)}\n`);
     }
+    logStreamChunk(payload, context);
+  };
 
-    return res.json({
-      topic,
-      turnsPerMode: turns,
-      baseConversationId: sourceConversation?.id || null,
-      runs
-    });
-  } catch (error) {
-    logError("error", "conversation.lab.failed", error, { requestId });
-    return res.status(500).json({ error: "Failed to run discovery lab." });
+  // Comment lines keep idle proxies from closing the connection while a run is paused or slow.
+  const keepalive = sse
+    ? setInterval(() => {
+        if (!res.writableEnded && !res.destroyed) {
+          res.write(": keepalive\n\n");
+        }
+      }, STREAM_KEEPALIVE_MS)
+    : null;
+  keepalive?.unref();
+  res.once("close", () => clearInterval(keepalive));
+
+  return writeChunk;
+}
+
+function endStreamResponse(res) {
+  if (!res.writableEnded && !res.destroyed) {
+    res.end();
   }
-});
+}
+
+// Sends buffered events after `after`, then live events until the run finishes. Returns a function
+// that detaches the client without touching the run.
+function followRunEventLog(log, send, { after = null, onFinish = () => {} } = {}) {
+  for (const event of log.since(after).events) {
+    send(event);
+  }
+  if (log.finished) {
+    onFinish();
+    return () => {};
+  }
+  return log.subscribe((event) => {
+    if (event) {
+      send(event);
+    } else {
+      onFinish();
+    }
+  });
+}
+
+function buildAttachChunk(log, after) {
+  return {
+    type: "attach",
+    conversationId: log.conversationId,
+    requestId: log.requestId,
+    running: !log.finished,
+    paused: Boolean(getActiveRun(log.conversationId)?.paused),
+    lastSeq: log.lastSeq,
+    truncated: log.since(after).truncated
+  };
+}
+
+function parseEventCursor(value) {
+  if (value === undefined || value === null || value === "") {
+    return { after: null };
+  }
+  const after = Number(value);
+  if (!Number.isInteger(after) || after < 0) {
+    return { error: "after must be a non-negative integer." };
+  }
+  return { after };
+}
 
 app.post("/api/conversation/stream", async (req, res) => {
   const requestId = getRequestId(req);
-  const cancellation = createCancellationController("client_abort");
+  const sse = wantsEventStream(req);
+  let detach = () => {};
+  let eventLog = null;
+  // The run belongs to the server once it starts: a client that goes away only stops receiving
+  // events and can reattach with GET /api/conversation/:id/stream. req "close" fires as soon as the
+  // request body is consumed, so only a response closed before it finished writing counts.
   const onClientDisconnect = () => {
-    const alreadyCancelled = cancellation.isCancelled();
-    cancellation.cancel("client_abort");
-    if (!alreadyCancelled && LOG_CONVERSATION_EVENTS) {
-      logEvent("info", "conversation.stream.client_disconnected", {
+    detach();
+    if (eventLog && !eventLog.finished && LOG_CONVERSATION_EVENTS) {
+      logEvent("info", "conversation.stream.client_detached", {
         requestId
       });
     }
   };
   req.once("aborted", onClientDisconnect);
-  req.once("close", onClientDisconnect);
-  res.once("close", onClientDisconnect);
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      onClientDisconnect();
+    }
+  });
   try {
     const setup = await resolveConversation(req.body);
     if (setup.error) {
@@ -3382,142 +6170,22 @@ app.post("/api/conversation/stream", async (req, res) => {
       return res.status(setup.status).json({ error: setup.error });
     }
 
-    const { conversationId, topic, title, starred, mode, brief, agents, transcript, turns, memory } = setup;
-
-    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
-    if (typeof res.flushHeaders === "function") {
-      res.flushHeaders();
-    }
-
-    if (LOG_CONVERSATION_EVENTS) {
-      logEvent("info", "conversation.stream.start", {
+    const { conversationId } = setup;
+    try {
+      const writeChunk = openStreamResponse(res, { requestId, conversationId, sse });
+      startStreamRun(setup, {
         requestId,
-        conversationId,
-        mode,
-        requestedTurns: turns,
-        existingTurns: transcript.length
-      });
-    }
-
-    const writeChunk = (payload) => {
-      if (cancellation.isCancelled() || res.writableEnded || res.destroyed) {
-        return;
-      }
-      res.write(`${JSON.stringify(payload)}\n`);
-      if (LOG_STREAM_CHUNKS) {
-        logEvent("debug", "conversation.stream.chunk", {
-          requestId,
-          conversationId,
-          type: payload?.type,
-          turn: payload?.turn || payload?.entry?.turn || null,
-          textChars: typeof payload?.text === "string" ? payload.text.length : payload?.entry?.text?.length || 0
-        });
-      }
-    };
-
-    writeChunk({
-      type: "meta",
-      conversationId,
-      topic,
-      title,
-      starred,
-      mode,
-      brief,
-      agents,
-      engine: getEngineLabel(),
-      memory: memory.stats,
-      charter: DISCUSSION_CHARTER,
-      guardrails: {
-        moderatorInterval: MODERATOR_INTERVAL,
-        maxGenerationMs: MAX_GENERATION_MS,
-        maxRepetitionStreak: MAX_REPETITION_STREAK,
-        quality: {
-          minWords: QUALITY_MIN_WORDS,
-          maxSimilarity: QUALITY_MAX_SIMILARITY,
-          minTopicCoverage: QUALITY_MIN_TOPIC_COVERAGE,
-          retryLimit: QUALITY_RETRY_LIMIT
-        },
-        evaluator: {
-          enabled: EVALUATOR_LOOP_ENABLED,
-          retryLimit: EVALUATOR_RETRY_LIMIT,
-          minOverall: EVALUATOR_MIN_OVERALL,
-          minNovelty: EVALUATOR_MIN_NOVELTY,
-          minCoherence: EVALUATOR_MIN_COHERENCE,
-          minEvidence: EVALUATOR_MIN_EVIDENCE
-        },
-        citations: {
-          enabled: mode === "debate" && CITATION_RETRIEVAL_ENABLED,
-          provider: "wikipedia+duckduckgo",
-          maxReferences: CITATION_MAX_REFERENCES,
-          refreshInterval: CITATION_REFRESH_INTERVAL
-        },
-        tools: {
-          roomContext: true,
-          webSearch: AGENT_WEB_TOOL_ENABLED,
-          webSearchMaxReferences: AGENT_WEB_TOOL_MAX_REFERENCES,
-          webSearchRefreshInterval: AGENT_WEB_TOOL_REFRESH_INTERVAL
-        },
-        streaming: {
-          enabled: TURN_STREAMING_ENABLED,
-          chunkSize: TURN_STREAM_CHUNK_SIZE,
-          delayMs: TURN_STREAM_DELAY_MS
+        transport: sse ? "sse" : "ndjson",
+        attach: (log) => {
+          eventLog = log;
+          writeChunk(log.meta);
+          detach = followRunEventLog(log, writeChunk, { onFinish: () => endStreamResponse(res) });
         }
-      }
-    });
-
-    const batch = await runConversationBatch({
-      conversationId,
-      topic,
-      mode,
-      brief,
-      agents,
-      transcript,
-      turns,
-      memory,
-      writeChunk,
-      requestId,
-      cancellation
-    });
-
-    if (!cancellation.isCancelled()) {
-      writeChunk({
-        type: "done",
-        conversationId,
-        topic,
-        title,
-        starred,
-        mode,
-        brief,
-        agents,
-        turns: batch.newEntries.length,
-        totalTurns: batch.totalTurns,
-        stopReason: batch.stopReason,
-        memory: batch.memoryStats,
-        quality: batch.qualitySummary,
-        references: batch.references
-      });
-    }
-    if (LOG_CONVERSATION_EVENTS) {
-      logEvent(batch.stopReason === "max_turns" ? "info" : "warn", "conversation.stream.complete", {
-        requestId,
-        conversationId,
-        addedTurns: batch.newEntries.length,
-        totalTurns: batch.totalTurns,
-        stopReason: batch.stopReason
       });
-    }
-    if (!res.writableEnded && !res.destroyed) {
-      res.end();
+    } finally {
+      setup.releaseClaim();
     }
   } catch (error) {
-    if (cancellation.isCancelled() || isAbortError(error)) {
-      if (!res.writableEnded && !res.destroyed) {
-        res.end();
-      }
-      return;
-    }
     logError("error", "conversation.stream.failed", error, { requestId });
     if (res.headersSent) {
       res.write(`${JSON.stringify({ type: "error", error: "Failed to generate conversation." })}\n`);
@@ -3528,10 +6196,56 @@ app.post("/api/conversation/stream", async (req, res) => {
   }
 });
 
+// Reattaches to the conversation's latest run: `attach`, `meta`, buffered events after the cursor,
+// then live events. The SSE variant also honours Last-Event-ID from EventSource reconnects.
+function attachRunStream(req, res, { sse }) {
+  const resolved = resolveConversationFromParams(req, res);
+  if (!resolved) {
+    return;
+  }
+  const { conversationId } = resolved;
+
+  const cursor = parseEventCursor(req.query.after ?? (sse ? req.headers["last-event-id"] : undefined));
+  if (cursor.error) {
+    return res.status(400).json({ error: cursor.error });
+  }
+  const { after } = cursor;
+
+  const log = runEventLogs.get(conversationId);
+  if (!log) {
+    return res.status(404).json({ error: "No run to attach to for this conversation." });
+  }
+
+  const requestId = getRequestId(req);
+  const writeChunk = openStreamResponse(res, { requestId, conversationId, sse });
+  writeChunk(buildAttachChunk(log, after));
+  if (log.meta) {
+    writeChunk(log.meta);
+  }
+  const detach = followRunEventLog(log, writeChunk, { after, onFinish: () => endStreamResponse(res) });
+  res.once("close", detach);
+  if (LOG_CONVERSATION_EVENTS) {
+    logEvent("info", "conversation.stream.attach", {
+      requestId,
+      conversationId,
+      transport: sse ? "sse" : "ndjson",
+      runRequestId: log.requestId,
+      after,
+      running: !log.finished
+    });
+  }
+}
+
+app.get("/api/conversation/:id/stream", (req, res) => attachRunStream(req, res, { sse: wantsEventStream(req) }));
+
+app.get("/api/conversation/:id/events", (req, res) => attachRunStream(req, res, { sse: true }));
+
 app.post("/api/conversation", async (req, res) => {
   const requestId = getRequestId(req);
+  let releaseClaim = () => {};
   try {
-    const setup = await resolveConversation(req.body);
+    const runAsync = req.body?.async === true;
+    const setup = await resolveConversation(req.body, { maxTurns: runAsync ? JOB_MAX_TURNS : 10 });
     if (setup.error) {
       logEvent("warn", "conversation.invalid_request", {
         requestId,
@@ -3542,6 +6256,30 @@ app.post("/api/conversation", async (req, res) => {
     }
 
     const { conversationId, topic, title, starred, mode, brief, agents, transcript, turns, memory } = setup;
+    releaseClaim = setup.releaseClaim;
+    if (runAsync) {
+      const job = insertGenerationJob({
+        id: randomUUID(),
+        conversationId,
+        requestedTurns: turns,
+        startTurns: transcript.length,
+        requestId
+      });
+      releaseClaim();
+      generationJobWorker.wake();
+      return res.status(202).json({
+        conversationId,
+        topic,
+        title,
+        starred,
+        mode,
+        brief,
+        agents,
+        totalTurns: transcript.length,
+        engine: getEngineLabel(agents),
+        job: generationJobPayload(job)
+      });
+    }
     if (LOG_CONVERSATION_EVENTS) {
       logEvent("info", "conversation.request.start", {
         requestId,
@@ -3551,7 +6289,7 @@ app.post("/api/conversation", async (req, res) => {
         existingTurns: transcript.length
       });
     }
-    const batch = await runConversationBatch({
+    const batchRun = runConversationBatch({
       conversationId,
       topic,
       mode,
@@ -3562,6 +6300,9 @@ app.post("/api/conversation", async (req, res) => {
       memory,
       requestId
     });
+    // The run is registered as soon as the batch starts.
+    releaseClaim();
+    const batch = await batchRun;
 
     return res.json({
       conversationId,
@@ -3574,13 +6315,16 @@ app.post("/api/conversation", async (req, res) => {
       turns: batch.newEntries.length,
       totalTurns: batch.totalTurns,
       stopReason: batch.stopReason,
-      engine: getEngineLabel(),
+      engine: getEngineLabel(agents),
       transcript: batch.newEntries,
       memory: batch.memoryStats,
       quality: batch.qualitySummary,
+      usage: batch.usage,
+      budget: batch.budget,
       references: batch.references
     });
   } catch (error) {
+    releaseClaim();
     logError("error", "conversation.request.failed", error, { requestId });
     return res.status(500).json({ error: "Failed to generate conversation." });
   }
@@ -3614,9 +6358,193 @@ app.all("*", (req, res, next) => {
   return nextHandler(req, res);
 });
 
+// Conversation socket: one WebSocket carries the same chunks as the stream routes and takes control
+// messages, so a client can start or attach to a run and steer it without extra requests.
+// Client messages are JSON objects with a `type`:
+//   start            same body as POST /api/conversation/stream
+//   attach           { conversationId, after }
+//   cancel | pause | resume
+//   inject_turn      { text, name }   same as POST /api/conversation/:id/message
+//   change_directive { directive }    same as POST /api/conversation/:id/directive
+// Controls target the socket's current conversation unless they name a `conversationId`. Each one is
+// answered with `ack` or `error` (both echo `action`).
+const CONVERSATION_SOCKET_PATH = "/api/conversation/ws";
+const conversationSockets = new WebSocketServer({ noServer: true, maxPayload: 32 * 1024 });
+
+function getUpgradeClientKey(req) {
+  const forwarded = TRUST_PROXY ? String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() : "";
+  return forwarded || String(req.socket?.remoteAddress || "unknown");
+}
+
+// Upgrades skip the Express middleware, so the write-route rules are applied here: the socket can
+// start and steer runs just like the POST routes.
+function refuseSocketUpgrade(req) {
+  if (consumeRateLimit(getUpgradeClientKey(req), apiRateState, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_WINDOW_MS) !== null) {
+    return 429;
+  }
+  if (CSRF_PROTECTION) {
+    const forwardedProto = TRUST_PROXY ? String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() : "";
+    const protocol = forwardedProto || (req.socket?.encrypted ? "https" : "http");
+    if (checkWriteOrigin(req.headers.origin, normalizeOrigin(`${protocol}://${req.headers.host || ""}`))) {
+      return 403;
+    }
+  }
+  if (API_WRITE_TOKEN && !hasWriteToken(req.headers)) {
+    return 401;
+  }
+  return null;
+}
+
+const SOCKET_CONTROLS = {
+  cancel: (conversationId, conversation, message, requestId) => cancelConversationRun(conversationId, requestId),
+  pause: (conversationId, conversation, message, requestId) => setConversationRunPaused(conversationId, true, requestId),
+  resume: (conversationId, conversation, message, requestId) => setConversationRunPaused(conversationId, false, requestId),
+  inject_turn: (conversationId, conversation, message) => addHumanMessage(conversationId, conversation, message),
+  change_directive: (conversationId, conversation, message, requestId) =>
+    changeConversationRunDirective(conversationId, message.directive, requestId)
+};
+
+conversationSockets.on("connection", (socket, req) => {
+  const clientKey = getUpgradeClientKey(req);
+  let currentConversationId = "";
+  let detach = () => {};
+
+  const send = (payload) => {
+    if (socket.readyState !== socket.OPEN) {
+      return;
+    }
+    socket.send(JSON.stringify(payload));
+    logStreamChunk(payload, { requestId: null, conversationId: currentConversationId, transport: "websocket" });
+  };
+  const refuse = (action, status, error) => send({ type: "error", action, status, error });
+
+  // Switches the socket to another run; the previous run keeps going without this client.
+  const follow = (log, after = null) => {
+    detach();
+    currentConversationId = log.conversationId;
+    detach = followRunEventLog(log, send, { after });
+  };
+
+  const handleMessage = async (message) => {
+    const action = String(message.type || "");
+    const requestId = randomUUID();
+    if (consumeRateLimit(clientKey, apiRateState, RATE_LIMIT_MAX_REQUESTS, RATE_LIMIT_WINDOW_MS) !== null) {
+      return refuse(action, 429, "Rate limit exceeded. Slow down and try again shortly.");
+    }
+
+    if (action === "start") {
+      if (
+        consumeRateLimit(clientKey, generationRateState, GENERATION_LIMIT_MAX_REQUESTS, RATE_LIMIT_WINDOW_MS) !== null
+      ) {
+        return refuse(action, 429, "Rate limit exceeded. Slow down and try again shortly.");
+      }
+      const setup = await resolveConversation(message);
+      if (setup.error) {
+        return refuse(action, setup.status, setup.error);
+      }
+      try {
+        startStreamRun(setup, {
+          requestId,
+          transport: "websocket",
+          attach: (log) => {
+            detach();
+            currentConversationId = log.conversationId;
+            send(log.meta);
+            detach = followRunEventLog(log, send);
+          }
+        });
+      } finally {
+        setup.releaseClaim();
+      }
+      return;
+    }
+
+    const conversationId = sanitizeConversationId(message.conversationId) || currentConversationId;
+    if (!conversationId) {
+      return refuse(action, 400, "Start or attach to a conversation first.");
+    }
+    const conversation = getConversation(conversationId);
+    if (!conversation) {
+      return refuse(action, 404, "Conversation not found.");
+    }
+
+    if (action === "attach") {
+      const cursor = parseEventCursor(message.after);
+      if (cursor.error) {
+        return refuse(action, 400, cursor.error);
+      }
+      const log = runEventLogs.get(conversationId);
+      if (!log) {
+        return refuse(action, 404, "No run to attach to for this conversation.");
+      }
+      send(buildAttachChunk(log, cursor.after));
+      if (log.meta) {
+        send(log.meta);
+      }
+      follow(log, cursor.after);
+      return;
+    }
+
+    const control = SOCKET_CONTROLS[action];
+    if (!control) {
+      return refuse(action, 400, "Unknown message type.");
+    }
+    const result = await control(conversationId, conversation, message, requestId);
+    if (result.error) {
+      return refuse(action, result.status, result.error);
+    }
+    return send({ type: "ack", action, conversationId, ...result.payload });
+  };
+
+  socket.on("message", (data, isBinary) => {
+    let message = null;
+    try {
+      message = isBinary ? null : JSON.parse(String(data));
+    } catch {
+      message = null;
+    }
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      refuse("", 400, "Messages must be JSON objects.");
+      return;
+    }
+    handleMessage(message).catch((error) => {
+      logError("error", "conversation.socket.failed", error, { conversationId: currentConversationId });
+      refuse(String(message.type || ""), 500, "Socket request failed.");
+    });
+  });
+  socket.on("close", () => detach());
+  socket.on("error", () => detach());
+});
+
+// Routes upgrade requests on `server`: the conversation socket is handled here, anything else (the
+// Next dev overlay's HMR socket) goes to `fallback` when given.
+function attachConversationSockets(server, fallback = null) {
+  server.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url || "/", "http://localhost");
+    if (pathname !== CONVERSATION_SOCKET_PATH) {
+      if (fallback) {
+        fallback(req, socket, head);
+      } else {
+        socket.destroy();
+      }
+      return;
+    }
+
+    const refusal = refuseSocketUpgrade(req);
+    if (refusal) {
+      socket.end(`HTTP/1.1 ${refusal} ${STATUS_CODES[refusal]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+      return;
+    }
+    conversationSockets.handleUpgrade(req, socket, head, (client) => {
+      conversationSockets.emit("connection", client, req);
+    });
+  });
+  return server;
+}
+
 async function startServer() {
   await nextApp.prepare();
-  app.listen(port, () => {
+  const server = app.listen(port, () => {
     logEvent("info", "server.started", {
       port,
       url: `http://localhost:${port}`,
@@ -3636,9 +6564,23 @@ async function startServer() {
       streamChunks: LOG_STREAM_CHUNKS
     });
   });
+  attachConversationSockets(server, nextApp.getUpgradeHandler());
+  resumeGenerationJobs();
 }
 
-startServer().catch((error) => {
-  logError("error", "server.start.failed", error);
-  process.exit(1);
-});
+// Jobs interrupted by a restart go back to the queue and resume from their last persisted turn.
+// Only the entry point calls this, so importing the app never starts work left in the database.
+function resumeGenerationJobs() {
+  return generationJobWorker.resume();
+}
+
+// Tests import the Express app directly and listen on an ephemeral port without Next.
+const isEntryPoint = path.resolve(process.argv[1] || "") === __filename;
+if (isEntryPoint) {
+  startServer().catch((error) => {
+    logError("error", "server.start.failed", error);
+    process.exit(1);
+  });
+}
+
+export { app, attachConversationSockets, resumeGenerationJobs };
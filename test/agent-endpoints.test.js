@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+// A stand-in OpenAI-compatible endpoint that records which key reached which path.
+const TOPIC = "Pairing agent endpoints with their own keys";
+const seen = [];
+let stub;
+let stubUrl;
+let server;
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      seen.push({ path: req.url, authorization: req.headers.authorization || "" });
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(
+        JSON.stringify({
+          id: "cmpl",
+          object: "chat.completion",
+          model: "stub-model",
+          choices: [
+            {
+              index: 0,
+              message: {
+                role: "assistant",
+                content: "Pairing agent endpoints with their own keys keeps every secret scoped to one host."
+              },
+              finish_reason: "stop"
+            }
+          ]
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  stubUrl = `http://127.0.0.1:${stub.address().port}`;
+
+  server = await startTestServer({
+    OPENAI_API_KEY: "default-secret",
+    OPENAI_BASE_URL: `${stubUrl}/default/v1`,
+    OPENAI_MODEL: "gpt-4.1-mini",
+    PAIRED_API_KEY: "paired-secret",
+    STRIPE_API_KEY: "stripe-secret",
+    AGENT_BASE_URL_ALLOWLIST: `${stubUrl}/paired/v1=PAIRED_API_KEY, ${stubUrl}/keyless/v1`
+  });
+});
+
+after(async () => {
+  await server.close();
+  await new Promise((resolve) => stub.close(resolve));
+});
+
+function keysSentTo(prefix) {
+  const requests = seen.filter((request) => request.path.startsWith(prefix));
+  return [...new Set(requests.map((request) => request.authorization))];
+}
+
+describe("per-agent endpoints", () => {
+  test("drops key env names that are not paired with the agent's endpoint", async () => {
+    const response = await server.request("/api/conversation", {
+      method: "POST",
+      body: {
+        topic: TOPIC,
+        turns: 2,
+        agents: [
+          { id: "agent-a", baseUrl: `${stubUrl}/paired/v1/`, apiKeyEnv: "STRIPE_API_KEY" },
+          { id: "agent-b", baseUrl: `${stubUrl}/paired/v1`, apiKeyEnv: "OPENAI_API_KEY" }
+        ]
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.agents.map((agent) => [agent.baseUrl, agent.apiKeyEnv]),
+      [
+        [`${stubUrl}/paired/v1`, ""],
+        [`${stubUrl}/paired/v1`, ""]
+      ]
+    );
+    assert.deepEqual(keysSentTo("/paired/"), ["Bearer paired-secret"]);
+    assert.ok(seen.every((request) => !/stripe-secret/.test(request.authorization)));
+  });
+
+  test("keeps the key env paired with the endpoint", async () => {
+    const response = await server.request("/api/conversation", {
+      method: "POST",
+      body: { topic: TOPIC, agents: [{ id: "agent-a", baseUrl: `${stubUrl}/paired/v1`, apiKeyEnv: "PAIRED_API_KEY" }] }
+    });
+    assert.equal(response.body.agents[0].apiKeyEnv, "PAIRED_API_KEY");
+  });
+
+  test("never sends the default key to another endpoint", async () => {
+    seen.length = 0;
+    const response = await server.request("/api/conversation", {
+      method: "POST",
+      body: {
+        topic: TOPIC,
+        turns: 2,
+        agents: [{ id: "agent-a", baseUrl: `${stubUrl}/keyless/v1` }]
+      }
+    });
+
+    assert.equal(response.status, 200);
+    // Without a key for that endpoint the agent speaks from the local generator.
+    assert.match(response.body.engine, /Atlas: local/);
+    assert.deepEqual(keysSentTo("/keyless/"), []);
+    assert.ok(seen.every((request) => request.path.startsWith("/default/")));
+  });
+
+  test("drops a key env sent with another endpoint's URL", async () => {
+    const created = await server.request("/api/conversation", { method: "POST", body: { topic: TOPIC } });
+    const response = await server.request(`/api/conversation/${created.body.conversationId}/agents`, {
+      method: "POST",
+      body: {
+        agents: [
+          { id: "agent-a", baseUrl: `${stubUrl}/default/v1`, apiKeyEnv: "PAIRED_API_KEY" },
+          { id: "agent-b", baseUrl: `${stubUrl}/keyless/v1`, apiKeyEnv: "OPENAI_API_KEY" },
+          { id: "agent-c", baseUrl: "https://unlisted.example/v1", apiKeyEnv: "PAIRED_API_KEY" }
+        ]
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.agents.map((agent) => [agent.baseUrl, agent.apiKeyEnv]),
+      [
+        [`${stubUrl}/default/v1`, ""],
+        [`${stubUrl}/keyless/v1`, ""],
+        ["", ""]
+      ]
+    );
+  });
+
+  test("allowlists only the configured provider's endpoint and the operator's list", async () => {
+    const created = await server.request("/api/conversation", { method: "POST", body: { topic: TOPIC } });
+    const response = await server.request(`/api/conversation/${created.body.conversationId}/agents`, {
+      method: "POST",
+      body: {
+        agents: [
+          { id: "agent-a", provider: "anthropic", baseUrl: "https://api.anthropic.com", apiKeyEnv: "OPENAI_API_KEY" },
+          { id: "agent-b", provider: "ollama", baseUrl: "http://127.0.0.1:11434", apiKeyEnv: "OPENAI_API_KEY" }
+        ]
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.agents.map((agent) => [agent.provider, agent.baseUrl, agent.apiKeyEnv]),
+      [
+        ["anthropic", "", ""],
+        ["ollama", "", ""]
+      ]
+    );
+  });
+});
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Rolling out schema changes without downtime";
+
+let server;
+let request;
+let db;
+
+before(async () => {
+  server = await startTestServer();
+  request = server.request;
+  db = await import("../db.js");
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function createConversation(turns = 2) {
+  const response = await request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns } });
+  assert.equal(response.status, 200);
+  return response.body.conversationId;
+}
+
+async function say(conversationId, text) {
+  const response = await request(`/api/conversation/${conversationId}/message`, { method: "POST", body: { text } });
+  assert.equal(response.status, 200);
+  return response.body.entry;
+}
+
+async function fork(conversationId, turn) {
+  const response = await request(`/api/conversation/${conversationId}/fork`, { method: "POST", body: { turn } });
+  assert.equal(response.status, 200);
+  return response.body.conversationId;
+}
+
+describe("POST /api/conversation/:id/merge", () => {
+  test("writes a merge turn and carries decisions back, recording contradictions as conflicts", async () => {
+    const parent = await createConversation(2);
+    await say(parent, "We agreed to run online schema migrations with ghost tooling for large tables.");
+    const child = await fork(parent, 3);
+    await say(child, "We should never run online schema migrations with ghost tooling for large tables.");
+    await say(child, "We will ship blue green deployments behind a feature flag.");
+
+    const merged = await request(`/api/conversation/${child}/merge`, { method: "POST" });
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.conversationId, parent);
+    assert.equal(merged.body.mergedConversationId, child);
+    assert.equal(merged.body.forkFromTurn, 3);
+    assert.equal(merged.body.branchTurns, 2);
+    assert.equal(merged.body.mergeTurn, 4);
+    assert.equal(merged.body.totalTurns, 4);
+    assert.equal(merged.body.entry.speakerId, "merge");
+    assert.match(merged.body.entry.text, /^Merged branch/);
+
+    assert.ok(merged.body.imported.some((item) => /blue green deployments/i.test(item.text)));
+    assert.ok(!merged.body.imported.some((item) => /never run online schema/i.test(item.text)));
+    const conflict = merged.body.conflicts.find((item) => /never run online schema/i.test(item.itemB));
+    assert.ok(conflict);
+    assert.match(conflict.itemA, /agreed to run online schema/i);
+
+    const ledger = db.getConflictLedger(parent, 50);
+    assert.ok(ledger.some((item) => item.issueKey === conflict.issueKey));
+    const semantic = db.getTopSemanticItems(parent, 100);
+    assert.ok(semantic.some((item) => item.itemType === "decision" && /blue green/.test(item.canonicalText)));
+
+    const stored = await request(`/api/conversation/${parent}`);
+    assert.equal(stored.body.transcript[3].speaker, "Merge");
+
+    const tree = await request(`/api/conversation/${parent}/tree`);
+    assert.equal(tree.body.tree.children[0].mergedAtTurn, 4);
+
+    const merges = await request(`/api/conversation/${child}/merges`);
+    assert.equal(merges.body.merges.length, 1);
+    assert.equal(merges.body.merges[0].parentConversationId, parent);
+    assert.equal(merges.body.merges[0].conflictCount, merged.body.conflicts.length);
+  });
+
+  test("merge notes do not shift the agent rotation", async () => {
+    const parent = await createConversation(2);
+    const child = await fork(parent, 2);
+    await say(child, "We will cut over reads once the backfill has caught up.");
+    assert.equal((await request(`/api/conversation/${child}/merge`, { method: "POST" })).status, 200);
+
+    const continued = await request("/api/conversation", {
+      method: "POST",
+      body: { conversationId: parent, turns: 2 }
+    });
+    assert.deepEqual(
+      continued.body.transcript.map((entry) => entry.speakerId),
+      ["agent-a", "agent-b"]
+    );
+  });
+
+  test("keeps merged items through parent rebuilds and refuses a merge with nothing new", async () => {
+    const parent = await createConversation(2);
+    const child = await fork(parent, 2);
+    await say(child, "We will ship blue green deployments behind a feature flag.");
+    const merged = await request(`/api/conversation/${child}/merge`, { method: "POST" });
+    assert.equal(merged.status, 200);
+    const findMerged = () =>
+      db.getSemanticItem(parent, "decision", "we will ship blue green deployments behind a feature flag");
+    assert.equal(findMerged().curated, true);
+
+    const again = await request(`/api/conversation/${child}/merge`, { method: "POST" });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "Nothing new to merge since this fork was last merged.");
+    assert.equal((await request(`/api/conversation/${parent}`)).body.transcript.length, 3);
+
+    // Editing a parent turn rebuilds its memory from the transcript; the merged decision stays.
+    await request(`/api/conversation/${parent}/turns/1/edit`, {
+      method: "POST",
+      body: { text: "Expand-and-contract migrations keep old readers working." }
+    });
+    assert.ok(findMerged());
+
+    // New decisions in the fork can still be merged.
+    await say(child, "We will drop the legacy column after one full release cycle.");
+    const next = await request(`/api/conversation/${child}/merge`, { method: "POST" });
+    assert.equal(next.status, 200);
+    assert.ok(next.body.imported.some((entry) => /legacy column/.test(entry.text)));
+  });
+
+  test("rejects conversations without a parent or without branch turns", async () => {
+    const parent = await createConversation(2);
+    const notFork = await request(`/api/conversation/${parent}/merge`, { method: "POST" });
+    assert.equal(notFork.status, 400);
+    assert.equal(notFork.body.error, "Only forked conversations can be merged into a parent.");
+
+    const child = await fork(parent, 2);
+    const empty = await request(`/api/conversation/${child}/merge`, { method: "POST" });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, "The fork has no turns after its fork point.");
+  });
+});
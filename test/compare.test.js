@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { diffWords, findCommonForkPoint } from "../branchCompare.js";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Sharding a write-heavy event store";
+
+describe("branch comparison helpers", () => {
+  test("diffWords marks removed and added runs around shared words", () => {
+    assert.deepEqual(diffWords("shard by tenant id now", "shard by event time now"), [
+      { type: "same", text: "shard by" },
+      { type: "removed", text: "tenant id" },
+      { type: "added", text: "event time" },
+      { type: "same", text: "now" }
+    ]);
+    assert.deepEqual(diffWords("", "new text"), [{ type: "added", text: "new text" }]);
+  });
+
+  test("findCommonForkPoint uses the smallest fork turn below the common ancestor", () => {
+    const root = { id: "root", forkFromTurn: null };
+    const child = { id: "child", forkFromTurn: 6 };
+    const grandchild = { id: "grandchild", forkFromTurn: 4 };
+    const sibling = { id: "sibling", forkFromTurn: 5 };
+
+    assert.deepEqual(findCommonForkPoint([root, child, grandchild], [root, sibling]), {
+      commonAncestorId: "root",
+      forkFromTurn: 4
+    });
+    assert.deepEqual(findCommonForkPoint([root, child], [root, child, grandchild]), {
+      commonAncestorId: "child",
+      forkFromTurn: 4
+    });
+    assert.deepEqual(findCommonForkPoint([root], [{ id: "other", forkFromTurn: null }]), {
+      commonAncestorId: null,
+      forkFromTurn: 0
+    });
+  });
+});
+
+describe("GET /api/compare", () => {
+  let server;
+  let request;
+
+  before(async () => {
+    server = await startTestServer();
+    request = server.request;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  async function createConversation(turns) {
+    const response = await request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns } });
+    assert.equal(response.status, 200);
+    return response.body.conversationId;
+  }
+
+  async function say(conversationId, text) {
+    const response = await request(`/api/conversation/${conversationId}/message`, { method: "POST", body: { text } });
+    assert.equal(response.status, 200);
+  }
+
+  test("aligns two forks from their shared turn and reports diverging insights", async () => {
+    const base = await createConversation(2);
+    const forks = [];
+    for (let index = 0; index < 2; index += 1) {
+      const fork = await request(`/api/conversation/${base}/fork`, { method: "POST", body: { turn: 2 } });
+      forks.push(fork.body.conversationId);
+    }
+    const [left, right] = forks;
+    await say(left, "We agreed to shard by tenant id to keep writes local.");
+    await say(right, "We agreed to shard by event time to keep scans cheap.");
+    await say(right, "How do we rebalance hot partitions?");
+
+    const response = await request(`/api/compare?left=${left}&right=${right}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.related, true);
+    assert.equal(response.body.commonAncestorId, base);
+    assert.equal(response.body.forkFromTurn, 2);
+    assert.equal(response.body.left.conversationId, left);
+    assert.equal(response.body.right.totalTurns, 4);
+
+    const [third, fourth] = response.body.turns;
+    assert.equal(third.turn, 3);
+    assert.equal(third.identical, false);
+    assert.ok(third.diff.some((segment) => segment.type === "removed" && segment.text.includes("tenant")));
+    assert.ok(third.diff.some((segment) => segment.type === "added" && segment.text.includes("event time")));
+    assert.equal(fourth.left, null);
+    assert.equal(fourth.diff, null);
+
+    assert.ok(response.body.insights.decisions.leftOnly.some((line) => line.includes("tenant id")));
+    assert.ok(response.body.insights.decisions.rightOnly.some((line) => line.includes("event time")));
+    assert.ok(response.body.insights.openQuestions.rightOnly.some((line) => line.includes("rebalance")));
+    assert.equal(typeof response.body.scoreDelta.overall, "number");
+    assert.equal(typeof response.body.scoreDelta.components.decisionMomentum, "number");
+  });
+
+  test("compares a parent against its fork from the fork turn", async () => {
+    const parent = await createConversation(4);
+    const fork = await request(`/api/conversation/${parent}/fork`, { method: "POST", body: { turn: 3 } });
+
+    const response = await request(`/api/compare?left=${parent}&right=${fork.body.conversationId}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.commonAncestorId, parent);
+    assert.equal(response.body.forkFromTurn, 3);
+    assert.deepEqual(
+      response.body.turns.map((row) => [row.turn, Boolean(row.left), Boolean(row.right)]),
+      [[4, true, false]]
+    );
+  });
+
+  test("validates the pair of ids", async () => {
+    const id = await createConversation(2);
+    assert.equal((await request(`/api/compare?left=${id}`)).status, 400);
+    assert.equal((await request(`/api/compare?left=${id}&right=${id}`)).status, 400);
+    const missing = await request(`/api/compare?left=${id}&right=00000000-0000-4000-8000-000000000000`);
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+// A stand-in model endpoint that can hold memory extraction replies, which keeps a start request
+// suspended while it prepares the conversation, before its run exists.
+const TOPIC = "Scheduling database maintenance windows";
+let holdExtraction = null;
+let extractionHeld = null;
+let stub;
+let server;
+
+function completion(content) {
+  return JSON.stringify({
+    id: "cmpl",
+    object: "chat.completion",
+    model: "stub-model",
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }]
+  });
+}
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      const body = JSON.parse(raw);
+      res.writeHead(200, { "content-type": "application/json" });
+      if (/Extract durable semantic memory/.test(body.messages[0].content)) {
+        if (holdExtraction) {
+          extractionHeld?.();
+          await holdExtraction;
+        }
+        return res.end(completion('{"items":[]}'));
+      }
+      return res.end(
+        completion("Database maintenance windows should follow the lowest write traffic hour, measured per region.")
+      );
+    });
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+
+  server = await startTestServer({
+    OPENAI_API_KEY: "test-key",
+    OPENAI_BASE_URL: `http://127.0.0.1:${stub.address().port}/v1`,
+    OPENAI_MODEL: "gpt-4.1-mini",
+    MEMORY_EXTRACTION_MODE: "llm"
+  });
+});
+
+after(async () => {
+  await server.close();
+  await new Promise((resolve) => stub.close(resolve));
+});
+
+test("a start rejected while another is preparing leaves the brief and agents unchanged", async () => {
+  const created = await server.request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+  assert.equal(created.status, 200);
+  const { conversationId } = created.body;
+
+  // The model extracted nothing, so every start re-runs extraction while preparing memory.
+  let release;
+  holdExtraction = new Promise((resolve) => {
+    release = resolve;
+  });
+  const held = new Promise((resolve) => {
+    extractionHeld = resolve;
+  });
+  const first = server.request("/api/conversation", {
+    method: "POST",
+    body: {
+      conversationId,
+      turns: 1,
+      objective: "Pick the window from write traffic",
+      agents: [{ id: "agent-a", name: "Planner" }]
+    }
+  });
+  await held;
+
+  const second = await server.request("/api/conversation", {
+    method: "POST",
+    body: {
+      conversationId,
+      turns: 1,
+      objective: "Overwrite the objective",
+      agents: [{ id: "agent-a", name: "Intruder" }]
+    }
+  });
+  holdExtraction = null;
+  release();
+
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error, "A run is starting for this conversation.");
+  const firstResponse = await first;
+  assert.equal(firstResponse.status, 200);
+  assert.equal(firstResponse.body.brief.objective, "Pick the window from write traffic");
+
+  const stored = await server.request(`/api/conversation/${conversationId}`);
+  assert.equal(stored.body.brief.objective, "Pick the window from write traffic");
+  assert.equal(stored.body.agents.find((agent) => agent.agentId === "agent-a").name, "Planner");
+
+  // The claim is gone once the run finished.
+  const next = await server.request("/api/conversation", { method: "POST", body: { conversationId, turns: 1 } });
+  assert.equal(next.status, 200);
+});
@@ -0,0 +1,395 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Designing a resilient cache invalidation strategy";
+const UNKNOWN_ID = "00000000-0000-4000-8000-000000000000";
+
+let server;
+let request;
+
+before(async () => {
+  server = await startTestServer();
+  request = server.request;
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function createConversation(turns = 4, extra = {}) {
+  const response = await request("/api/conversation", {
+    method: "POST",
+    body: { topic: TOPIC, turns, ...extra }
+  });
+  assert.equal(response.status, 200);
+  return response.body;
+}
+
+describe("POST /api/conversation", () => {
+  test("runs the offline engine and alternates speakers", async () => {
+    const body = await createConversation(4);
+    assert.match(body.conversationId, /^[a-f0-9-]{36}$/);
+    assert.equal(body.topic, TOPIC);
+    assert.equal(body.engine, "Local fallback generator");
+    assert.equal(body.turns, 4);
+    assert.equal(body.totalTurns, 4);
+    assert.deepEqual(
+      body.transcript.map((entry) => entry.speakerId),
+      ["agent-a", "agent-b", "agent-a", "agent-b"]
+    );
+    assert.deepEqual(
+      body.transcript.map((entry) => entry.turn),
+      [1, 2, 3, 4]
+    );
+    assert.equal(body.quality.byAgent.length, 2);
+  });
+
+  test("continues an existing conversation", async () => {
+    const first = await createConversation(2);
+    const second = await request("/api/conversation", {
+      method: "POST",
+      body: { conversationId: first.conversationId, turns: 2 }
+    });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.conversationId, first.conversationId);
+    assert.equal(second.body.totalTurns, 4);
+    assert.deepEqual(
+      second.body.transcript.map((entry) => entry.turn),
+      [3, 4]
+    );
+  });
+
+  test("rejects a request without a topic", async () => {
+    const response = await request("/api/conversation", { method: "POST", body: {} });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Topic is required.");
+  });
+
+  test("rejects malformed JSON", async () => {
+    const response = await fetch(`${server.baseUrl}/api/conversation`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{not json"
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: "Invalid JSON payload." });
+  });
+});
+
+describe("GET /api/conversation/:id", () => {
+  test("returns the stored transcript and memory stats", async () => {
+    const created = await createConversation(2);
+    const response = await request(`/api/conversation/${created.conversationId}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.totalTurns, 2);
+    assert.equal(response.body.transcript.length, 2);
+    assert.equal(response.body.agents.length, 2);
+    assert.equal(typeof response.body.memory.tokenCount, "number");
+    assert.equal(response.body.parentConversationId, null);
+  });
+
+  test("validates ids and reports missing conversations", async () => {
+    assert.equal((await request("/api/conversation/bad%20id!")).status, 400);
+    const missing = await request(`/api/conversation/${UNKNOWN_ID}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "Conversation not found.");
+  });
+});
+
+describe("conversation metadata and brief", () => {
+  test("updates title, star and mode", async () => {
+    const created = await createConversation(2);
+    const response = await request(`/api/conversation/${created.conversationId}/meta`, {
+      method: "POST",
+      body: { title: "Cache plan", starred: true, mode: "debate" }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.title, "Cache plan");
+    assert.equal(response.body.starred, true);
+    assert.equal(response.body.mode, "debate");
+
+    const listed = await request("/api/conversations?limit=100");
+    const row = listed.body.conversations.find((item) => item.id === created.conversationId);
+    assert.ok(row);
+    assert.equal(row.title, "Cache plan");
+    assert.equal(row.starred, true);
+  });
+
+  test("patches the brief without clearing other fields", async () => {
+    const created = await createConversation(2);
+    const route = `/api/conversation/${created.conversationId}/brief`;
+    await request(route, { method: "POST", body: { objective: "Pick an invalidation scheme" } });
+    const patched = await request(route, { method: "POST", body: { doneCriteria: "A rollout plan exists" } });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.brief.objective, "Pick an invalidation scheme");
+    assert.equal(patched.body.brief.doneCriteria, "A rollout plan exists");
+
+    const fetched = await request(route);
+    assert.equal(fetched.status, 200);
+    assert.deepEqual(fetched.body.brief, patched.body.brief);
+  });
+});
+
+describe("room agents", () => {
+  test("updates, adds and removes agents", async () => {
+    const created = await createConversation(2);
+    const route = `/api/conversation/${created.conversationId}/agents`;
+
+    const renamed = await request(route, {
+      method: "POST",
+      body: { agents: [{ id: "agent-a", name: "Ada", persona: "A careful reviewer of failure modes." }] }
+    });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.agents.find((agent) => agent.agentId === "agent-a").name, "Ada");
+
+    const added = await request(`${route}/add`, { method: "POST", body: { name: "Cleo" } });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.agentId, "agent-c");
+    assert.equal(added.body.agents.length, 3);
+
+    const duplicate = await request(`${route}/add`, { method: "POST", body: { id: "agent-c" } });
+    assert.equal(duplicate.status, 400);
+
+    const listed = await request(route);
+    assert.deepEqual(
+      listed.body.agents.map((agent) => agent.agentId),
+      ["agent-a", "agent-b", "agent-c"]
+    );
+
+    const removed = await request(`${route}/agent-b`, { method: "DELETE" });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(
+      removed.body.agents.map((agent) => agent.agentId),
+      ["agent-a", "agent-c"]
+    );
+
+    assert.equal((await request(`${route}/agent-b`, { method: "DELETE" })).status, 404);
+    const belowMinimum = await request(`${route}/agent-c`, { method: "DELETE" });
+    assert.equal(belowMinimum.status, 400);
+  });
+
+  test("rotates through every seat in a three-agent room", async () => {
+    const body = await createConversation(6, {
+      agents: [
+        { id: "agent-a", name: "Atlas" },
+        { id: "agent-b", name: "Nova" },
+        { id: "agent-c", name: "Cleo", persona: "An operator focused on rollout risk." }
+      ]
+    });
+    assert.deepEqual(
+      body.transcript.map((entry) => entry.speakerId),
+      ["agent-a", "agent-b", "agent-c", "agent-a", "agent-b", "agent-c"]
+    );
+  });
+});
+
+describe("POST /api/conversation/:id/message", () => {
+  test("appends a human turn when no run is active", async () => {
+    const created = await createConversation(2);
+    const response = await request(`/api/conversation/${created.conversationId}/message`, {
+      method: "POST",
+      body: { text: "What about write-through caches?", name: "Sam" }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.queued, false);
+    assert.equal(response.body.entry.turn, 3);
+    assert.equal(response.body.entry.speakerId, "human");
+    assert.equal(response.body.entry.speaker, "Sam");
+
+    const fetched = await request(`/api/conversation/${created.conversationId}`);
+    assert.equal(fetched.body.transcript.at(-1).text, "What about write-through caches?");
+  });
+
+  test("requires message text", async () => {
+    const created = await createConversation(2);
+    const response = await request(`/api/conversation/${created.conversationId}/message`, {
+      method: "POST",
+      body: { text: "   " }
+    });
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("analysis routes", () => {
+  test("memory, insights, discoveries, citations and score respond for a conversation", async () => {
+    const created = await createConversation(4);
+    const base = `/api/conversation/${created.conversationId}`;
+
+    const memory = await request(`${base}/memory`);
+    assert.equal(memory.status, 200);
+    assert.ok(Array.isArray(memory.body.memory.tokens));
+    assert.ok(memory.body.memory.tokens.length > 0);
+    assert.deepEqual(Object.keys(memory.body.memory.tierSummaries), ["micro", "meso", "macro"]);
+    assert.ok(memory.body.memory.stats.embeddingCount >= 4);
+    assert.equal(memory.body.retrieved.queryTurn, 4);
+
+    const insights = await request(`${base}/insights`);
+    assert.equal(insights.status, 200);
+    assert.equal(insights.body.mode, "exploration");
+    assert.ok(insights.body.insights);
+
+    const discoveries = await request(`${base}/discoveries`);
+    assert.equal(discoveries.status, 200);
+    assert.ok(discoveries.body.discoveries);
+
+    const citations = await request(`${base}/citations`);
+    assert.equal(citations.status, 200);
+    assert.deepEqual(citations.body.citations.stats, { sourceCount: 0, claimCount: 0, confidenceAvg: 0 });
+
+    const score = await request(`${base}/score`);
+    assert.equal(score.status, 200);
+    assert.ok(score.body.score);
+
+    for (const suffix of ["memory", "insights", "discoveries", "citations", "score", "brief", "agents"]) {
+      const missing = await request(`/api/conversation/${UNKNOWN_ID}/${suffix}`);
+      assert.equal(missing.status, 404, suffix);
+    }
+  });
+});
+
+describe("fork and lab flows", () => {
+  test("forks a conversation at a turn", async () => {
+    const created = await createConversation(4);
+    await request(`/api/conversation/${created.conversationId}/brief`, {
+      method: "POST",
+      body: { objective: "Keep reads fresh" }
+    });
+
+    const fork = await request(`/api/conversation/${created.conversationId}/fork`, {
+      method: "POST",
+      body: { turn: 2 }
+    });
+    assert.equal(fork.status, 200);
+    assert.notEqual(fork.body.conversationId, created.conversationId);
+    assert.equal(fork.body.parentConversationId, created.conversationId);
+    assert.equal(fork.body.forkFromTurn, 2);
+    assert.equal(fork.body.totalTurns, 2);
+    assert.deepEqual(
+      fork.body.transcript.map((entry) => entry.text),
+      created.transcript.slice(0, 2).map((entry) => entry.text)
+    );
+    assert.equal(fork.body.brief.objective, "Keep reads fresh");
+    assert.match(fork.body.title, /\(Fork\)$/);
+
+    const stored = await request(`/api/conversation/${fork.body.conversationId}`);
+    assert.equal(stored.body.parentConversationId, created.conversationId);
+    assert.equal(stored.body.forkFromTurn, 2);
+  });
+
+  test("clamps the fork turn to the transcript length", async () => {
+    const created = await createConversation(2);
+    const fork = await request(`/api/conversation/${created.conversationId}/fork`, {
+      method: "POST",
+      body: { turn: 99 }
+    });
+    assert.equal(fork.status, 200);
+    assert.equal(fork.body.forkFromTurn, 2);
+  });
+
+  test("runs one branch per discovery mode from a base conversation", async () => {
+    const created = await createConversation(2);
+    const lab = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { conversationId: created.conversationId, turns: 2 }
+    });
+    assert.equal(lab.status, 200);
+    assert.equal(lab.body.baseConversationId, created.conversationId);
+    assert.deepEqual(
+      lab.body.runs.map((run) => run.mode),
+      ["exploration", "debate", "synthesis"]
+    );
+    for (const run of lab.body.runs) {
+      assert.equal(run.parentConversationId, created.conversationId);
+      assert.equal(run.forkFromTurn, 2);
+      assert.equal(run.addedTurns, 2);
+      assert.equal(run.totalTurns, 4);
+    }
+  });
+
+  test("lab requires a topic or an existing conversation", async () => {
+    assert.equal((await request("/api/conversation/lab", { method: "POST", body: {} })).status, 400);
+    const missing = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { conversationId: UNKNOWN_ID }
+    });
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe("GET /api/conversation/:id/tree", () => {
+  async function fork(conversationId, turn) {
+    const response = await request(`/api/conversation/${conversationId}/fork`, { method: "POST", body: { turn } });
+    assert.equal(response.status, 200);
+    return response.body.conversationId;
+  }
+
+  test("returns the whole fork family with fork points and scores", async () => {
+    const root = (await createConversation(4)).conversationId;
+    const child = await fork(root, 2);
+    const sibling = await fork(root, 3);
+    const grandchild = await fork(child, 1);
+
+    const response = await request(`/api/conversation/${grandchild}/tree`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.conversationId, grandchild);
+    assert.equal(response.body.rootConversationId, root);
+    assert.deepEqual(response.body.ancestorIds, [root, child]);
+    assert.equal(response.body.nodeCount, 4);
+    assert.equal(response.body.truncated, false);
+
+    const { tree } = response.body;
+    assert.equal(tree.conversationId, root);
+    assert.equal(tree.totalTurns, 4);
+    assert.equal(tree.forkFromTurn, null);
+    assert.equal(tree.onPath, true);
+    assert.equal(typeof tree.score.overall, "number");
+    assert.deepEqual(tree.children.map((node) => node.conversationId).sort(), [child, sibling].sort());
+
+    const childNode = tree.children.find((node) => node.conversationId === child);
+    assert.equal(childNode.forkFromTurn, 2);
+    assert.equal(childNode.totalTurns, 2);
+    assert.equal(childNode.onPath, true);
+    assert.equal(childNode.children[0].conversationId, grandchild);
+    assert.equal(childNode.children[0].current, true);
+    assert.equal(childNode.children[0].depth, 2);
+    const siblingNode = tree.children.find((node) => node.conversationId === sibling);
+    assert.equal(siblingNode.onPath, false);
+    // Only the path and the current conversation's neighbours are scored.
+    assert.equal(siblingNode.score, null);
+    assert.equal(typeof childNode.children[0].score.overall, "number");
+
+    const fromRoot = await request(`/api/conversation/${root}/tree`);
+    assert.ok(fromRoot.body.tree.children.every((node) => typeof node.score.overall === "number"));
+  });
+
+  test("a fork whose parent was deleted becomes the root", async () => {
+    const root = (await createConversation(2)).conversationId;
+    const child = await fork(root, 1);
+    await request(`/api/conversation/${root}`, { method: "DELETE" });
+
+    const response = await request(`/api/conversation/${child}/tree`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.rootConversationId, child);
+    assert.deepEqual(response.body.ancestorIds, []);
+    assert.equal(response.body.tree.children.length, 0);
+  });
+});
+
+describe("deleting conversations", () => {
+  test("deletes one conversation, then all of them", async () => {
+    const created = await createConversation(2);
+    const removed = await request(`/api/conversation/${created.conversationId}`, { method: "DELETE" });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(removed.body, { ok: true, conversationId: created.conversationId });
+    assert.equal((await request(`/api/conversation/${created.conversationId}`)).status, 404);
+    assert.equal((await request(`/api/conversation/${created.conversationId}`, { method: "DELETE" })).status, 404);
+
+    await createConversation(2);
+    const cleared = await request("/api/conversations", { method: "DELETE" });
+    assert.equal(cleared.status, 200);
+    assert.equal(cleared.body.ok, true);
+    assert.ok(cleared.body.deletedCount >= 1);
+    assert.deepEqual((await request("/api/conversations")).body.conversations, []);
+  });
+});
@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Launching a payments feature in a new market";
+
+const PREMORTEM = {
+  id: "premortem",
+  hint: "In premortem mode, assume the plan already failed and work backwards to the most likely causes.",
+  defaultDirective: "Name the most likely cause of failure and the earliest signal that would reveal it.",
+  nextStep: "List the top failure cause and assign an owner to watch its early signal.",
+  moderatorRules: ["Push agents to name concrete failure causes rather than generic risks."],
+  evaluator: { minNovelty: 0.3, minOverall: 5 },
+  retrievalPolicy: "none"
+};
+
+let server;
+let request;
+
+before(async () => {
+  server = await startTestServer();
+  request = server.request;
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe("/api/modes", () => {
+  test("lists built-in modes and stores custom ones", async () => {
+    const initial = await request("/api/modes");
+    assert.equal(initial.status, 200);
+    assert.deepEqual(
+      initial.body.modes.map((mode) => mode.id),
+      ["exploration", "debate", "synthesis"]
+    );
+    assert.equal(initial.body.modes[1].retrievalPolicy, "citations");
+
+    const saved = await request("/api/modes", { method: "POST", body: PREMORTEM });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.mode.label, "Premortem");
+    assert.equal(saved.body.mode.builtIn, false);
+    assert.deepEqual(saved.body.mode.evaluator, { minNovelty: 0.3, minOverall: 0.9 });
+    assert.equal(saved.body.mode.moderatorDirective, PREMORTEM.defaultDirective);
+
+    const listed = await request("/api/modes");
+    assert.ok(listed.body.modes.some((mode) => mode.id === "premortem"));
+  });
+
+  test("rejects invalid definitions and built-in ids", async () => {
+    const builtIn = await request("/api/modes", { method: "POST", body: { ...PREMORTEM, id: "debate" } });
+    assert.equal(builtIn.status, 400);
+    assert.equal(builtIn.body.error, "Built-in modes cannot be changed.");
+
+    const badId = await request("/api/modes", { method: "POST", body: { ...PREMORTEM, id: "Red Team!" } });
+    assert.equal(badId.status, 400);
+
+    const missingHint = await request("/api/modes", { method: "POST", body: { id: "socratic", defaultDirective: "Ask." } });
+    assert.equal(missingHint.status, 400);
+
+    const badPolicy = await request("/api/modes", {
+      method: "POST",
+      body: { ...PREMORTEM, id: "red-team", retrievalPolicy: "everything" }
+    });
+    assert.equal(badPolicy.status, 400);
+
+    const deleteBuiltIn = await request("/api/modes/synthesis", { method: "DELETE" });
+    assert.equal(deleteBuiltIn.status, 400);
+  });
+
+  test("custom modes are selectable through conversation meta and drive insights", async () => {
+    await request("/api/modes", { method: "POST", body: PREMORTEM });
+    const created = await request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+    const conversationId = created.body.conversationId;
+
+    const unknown = await request(`/api/conversation/${conversationId}/meta`, {
+      method: "POST",
+      body: { mode: "socratic" }
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, "Unknown discovery mode.");
+
+    const selected = await request(`/api/conversation/${conversationId}/meta`, {
+      method: "POST",
+      body: { mode: "premortem" }
+    });
+    assert.equal(selected.status, 200);
+    assert.equal(selected.body.mode, "premortem");
+
+    const insights = await request(`/api/conversation/${conversationId}/insights`);
+    assert.equal(insights.body.mode, "premortem");
+    assert.ok(insights.body.insights.nextSteps.includes(PREMORTEM.nextStep));
+  });
+
+  test("lab runs accept custom modes and deleted modes fall back to exploration", async () => {
+    await request("/api/modes", { method: "POST", body: PREMORTEM });
+    const lab = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { topic: TOPIC, turns: 2, modes: ["premortem", "debate", "premortem"] }
+    });
+    assert.equal(lab.status, 200);
+    assert.deepEqual(lab.body.modes, ["premortem", "debate"]);
+    assert.match(lab.body.runs[0].title, /\(Premortem\)$/);
+    assert.equal(lab.body.runs[0].addedTurns, 2);
+
+    const unknown = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { topic: TOPIC, turns: 2, modes: ["socratic"] }
+    });
+    assert.equal(unknown.status, 400);
+
+    for (const id of ["red-team", "steelman", "five-whys"]) {
+      assert.equal((await request("/api/modes", { method: "POST", body: { ...PREMORTEM, id } })).status, 200);
+    }
+    const tooMany = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { topic: TOPIC, turns: 2, modes: ["exploration", "debate", "synthesis", "premortem", "red-team", "steelman", "five-whys"] }
+    });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.error, "Lab runs support at most 6 modes.");
+
+    const removed = await request("/api/modes/premortem", { method: "DELETE" });
+    assert.equal(removed.status, 200);
+    assert.equal((await request("/api/modes/premortem", { method: "DELETE" })).status, 404);
+
+    const insights = await request(`/api/conversation/${lab.body.runs[0].conversationId}/insights`);
+    assert.equal(insights.body.mode, "exploration");
+  });
+});
@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, before, describe, test } from "node:test";
+import { parseNdjson, startTestServer } from "./helpers.js";
+
+// Replays model runs recorded with LLM_FIXTURE_MODE=record against an OpenAI-compatible stub. The
+// primary model answered 404 "does not exist" and the fallback rejected every non-default
+// temperature, so each recorded call goes primary -> fallback -> fallback without temperature. A
+// request that drifts from the recording has no fixture, and the turn falls back to local text.
+// Re-record after changing any prompt, with the same env as below plus a key and OPENAI_BASE_URL.
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "llm");
+const ROLLOUT_TOPIC = "Rolling out blue green deployments for the billing service";
+const DIGEST_TOPIC = "Capping model spend for nightly research digests";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    LLM_FIXTURE_MODE: "replay",
+    LLM_FIXTURE_DIR: FIXTURE_DIR,
+    OPENAI_MODEL: "gpt-4.1-retired",
+    OPENAI_FALLBACK_MODEL: "gpt-4.1-mini",
+    MODERATOR_INTERVAL: "2",
+    EVALUATOR_LOOP_ENABLED: "false",
+    MEMORY_EXTRACTION_MODE: "llm"
+  });
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function streamRun(body) {
+  const response = await server.request("/api/conversation/stream", { method: "POST", body });
+  assert.equal(response.status, 200);
+  const events = parseNdjson(response.text);
+  return { events, done: events.at(-1), ofType: (type) => events.filter((event) => event.type === type) };
+}
+
+function componentCalls(usage) {
+  return Object.fromEntries(usage.byComponent.map((item) => [item.component, item.calls]));
+}
+
+describe("replayed model runs", () => {
+  test("falls back past a retired model and an unsupported temperature, retries short turns, and follows the moderator", async () => {
+    const first = await streamRun({ topic: ROLLOUT_TOPIC, turns: 2 });
+    assert.equal(first.done.type, "done");
+    assert.equal(first.done.stopReason, "max_turns");
+    assert.match(first.events[0].engine, /gpt-4\.1-retired/);
+
+    // The first reply was three words; the retry replaced it.
+    const [retry] = first.ofType("retry");
+    assert.deepEqual([retry.turn, retry.reason], [1, "too_short"]);
+    assert.ok(first.ofType("turn_reset").some((event) => event.turn === 1 && event.reason === "too_short"));
+    const firstTurns = first.ofType("turn").map((event) => event.entry);
+    assert.deepEqual(
+      firstTurns.map((entry) => [entry.turn, entry.speaker]),
+      [
+        [1, "Atlas"],
+        [2, "Nova"]
+      ]
+    );
+    assert.match(firstTurns[0].text, /^Blue green deployments for the billing service only pay off/);
+    assert.match(firstTurns[1].text, /^That compatibility window is the crux/);
+    assert.equal(first.done.quality.retriesUsed, 1);
+
+    // The moderator wrapped its JSON in prose and a code fence.
+    const [moderator] = first.ofType("moderator");
+    assert.deepEqual(moderator.moderation, {
+      onTopic: true,
+      repetitive: false,
+      tooShort: false,
+      done: false,
+      directive: "Put a number on the billing rollback window."
+    });
+
+    // Every recorded call was answered by the fallback model once temperature was dropped.
+    const { run, byModel } = first.done.usage;
+    assert.deepEqual(
+      byModel.map((item) => item.model),
+      ["gpt-4.1-mini"]
+    );
+    assert.deepEqual(componentCalls(first.done.usage), { turn: 2, retry: 1, moderator: 1, extraction: 1 });
+    assert.equal(run.calls, 5);
+
+    const second = await streamRun({ conversationId: first.done.conversationId, turns: 4 });
+    assert.equal(second.done.stopReason, "moderator_done");
+    assert.equal(second.done.turns, 2);
+    assert.equal(second.done.totalTurns, 4);
+    assert.deepEqual(
+      second.ofType("turn").map((event) => [event.entry.turn, event.entry.text.split(" ").slice(0, 4).join(" ")]),
+      [
+        [3, "Mirrored invoice traffic only"],
+        [4, "Fencing writes plus a"]
+      ]
+    );
+    assert.equal(second.ofType("moderator")[0].moderation.done, true);
+
+    const stored = await server.request(`/api/conversation/${first.done.conversationId}`);
+    assert.deepEqual(
+      stored.body.transcript.map((entry) => entry.text),
+      [...firstTurns, ...second.ofType("turn").map((event) => event.entry)].map((entry) => entry.text)
+    );
+  });
+
+  test("warns near the run token cap, stops before crossing it, and extracts memory locally", async () => {
+    const { events, done, ofType } = await streamRun({ topic: DIGEST_TOPIC, turns: 6, budget: { runTokens: 3800 } });
+
+    // Turns cost 1000 tokens and the moderator 300: after turn 3 the next call is projected at 4125.
+    assert.equal(done.stopReason, "budget_exhausted");
+    assert.deepEqual(
+      ofType("turn").map((event) => event.entry.turn),
+      [1, 2, 3]
+    );
+    const warnings = ofType("budget_warning");
+    assert.equal(warnings.length, 1);
+    assert.deepEqual(
+      [warnings[0].turn, warnings[0].scope, warnings[0].metric, warnings[0].spent, warnings[0].limit],
+      [3, "run", "tokens", 2300, 3800]
+    );
+    assert.ok(events.indexOf(warnings[0]) < events.findIndex((event) => event.type === "turn" && event.entry.turn === 3));
+    assert.deepEqual(done.budget.exhausted, {
+      scope: "run",
+      metric: "tokens",
+      limit: 3800,
+      spent: 3300,
+      projected: 4125,
+      ratio: 0.8684
+    });
+
+    // The closing memory pass was refused the extraction call it made in the unbudgeted recording.
+    assert.equal(done.usage.run.totalTokens, 3300);
+    assert.deepEqual(componentCalls(done.usage), { turn: 3, moderator: 1 });
+    const memory = await server.request(`/api/conversation/${done.conversationId}/memory`);
+    const semantic = Object.values(memory.body.memory.semantic).flat();
+    assert.ok(semantic.length > 0);
+    assert.ok(semantic.every((item) => item.extractor === "regex"));
+  });
+});
@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, describe, test } from "node:test";
+import { startTestServer, useTempDatabase } from "./helpers.js";
+
+const TOPIC = "Planning a multi-week research sprint";
+
+let database;
+let server;
+let request;
+let db;
+let interruptedJobId;
+
+async function waitForJob(jobId, timeoutMs = 20000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const polled = await request(`/api/jobs/${jobId}`);
+    if (polled.body?.job && ["completed", "failed"].includes(polled.body.job.status)) {
+      return polled.body.job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish in time.`);
+}
+
+// Seed a job that a previous process left running, then resume the queue the way startServer
+// does, so the worker has to pick it up.
+before(async () => {
+  database = useTempDatabase();
+  db = await import("../db.js");
+  const conversationId = randomUUID();
+  db.createConversation(conversationId, TOPIC);
+  db.insertMessages(conversationId, [
+    { turn: 1, speaker: "Agent A", speakerId: "agent-a", text: "Start with the riskiest assumption." },
+    { turn: 2, speaker: "Agent B", speakerId: "agent-b", text: "Then size the sprint around testing it." }
+  ]);
+  interruptedJobId = randomUUID();
+  db.insertGenerationJob({ id: interruptedJobId, conversationId, requestedTurns: 4, startTurns: 0 });
+  db.claimNextGenerationJob();
+
+  server = await startTestServer();
+  request = server.request;
+  // Importing the app leaves the queue alone.
+  assert.equal(db.getGenerationJob(interruptedJobId).attempts, 1);
+  const { resumeGenerationJobs } = await import("../server.js");
+  assert.equal(resumeGenerationJobs(), 1);
+});
+
+after(async () => {
+  await server.close();
+  database.cleanup();
+});
+
+describe("async generation jobs", () => {
+  test("resumes a job interrupted by a restart from its last persisted turn", async () => {
+    const job = await waitForJob(interruptedJobId);
+    assert.equal(job.status, "completed");
+    assert.equal(job.attempts, 2);
+    assert.equal(job.completedTurns, 4);
+
+    const stored = await request(`/api/conversation/${job.conversationId}`);
+    assert.equal(stored.body.transcript.length, 4);
+    assert.equal(stored.body.transcript[0].text, "Start with the riskiest assumption.");
+  });
+
+  test("queues a job and reports its progress until it completes", async () => {
+    const queued = await request("/api/conversation", {
+      method: "POST",
+      body: { topic: TOPIC, turns: 12, async: true }
+    });
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.job.requestedTurns, 12);
+    assert.equal(queued.body.job.startTurns, 0);
+    const { conversationId } = queued.body;
+
+    const job = await waitForJob(queued.body.job.jobId);
+    assert.equal(job.status, "completed");
+    assert.equal(job.completedTurns, 12);
+    assert.ok(job.finishedAt);
+
+    const stored = await request(`/api/conversation/${conversationId}`);
+    assert.equal(stored.body.transcript.length, 12);
+
+    const listed = await request(`/api/conversation/${conversationId}/jobs`);
+    assert.equal(listed.status, 200);
+    assert.deepEqual(
+      listed.body.jobs.map((entry) => entry.jobId),
+      [queued.body.job.jobId]
+    );
+  });
+
+  test("rejects a second job while one is still queued for the conversation", async () => {
+    const created = await request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+    const { conversationId } = created.body;
+    db.insertGenerationJob({ id: randomUUID(), conversationId, requestedTurns: 2, startTurns: 2 });
+
+    const duplicate = await request("/api/conversation", {
+      method: "POST",
+      body: { conversationId, turns: 2, async: true }
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error, "A generation job is already queued or running for this conversation.");
+
+    // Transcript edits and human messages wait for the job too, so they cannot rewrite or take turns under it.
+    for (const [route, body] of [
+      [`/api/conversation/${conversationId}/message`, { text: "Add a usability study to the sprint." }],
+      [`/api/conversation/${conversationId}/turns/1/regenerate`, {}],
+      [`/api/conversation/${conversationId}/turns/1/edit`, { text: "Start from the budget instead." }],
+      [`/api/conversation/${conversationId}/rewind`, { turn: 1 }]
+    ]) {
+      const blocked = await request(route, { method: "POST", body });
+      assert.equal(blocked.status, 409, route);
+      assert.equal(blocked.body.error, duplicate.body.error);
+    }
+  });
+
+  test("returns 404 for unknown jobs", async () => {
+    const missing = await request(`/api/jobs/${randomUUID()}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "Job not found.");
+  });
+});
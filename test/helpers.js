@@ -0,0 +1,81 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// Shared setup for the integration suite. Every test file runs in its own process
+// (node --test), so env-driven module constants are configured here before the first import.
+
+const TEST_ENV_DEFAULTS = {
+  NODE_ENV: "test",
+  LLM_PROVIDER: "openai",
+  OPENAI_API_KEY: "",
+  LLM_FIXTURE_MODE: "off",
+  API_WRITE_TOKEN: "",
+  APP_ORIGIN: "",
+  CSRF_ALLOWED_ORIGINS: "",
+  AGENT_WEB_TOOL_ENABLED: "false",
+  CITATION_RETRIEVAL_ENABLED: "false",
+  TURN_STREAM_DELAY_MS: "0",
+  LOG_LEVEL: "off"
+};
+
+function useTempDatabase(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "openllmchat-test-"));
+  Object.assign(process.env, TEST_ENV_DEFAULTS, env, {
+    SQLITE_PATH: path.join(dir, "test.db")
+  });
+
+  return {
+    dir,
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+async function startTestServer(env = {}) {
+  const database = useTempDatabase(env);
+  const { app, attachConversationSockets } = await import("../server.js");
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, "127.0.0.1", () => resolve(listener));
+  });
+  attachConversationSockets(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (route, { method = "GET", body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = null;
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  return {
+    baseUrl,
+    request,
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      database.cleanup();
+    }
+  };
+}
+
+function parseNdjson(text) {
+  return String(text || "")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+export { parseNdjson, startTestServer, useTempDatabase };
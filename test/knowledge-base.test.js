@@ -0,0 +1,147 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Choosing a telemetry pipeline for zeppelin fleet sensors";
+const DECISION = "We should decide to buffer barometer readings on the gondola before uplink.";
+
+let server;
+let request;
+let memoryAgent;
+
+before(async () => {
+  server = await startTestServer();
+  request = server.request;
+  memoryAgent = await import("../memoryAgent.js");
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function createConversation(topic, turns = 2) {
+  const response = await request("/api/conversation", { method: "POST", body: { topic, turns } });
+  assert.equal(response.status, 200);
+  return response.body.conversationId;
+}
+
+async function retrievedKnowledge(conversationId) {
+  const memory = await request(`/api/conversation/${conversationId}/memory`);
+  assert.equal(memory.status, 200);
+  return memory.body.retrieved?.knowledge || [];
+}
+
+describe("workspace knowledge base", () => {
+  test("promotes semantic items with provenance and retrieves them in related threads", async () => {
+    const source = await createConversation(TOPIC);
+    await request(`/api/conversation/${source}/message`, { method: "POST", body: { text: DECISION, name: "Priya" } });
+
+    const memory = await request(`/api/conversation/${source}/memory`);
+    const decision = memory.body.memory.semantic.find((item) => item.itemType === "decision" && item.lastTurn === 3);
+    const promoted = await request(`/api/conversation/${source}/knowledge`, {
+      method: "POST",
+      body: { itemType: "decision", canonicalText: decision.canonicalText }
+    });
+    assert.equal(promoted.status, 200);
+    const { item } = promoted.body;
+    assert.equal(item.text, DECISION);
+    assert.equal(item.sourceConversationId, source);
+    assert.equal(item.sourceTopic, TOPIC);
+    assert.equal(item.sourceTurn, 3);
+    assert.equal(item.sourceSpeaker, "Priya");
+    assert.equal(item.sourceExcerpt, DECISION);
+    assert.equal(item.embedder, "local:hash-256");
+
+    const duplicate = await request(`/api/conversation/${source}/knowledge`, {
+      method: "POST",
+      body: { itemType: "decision", text: `  ${DECISION.toUpperCase()} ` }
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.item.id, item.id);
+
+    const related = await createConversation("Uplink buffering for zeppelin barometer readings");
+    const knowledge = await retrievedKnowledge(related);
+    assert.equal(knowledge[0].id, item.id);
+    assert.equal(knowledge[0].sourceConversationId, source);
+    assert.equal(knowledge[0].sourceTurn, 3);
+    assert.ok(knowledge[0].score >= 0.25);
+
+    assert.deepEqual(await retrievedKnowledge(source), []);
+    assert.deepEqual(await retrievedKnowledge(await createConversation("Budgeting a bakery renovation")), []);
+
+    // A thread with no turns yet is matched on its topic alone.
+    const fresh = await memoryAgent.retrieveRelevantMemory("not-a-conversation", {
+      topic: "Uplink buffering for zeppelin barometer readings",
+      transcript: []
+    });
+    assert.equal(fresh.queryTurn, 0);
+    assert.deepEqual(
+      fresh.knowledge.map((entry) => entry.id),
+      [item.id]
+    );
+
+    const block = memoryAgent.buildContextBlock({
+      topic: "Uplink buffering for zeppelin barometer readings",
+      transcript: [],
+      memory: {},
+      retrieved: { knowledge },
+      charter: [],
+      brief: null
+    });
+    assert.match(
+      block,
+      /Workspace knowledge from other conversations:\n1\. \(decision, from "Choosing a telemetry pipeline for zeppelin fleet sensors" T3\) We should decide to buffer barometer readings/
+    );
+  });
+
+  test("lists, keeps items after their source is deleted, and deletes them", async () => {
+    const source = await createConversation("Naming conventions for the billing service");
+    const promoted = await request(`/api/conversation/${source}/knowledge`, {
+      method: "POST",
+      body: { itemType: "definition", text: "An invoice run means one pass over every open subscription.", turn: 2 }
+    });
+    assert.equal(promoted.status, 200);
+    const itemId = promoted.body.item.id;
+    assert.equal(promoted.body.item.sourceTurn, 2);
+
+    const listed = await request(`/api/knowledge?type=definition&conversationId=${source}`);
+    assert.deepEqual(
+      listed.body.items.map((item) => item.id),
+      [itemId]
+    );
+    assert.equal((await request("/api/knowledge?type=decision&conversationId=" + source)).body.items.length, 0);
+
+    await request(`/api/conversation/${source}`, { method: "DELETE" });
+    const orphaned = (await request("/api/knowledge?type=definition")).body.items.find((item) => item.id === itemId);
+    assert.equal(orphaned.sourceConversationId, null);
+    assert.equal(orphaned.sourceTopic, "Naming conventions for the billing service");
+
+    const removed = await request(`/api/knowledge/${itemId}`, { method: "DELETE" });
+    assert.equal(removed.status, 200);
+    const again = await request(`/api/knowledge/${itemId}`, { method: "DELETE" });
+    assert.equal(again.status, 404);
+    assert.equal(again.body.error, "Knowledge item not found.");
+  });
+
+  test("validates promotions", async () => {
+    const conversationId = await createConversation(TOPIC);
+    const promote = (body) => request(`/api/conversation/${conversationId}/knowledge`, { method: "POST", body });
+
+    const badType = await promote({ itemType: "hypothesis", text: "Sensors drift in cold air." });
+    assert.equal(badType.status, 400);
+    assert.equal(badType.body.error, "itemType must be one of: decision, definition, constraint.");
+
+    const missing = await promote({ itemType: "decision", canonicalText: "no such item" });
+    assert.equal(missing.status, 404);
+
+    const empty = await promote({ itemType: "constraint" });
+    assert.equal(empty.status, 400);
+
+    const badTurn = await promote({ itemType: "constraint", text: "Uplink must stay under 2 kbps.", turn: 9 });
+    assert.equal(badTurn.status, 400);
+    assert.equal(badTurn.body.error, "Turn must be between 1 and 2.");
+
+    const badFilter = await request("/api/knowledge?type=hypothesis");
+    assert.equal(badFilter.status, 400);
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+// A slow stand-in model endpoint, so a lab request is still generating when its client goes away.
+const TOPIC = "Sizing on-call rotations for a growing platform team";
+let calls = 0;
+let markFirstCall;
+const firstCall = new Promise((resolve) => {
+  markFirstCall = resolve;
+});
+let stub;
+let server;
+let db;
+
+before(async () => {
+  stub = http.createServer((req, res) => {
+    req.resume();
+    req.on("end", () => {
+      calls += 1;
+      markFirstCall();
+      setTimeout(() => {
+        res.writeHead(200, { "content-type": "application/json" });
+        res.end(
+          JSON.stringify({
+            id: "cmpl",
+            object: "chat.completion",
+            model: "stub-model",
+            choices: [
+              {
+                index: 0,
+                message: {
+                  role: "assistant",
+                  content: "On-call rotations for a growing platform team need a second tier before the primary burns out."
+                },
+                finish_reason: "stop"
+              }
+            ]
+          })
+        );
+      }, 150);
+    });
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+
+  server = await startTestServer({
+    OPENAI_API_KEY: "test-key",
+    OPENAI_BASE_URL: `http://127.0.0.1:${stub.address().port}/v1`,
+    OPENAI_MODEL: "gpt-4.1-mini",
+    EVALUATOR_LOOP_ENABLED: "false"
+  });
+  db = await import("../db.js");
+});
+
+after(async () => {
+  await server.close();
+  await new Promise((resolve) => stub.close(resolve));
+});
+
+test("closing a lab request stops the variant in flight and skips the rest", async () => {
+  const controller = new AbortController();
+  const lab = fetch(`${server.baseUrl}/api/conversation/lab`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      topic: TOPIC,
+      turns: 6,
+      concurrency: 1,
+      matrix: { modes: ["exploration"], temperatures: [0.1, 0.4, 0.7, 1] }
+    }),
+    signal: controller.signal
+  });
+  await firstCall;
+  controller.abort();
+  await assert.rejects(lab);
+
+  // Let the call in flight settle, then make sure nothing else reaches the model.
+  await new Promise((resolve) => setTimeout(resolve, 600));
+  const settled = calls;
+  await new Promise((resolve) => setTimeout(resolve, 600));
+  assert.equal(calls, settled);
+
+  const variants = db.listConversations(50).filter((conversation) => conversation.topic === TOPIC);
+  assert.equal(variants.length, 1);
+  assert.ok(db.getMessages(variants[0].id).length < 6);
+});
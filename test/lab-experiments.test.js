@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { expandLabMatrix, rankLabRuns, runWithConcurrency } from "../labExperiments.js";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Pricing a developer tools subscription";
+
+describe("lab experiment helpers", () => {
+  test("expandLabMatrix varies the first axis slowest", () => {
+    const variants = expandLabMatrix({ mode: ["a", "b"], temperature: [0.2, 0.8] });
+    assert.deepEqual(
+      variants.map((variant) => [variant.mode.value, variant.temperature.value]),
+      [
+        ["a", 0.2],
+        ["a", 0.8],
+        ["b", 0.2],
+        ["b", 0.8]
+      ]
+    );
+    assert.equal(variants[3].temperature.index, 1);
+  });
+
+  test("runWithConcurrency keeps order and never exceeds the limit", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await runWithConcurrency([30, 5, 20, 1, 10], 2, async (delay, index) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      inFlight -= 1;
+      return index;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+
+  test("rankLabRuns orders by weighted score and skips failed runs", () => {
+    const run = (index, overall, avgScore, evaluatorAvgScore) => ({
+      conversationId: `c${index}`,
+      variant: { index, label: `v${index}` },
+      score: { overall },
+      quality: { avgScore, evaluatorAvgScore }
+    });
+    const ranking = rankLabRuns([
+      run(0, 0.2, 0.5, 0.5),
+      run(1, 0.8, 0.6, 0.6),
+      { variant: { index: 2, label: "v2" }, error: "Variant run failed." },
+      run(3, 0.2, 0.5, 0.5)
+    ]);
+    assert.deepEqual(
+      ranking.map((entry) => [entry.rank, entry.conversationId]),
+      [
+        [1, "c1"],
+        [2, "c0"],
+        [3, "c3"]
+      ]
+    );
+    assert.equal(ranking[0].labScore, 0.68);
+  });
+});
+
+describe("POST /api/conversation/lab with a matrix", () => {
+  let server;
+  let request;
+  let db;
+
+  before(async () => {
+    server = await startTestServer();
+    request = server.request;
+    db = await import("../db.js");
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  test("runs every variant and returns a ranked comparison", async () => {
+    const lab = await request("/api/conversation/lab", {
+      method: "POST",
+      body: {
+        topic: TOPIC,
+        turns: 2,
+        concurrency: 2,
+        matrix: {
+          modes: ["exploration", "synthesis"],
+          temperatures: [0.2, 0.9],
+          briefs: [{ objective: "Pick a price point" }, { objective: "Pick a free tier limit" }]
+        }
+      }
+    });
+    assert.equal(lab.status, 200);
+    assert.equal(lab.body.concurrency, 2);
+    assert.equal(lab.body.runs.length, 8);
+    assert.equal(lab.body.runs[3].variant.label, "Exploration · temp 0.9 · brief 2");
+    assert.match(lab.body.runs[3].title, /\(Exploration · temp 0\.9 · brief 2\)$/);
+    assert.ok(lab.body.runs.every((run) => run.addedTurns === 2 && typeof run.score.overall === "number"));
+
+    const stored = lab.body.runs[3].conversationId;
+    assert.ok(db.getConversationAgents(stored).every((agent) => agent.temperature === 0.9));
+    assert.equal(db.getConversationBrief(stored).objective, "Pick a free tier limit");
+
+    assert.deepEqual(
+      lab.body.ranking.map((entry) => entry.rank),
+      [1, 2, 3, 4, 5, 6, 7, 8]
+    );
+    for (let index = 1; index < lab.body.ranking.length; index += 1) {
+      assert.ok(lab.body.ranking[index - 1].labScore >= lab.body.ranking[index].labScore);
+    }
+  });
+
+  test("rejects invalid axes and oversized matrices", async () => {
+    const badModel = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { topic: TOPIC, matrix: { models: ["not a model!"] } }
+    });
+    assert.equal(badModel.status, 400);
+    assert.equal(badModel.body.error, "matrix.models has an invalid entry.");
+
+    const tooLarge = await request("/api/conversation/lab", {
+      method: "POST",
+      body: { topic: TOPIC, matrix: { temperatures: [0.1, 0.3, 0.5, 0.7, 0.9] } }
+    });
+    assert.equal(tooLarge.status, 400);
+    assert.match(tooLarge.body.error, /capped at 12 variants \(requested 15\)/);
+  });
+});
@@ -0,0 +1,352 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, test } from "node:test";
+import { createLlmProvider, getProviderErrorClassifier, providerError } from "../llmProviders.js";
+import { createChatCompletionWithFallback } from "../openaiCompat.js";
+
+// The adapters talk to their APIs through the global fetch, so each test swaps it for a stub that
+// records the requests and answers from memory.
+
+const realFetch = globalThis.fetch;
+let requests = [];
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function stubFetch(respond) {
+  requests = [];
+  globalThis.fetch = async (url, init) => {
+    const request = { url: String(url), headers: init.headers, body: JSON.parse(init.body) };
+    requests.push(request);
+    return respond(request);
+  };
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+}
+
+// Streams `text` in small byte slices so lines, and multi-byte characters, arrive split across chunks.
+function streamResponse(text, sliceBytes = 7) {
+  const bytes = new TextEncoder().encode(text);
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        for (let offset = 0; offset < bytes.length; offset += sliceBytes) {
+          controller.enqueue(bytes.slice(offset, offset + sliceBytes));
+        }
+        controller.close();
+      }
+    }),
+    { status: 200 }
+  );
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+function streamedText(chunks) {
+  return chunks.map((chunk) => chunk.choices[0].delta.content || "").join("");
+}
+
+describe("anthropic adapter", () => {
+  const provider = createLlmProvider("anthropic", { apiKey: "test-key", baseUrl: "https://anthropic.test/" });
+
+  test("converts chat messages to the Messages API and maps the reply back", async () => {
+    stubFetch(() =>
+      jsonResponse({
+        id: "msg_1",
+        model: "claude-test",
+        content: [
+          { type: "text", text: "Queues first, " },
+          { type: "tool_use", id: "tool_1" },
+          { type: "text", text: "then retries." }
+        ],
+        stop_reason: "max_tokens",
+        usage: { input_tokens: 40, output_tokens: 12 }
+      })
+    );
+
+    const completion = await provider.chat.completions.create({
+      model: "claude-test",
+      temperature: 1.4,
+      messages: [
+        { role: "system", content: "You are Agent Atlas." },
+        { role: "assistant", content: "Earlier reply." },
+        { role: "system", content: "Stay on topic." },
+        { role: "user", content: "First question." },
+        { role: "user", content: "Second question." }
+      ]
+    });
+
+    const [request] = requests;
+    assert.equal(request.url, "https://anthropic.test/v1/messages");
+    assert.equal(request.headers["x-api-key"], "test-key");
+    assert.equal(request.headers["anthropic-version"], "2023-06-01");
+    assert.equal(request.body.system, "You are Agent Atlas.\n\nStay on topic.");
+    assert.equal(request.body.temperature, 1);
+    assert.equal(request.body.max_tokens, 1024);
+    assert.equal(request.body.stream, undefined);
+    // Roles alternate and start with the user.
+    assert.deepEqual(request.body.messages, [
+      { role: "user", content: "Continue." },
+      { role: "assistant", content: "Earlier reply." },
+      { role: "user", content: "First question.\n\nSecond question." }
+    ]);
+
+    assert.equal(completion.id, "msg_1");
+    assert.equal(completion.model, "claude-test");
+    assert.equal(completion.choices[0].message.content, "Queues first, then retries.");
+    assert.equal(completion.choices[0].finish_reason, "length");
+    assert.deepEqual(completion.usage, { prompt_tokens: 40, completion_tokens: 12, total_tokens: 52 });
+  });
+
+  test("parses the SSE stream into OpenAI-style chunks with usage at the end", async () => {
+    const events = [
+      ["message_start", { type: "message_start", message: { id: "msg_2", model: "claude-test", usage: { input_tokens: 30 } } }],
+      ["content_block_start", { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } }],
+      ["ping", { type: "ping" }],
+      ["content_block_delta", { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Café " } }],
+      ["content_block_delta", { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "queues." } }],
+      ["message_delta", { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 9 } }],
+      ["message_stop", { type: "message_stop" }]
+    ];
+    stubFetch(() =>
+      streamResponse(events.map(([name, data]) => `event: ${name}\r\ndata: ${JSON.stringify(data)}\r\n\r\n`).join(""))
+    );
+
+    const stream = await provider.chat.completions.create({
+      model: "claude-test",
+      stream: true,
+      messages: [{ role: "user", content: "Go." }]
+    });
+    const chunks = await collect(stream);
+
+    assert.equal(requests[0].body.stream, true);
+    assert.equal(streamedText(chunks), "Café queues.");
+    assert.ok(chunks.every((chunk) => chunk.id === "msg_2" && chunk.model === "claude-test"));
+    const last = chunks.at(-1);
+    assert.equal(last.choices[0].finish_reason, "stop");
+    assert.deepEqual(last.usage, { prompt_tokens: 30, completion_tokens: 9, total_tokens: 39 });
+  });
+
+  test("throws error events from the stream", async () => {
+    stubFetch(() =>
+      streamResponse(
+        [
+          `data: ${JSON.stringify({ type: "content_block_delta", delta: { type: "text_delta", text: "Half" } })}`,
+          `data: ${JSON.stringify({ type: "error", error: { type: "overloaded_error", message: "Overloaded" } })}`,
+          ""
+        ].join("\n")
+      )
+    );
+
+    const stream = await provider.chat.completions.create({ model: "claude-test", stream: true, messages: [] });
+    await assert.rejects(collect(stream), (error) => {
+      assert.equal(error.provider, "anthropic");
+      assert.equal(error.type, "overloaded_error");
+      assert.equal(error.message, "Overloaded");
+      return true;
+    });
+  });
+
+  test("classifies error responses for the fallback and retry branches", async () => {
+    stubFetch((request) => {
+      if (request.body.model === "claude-missing") {
+        return jsonResponse({ type: "error", error: { type: "not_found_error", message: "model: claude-missing" } }, 404);
+      }
+      if (request.body.temperature !== undefined) {
+        return jsonResponse(
+          { type: "error", error: { type: "invalid_request_error", message: "temperature is not supported" } },
+          400
+        );
+      }
+      return jsonResponse({ content: [{ type: "text", text: "Recovered." }], usage: { input_tokens: 5, output_tokens: 2 } });
+    });
+
+    const events = [];
+    const result = await createChatCompletionWithFallback({
+      client: provider,
+      model: "claude-missing",
+      fallbackModel: "claude-backup",
+      temperature: 0.7,
+      messages: [{ role: "user", content: "Hello." }],
+      onEvent: (name) => events.push(name)
+    });
+
+    assert.equal(result.modelUsed, "claude-backup");
+    assert.equal(result.usedFallback, true);
+    assert.equal(result.completion.choices[0].message.content, "Recovered.");
+    assert.deepEqual(
+      requests.map((request) => [request.body.model, request.body.temperature]),
+      [
+        ["claude-missing", 0.7],
+        ["claude-backup", 0.7],
+        ["claude-backup", undefined]
+      ]
+    );
+    assert.ok(events.includes("model.request.retry_without_temperature"));
+  });
+
+  test("does not fall back on errors unrelated to the model", () => {
+    const classify = getProviderErrorClassifier("anthropic");
+    assert.deepEqual(classify(providerError("anthropic", 529, "Overloaded", { type: "overloaded_error" })), {
+      modelAccess: false,
+      temperatureUnsupported: false,
+      reasoningEffortUnsupported: false,
+      streamOptionsUnsupported: false
+    });
+    assert.equal(classify(providerError("anthropic", 404, "Unknown model claude-old")).modelAccess, true);
+    assert.equal(classify(providerError("anthropic", 404, "Route not found")).modelAccess, false);
+  });
+
+  test("needs an API key", () => {
+    assert.equal(createLlmProvider("anthropic", { apiKey: "" }), null);
+  });
+});
+
+describe("ollama adapter", () => {
+  const provider = createLlmProvider("ollama", { baseUrl: "http://ollama.test:11434/" });
+
+  test("sends native chat requests and maps the reply back", async () => {
+    stubFetch(() =>
+      jsonResponse({
+        model: "llama-test",
+        message: { role: "assistant", content: "Use a dead-letter queue." },
+        done: true,
+        done_reason: "length",
+        prompt_eval_count: 21,
+        eval_count: 8
+      })
+    );
+
+    const completion = await provider.chat.completions.create({
+      model: "llama-test",
+      temperature: 0.4,
+      messages: [
+        { role: "system", content: "Be brief." },
+        { role: "user", content: "Retries?" }
+      ]
+    });
+
+    const [request] = requests;
+    assert.equal(request.url, "http://ollama.test:11434/api/chat");
+    assert.deepEqual(request.body, {
+      model: "llama-test",
+      messages: [
+        { role: "system", content: "Be brief." },
+        { role: "user", content: "Retries?" }
+      ],
+      stream: false,
+      options: { temperature: 0.4 }
+    });
+    assert.equal(completion.choices[0].message.content, "Use a dead-letter queue.");
+    assert.equal(completion.choices[0].finish_reason, "length");
+    assert.deepEqual(completion.usage, { prompt_tokens: 21, completion_tokens: 8, total_tokens: 29 });
+  });
+
+  test("parses the NDJSON stream and stops at the done line", async () => {
+    const lines = [
+      { model: "llama-test", message: { content: "Dead-letter " }, done: false },
+      { model: "llama-test", message: { content: "queues ✓" }, done: false },
+      { model: "llama-test", message: { content: "" }, done: true, done_reason: "stop", prompt_eval_count: 11, eval_count: 4 },
+      { model: "llama-test", message: { content: "ignored" }, done: false }
+    ];
+    stubFetch(() => streamResponse(`${lines.map((line) => JSON.stringify(line)).join("\n")}\n`, 5));
+
+    const chunks = await collect(
+      await provider.chat.completions.create({ model: "llama-test", stream: true, messages: [] })
+    );
+
+    assert.equal(requests[0].body.stream, true);
+    assert.equal(streamedText(chunks), "Dead-letter queues ✓");
+    assert.equal(chunks.at(-1).choices[0].finish_reason, "stop");
+    assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 11, completion_tokens: 4, total_tokens: 15 });
+  });
+
+  test("throws error lines from the stream", async () => {
+    stubFetch(() => streamResponse(`${JSON.stringify({ error: "model runner crashed" })}\n`));
+
+    const stream = await provider.chat.completions.create({ model: "llama-test", stream: true, messages: [] });
+    await assert.rejects(collect(stream), /model runner crashed/);
+  });
+
+  test("classifies a missing model as a model access error", async () => {
+    stubFetch(() => jsonResponse({ error: "model 'llama-missing' not found, try pulling it first" }, 404));
+
+    const error = await provider.chat.completions
+      .create({ model: "llama-missing", messages: [] })
+      .catch((caught) => caught);
+    assert.equal(error.status, 404);
+    assert.equal(error.provider, "ollama");
+    assert.equal(provider.classifyError(error).modelAccess, true);
+    assert.equal(provider.classifyError(providerError("ollama", 500, "out of memory")).modelAccess, false);
+  });
+});
+
+describe("openai error classifier", () => {
+  const classify = getProviderErrorClassifier("openai");
+
+  test("reads flat and SDK-style nested error fields", () => {
+    assert.equal(classify({ message: "The model `gpt-x` does not exist" }).modelAccess, true);
+    assert.equal(classify({ error: { message: "Unsupported value", param: "temperature" } }).temperatureUnsupported, true);
+    assert.equal(
+      classify({ message: "Unsupported parameter: 'reasoning_effort' is not supported with this model." })
+        .reasoningEffortUnsupported,
+      true
+    );
+    assert.deepEqual(classify({ status: 429, message: "Rate limit reached" }), {
+      modelAccess: false,
+      temperatureUnsupported: false,
+      reasoningEffortUnsupported: false,
+      streamOptionsUnsupported: false
+    });
+  });
+
+  test("retries a stream without stream_options when the server rejects them", async () => {
+    const payloads = [];
+    const client = {
+      chat: {
+        completions: {
+          async create(payload) {
+            payloads.push({ ...payload });
+            if (payload.stream_options) {
+              throw Object.assign(new Error("Unrecognized request argument supplied: stream_options"), { status: 400 });
+            }
+            return (async function* () {
+              yield { id: "cmpl", model: payload.model, choices: [{ index: 0, delta: { content: "Streamed." } }] };
+              yield { id: "cmpl", model: payload.model, choices: [{ index: 0, delta: {}, finish_reason: "stop" }] };
+            })();
+          }
+        }
+      }
+    };
+
+    const events = [];
+    const result = await createChatCompletionWithFallback({
+      client,
+      model: "local-model",
+      stream: true,
+      messages: [{ role: "user", content: "Hello." }],
+      onEvent: (name) => events.push(name)
+    });
+
+    assert.equal(result.completion.choices[0].message.content, "Streamed.");
+    assert.deepEqual(
+      payloads.map((payload) => payload.stream_options),
+      [{ include_usage: true }, undefined]
+    );
+    assert.ok(events.includes("model.request.retry_without_stream_options"));
+    assert.equal(classify({ error: { message: "Invalid value", param: "stream_options.include_usage" } }).streamOptionsUnsupported, true);
+  });
+
+  test("falls back to the openai classifier for unknown providers", () => {
+    assert.equal(getProviderErrorClassifier("mystery"), classify);
+    assert.equal(createLlmProvider("openai", { apiKey: "" }), null);
+  });
+});
@@ -0,0 +1,411 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { useTempDatabase } from "./helpers.js";
+
+// Thresholds are read when memoryAgent.js loads, so they are set before the dynamic imports.
+const database = useTempDatabase({
+  MEMORY_MIN_TURNS_FOR_SUMMARY: "20",
+  MEMORY_SUMMARY_WINDOW_TURNS: "10",
+  MEMORY_MESO_GROUP_SIZE: "2",
+  MEMORY_MACRO_GROUP_SIZE: "2",
+  MEMORY_EXTRACTION_MODE: "llm",
+  MEMORY_EXTRACTION_BATCH_TURNS: "2"
+});
+
+const TOPIC = "Designing a resilient cache invalidation strategy";
+const SUBJECTS = ["write-through caching", "TTL jitter", "event-driven purges", "versioned keys", "read repair"];
+
+let db;
+let memoryAgent;
+
+before(async () => {
+  db = await import("../db.js");
+  memoryAgent = await import("../memoryAgent.js");
+});
+
+after(() => {
+  database.cleanup();
+});
+
+function buildEntries(fromTurn, toTurn) {
+  const entries = [];
+  for (let turn = fromTurn; turn <= toTurn; turn += 1) {
+    const speakerId = turn % 2 === 1 ? "agent-a" : "agent-b";
+    const subject = SUBJECTS[turn % SUBJECTS.length];
+    entries.push({
+      turn,
+      speaker: speakerId === "agent-a" ? "Atlas" : "Nova",
+      speakerId,
+      text: `We should decide whether ${subject} keeps stale reads under ${turn * 10} ms. Risk: invalidation storms during deploys.`
+    });
+  }
+  return entries;
+}
+
+async function appendTurns(conversationId, fromTurn, toTurn) {
+  const entries = buildEntries(fromTurn, toTurn);
+  db.insertMessages(conversationId, entries);
+  return memoryAgent.runMemoryAgent({
+    conversationId,
+    topic: TOPIC,
+    newEntries: entries,
+    totalTurns: toTurn,
+    client: null,
+    model: "test-model"
+  });
+}
+
+test("waits for the minimum turn count before summarizing", async () => {
+  const conversationId = "memory-threshold";
+  db.createConversation(conversationId, TOPIC);
+
+  const stats = await appendTurns(conversationId, 1, 19);
+  assert.equal(stats.summaryCount, 0);
+  assert.equal(stats.mesoSummaryCount, 0);
+  assert.ok(stats.tokenCount > 0);
+  assert.ok(stats.semanticCount > 0);
+
+  const next = await appendTurns(conversationId, 20, 20);
+  assert.equal(next.summaryCount, 2);
+  assert.equal(next.lastSummaryTurn, 20);
+});
+
+test("compacts micro summaries into meso and macro tiers by group size", async () => {
+  const conversationId = "memory-tiers";
+  db.createConversation(conversationId, TOPIC);
+
+  let stats = await appendTurns(conversationId, 1, 20);
+  assert.deepEqual([stats.summaryCount, stats.mesoSummaryCount, stats.macroSummaryCount], [2, 1, 0]);
+
+  // A partial window adds nothing until it fills.
+  stats = await appendTurns(conversationId, 21, 29);
+  assert.deepEqual([stats.summaryCount, stats.mesoSummaryCount, stats.macroSummaryCount], [2, 1, 0]);
+
+  stats = await appendTurns(conversationId, 30, 40);
+  assert.deepEqual([stats.summaryCount, stats.mesoSummaryCount, stats.macroSummaryCount], [4, 2, 1]);
+  assert.equal(stats.lastSummaryTurn, 40);
+
+  const memory = memoryAgent.getCompressedMemory(conversationId);
+  assert.deepEqual(
+    memory.tierSummaries.micro.map((item) => [item.startTurn, item.endTurn]),
+    [
+      [1, 10],
+      [11, 20],
+      [21, 30],
+      [31, 40]
+    ]
+  );
+  assert.deepEqual(
+    memory.tierSummaries.meso.map((item) => [item.startTurn, item.endTurn]),
+    [
+      [1, 20],
+      [21, 40]
+    ]
+  );
+  assert.deepEqual(
+    memory.tierSummaries.macro.map((item) => [item.startTurn, item.endTurn]),
+    [[1, 40]]
+  );
+  for (const item of [...memory.tierSummaries.micro, ...memory.tierSummaries.meso, ...memory.tierSummaries.macro]) {
+    assert.ok(item.summary.length > 0);
+  }
+});
+
+test("bootstraps memory for a copied transcript", async () => {
+  const conversationId = "memory-bootstrap";
+  db.createConversation(conversationId, TOPIC);
+  const transcript = buildEntries(1, 20);
+  db.insertMessages(conversationId, transcript);
+
+  const stats = await memoryAgent.bootstrapMemoryIfNeeded({
+    conversationId,
+    topic: TOPIC,
+    transcript,
+    client: null,
+    model: "test-model"
+  });
+  assert.ok(stats.tokenCount > 0);
+  assert.equal(stats.summaryCount, 2);
+  assert.equal(stats.mesoSummaryCount, 1);
+
+  const memory = memoryAgent.getCompressedMemory(conversationId, { agentIds: ["agent-a", "agent-b"] });
+  assert.ok(memory.agentTokens["agent-a"].length > 0);
+  assert.ok(memory.agentTokens["agent-b"].length > 0);
+});
+
+const RETRIEVAL_TURNS = [
+  "We should decide to use write-through caching for the product catalog before launch.",
+  "We should decide whether TTL jitter spreads cache expiry load across the fleet.",
+  "The constraint is a strict memory budget of two gigabytes per cache node.",
+  "Deploy pipelines need a canary stage so regressions surface before full rollout.",
+  "Alert ownership belongs with the service team, not a central operations desk.",
+  "Dashboards should track hit ratio, eviction counts and origin request volume.",
+  "Billing reports run nightly and tolerate a few minutes of staleness.",
+  "Search indexing consumes change events from the primary database log.",
+  "Session data lives in a separate store with its own replication policy.",
+  "Image thumbnails are generated lazily and written to object storage.",
+  "Feature flags gate the new pricing page for a small cohort first.",
+  "Load tests replay a recorded day of production traffic against staging.",
+  "Runbooks list the rollback steps for every schema migration we ship.",
+  "TTL jitter alone will not stop expiry stampedes on the catalog pages."
+];
+
+function retrievalEntries() {
+  return RETRIEVAL_TURNS.map((text, index) => ({
+    turn: index + 1,
+    speaker: index % 2 === 0 ? "Atlas" : "Nova",
+    speakerId: index % 2 === 0 ? "agent-a" : "agent-b",
+    text
+  }));
+}
+
+test("the local embedder places related texts closer than unrelated ones", async () => {
+  const { hashEmbedding, cosineSimilarity } = await import("../embeddings.js");
+  const query = hashEmbedding("TTL jitter spreads cache expiry", 256);
+  const related = hashEmbedding("Jittered TTLs keep caches from expiring together", 256);
+  const unrelated = hashEmbedding("Billing reports run nightly", 256);
+  assert.equal(query.length, 256);
+  assert.ok(Math.abs(cosineSimilarity(query, query) - 1) < 1e-6);
+  assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+});
+
+test("retrieves the memory most relevant to the previous reply", async () => {
+  const conversationId = "memory-retrieval";
+  db.createConversation(conversationId, TOPIC);
+  const transcript = retrievalEntries();
+  db.insertMessages(conversationId, transcript);
+  const stats = await memoryAgent.runMemoryAgent({
+    conversationId,
+    topic: TOPIC,
+    newEntries: transcript,
+    totalTurns: transcript.length,
+    client: null,
+    model: "test-model"
+  });
+  assert.equal(stats.embeddingCount, transcript.length + stats.semanticCount);
+
+  const memory = memoryAgent.getCompressedMemory(conversationId);
+  const retrieved = await memoryAgent.retrieveRelevantMemory(conversationId, { transcript, memory });
+  assert.equal(retrieved.queryTurn, 14);
+  assert.match(retrieved.semantic[0].canonicalText, /ttl jitter/);
+  // Turns 5-14 are already in the prompt verbatim, so only older ones are retrieved.
+  assert.ok(retrieved.turns.every((entry) => entry.turn < 5));
+  assert.equal(retrieved.turns[0].turn, 2);
+
+  const prompt = memoryAgent.buildContextBlock({
+    topic: TOPIC,
+    transcript,
+    memory,
+    retrieved,
+    charter: [],
+    brief: null
+  });
+  const decisions = prompt.split("Semantic memory: decisions\n")[1].split("\n");
+  assert.match(decisions[0], /ttl jitter/);
+  assert.match(prompt, /Earlier context relevant to the previous reply:\nT2 \(Nova, similarity/);
+});
+
+test("re-embeds a turn after its text is edited", async () => {
+  const conversationId = "memory-reembed";
+  db.createConversation(conversationId, TOPIC);
+  const transcript = retrievalEntries();
+  db.insertMessages(conversationId, transcript);
+  await memoryAgent.indexMemoryEmbeddings(conversationId);
+
+  db.updateMessageText(conversationId, 2, "Edge caches should honour stale-while-revalidate headers.");
+  assert.equal(await memoryAgent.indexMemoryEmbeddings(conversationId), 1);
+  assert.equal(await memoryAgent.indexMemoryEmbeddings(conversationId), 0);
+
+  db.truncateMessagesAfterTurn(conversationId, 3);
+  const turnVectors = db
+    .getMemoryEmbeddings(conversationId, "local:hash-256")
+    .filter((entry) => entry.sourceType === "turn");
+  assert.deepEqual(
+    turnVectors.map((entry) => entry.turn).sort((a, b) => a - b),
+    [1, 2, 3]
+  );
+  assert.equal(turnVectors.find((entry) => entry.turn === 2).content, "Edge caches should honour stale-while-revalidate headers.");
+});
+
+const EXTRACTION_TURNS = [
+  { turn: 1, speaker: "Atlas", speakerId: "agent-a", text: "Stale reads after deploys must never reach the billing cache." },
+  { turn: 2, speaker: "Nova", speakerId: "agent-b", text: "What we agreed is to cap every TTL at five minutes." },
+  { turn: 3, speaker: "Atlas", speakerId: "agent-a", text: "Fine, five minutes it is, with jitter on top." }
+];
+
+// Answers every extraction call through `respond(turnsInBatch)`, recording the requests.
+function fakeExtractionClient(respond) {
+  const calls = [];
+  return {
+    calls,
+    chat: {
+      completions: {
+        create: async (payload) => {
+          calls.push(payload);
+          const turns = [...payload.messages.at(-1).content.matchAll(/^Turn (\d+) \|/gm)].map((match) => Number(match[1]));
+          return {
+            choices: [{ message: { content: respond(turns) } }],
+            usage: { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 }
+          };
+        }
+      }
+    }
+  };
+}
+
+async function extractWith(conversationId, client) {
+  db.createConversation(conversationId, TOPIC);
+  db.insertMessages(conversationId, EXTRACTION_TURNS);
+  const usage = [];
+  await memoryAgent.runMemoryAgent({
+    conversationId,
+    topic: TOPIC,
+    newEntries: EXTRACTION_TURNS,
+    totalTurns: EXTRACTION_TURNS.length,
+    client,
+    model: "test-model",
+    onUsage: (call) => usage.push(call)
+  });
+  return { items: db.getTopSemanticItems(conversationId, 20), usage };
+}
+
+test("extracts semantic items with the model in batches, with attribution and source turns", async () => {
+  const client = fakeExtractionClient((turns) =>
+    JSON.stringify({
+      items: turns.includes(2)
+        ? [
+            { type: "decision", text: "Cap every cache TTL at five minutes.", turns: [2, 7], speaker: "nova", confidence: 0.86 },
+            { type: "open_question", text: "What we agreed is to cap every TTL.", turns: [2], confidence: 0.3 },
+            { type: "opinion", text: "Five minutes feels about right overall.", turns: [2], confidence: 0.9 }
+          ]
+        : [{ type: "decision", text: "Cap every cache TTL at five minutes.", turns: [3], speaker: "Atlas", confidence: 0.7 }]
+    })
+  );
+  const { items, usage } = await extractWith("memory-llm-extraction", client);
+
+  assert.equal(client.calls.length, 2);
+  assert.match(client.calls[0].messages[0].content, /Return JSON only/);
+  assert.deepEqual(
+    usage.map((call) => [call.component, call.turn]),
+    [
+      ["extraction", 2],
+      ["extraction", 3]
+    ]
+  );
+  assert.equal(items.length, 1);
+  const [decision] = items;
+  assert.equal(decision.itemType, "decision");
+  assert.equal(decision.canonicalText, "cap every cache ttl at five minutes");
+  assert.equal(decision.extractor, "llm");
+  assert.equal(decision.confidence, 0.86);
+  assert.deepEqual(decision.sourceTurns, [2, 3]);
+  assert.deepEqual([decision.firstTurn, decision.lastTurn], [2, 3]);
+  // The latest mention supplies the attribution.
+  assert.deepEqual([decision.speaker, decision.speakerId], ["Atlas", "agent-a"]);
+});
+
+test("keeps the extractor that first found an item when another one finds it again", () => {
+  const conversationId = "memory-extractor-kept";
+  db.createConversation(conversationId, TOPIC);
+  const item = {
+    itemType: "decision",
+    canonicalText: "cap every cache ttl at five minutes",
+    evidenceText: "Cap every cache TTL at five minutes.",
+    weight: 1,
+    confidence: 0.6,
+    occurrences: 1,
+    firstTurn: 2,
+    lastTurn: 2,
+    status: "active",
+    sourceTurns: [2],
+    extractor: "regex"
+  };
+  db.upsertSemanticItems(conversationId, [item]);
+  db.upsertSemanticItems(conversationId, [{ ...item, lastTurn: 4, sourceTurns: [4], extractor: "llm" }]);
+
+  const [stored] = db.getTopSemanticItems(conversationId, 5);
+  assert.equal(stored.extractor, "regex");
+  assert.deepEqual(stored.sourceTurns, [2, 4]);
+});
+
+test("falls back to the regex classifier when the model reply is not usable", async () => {
+  const client = fakeExtractionClient((turns) => (turns.includes(2) ? "Sure! Here are the items." : JSON.stringify({ items: [] })));
+  const { items, usage } = await extractWith("memory-llm-fallback", client);
+
+  assert.equal(usage.length, 2);
+  assert.deepEqual(
+    items.map((item) => [item.itemType, item.extractor, item.speaker, item.sourceTurns]),
+    [
+      ["open_question", "regex", "Nova", [2]],
+      ["constraint", "regex", "Atlas", [1]]
+    ]
+  );
+});
+
+test("defers per-turn model extraction until a full batch of turns is pending", async () => {
+  const conversationId = "memory-llm-deferred";
+  db.createConversation(conversationId, TOPIC);
+  db.insertMessages(conversationId, EXTRACTION_TURNS);
+  const client = fakeExtractionClient(() => JSON.stringify({ items: [] }));
+  const pass = (newEntries, deferExtraction) =>
+    memoryAgent.runMemoryAgent({
+      conversationId,
+      topic: TOPIC,
+      newEntries,
+      totalTurns: newEntries.at(-1)?.turn || EXTRACTION_TURNS.length,
+      client,
+      model: "test-model",
+      deferExtraction
+    });
+  const extractedTurns = () =>
+    client.calls.map((payload) =>
+      [...payload.messages.at(-1).content.matchAll(/^Turn (\d+) \|/gm)].map((match) => Number(match[1]))
+    );
+
+  await pass(EXTRACTION_TURNS.slice(0, 1), true);
+  assert.equal(client.calls.length, 0);
+  assert.equal(db.getExtractionPendingFrom(conversationId), 1);
+  await pass(EXTRACTION_TURNS.slice(1, 2), true);
+  await pass(EXTRACTION_TURNS.slice(2, 3), true);
+  assert.deepEqual(extractedTurns(), [[1, 2]]);
+  assert.equal(db.getExtractionPendingFrom(conversationId), 3);
+
+  // The closing pass of the run flushes the partial batch.
+  await pass([], false);
+  assert.deepEqual(extractedTurns(), [[1, 2], [3]]);
+  assert.equal(db.getExtractionPendingFrom(conversationId), null);
+});
+
+test("takes the local path for every memory call the budget gate refuses", async () => {
+  const conversationId = "memory-budget-gate";
+  db.createConversation(conversationId, TOPIC);
+  const entries = buildEntries(1, 20);
+  db.insertMessages(conversationId, entries);
+  const client = fakeExtractionClient(() => JSON.stringify({ items: [] }));
+  const usage = [];
+  // Allows one call, as an exhausted budget would after it.
+  const stats = await memoryAgent.runMemoryAgent({
+    conversationId,
+    topic: TOPIC,
+    newEntries: entries,
+    totalTurns: 20,
+    client,
+    model: "test-model",
+    onUsage: (call) => usage.push(call),
+    allowModelCall: () => client.calls.length < 1
+  });
+
+  assert.equal(client.calls.length, 1);
+  assert.deepEqual(
+    usage.map((call) => [call.component, call.turn]),
+    [["extraction", 2]]
+  );
+  // The other batches went through the regex classifier and the summaries were written locally.
+  const items = db.getTopSemanticItems(conversationId, 40);
+  assert.ok(items.length > 0);
+  assert.ok(items.every((item) => item.extractor === "regex" && item.firstTurn > 2));
+  assert.deepEqual([stats.summaryCount, stats.mesoSummaryCount], [2, 1]);
+  const memory = memoryAgent.getCompressedMemory(conversationId);
+  assert.match(memory.tierSummaries.micro[0].summary, /^Topic focus:/);
+  assert.match(memory.tierSummaries.meso[0].summary, /^MESO memory for/);
+});
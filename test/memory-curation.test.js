@@ -0,0 +1,268 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Planning a cold-storage migration for archived invoices";
+const DECISION = "We should decide to keep archived invoices in one region for audit reasons.";
+const MISREAD = "We should decide whether lunch is at noon or later today.";
+
+let server;
+let request;
+let db;
+let memoryAgent;
+
+before(async () => {
+  server = await startTestServer();
+  request = server.request;
+  db = await import("../db.js");
+  memoryAgent = await import("../memoryAgent.js");
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function createConversation(topic = TOPIC) {
+  const response = await request("/api/conversation", { method: "POST", body: { topic, turns: 2 } });
+  assert.equal(response.status, 200);
+  return response.body.conversationId;
+}
+
+async function postMessage(conversationId, text) {
+  const response = await request(`/api/conversation/${conversationId}/message`, { method: "POST", body: { text } });
+  assert.equal(response.status, 200);
+}
+
+async function getMemory(conversationId) {
+  return (await request(`/api/conversation/${conversationId}/memory`)).body;
+}
+
+function semanticPath(conversationId, item) {
+  return `/api/conversation/${conversationId}/memory/semantic/${item.itemType}/${encodeURIComponent(item.canonicalText)}`;
+}
+
+function findSemantic(memory, evidenceText) {
+  return memory.memory.semantic.find((item) => item.evidenceText === evidenceText);
+}
+
+describe("semantic item curation", () => {
+  test("pins, edits and dismisses items, and keeps curation through re-extraction and rebuilds", async () => {
+    const conversationId = await createConversation();
+    await postMessage(conversationId, DECISION);
+    await postMessage(conversationId, MISREAD);
+
+    let memory = await getMemory(conversationId);
+    const decision = findSemantic(memory, DECISION);
+    const misread = findSemantic(memory, MISREAD);
+
+    const pinned = await request(semanticPath(conversationId, decision), { method: "POST", body: { pinned: true } });
+    assert.equal(pinned.status, 200);
+    assert.equal(pinned.body.item.pinned, true);
+    assert.equal(pinned.body.item.curated, true);
+
+    const edited = await request(semanticPath(conversationId, decision), {
+      method: "POST",
+      body: { text: "Archived invoices stay in one region for audits.", itemType: "constraint" }
+    });
+    assert.equal(edited.status, 200);
+    const constraint = edited.body.item;
+    assert.equal(constraint.itemType, "constraint");
+    assert.equal(constraint.canonicalText, "archived invoices stay in one region for audits");
+    assert.equal(constraint.evidenceText, "Archived invoices stay in one region for audits.");
+    assert.equal(constraint.pinned, true);
+    assert.equal((await request(semanticPath(conversationId, decision), { method: "POST", body: { pinned: false } })).status, 404);
+
+    const dismissed = await request(semanticPath(conversationId, misread), { method: "POST", body: { status: "dismissed" } });
+    assert.equal(dismissed.body.item.status, "dismissed");
+    // Saying it again does not bring the extraction back.
+    await postMessage(conversationId, MISREAD);
+    memory = await getMemory(conversationId);
+    assert.equal(findSemantic(memory, MISREAD), undefined);
+    assert.deepEqual(
+      memory.dismissed.map((item) => item.canonicalText),
+      [misread.canonicalText]
+    );
+
+    // Editing a turn rebuilds memory from the transcript; curated items survive it.
+    await request(`/api/conversation/${conversationId}/turns/1/edit`, {
+      method: "POST",
+      body: { text: "Glacier-class storage is cheap but slow to restore." }
+    });
+    memory = await getMemory(conversationId);
+    const kept = memory.memory.semantic.find((item) => item.canonicalText === constraint.canonicalText);
+    assert.equal(kept.pinned, true);
+    assert.equal(memory.dismissed[0].canonicalText, misread.canonicalText);
+    // The original decision is re-extracted from turn 3 as a new, uncurated item.
+    assert.equal(findSemantic(memory, DECISION).curated, false);
+
+    const collision = await request(semanticPath(conversationId, findSemantic(memory, DECISION)), {
+      method: "POST",
+      body: { text: constraint.evidenceText, itemType: "constraint" }
+    });
+    assert.equal(collision.status, 409);
+    assert.equal(collision.body.item.canonicalText, constraint.canonicalText);
+
+    const removed = await request(semanticPath(conversationId, memory.dismissed[0]), { method: "DELETE" });
+    assert.equal(removed.status, 200);
+    assert.deepEqual((await getMemory(conversationId)).dismissed, []);
+  });
+
+  test("always injects pinned items and never prunes them", async () => {
+    const conversationId = await createConversation("Choosing a retention window for sensor logs");
+    const entries = Array.from({ length: 60 }, (_, index) => ({
+      itemType: "decision",
+      canonicalText: `we should keep sensor logs for ${index + 1} days`,
+      evidenceText: `We should keep sensor logs for ${index + 1} days.`,
+      weight: 10 + index,
+      confidence: 0.7,
+      occurrences: 1,
+      firstTurn: 1,
+      lastTurn: 1,
+      status: "active"
+    }));
+    db.upsertSemanticItems(conversationId, [
+      ...entries,
+      { ...entries[0], canonicalText: "we should mirror logs offsite", evidenceText: "We should mirror logs offsite.", weight: 0.5 }
+    ]);
+    const lightest = db.getSemanticItem(conversationId, "decision", "we should mirror logs offsite");
+    const pin = await request(semanticPath(conversationId, lightest), { method: "POST", body: { pinned: true } });
+    assert.equal(pin.status, 200);
+
+    db.pruneSemanticItems(conversationId, 40);
+    assert.ok(db.getSemanticItem(conversationId, "decision", "we should mirror logs offsite"));
+    assert.equal(db.getSemanticItem(conversationId, "decision", "we should keep sensor logs for 1 days"), null);
+
+    const memory = memoryAgent.getCompressedMemory(conversationId);
+    assert.equal(memory.groupedSemantic.decisions[0].canonicalText, "we should mirror logs offsite");
+    const block = memoryAgent.buildContextBlock({ topic: "logs", transcript: [], memory, charter: [], brief: null });
+    assert.match(block, /Semantic memory: decisions\n1\. we should mirror logs offsite/);
+  });
+
+  test("keeps curated items through a regenerate and drops them once a rewind removes every source turn", async () => {
+    const later = "We should decide to move invoice thumbnails to cold storage next quarter.";
+    const conversationId = await createConversation();
+    await postMessage(conversationId, DECISION);
+    await postMessage(conversationId, DECISION);
+    await postMessage(conversationId, later);
+    let memory = await getMemory(conversationId);
+    for (const item of [findSemantic(memory, DECISION), findSemantic(memory, later)]) {
+      assert.equal((await request(semanticPath(conversationId, item), { method: "POST", body: { pinned: true } })).status, 200);
+    }
+
+    // Regenerating an earlier turn rebuilds memory once, from the full transcript.
+    const regenerated = await request(`/api/conversation/${conversationId}/turns/1/regenerate`, { method: "POST" });
+    assert.equal(regenerated.status, 200);
+    memory = await getMemory(conversationId);
+    assert.deepEqual(findSemantic(memory, DECISION).sourceTurns, [3, 4]);
+    assert.equal(findSemantic(memory, later).pinned, true);
+
+    const rewound = await request(`/api/conversation/${conversationId}/rewind`, { method: "POST", body: { turn: 3 } });
+    assert.equal(rewound.status, 200);
+    memory = await getMemory(conversationId);
+    const kept = findSemantic(memory, DECISION);
+    assert.equal(kept.pinned, true);
+    assert.deepEqual([kept.sourceTurns, kept.lastTurn], [[3], 3]);
+    assert.equal(findSemantic(memory, later), undefined);
+  });
+
+  test("validates curation requests", async () => {
+    const conversationId = await createConversation();
+    await postMessage(conversationId, DECISION);
+    const item = findSemantic(await getMemory(conversationId), DECISION);
+    const curate = (body) => request(semanticPath(conversationId, item), { method: "POST", body });
+
+    assert.equal((await curate({})).body.error, "Provide at least one of pinned, status, text or itemType.");
+    assert.equal((await curate({ pinned: "yes" })).body.error, "pinned must be a boolean.");
+    assert.equal((await curate({ status: "archived" })).body.error, "status must be one of: open, active, resolved, dismissed.");
+    assert.equal((await curate({ text: " " })).status, 400);
+    assert.equal((await curate({ text: "!!!" })).status, 400);
+
+    const missing = await request(`/api/conversation/${conversationId}/memory/semantic/decision/nothing%20here`, {
+      method: "DELETE"
+    });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "Semantic memory item not found.");
+  });
+});
+
+describe("memory token curation", () => {
+  test("pins, reweights and deletes tokens", async () => {
+    const conversationId = await createConversation();
+    await postMessage(conversationId, DECISION);
+    const tokens = (await getMemory(conversationId)).memory.tokens;
+    const lightest = tokens.at(-1);
+    const heaviest = tokens[0];
+
+    const pinned = await request(`/api/conversation/${conversationId}/memory/tokens/${lightest.token}`, {
+      method: "POST",
+      body: { pinned: true, weight: 0.1 }
+    });
+    assert.equal(pinned.status, 200);
+    assert.deepEqual(
+      { pinned: pinned.body.token.pinned, weight: pinned.body.token.weight },
+      { pinned: true, weight: 0.1 }
+    );
+    assert.equal((await getMemory(conversationId)).memory.tokens[0].token, lightest.token);
+
+    const badWeight = await request(`/api/conversation/${conversationId}/memory/tokens/${lightest.token}`, {
+      method: "POST",
+      body: { weight: -1 }
+    });
+    assert.equal(badWeight.status, 400);
+
+    const removed = await request(`/api/conversation/${conversationId}/memory/tokens/${heaviest.token}`, {
+      method: "DELETE"
+    });
+    assert.equal(removed.status, 200);
+    assert.equal(db.getMemoryToken(conversationId, heaviest.token), null);
+    const again = await request(`/api/conversation/${conversationId}/memory/tokens/${heaviest.token}`, {
+      method: "DELETE"
+    });
+    assert.equal(again.status, 404);
+  });
+});
+
+describe("conflict resolution", () => {
+  test("resolves a conflict with a note that sticks when it is detected again", async () => {
+    const conversationId = await createConversation();
+    const conflict = {
+      issueKey: "decision|constraint|archived-invoices-region",
+      itemA: "We should keep archived invoices in one region.",
+      itemB: "Archived invoices must not stay in one region.",
+      confidence: 0.8,
+      status: "open",
+      firstTurn: 1,
+      lastTurn: 2,
+      occurrences: 1
+    };
+    db.upsertConflictLedger(conversationId, [conflict]);
+    const route = `/api/conversation/${conversationId}/memory/conflicts/${encodeURIComponent(conflict.issueKey)}`;
+
+    const resolved = await request(route, {
+      method: "POST",
+      body: { note: "Legal confirmed a single region is fine for archives." }
+    });
+    assert.equal(resolved.status, 200);
+    assert.equal(resolved.body.conflict.status, "resolved");
+    assert.equal(resolved.body.conflict.resolutionNote, "Legal confirmed a single region is fine for archives.");
+    assert.ok(resolved.body.conflict.resolvedAt);
+
+    db.upsertConflictLedger(conversationId, [{ ...conflict, lastTurn: 5 }]);
+    const stored = db.getConflict(conversationId, conflict.issueKey);
+    assert.equal(stored.status, "resolved");
+    assert.equal(stored.lastTurn, 5);
+
+    const memory = memoryAgent.getCompressedMemory(conversationId);
+    const block = memoryAgent.buildContextBlock({ topic: TOPIC, transcript: [], memory, charter: [], brief: null });
+    assert.match(block, /\(resolved, conf 0\.80\) .* \| resolution: Legal confirmed a single region is fine for archives\./);
+
+    const reopened = await request(route, { method: "POST", body: { status: "open" } });
+    assert.equal(reopened.body.conflict.status, "open");
+    assert.equal(reopened.body.conflict.resolutionNote, "");
+    assert.equal(reopened.body.conflict.resolvedAt, null);
+
+    assert.equal((await request(route, { method: "POST", body: { status: "closed" } })).status, 400);
+    const missing = await request(`/api/conversation/${conversationId}/memory/conflicts/nope`, { method: "POST", body: {} });
+    assert.equal(missing.status, 404);
+  });
+});
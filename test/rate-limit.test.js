@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer({
+    RATE_LIMIT_MAX_REQUESTS: "20",
+    GENERATION_LIMIT_MAX_REQUESTS: "2",
+    RATE_LIMIT_WINDOW_MS: "60000"
+  });
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Both limiters count per client in the same window; generation requests also spend the
+// general API budget, which is far larger.
+test("limits generation requests separately from other API calls", async () => {
+  const generate = () =>
+    server.request("/api/conversation", {
+      method: "POST",
+      body: { topic: "Rate limited topic", turns: 2 }
+    });
+
+  assert.equal((await generate()).status, 200);
+  assert.equal((await generate()).status, 200);
+
+  const limited = await generate();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, "Rate limit exceeded. Slow down and try again shortly.");
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+  assert.ok(limited.body.retryAfterSeconds >= 1);
+
+  assert.equal((await server.request("/api/conversations")).status, 200);
+});
+
+test("limits all API calls once the general budget is spent", async () => {
+  const statuses = [];
+  for (let index = 0; index < 20; index += 1) {
+    statuses.push((await server.request("/api/conversations")).status);
+  }
+  assert.equal(statuses.at(-1), 429);
+  assert.ok(statuses.includes(200));
+});
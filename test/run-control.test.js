@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { randomUUID } from "node:crypto";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Rolling out feature flags across mobile clients";
+
+let server;
+let request;
+let db;
+
+before(async () => {
+  // Slow the re-chunked deltas down so runs are still going when the control requests land.
+  server = await startTestServer({ TURN_STREAM_DELAY_MS: "15" });
+  request = server.request;
+  db = await import("../db.js");
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Opens a stream run and returns a reader that yields parsed NDJSON events one at a time.
+async function openStream(body) {
+  const response = await fetch(`${server.baseUrl}/api/conversation/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = "";
+
+  async function next() {
+    while (true) {
+      const newlineIndex = buffer.indexOf("\n");
+      if (newlineIndex !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) {
+          const event = JSON.parse(line);
+          events.push(event);
+          return event;
+        }
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        return null;
+      }
+      buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  async function until(type) {
+    let event = await next();
+    while (event && event.type !== type) {
+      event = await next();
+    }
+    return event;
+  }
+
+  return { response, events, next, until };
+}
+
+describe("run control", () => {
+  test("pauses between turns and resumes with the same directive", async () => {
+    const stream = await openStream({ topic: TOPIC, turns: 6 });
+    const meta = await stream.until("meta");
+    await stream.until("turn");
+
+    const paused = await request(`/api/conversation/${meta.conversationId}/pause`, { method: "POST" });
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.paused, true);
+
+    const pausedEvent = await stream.until("paused");
+    assert.ok(pausedEvent.moderatorDirective);
+    const turnsBeforeResume = stream.events.filter((event) => event.type === "turn").length;
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const controller = new AbortController();
+    const attached = await fetch(`${server.baseUrl}/api/conversation/${meta.conversationId}/stream`, {
+      signal: controller.signal
+    });
+    const reader = attached.body.getReader();
+    const { value } = await reader.read();
+    const attach = JSON.parse(new TextDecoder().decode(value).split("\n")[0]);
+    assert.equal(attach.type, "attach");
+    assert.equal(attach.paused, true);
+    controller.abort();
+    await reader.cancel().catch(() => {});
+
+    const resumed = await request(`/api/conversation/${meta.conversationId}/resume`, { method: "POST" });
+    assert.equal(resumed.body.paused, false);
+
+    const resumedEvent = await stream.until("resumed");
+    assert.equal(resumedEvent.totalTurns, pausedEvent.totalTurns);
+    assert.equal(resumedEvent.moderatorDirective, pausedEvent.moderatorDirective);
+    assert.equal(stream.events.filter((event) => event.type === "turn").length, turnsBeforeResume);
+
+    const done = await stream.until("done");
+    assert.equal(done.stopReason, "max_turns");
+    assert.equal(done.totalTurns, 6);
+  });
+
+  test("cancels a running stream and keeps the turns generated so far", async () => {
+    const stream = await openStream({ topic: TOPIC, turns: 10 });
+    const meta = await stream.until("meta");
+    await stream.until("turn");
+
+    const cancelled = await request(`/api/conversation/${meta.conversationId}/cancel`, { method: "POST" });
+    assert.equal(cancelled.status, 202);
+    assert.equal(cancelled.body.cancelled, true);
+
+    const done = await stream.until("done");
+    assert.equal(done.stopReason, "cancelled");
+    assert.ok(done.totalTurns < 10);
+
+    const stored = await request(`/api/conversation/${meta.conversationId}`);
+    assert.equal(stored.body.transcript.length, done.totalTurns);
+
+    const again = await request(`/api/conversation/${meta.conversationId}/cancel`, { method: "POST" });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "No run in progress for this conversation.");
+  });
+
+  test("rejects a second run on a conversation that is already generating", async () => {
+    const created = await request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+    const { conversationId } = created.body;
+
+    const stream = await openStream({ conversationId, turns: 6 });
+    await stream.until("turn_start");
+
+    const sync = await request("/api/conversation", { method: "POST", body: { conversationId, turns: 2 } });
+    assert.equal(sync.status, 409);
+    assert.equal(sync.body.error, "A run is in progress for this conversation.");
+
+    const second = await request("/api/conversation/stream", { method: "POST", body: { conversationId, turns: 2 } });
+    assert.equal(second.status, 409);
+
+    const queued = await request("/api/conversation", {
+      method: "POST",
+      body: { conversationId, turns: 2, async: true }
+    });
+    assert.equal(queued.status, 409);
+
+    await request(`/api/conversation/${conversationId}/cancel`, { method: "POST" });
+    await stream.until("done");
+  });
+
+  test("cancels queued jobs and rejects pausing when nothing is running", async () => {
+    const created = await request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+    const { conversationId } = created.body;
+
+    const idle = await request(`/api/conversation/${conversationId}/pause`, { method: "POST" });
+    assert.equal(idle.status, 409);
+
+    const jobId = randomUUID();
+    db.insertGenerationJob({ id: jobId, conversationId, requestedTurns: 4, startTurns: 2 });
+    const cancelled = await request(`/api/conversation/${conversationId}/cancel`, { method: "POST" });
+    assert.equal(cancelled.status, 202);
+    assert.equal(cancelled.body.jobId, jobId);
+    assert.equal(db.getGenerationJob(jobId).status, "cancelled");
+  });
+});
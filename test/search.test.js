@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Choosing a telemetry pipeline for zeppelin fleet sensors";
+
+let server;
+let request;
+
+before(async () => {
+  server = await startTestServer();
+  request = server.request;
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function createConversation(topic, turns = 2) {
+  const response = await request("/api/conversation", { method: "POST", body: { topic, turns } });
+  assert.equal(response.status, 200);
+  return response.body.conversationId;
+}
+
+function highlighted(hit) {
+  return hit.highlights.map(([start, end]) => hit.snippet.slice(start, end).toLowerCase());
+}
+
+describe("GET /api/search", () => {
+  test("ranks turn, title, brief and memory hits with snippets and highlights", async () => {
+    const conversationId = await createConversation(TOPIC);
+    const other = await createConversation("Budgeting a bakery renovation");
+    await request(`/api/conversation/${conversationId}/brief`, {
+      method: "POST",
+      body: { objective: "Keep barometer readings flowing during zeppelin docking" }
+    });
+    await request(`/api/conversation/${conversationId}/message`, {
+      method: "POST",
+      body: { text: "We should decide to buffer barometer readings on the gondola before uplink." }
+    });
+
+    const search = await request(`/api/search?q=${encodeURIComponent("barometer readings")}`);
+    assert.equal(search.status, 200);
+    assert.equal(search.body.query, "barometer readings");
+    const sources = search.body.hits.map((hit) => hit.source);
+    assert.ok(sources.includes("turn"));
+    assert.ok(sources.includes("brief"));
+    assert.ok(sources.includes("semantic"));
+    assert.ok(search.body.hits.every((hit) => hit.conversationId === conversationId));
+
+    const turnHit = search.body.hits.find((hit) => hit.source === "turn");
+    assert.equal(turnHit.turn, 3);
+    assert.equal(turnHit.topic, TOPIC);
+    assert.deepEqual(highlighted(turnHit), ["barometer", "readings"]);
+    const memoryHit = search.body.hits.find((hit) => hit.source === "semantic");
+    assert.equal(memoryHit.itemType, "decision");
+    assert.equal(memoryHit.turn, 3);
+
+    // The last word matches as a prefix, so results show up while typing.
+    const partial = await request("/api/search?q=zepp");
+    const titleHit = partial.body.hits.find((hit) => hit.source === "conversation");
+    assert.equal(titleHit.conversationId, conversationId);
+    assert.deepEqual(highlighted(titleHit), ["zeppelin"]);
+    assert.ok(partial.body.hits.every((hit) => hit.conversationId !== other));
+  });
+
+  test("follows edits and deletes", async () => {
+    const conversationId = await createConversation("Scheduling ferry maintenance windows");
+    await request(`/api/conversation/${conversationId}/turns/1/edit`, {
+      method: "POST",
+      body: { text: "Hydrofoil inspections have to fit between the morning crossings." }
+    });
+
+    const edited = await request("/api/search?q=hydrofoil");
+    assert.deepEqual(
+      edited.body.hits.map((hit) => [hit.conversationId, hit.turn]),
+      [[conversationId, 1]]
+    );
+
+    await request(`/api/conversation/${conversationId}/turns/1/edit`, {
+      method: "POST",
+      body: { text: "Hull inspections have to fit between the morning crossings." }
+    });
+    assert.equal((await request("/api/search?q=hydrofoil")).body.hits.length, 0);
+
+    await request(`/api/conversation/${conversationId}`, { method: "DELETE" });
+    assert.equal((await request("/api/search?q=ferry")).body.hits.length, 0);
+  });
+
+  test("treats query syntax as plain words and validates q", async () => {
+    const syntax = await request(`/api/search?q=${encodeURIComponent('"zeppelin" OR NEAR(')}`);
+    assert.equal(syntax.status, 200);
+    assert.ok(Array.isArray(syntax.body.hits));
+
+    const missing = await request("/api/search?q=%20");
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, "q is required.");
+
+    const long = await request(`/api/search?q=${"a".repeat(201)}`);
+    assert.equal(long.status, 400);
+    assert.equal(long.body.error, "q must be at most 200 characters.");
+  });
+});
@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const WRITE_TOKEN = "test-write-token";
+const TRUSTED_ORIGIN = "https://admin.openllmchat.test";
+const UNKNOWN_ID = "00000000-0000-4000-8000-000000000000";
+
+let server;
+let request;
+
+before(async () => {
+  server = await startTestServer({
+    API_WRITE_TOKEN: WRITE_TOKEN,
+    CSRF_PROTECTION: "true",
+    CSRF_ALLOWED_ORIGINS: TRUSTED_ORIGIN
+  });
+  request = server.request;
+});
+
+after(async () => {
+  await server.close();
+});
+
+const authorized = { Authorization: `Bearer ${WRITE_TOKEN}` };
+
+describe("CSRF origin check", () => {
+  test("rejects writes from another origin", async () => {
+    const response = await request("/api/conversations", {
+      method: "DELETE",
+      headers: { ...authorized, Origin: "https://evil.example" }
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, "Cross-origin write request denied.");
+  });
+
+  test("rejects an unparseable origin", async () => {
+    const response = await request("/api/conversations", {
+      method: "DELETE",
+      headers: { ...authorized, Origin: "not a url" }
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error, "Blocked request origin.");
+  });
+
+  test("allows same-origin, allow-listed and origin-less writes", async () => {
+    for (const origin of [server.baseUrl, TRUSTED_ORIGIN, null]) {
+      const response = await request("/api/conversations", {
+        method: "DELETE",
+        headers: origin ? { ...authorized, Origin: origin } : authorized
+      });
+      assert.equal(response.status, 200, String(origin));
+    }
+  });
+
+  test("does not apply to reads", async () => {
+    const response = await request("/api/conversations", { headers: { Origin: "https://evil.example" } });
+    assert.equal(response.status, 200);
+  });
+});
+
+describe("write token", () => {
+  test("rejects writes without a token", async () => {
+    const response = await request(`/api/conversation/${UNKNOWN_ID}/meta`, {
+      method: "POST",
+      body: { title: "x" }
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "Unauthorized write request.");
+    assert.match(response.headers.get("www-authenticate"), /^Bearer /);
+  });
+
+  test("rejects a wrong token", async () => {
+    const response = await request(`/api/conversation/${UNKNOWN_ID}/meta`, {
+      method: "POST",
+      headers: { Authorization: "Bearer wrong-token" },
+      body: { title: "x" }
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test("accepts the token as a bearer or x-api-key header", async () => {
+    for (const headers of [authorized, { "X-API-Key": WRITE_TOKEN }]) {
+      const response = await request(`/api/conversation/${UNKNOWN_ID}/meta`, {
+        method: "POST",
+        headers,
+        body: { title: "x" }
+      });
+      assert.equal(response.status, 404);
+    }
+  });
+
+  test("leaves reads open", async () => {
+    assert.equal((await request("/api/conversations")).status, 200);
+  });
+});
+
+test("API responses carry hardening headers", async () => {
+  const response = await request("/api/conversations", { headers: { "X-Request-Id": "test-request-0001" } });
+  assert.equal(response.headers.get("x-content-type-options"), "nosniff");
+  assert.equal(response.headers.get("x-frame-options"), "DENY");
+  assert.equal(response.headers.get("cache-control"), "no-store, max-age=0");
+  assert.equal(response.headers.get("x-request-id"), "test-request-0001");
+});
@@ -0,0 +1,179 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import WebSocket from "ws";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Choosing a message queue for an event-driven backend";
+
+let server;
+let request;
+
+before(async () => {
+  // Slow the re-chunked deltas down so control messages land while the run is still going.
+  server = await startTestServer({ TURN_STREAM_DELAY_MS: "10" });
+  request = server.request;
+});
+
+after(async () => {
+  await server.close();
+});
+
+function parseSse(text) {
+  return String(text || "")
+    .split("\n\n")
+    .filter((block) => block.trim() && !block.startsWith(":"))
+    .map((block) => {
+      const fields = {};
+      for (const line of block.split("\n")) {
+        const index = line.indexOf(": ");
+        fields[line.slice(0, index)] = line.slice(index + 2);
+      }
+      return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+function openSocket(headers = {}) {
+  const socket = new WebSocket(`${server.baseUrl.replace(/^http/, "ws")}/api/conversation/ws`, { headers });
+  const messages = [];
+  const waiters = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(String(data));
+    messages.push(message);
+    for (const waiter of waiters.splice(0)) {
+      waiter();
+    }
+  });
+
+  // Resolves with the first message (from `from` on) that matches `predicate`.
+  async function waitFor(predicate, from = 0) {
+    while (true) {
+      const found = messages.slice(from).find(predicate);
+      if (found) {
+        return found;
+      }
+      await new Promise((resolve) => waiters.push(resolve));
+    }
+  }
+
+  return {
+    socket,
+    messages,
+    waitFor,
+    opened: new Promise((resolve, reject) => {
+      socket.once("open", resolve);
+      socket.once("unexpected-response", (req, response) => reject(new Error(String(response.statusCode))));
+      socket.once("error", reject);
+    }),
+    send: (message) => socket.send(JSON.stringify(message)),
+    close: () =>
+      new Promise((resolve) => {
+        socket.once("close", resolve);
+        socket.close();
+      })
+  };
+}
+
+describe("Server-Sent Events", () => {
+  test("streams a run as SSE when the client accepts text/event-stream", async () => {
+    const response = await request("/api/conversation/stream", {
+      method: "POST",
+      headers: { Accept: "text/event-stream" },
+      body: { topic: TOPIC, turns: 2 }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+    const events = parseSse(response.text);
+    assert.equal(events[0].event, "meta");
+    assert.equal(events.at(-1).event, "done");
+    for (const event of events) {
+      assert.equal(event.event, event.data.type);
+    }
+    const turns = events.filter((event) => event.event === "turn");
+    assert.deepEqual(
+      turns.map((event) => Number(event.id)),
+      turns.map((event) => event.data.seq)
+    );
+  });
+
+  test("replays a finished run from Last-Event-ID on the events endpoint", async () => {
+    const created = await request("/api/conversation/stream", { method: "POST", body: { topic: TOPIC, turns: 4 } });
+    const conversationId = JSON.parse(created.text.split("\n")[0]).conversationId;
+
+    const replay = await request(`/api/conversation/${conversationId}/events`, { headers: { "Last-Event-ID": "2" } });
+    assert.equal(replay.status, 200);
+    const events = parseSse(replay.text);
+    assert.equal(events[0].event, "attach");
+    assert.equal(events[1].event, "meta");
+    assert.ok(events.slice(2).every((event) => Number(event.id) > 2));
+    assert.equal(events.at(-1).event, "done");
+  });
+});
+
+describe("conversation socket", () => {
+  test("starts a run, takes a directive and a human turn, and cancels", async () => {
+    const client = openSocket();
+    await client.opened;
+    try {
+      client.send({ type: "start", topic: TOPIC, turns: 10 });
+      const meta = await client.waitFor((message) => message.type === "meta");
+      await client.waitFor((message) => message.type === "turn");
+
+      client.send({ type: "change_directive", directive: "Compare delivery guarantees with one concrete failure case." });
+      const directiveAck = await client.waitFor((message) => message.type === "ack" && message.action === "change_directive");
+      assert.equal(directiveAck.conversationId, meta.conversationId);
+      const directive = await client.waitFor((message) => message.type === "directive");
+      assert.equal(directive.moderatorDirective, "Compare delivery guarantees with one concrete failure case.");
+
+      client.send({ type: "inject_turn", text: "What about exactly-once delivery?", name: "Priya" });
+      const injected = await client.waitFor((message) => message.type === "ack" && message.action === "inject_turn");
+      assert.equal(injected.queued, true);
+      const humanTurn = await client.waitFor((message) => message.type === "turn" && message.human);
+      assert.equal(humanTurn.entry.speaker, "Priya");
+
+      client.send({ type: "cancel" });
+      await client.waitFor((message) => message.type === "ack" && message.action === "cancel");
+      const done = await client.waitFor((message) => message.type === "done");
+      assert.equal(done.stopReason, "cancelled");
+      assert.equal(done.conversationId, meta.conversationId);
+    } finally {
+      await client.close();
+    }
+  });
+
+  test("attaches to a finished run and answers bad messages with errors", async () => {
+    const created = await request("/api/conversation/stream", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+    const conversationId = JSON.parse(created.text.split("\n")[0]).conversationId;
+
+    const client = openSocket();
+    await client.opened;
+    try {
+      client.send({ type: "pause" });
+      const unbound = await client.waitFor((message) => message.type === "error");
+      assert.equal(unbound.status, 400);
+
+      client.send({ type: "attach", conversationId, after: 0 });
+      const attach = await client.waitFor((message) => message.type === "attach");
+      assert.equal(attach.running, false);
+      const done = await client.waitFor((message) => message.type === "done");
+      assert.equal(done.totalTurns, 2);
+
+      const from = client.messages.length;
+      client.send({ type: "pause" });
+      const idle = await client.waitFor((message) => message.type === "error", from);
+      assert.equal(idle.action, "pause");
+      assert.equal(idle.status, 409);
+
+      client.socket.send("not json");
+      const invalid = await client.waitFor((message) => message.type === "error" && message.action === "", from);
+      assert.equal(invalid.error, "Messages must be JSON objects.");
+    } finally {
+      await client.close();
+    }
+  });
+
+  test("refuses cross-origin upgrades", async () => {
+    const client = openSocket({ Origin: "https://evil.example" });
+    await assert.rejects(client.opened, /403/);
+  });
+});
@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { parseNdjson, startTestServer } from "./helpers.js";
+
+const TOPIC = "Designing a resilient cache invalidation strategy";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test("streams meta, per-turn events and done as NDJSON", async () => {
+  const response = await server.request("/api/conversation/stream", {
+    method: "POST",
+    body: { topic: TOPIC, turns: 4 }
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^application\/x-ndjson/);
+
+  const events = parseNdjson(response.text);
+  assert.equal(events[0].type, "meta");
+  assert.equal(events[0].topic, TOPIC);
+  assert.equal(events[0].engine, "Local fallback generator");
+  assert.equal(events[0].guardrails.streaming.source, "rechunked");
+  assert.equal(events.at(-1).type, "done");
+  assert.equal(events.filter((event) => event.type === "done").length, 1);
+
+  const knownTypes = new Set(["meta", "references", "retry", "turn_start", "turn_delta", "turn_reset", "turn", "moderator", "done"]);
+  for (const event of events) {
+    assert.ok(knownTypes.has(event.type), `unexpected event type ${event.type}`);
+  }
+
+  const turns = events.filter((event) => event.type === "turn");
+  assert.deepEqual(
+    turns.map((event) => event.entry.turn),
+    [1, 2, 3, 4]
+  );
+
+  for (const turnEvent of turns) {
+    const { turn, text } = turnEvent.entry;
+    const turnEvents = events.filter((event) => (event.turn ?? event.entry?.turn) === turn);
+    const startIndex = events.findIndex((event) => event.type === "turn_start" && event.turn === turn);
+    const turnIndex = events.indexOf(turnEvent);
+    assert.ok(startIndex > 0 && startIndex < turnIndex, `turn_start precedes turn ${turn}`);
+
+    const deltas = turnEvents.filter((event) => event.type === "turn_delta");
+    assert.ok(deltas.length > 0);
+    assert.equal(deltas.map((event) => event.delta).join(""), text);
+    assert.equal(deltas.at(-1).text, text);
+  }
+
+  const done = events.at(-1);
+  assert.equal(done.conversationId, events[0].conversationId);
+  assert.equal(done.turns, 4);
+  assert.equal(done.totalTurns, 4);
+  assert.ok(done.stopReason);
+  assert.ok(done.quality);
+
+  const stored = await server.request(`/api/conversation/${done.conversationId}`);
+  assert.deepEqual(
+    stored.body.transcript.map((entry) => entry.text),
+    turns.map((event) => event.entry.text)
+  );
+});
+
+test("returns a JSON error before streaming when the request is invalid", async () => {
+  const response = await server.request("/api/conversation/stream", { method: "POST", body: { topic: "" } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, "Topic is required.");
+});
+
+test("continues a stored conversation with the next turn numbers", async () => {
+  const first = await server.request("/api/conversation/stream", {
+    method: "POST",
+    body: { topic: TOPIC, turns: 2 }
+  });
+  const conversationId = parseNdjson(first.text)[0].conversationId;
+
+  const second = await server.request("/api/conversation/stream", {
+    method: "POST",
+    body: { conversationId, turns: 2 }
+  });
+  const events = parseNdjson(second.text);
+  assert.equal(events[0].conversationId, conversationId);
+  assert.deepEqual(
+    events.filter((event) => event.type === "turn").map((event) => event.entry.turn),
+    [3, 4]
+  );
+  assert.equal(events.at(-1).totalTurns, 4);
+});
+
+test("keeps generating after the client disconnects and replays missed events on reattach", async () => {
+  const controller = new AbortController();
+  const stream = await fetch(`${server.baseUrl}/api/conversation/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ topic: TOPIC, turns: 6 }),
+    signal: controller.signal
+  });
+  const reader = stream.body.getReader();
+  const { value } = await reader.read();
+  const meta = parseNdjson(new TextDecoder().decode(value).split("\n")[0])[0];
+  assert.equal(meta.type, "meta");
+  assert.equal(meta.seq, 0);
+  controller.abort();
+  await reader.cancel().catch(() => {});
+
+  const attached = await server.request(`/api/conversation/${meta.conversationId}/stream?after=0`);
+  assert.equal(attached.status, 200);
+  const events = parseNdjson(attached.text);
+  assert.equal(events[0].type, "attach");
+  assert.equal(events[0].truncated, false);
+  assert.equal(events[1].type, "meta");
+  assert.equal(events[1].seq, 0);
+
+  const replayed = events.slice(2).filter((event) => event.seq !== undefined);
+  assert.deepEqual(
+    replayed.map((event) => event.seq),
+    replayed.map((_, index) => index + 1)
+  );
+  assert.deepEqual(
+    replayed.filter((event) => event.type === "turn").map((event) => event.entry.turn),
+    [1, 2, 3, 4, 5, 6]
+  );
+  assert.equal(events.at(-1).type, "done");
+  assert.equal(events.at(-1).totalTurns, 6);
+
+  const stored = await server.request(`/api/conversation/${meta.conversationId}`);
+  assert.equal(stored.body.transcript.length, 6);
+
+  const tail = await server.request(`/api/conversation/${meta.conversationId}/stream?after=${replayed.at(-2).seq}`);
+  const tailEvents = parseNdjson(tail.text);
+  assert.equal(tailEvents[0].running, false);
+  assert.deepEqual(
+    tailEvents.slice(2).map((event) => event.seq),
+    [replayed.at(-1).seq]
+  );
+});
+
+test("rejects reattaching without a run or with an invalid cursor", async () => {
+  const created = await server.request("/api/conversation", { method: "POST", body: { topic: TOPIC, turns: 2 } });
+  const conversationId = created.body.conversationId;
+
+  const missing = await server.request(`/api/conversation/${conversationId}/stream`);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "No run to attach to for this conversation.");
+
+  const invalid = await server.request(`/api/conversation/${conversationId}/stream?after=-1`);
+  assert.equal(invalid.status, 400);
+});
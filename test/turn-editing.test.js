@@ -0,0 +1,188 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+const TOPIC = "Choosing a schema migration strategy for a busy service";
+
+let server;
+let request;
+let db;
+
+before(async () => {
+  // A small stream delay keeps a streamed run open long enough to collide with it.
+  server = await startTestServer({ TURN_STREAM_DELAY_MS: "20" });
+  request = server.request;
+  db = await import("../db.js");
+});
+
+after(async () => {
+  await server.close();
+});
+
+async function createConversation(turns = 4) {
+  const response = await request("/api/conversation", {
+    method: "POST",
+    body: { topic: TOPIC, turns }
+  });
+  assert.equal(response.status, 200);
+  return response.body.conversationId;
+}
+
+function memoryTokens(conversationId) {
+  return db.getTopMemoryTokens(conversationId, 200).map((item) => item.token);
+}
+
+describe("POST /api/conversation/:id/turns/:turn/edit", () => {
+  test("replaces the turn text and rebuilds memory from the new transcript", async () => {
+    const conversationId = await createConversation(4);
+
+    const first = await request(`/api/conversation/${conversationId}/turns/2/edit`, {
+      method: "POST",
+      body: { text: "Expand-contract migrations need a quokkaquorum of readers before dropping columns." }
+    });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.entry.turn, 2);
+    assert.equal(first.body.entry.speakerId, "agent-b");
+    assert.equal(first.body.totalTurns, 4);
+    assert.ok(memoryTokens(conversationId).includes("quokkaquorum"));
+
+    const second = await request(`/api/conversation/${conversationId}/turns/2/edit`, {
+      method: "POST",
+      body: { text: "Shadow writes let the new table warm up before reads switch over." }
+    });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.previousText, first.body.entry.text);
+    assert.ok(!memoryTokens(conversationId).includes("quokkaquorum"));
+
+    const stored = await request(`/api/conversation/${conversationId}`);
+    assert.equal(stored.body.transcript[1].text, second.body.entry.text);
+    assert.equal(stored.body.totalTurns, 4);
+  });
+
+  test("requires text and a turn inside the transcript", async () => {
+    const conversationId = await createConversation(2);
+
+    const empty = await request(`/api/conversation/${conversationId}/turns/1/edit`, {
+      method: "POST",
+      body: { text: "   " }
+    });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, "Turn text is required.");
+
+    const outOfRange = await request(`/api/conversation/${conversationId}/turns/3/edit`, {
+      method: "POST",
+      body: { text: "Too far." }
+    });
+    assert.equal(outOfRange.status, 400);
+    assert.equal(outOfRange.body.error, "Turn must be between 1 and 2.");
+  });
+});
+
+describe("POST /api/conversation/:id/turns/:turn/regenerate", () => {
+  test("regenerates an agent turn in place with the same speaker", async () => {
+    const conversationId = await createConversation(4);
+
+    const response = await request(`/api/conversation/${conversationId}/turns/3/regenerate`, { method: "POST" });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.entry.turn, 3);
+    assert.equal(response.body.entry.speakerId, "agent-a");
+    assert.ok(response.body.entry.text.length > 0);
+    assert.equal(response.body.totalTurns, 4);
+    assert.ok(response.body.memory.tokenCount > 0);
+  });
+
+  test("refuses human turns", async () => {
+    const conversationId = await createConversation(2);
+    const posted = await request(`/api/conversation/${conversationId}/message`, {
+      method: "POST",
+      body: { text: "What about online index builds?" }
+    });
+    assert.equal(posted.body.entry.turn, 3);
+
+    const response = await request(`/api/conversation/${conversationId}/turns/3/regenerate`, { method: "POST" });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Human turns can be edited but not regenerated.");
+  });
+});
+
+describe("POST /api/conversation/:id/rewind", () => {
+  test("truncates the transcript and lets the run continue from there", async () => {
+    const conversationId = await createConversation(6);
+
+    const rewound = await request(`/api/conversation/${conversationId}/rewind`, {
+      method: "POST",
+      body: { turn: 2 }
+    });
+    assert.equal(rewound.status, 200);
+    assert.equal(rewound.body.removedTurns, 4);
+    assert.equal(rewound.body.totalTurns, 2);
+    assert.deepEqual(
+      rewound.body.transcript.map((entry) => entry.turn),
+      [1, 2]
+    );
+    assert.ok(memoryTokens(conversationId).length > 0);
+
+    const continued = await request("/api/conversation", {
+      method: "POST",
+      body: { conversationId, turns: 2 }
+    });
+    assert.equal(continued.status, 200);
+    assert.deepEqual(
+      continued.body.transcript.map((entry) => entry.turn),
+      [3, 4]
+    );
+  });
+
+  test("rewinding to zero clears the transcript and derived memory", async () => {
+    const conversationId = await createConversation(2);
+
+    const rewound = await request(`/api/conversation/${conversationId}/rewind`, {
+      method: "POST",
+      body: { turn: 0 }
+    });
+    assert.equal(rewound.status, 200);
+    assert.equal(rewound.body.totalTurns, 0);
+    assert.deepEqual(memoryTokens(conversationId), []);
+    assert.equal(db.getTopSemanticItems(conversationId, 50).length, 0);
+  });
+
+  test("rejects a turn past the end of the transcript", async () => {
+    const conversationId = await createConversation(2);
+    const response = await request(`/api/conversation/${conversationId}/rewind`, {
+      method: "POST",
+      body: { turn: 5 }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, "Turn must be between 0 and 2.");
+  });
+});
+
+test("in-place changes return 409 while a run is generating", async () => {
+  const conversationId = await createConversation(2);
+  const controller = new AbortController();
+  const stream = await fetch(`${server.baseUrl}/api/conversation/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ conversationId, turns: 10 }),
+    signal: controller.signal
+  });
+  const reader = stream.body.getReader();
+  await reader.read();
+
+  try {
+    const edit = await request(`/api/conversation/${conversationId}/turns/1/edit`, {
+      method: "POST",
+      body: { text: "Changed mid-run." }
+    });
+    assert.equal(edit.status, 409);
+
+    const rewind = await request(`/api/conversation/${conversationId}/rewind`, {
+      method: "POST",
+      body: { turn: 1 }
+    });
+    assert.equal(rewind.status, 409);
+  } finally {
+    controller.abort();
+    await reader.cancel().catch(() => {});
+  }
+});
@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import { startTestServer } from "./helpers.js";
+
+let server;
+let usageAccounting;
+
+before(async () => {
+  server = await startTestServer({
+    MODEL_PRICES: JSON.stringify({ "test-model": { input: 2, output: 8 }, "gpt-4o": { input: 5, output: 20 } })
+  });
+  usageAccounting = await import("../usageAccounting.js");
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe("model price table", () => {
+  test("prices configured, dated and free models", () => {
+    const counts = { promptTokens: 1_000_000, completionTokens: 500_000 };
+    assert.equal(usageAccounting.priceUsage("openai", "test-model", counts), 6);
+    // MODEL_PRICES overrides the built-in entry.
+    assert.equal(usageAccounting.priceUsage("openai", "gpt-4o", counts), 15);
+    assert.equal(usageAccounting.priceUsage("openai", "gpt-4o-mini-2024-07-18", counts), 0.45);
+    assert.equal(usageAccounting.priceUsage("ollama", "llama3.1", counts), 0);
+    assert.equal(usageAccounting.priceUsage("openai", "unknown-model", counts), null);
+  });
+});
+
+describe("GET /api/conversation/:id/usage", () => {
+  test("reports no calls for the offline engine", async () => {
+    const created = await server.request("/api/conversation", {
+      method: "POST",
+      body: { topic: "Usage accounting for offline runs", turns: 2 }
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.usage.totals.calls, 0);
+    assert.equal(created.body.usage.run.calls, 0);
+
+    const response = await server.request(`/api/conversation/${created.body.conversationId}/usage`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.usage.currency, "USD");
+    assert.equal(response.body.usage.totals.costUsd, 0);
+    assert.deepEqual(response.body.usage.byComponent, []);
+  });
+
+  test("aggregates recorded calls by component, model, agent and turn", async () => {
+    const created = await server.request("/api/conversation", {
+      method: "POST",
+      body: { topic: "Usage accounting with recorded calls", turns: 2 }
+    });
+    const { conversationId } = created.body;
+    const recorder = usageAccounting.createUsageRecorder(conversationId, { provider: "openai" });
+    const usage = (promptTokens, completionTokens) => ({
+      promptTokens,
+      completionTokens,
+      reasoningTokens: 0,
+      totalTokens: promptTokens + completionTokens
+    });
+
+    recorder.record({ component: "turn", turn: 1, agentId: "agent-a", model: "test-model", usage: usage(1000, 500) });
+    recorder.record({ component: "retry", turn: 1, agentId: "agent-a", model: "test-model", usage: usage(1000, 500) });
+    recorder.record({ component: "turn", turn: 2, agentId: "agent-b", model: "mystery", usage: usage(200, 100) });
+    recorder.record({ component: "moderator", turn: 2, model: "test-model", usage: usage(500, 0) });
+    recorder.record({ component: "summary", turn: 2, model: "test-model", usage: null });
+
+    const response = await server.request(`/api/conversation/${conversationId}/usage`);
+    const { totals, byComponent, byModel, byAgent, byTurn } = response.body.usage;
+
+    assert.equal(totals.calls, 4);
+    assert.equal(totals.totalTokens, 3800);
+    assert.equal(totals.unpricedCalls, 1);
+    assert.equal(totals.costUsd, 0.013);
+    assert.deepEqual(
+      byComponent.map((item) => [item.component, item.calls]),
+      [
+        ["turn", 2],
+        ["retry", 1],
+        ["moderator", 1]
+      ]
+    );
+    assert.deepEqual(byModel.find((item) => item.model === "test-model").pricing, { input: 2, output: 8 });
+    assert.equal(byModel.find((item) => item.model === "mystery").pricing, null);
+    assert.deepEqual(
+      byAgent.map((item) => [item.agentId, item.calls]),
+      [
+        ["agent-a", 2],
+        ["agent-b", 1]
+      ]
+    );
+    assert.deepEqual(
+      byTurn.map((item) => [item.turn, item.calls, item.costUsd]),
+      [
+        [1, 2, 0.012],
+        [2, 1, 0]
+      ]
+    );
+    assert.deepEqual(recorder.totals(), totals);
+  });
+
+  test("returns 404 for an unknown conversation", async () => {
+    const response = await server.request("/api/conversation/00000000-0000-4000-8000-000000000000/usage");
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("budget caps", () => {
+  const totals = (calls, totalTokens, costUsd) => ({ calls, totalTokens, costUsd, unpricedCalls: 0 });
+
+  test("projects the next call from the average call so far", () => {
+    const budget = { runTokens: 700, runCostUsd: null, totalTokens: null, totalCostUsd: null };
+    const fresh = usageAccounting.evaluateBudget(budget, {
+      runTotals: totals(0, 0, 0),
+      lifetimeTotals: totals(0, 0, 0)
+    });
+    assert.deepEqual(fresh, { exhausted: null, warnings: [] });
+
+    const nearing = usageAccounting.evaluateBudget(budget, {
+      runTotals: totals(3, 450, 0),
+      lifetimeTotals: totals(3, 450, 0)
+    });
+    assert.equal(nearing.exhausted, null);
+    assert.deepEqual(
+      nearing.warnings.map((warning) => [warning.scope, warning.metric, warning.projected]),
+      [["run", "tokens", 600]]
+    );
+
+    const exhausted = usageAccounting.evaluateBudget(budget, {
+      runTotals: totals(4, 600, 0),
+      lifetimeTotals: totals(4, 600, 0)
+    });
+    assert.equal(exhausted.exhausted.scope, "run");
+    assert.equal(exhausted.exhausted.projected, 750);
+  });
+
+  test("checks lifetime caps against earlier runs", () => {
+    const status = usageAccounting.evaluateBudget(
+      { runTokens: null, runCostUsd: null, totalTokens: null, totalCostUsd: 0.01 },
+      {
+        runTotals: totals(1, 100, 0.001),
+        lifetimeTotals: totals(10, 1000, 0.0095)
+      }
+    );
+    assert.deepEqual(
+      [status.exhausted.scope, status.exhausted.metric, status.exhausted.spent],
+      ["total", "costUsd", 0.0095]
+    );
+  });
+
+  test("stores budgets on the brief and merges partial updates", async () => {
+    const created = await server.request("/api/conversation", {
+      method: "POST",
+      body: { topic: "Budgeted conversation", turns: 2, budget: { runTokens: 5000, totalCostUsd: 1.5 } }
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.stopReason, "max_turns");
+    assert.deepEqual(created.body.brief.budget, {
+      runTokens: 5000,
+      runCostUsd: null,
+      totalTokens: null,
+      totalCostUsd: 1.5
+    });
+    assert.equal(created.body.budget.exhausted, null);
+
+    const route = `/api/conversation/${created.body.conversationId}/brief`;
+    const patched = await server.request(route, {
+      method: "POST",
+      body: { budget: { runTokens: 0, totalTokens: "20000" } }
+    });
+    assert.deepEqual(patched.body.brief.budget, {
+      runTokens: null,
+      runCostUsd: null,
+      totalTokens: 20000,
+      totalCostUsd: 1.5
+    });
+
+    const untouched = await server.request(route, { method: "POST", body: { objective: "Stay cheap" } });
+    assert.equal(untouched.body.brief.budget.totalTokens, 20000);
+
+    const cleared = await server.request(route, { method: "POST", body: { budget: null } });
+    assert.deepEqual(cleared.body.brief.budget, {
+      runTokens: null,
+      runCostUsd: null,
+      totalTokens: null,
+      totalCostUsd: null
+    });
+  });
+});
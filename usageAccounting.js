@@ -0,0 +1,290 @@
+import { getModelUsage, insertModelUsage } from "./db.js";
+
+// Token accounting for model calls. Every successful call is stored with the component that
+// made it (agent turn, quality retry, regeneration, moderator, merge note, memory summaries);
+// costs are computed when usage is read, so editing MODEL_PRICES reprices past conversations too.
+
+const USAGE_COMPONENTS = ["turn", "retry", "regenerate", "moderator", "merge", "summary", "tier_summary", "extraction"];
+
+// USD per 1M tokens (list prices when added). Reasoning tokens are billed as output tokens.
+const DEFAULT_MODEL_PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-sonnet-4-5": { input: 3, output: 15 }
+};
+
+// Local models cost nothing per token.
+const FREE_PROVIDERS = new Set(["ollama"]);
+
+let priceTableSource = null;
+let priceTable = null;
+
+function normalizePrice(value) {
+  const input = Number(value?.input);
+  const output = Number(value?.output);
+  if (!Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+    return null;
+  }
+  return { input, output };
+}
+
+// MODEL_PRICES='{"my-model":{"input":0.5,"output":1.5}}' adds or overrides entries. Read lazily
+// because this module loads before server.js applies .env.
+function getModelPriceTable() {
+  const source = String(process.env.MODEL_PRICES || "");
+  if (priceTable && priceTableSource === source) {
+    return priceTable;
+  }
+
+  let overrides = {};
+  if (source.trim()) {
+    try {
+      const parsed = JSON.parse(source);
+      overrides = parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      overrides = {};
+    }
+  }
+
+  const table = new Map();
+  for (const [modelName, price] of Object.entries({ ...DEFAULT_MODEL_PRICES, ...overrides })) {
+    const normalized = normalizePrice(price);
+    const key = String(modelName || "")
+      .trim()
+      .toLowerCase();
+    if (key && normalized) {
+      table.set(key, normalized);
+    }
+  }
+
+  priceTableSource = source;
+  priceTable = table;
+  return table;
+}
+
+// Exact match first, then the longest entry that is a dated/suffixed variant ("gpt-4o-2024-08-06").
+function getModelPrice(provider, modelName) {
+  if (FREE_PROVIDERS.has(String(provider || "").toLowerCase())) {
+    return { input: 0, output: 0 };
+  }
+
+  const key = String(modelName || "")
+    .trim()
+    .toLowerCase();
+  if (!key) {
+    return null;
+  }
+
+  const table = getModelPriceTable();
+  if (table.has(key)) {
+    return table.get(key);
+  }
+
+  let best = null;
+  for (const [candidate, price] of table.entries()) {
+    if (key.startsWith(`${candidate}-`) && (!best || candidate.length > best.candidate.length)) {
+      best = { candidate, price };
+    }
+  }
+  return best ? best.price : null;
+}
+
+function priceUsage(provider, modelName, counts) {
+  const price = getModelPrice(provider, modelName);
+  if (!price) {
+    return null;
+  }
+  const cost =
+    (Number(counts?.promptTokens || 0) * price.input + Number(counts?.completionTokens || 0) * price.output) /
+    1_000_000;
+  return Number(cost.toFixed(6));
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    reasoningTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    unpricedCalls: 0
+  };
+}
+
+function addToTotals(totals, row) {
+  const costUsd = priceUsage(row.provider, row.model, row);
+  const calls = Number(row.calls || 1);
+  totals.calls += calls;
+  totals.promptTokens += Number(row.promptTokens || 0);
+  totals.completionTokens += Number(row.completionTokens || 0);
+  totals.reasoningTokens += Number(row.reasoningTokens || 0);
+  totals.totalTokens += Number(row.totalTokens || 0);
+  if (costUsd === null) {
+    totals.unpricedCalls += calls;
+  } else {
+    totals.costUsd = Number((totals.costUsd + costUsd).toFixed(6));
+  }
+  return totals;
+}
+
+function groupUsage(rows, keyOf, seedOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    const group = groups.get(key) || { ...seedOf(row), ...emptyTotals() };
+    groups.set(key, addToTotals(group, row));
+  }
+  return [...groups.values()];
+}
+
+function summarizeUsageRows(rows) {
+  const safeRows = Array.isArray(rows) ? rows : [];
+  const turnRows = safeRows.filter(
+    (row) => ["turn", "retry", "regenerate"].includes(row.component) && Number.isFinite(row.turn)
+  );
+
+  return {
+    currency: "USD",
+    totals: safeRows.reduce(addToTotals, emptyTotals()),
+    byComponent: groupUsage(
+      safeRows,
+      (row) => row.component,
+      (row) => ({ component: row.component })
+    ).sort((a, b) => USAGE_COMPONENTS.indexOf(a.component) - USAGE_COMPONENTS.indexOf(b.component)),
+    byModel: groupUsage(
+      safeRows,
+      (row) => `${row.provider}:${row.model}`,
+      (row) => ({
+        provider: row.provider,
+        model: row.model,
+        pricing: getModelPrice(row.provider, row.model)
+      })
+    ),
+    byAgent: groupUsage(
+      safeRows.filter((row) => row.agentId),
+      (row) => row.agentId,
+      (row) => ({ agentId: row.agentId })
+    ),
+    byTurn: groupUsage(
+      turnRows,
+      (row) => row.turn,
+      (row) => ({ turn: row.turn, agentId: row.agentId })
+    ).sort((a, b) => a.turn - b.turn)
+  };
+}
+
+function combineUsageTotals(left, right) {
+  const combined = emptyTotals();
+  for (const totals of [left, right]) {
+    for (const key of Object.keys(combined)) {
+      combined[key] += Number(totals?.[key] || 0);
+    }
+  }
+  combined.costUsd = Number(combined.costUsd.toFixed(6));
+  return combined;
+}
+
+const BUDGET_CAPS = [
+  { key: "runTokens", scope: "run", metric: "tokens" },
+  { key: "runCostUsd", scope: "run", metric: "costUsd" },
+  { key: "totalTokens", scope: "total", metric: "tokens" },
+  { key: "totalCostUsd", scope: "total", metric: "costUsd" }
+];
+
+// The average call so far stands in for the next one; before any call there is nothing to project.
+function estimateNextCall(totals) {
+  const calls = Number(totals?.calls || 0);
+  const pricedCalls = calls - Number(totals?.unpricedCalls || 0);
+  return {
+    tokens: calls > 0 ? Number(totals.totalTokens || 0) / calls : 0,
+    costUsd: pricedCalls > 0 ? Number(totals.costUsd || 0) / pricedCalls : 0
+  };
+}
+
+// Compares run and lifetime spend against the brief's caps. A cap is exhausted when the next
+// call is projected to cross it, and reported as a warning once that call would pass `warningRatio`.
+function evaluateBudget(budget, { runTotals, lifetimeTotals, warningRatio = 0.8 }) {
+  const estimate = estimateNextCall(lifetimeTotals);
+  const checks = [];
+
+  for (const cap of BUDGET_CAPS) {
+    const limit = Number(budget?.[cap.key]);
+    if (!Number.isFinite(limit) || limit <= 0) {
+      continue;
+    }
+    const totals = cap.scope === "run" ? runTotals : lifetimeTotals;
+    const spent = Number((cap.metric === "tokens" ? totals?.totalTokens : totals?.costUsd) || 0);
+    const projected = spent + estimate[cap.metric];
+    checks.push({
+      scope: cap.scope,
+      metric: cap.metric,
+      limit,
+      spent: Number(spent.toFixed(6)),
+      projected: Number(projected.toFixed(6)),
+      ratio: Number((spent / limit).toFixed(4)),
+      exhausted: spent >= limit || projected > limit
+    });
+  }
+
+  const withoutFlag = ({ exhausted, ...check }) => check;
+  const exhausted = checks.find((check) => check.exhausted);
+  return {
+    exhausted: exhausted ? withoutFlag(exhausted) : null,
+    warnings: checks
+      .filter((check) => !check.exhausted && check.projected >= check.limit * warningRatio)
+      .map(withoutFlag)
+  };
+}
+
+function getConversationUsage(conversationId) {
+  return summarizeUsageRows(getModelUsage(conversationId));
+}
+
+// Records calls for one conversation as they complete and keeps running totals for the caller.
+function createUsageRecorder(conversationId, { provider = "" } = {}) {
+  const totals = emptyTotals();
+
+  const record = ({ component, turn, agentId, provider: callProvider, model, usage }) => {
+    if (!usage) {
+      return false;
+    }
+    const row = {
+      turn: Number.isFinite(turn) && turn > 0 ? turn : null,
+      component: USAGE_COMPONENTS.includes(component) ? component : "turn",
+      agentId: agentId || "",
+      provider: callProvider || provider,
+      model: model || "",
+      ...usage
+    };
+    try {
+      insertModelUsage(conversationId, row);
+    } catch {
+      // The conversation can be deleted while a run is still in flight.
+      return false;
+    }
+    addToTotals(totals, row);
+    return true;
+  };
+
+  return {
+    record,
+    totals: () => ({ ...totals })
+  };
+}
+
+export {
+  USAGE_COMPONENTS,
+  combineUsageTotals,
+  createUsageRecorder,
+  evaluateBudget,
+  getConversationUsage,
+  getModelPrice,
+  priceUsage,
+  summarizeUsageRows
+};